@@ -24,6 +24,8 @@ export default [
       ...js.configs.recommended.rules,
       ...reactHooks.configs.recommended.rules,
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // Log through src/utils/logger.js so production builds stay quiet
+      'no-console': 'error',
       'react-refresh/only-export-components': [
         'warn',
         { allowConstantExport: true },
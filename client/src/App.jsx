@@ -7,22 +7,35 @@ import Movies from "./pages/Movies";
 import TVShows from "./pages/TVShows";
 import MovieDetails from "./pages/MovieDetails";
 import TVShowDetails from "./pages/TVShowDetails";
+import Season from "./pages/Season";
+import Episode from "./pages/Episode";
 import Search from "./pages/Search";
+import Genre from "./pages/Genre";
+import Person from "./pages/Person";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import Watchlist from "./pages/Watchlist";
+import ContinueWatching from "./pages/ContinueWatching";
+import Lists from "./pages/Lists";
+import ListDetails from "./pages/ListDetails";
 import MyReviews from "./pages/MyReviews";
 import Profile from "./pages/Profile";
 import VerifyEmail from "./pages/VerifyEmail";
 import VerifyProfileChanges from "./pages/VerifyProfileChanges";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import UnlockAccount from "./pages/UnlockAccount";
+import AdminJobs from "./pages/AdminJobs";
 import NotFound from "./pages/NotFound";
 import ProtectedRoute from "./components/ProtectedRoute";
+import { userAPI } from "./services/api";
+import logger from "./utils/logger";
 import "./App.css";
 
 // Helper to validate token format and expiration
 const isValidToken = (token) => {
   if (!token) {
-    console.log("Token validation failed: No token provided");
+    logger.debug("Token validation failed: No token provided");
     return false;
   }
 
@@ -30,7 +43,7 @@ const isValidToken = (token) => {
     // Simple structural validation
     const parts = token.split(".");
     if (parts.length !== 3) {
-      console.log("Token validation failed: Invalid format (not 3 parts)");
+      logger.debug("Token validation failed: Invalid format (not 3 parts)");
       return false;
     }
 
@@ -42,7 +55,7 @@ const isValidToken = (token) => {
     try {
       payload = JSON.parse(window.atob(base64));
     } catch (parseError) {
-      console.error(
+      logger.error(
         "Token validation failed: Could not parse token payload",
         parseError
       );
@@ -51,7 +64,7 @@ const isValidToken = (token) => {
 
     // Check for required fields
     if (!payload.id || !payload.exp) {
-      console.log(
+      logger.debug(
         "Token validation failed: Missing required fields in payload",
         payload
       );
@@ -63,7 +76,7 @@ const isValidToken = (token) => {
     const isExpired = payload.exp <= currentTime;
 
     if (isExpired) {
-      console.log(
+      logger.debug(
         `Token validation failed: Token expired at ${new Date(
           payload.exp * 1000
         ).toLocaleString()}`
@@ -71,13 +84,13 @@ const isValidToken = (token) => {
       return false;
     }
 
-    console.log(
+    logger.debug(
       "Token validation passed. Expires:",
       new Date(payload.exp * 1000).toLocaleString()
     );
     return true;
   } catch (error) {
-    console.error("Token validation error:", error);
+    logger.error("Token validation error:", error);
     return false;
   }
 };
@@ -90,23 +103,28 @@ function App() {
     // Check if stored token is at least structurally valid and not expired
     const validateAndLoadUser = () => {
       try {
-        console.log("Validating stored user data...");
+        logger.debug("Validating stored user data...");
         const userFromStorage = localStorage.getItem("user")
           ? JSON.parse(localStorage.getItem("user"))
           : null;
 
         if (userFromStorage) {
-          console.log("Found user in storage:", {
+          logger.debug("Found user in storage:", {
             username: userFromStorage.username,
             hasToken: !!userFromStorage.token,
           });
 
-          if (userFromStorage.token && isValidToken(userFromStorage.token)) {
-            console.log("Token validated successfully, setting user state");
+          // An expired access token is fine while there is a refresh token -
+          // the api interceptor renews it on the first request
+          if (
+            userFromStorage.token &&
+            (userFromStorage.refreshToken || isValidToken(userFromStorage.token))
+          ) {
+            logger.debug("Token validated successfully, setting user state");
             setUser(userFromStorage);
           } else {
             // Invalid or expired token - clear it
-            console.warn(
+            logger.warn(
               "Invalid or expired token found on startup, clearing..."
             );
             localStorage.removeItem("user");
@@ -116,10 +134,10 @@ function App() {
             );
           }
         } else {
-          console.log("No user found in local storage");
+          logger.debug("No user found in local storage");
         }
       } catch (error) {
-        console.error("Error validating stored token:", error);
+        logger.error("Error validating stored token:", error);
         // Clear potentially corrupted data
         localStorage.removeItem("user");
       } finally {
@@ -130,20 +148,45 @@ function App() {
     validateAndLoadUser();
   }, []);
 
-  const logout = () => {
-    console.log("User logging out");
+  const logout = async () => {
+    logger.debug("User logging out");
+    const storedUser = localStorage.getItem("user")
+      ? JSON.parse(localStorage.getItem("user"))
+      : null;
+
+    // End the session on the server as well; log out locally even if that fails
+    if (storedUser?.refreshToken) {
+      try {
+        await userAPI.logout(storedUser.refreshToken);
+      } catch (error) {
+        logger.error("Error ending session on server:", error);
+      }
+    }
+
     localStorage.removeItem("user");
     setUser(null);
   };
 
   // Function to update user state when profile is updated
   const updateUser = (updatedUser) => {
-    console.log("Updating user state:", {
+    logger.debug("Updating user state:", {
       username: updatedUser.username,
       hasToken: !!updatedUser.token,
     });
-    setUser(updatedUser);
-    localStorage.setItem("user", JSON.stringify(updatedUser));
+
+    // Keep the newest tokens, the api interceptor may have refreshed them
+    // after updatedUser was read
+    const storedUser = localStorage.getItem("user")
+      ? JSON.parse(localStorage.getItem("user"))
+      : {};
+    const userWithTokens = {
+      ...updatedUser,
+      token: storedUser.token || updatedUser.token,
+      refreshToken: storedUser.refreshToken || updatedUser.refreshToken,
+    };
+
+    setUser(userWithTokens);
+    localStorage.setItem("user", JSON.stringify(userWithTokens));
   };
 
   if (initializing) {
@@ -161,9 +204,22 @@ function App() {
             <Route path="/tv" element={<TVShows />} />
             <Route path="/movie/:id" element={<MovieDetails />} />
             <Route path="/tv/:id" element={<TVShowDetails />} />
+            <Route path="/tv/:id/season/:seasonNumber" element={<Season />} />
+            <Route
+              path="/tv/:id/season/:seasonNumber/episode/:episodeNumber"
+              element={<Episode />}
+            />
+            <Route path="/genre/:type/:id" element={<Genre />} />
+            <Route path="/person/:id" element={<Person />} />
             <Route path="/search" element={<Search />} />
             <Route path="/login" element={<Login setUser={setUser} />} />
             <Route path="/register" element={<Register setUser={setUser} />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route
+              path="/reset-password/:token"
+              element={<ResetPassword setUser={setUser} />}
+            />
+            <Route path="/unlock-account/:token" element={<UnlockAccount />} />
             <Route
               path="/verify-email/:token"
               element={<VerifyEmail setUser={setUser} />}
@@ -184,6 +240,23 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/continue-watching"
+              element={
+                <ProtectedRoute user={user}>
+                  <ContinueWatching />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/lists"
+              element={
+                <ProtectedRoute user={user}>
+                  <Lists />
+                </ProtectedRoute>
+              }
+            />
+            <Route path="/lists/:id" element={<ListDetails />} />
             <Route
               path="/my-reviews"
               element={
@@ -192,6 +265,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/jobs"
+              element={
+                <ProtectedRoute user={user}>
+                  <AdminJobs />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/verify-profile-changes/:token"
               element={<VerifyProfileChanges />}
@@ -0,0 +1,158 @@
+import { useState, useEffect } from "react";
+import { userAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+import Alert from "./Alert";
+import logger from "../utils/logger";
+import "./ActiveSessions.css";
+
+// Short device description from a user agent string, e.g. "Firefox on macOS"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Firefox/", "Firefox"],
+    ["Chrome/", "Chrome"],
+    ["Safari/", "Safari"],
+  ];
+  const systems = [
+    ["Windows", "Windows"],
+    ["iPhone", "iOS"],
+    ["iPad", "iPadOS"],
+    ["Android", "Android"],
+    ["Mac OS X", "macOS"],
+    ["Macintosh", "macOS"],
+    ["Linux", "Linux"],
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return userAgent;
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+};
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+  const [loggingOutAll, setLoggingOutAll] = useState(false);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        setLoading(true);
+        const response = await userAPI.getSessions();
+        setSessions(response.data);
+      } catch (err) {
+        logger.error("Error fetching sessions:", err);
+        setError(
+          err.response?.data?.message || "Failed to load your active sessions."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevokingId(sessionId);
+      setError(null);
+      await userAPI.revokeSession(sessionId);
+      setSessions((current) =>
+        current.filter((session) => session._id !== sessionId)
+      );
+    } catch (err) {
+      logger.error("Error revoking session:", err);
+      setError(err.response?.data?.message || "Failed to log out that device.");
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of CineConnect on all devices, including this one?")) {
+      return;
+    }
+
+    try {
+      setLoggingOutAll(true);
+      setError(null);
+      await userAPI.logoutAll();
+
+      // This session has ended too, so start over at the login page
+      localStorage.removeItem("user");
+      localStorage.setItem(
+        "auth_success",
+        "You have been logged out of all devices."
+      );
+      window.location.href = "/login";
+    } catch (err) {
+      logger.error("Error logging out of all devices:", err);
+      setError(
+        err.response?.data?.message || "Failed to log out of all devices."
+      );
+      setLoggingOutAll(false);
+    }
+  };
+
+  return (
+    <div className="active-sessions">
+      <h2>Active Sessions</h2>
+      <p className="active-sessions-description">
+        Devices where you are currently logged in to CineConnect.
+      </p>
+
+      {error && <Alert type="danger" message={error} />}
+
+      {loading ? (
+        <LoadingSpinner small />
+      ) : (
+        <ul className="session-list">
+          {sessions.map((session) => (
+            <li key={session._id} className="session-item">
+              <div className="session-info">
+                <span className="session-device">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="session-current">This device</span>
+                  )}
+                </span>
+                <span className="session-meta">
+                  {session.ipAddress && `${session.ipAddress} · `}
+                  Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </span>
+              </div>
+              {!session.current && (
+                <button
+                  className="resend-btn"
+                  onClick={() => handleRevoke(session._id)}
+                  disabled={revokingId === session._id}
+                >
+                  {revokingId === session._id ? "Logging out..." : "Log out"}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        className="primary-btn"
+        onClick={handleLogoutAll}
+        disabled={loggingOutAll}
+      >
+        {loggingOutAll ? <LoadingSpinner small /> : "Log Out of All Devices"}
+      </button>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,183 @@
+import { useState, useEffect, useRef } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { listAPI, getErrorMessage } from "../services/api";
+import logger from "../utils/logger";
+import "./AddToListMenu.css";
+
+// "Add to list" button with a dropdown of the user's lists. Ticking a list
+// adds the title to it, unticking removes it, and a new list can be created
+// (with the title already on it) from the bottom of the menu.
+// `compact` shows a small "+" button for use on poster cards.
+const AddToListMenu = ({ mediaType, mediaId, title, posterPath, compact }) => {
+  const navigate = useNavigate();
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [lists, setLists] = useState(null);
+  const [busyListId, setBusyListId] = useState(null);
+  const [newListName, setNewListName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const user = localStorage.getItem("user")
+    ? JSON.parse(localStorage.getItem("user"))
+    : null;
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  const fetchLists = async () => {
+    try {
+      setError(null);
+      const response = await listAPI.getMyLists(mediaType, mediaId);
+      setLists(response.data);
+    } catch (err) {
+      logger.error("Error fetching lists:", err);
+      setError(getErrorMessage(err, "Failed to load your lists"));
+    }
+  };
+
+  const handleToggleMenu = () => {
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    if (!open) {
+      fetchLists();
+    }
+    setOpen(!open);
+  };
+
+  const handleToggleList = async (list) => {
+    try {
+      setBusyListId(list._id);
+      setError(null);
+      if (list.hasItem) {
+        await listAPI.removeItem(list._id, mediaType, mediaId);
+      } else {
+        await listAPI.addItem(list._id, mediaId, mediaType, title, posterPath);
+      }
+      setLists(
+        lists.map((item) =>
+          item._id === list._id
+            ? {
+                ...item,
+                hasItem: !list.hasItem,
+                itemCount: item.itemCount + (list.hasItem ? -1 : 1),
+              }
+            : item
+        )
+      );
+    } catch (err) {
+      logger.error("Error updating list:", err);
+      setError(getErrorMessage(err, "Failed to update the list"));
+    } finally {
+      setBusyListId(null);
+    }
+  };
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    try {
+      setCreating(true);
+      setError(null);
+      const response = await listAPI.createList({ name: newListName });
+      await listAPI.addItem(
+        response.data._id,
+        mediaId,
+        mediaType,
+        title,
+        posterPath
+      );
+      setNewListName("");
+      await fetchLists();
+    } catch (err) {
+      logger.error("Error creating list:", err);
+      setError(getErrorMessage(err, "Failed to create the list"));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div
+      className={`add-to-list ${compact ? "add-to-list-compact" : ""}`}
+      ref={menuRef}
+    >
+      <button
+        type="button"
+        className={compact ? "add-to-list-icon" : "btn btn-secondary"}
+        onClick={handleToggleMenu}
+        title="Add to list"
+        aria-expanded={open}
+      >
+        {compact ? "+" : "Add to List"}
+      </button>
+
+      {open && (
+        <div className="add-to-list-menu">
+          <div className="add-to-list-header">
+            <span>Save to...</span>
+            <Link to="/lists">My Lists</Link>
+          </div>
+
+          {error && <p className="add-to-list-error">{error}</p>}
+
+          {lists === null ? (
+            <p className="add-to-list-empty">Loading...</p>
+          ) : lists.length === 0 ? (
+            <p className="add-to-list-empty">You have no lists yet.</p>
+          ) : (
+            <ul className="add-to-list-options">
+              {lists.map((list) => (
+                <li key={list._id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(list.hasItem)}
+                      disabled={busyListId === list._id}
+                      onChange={() => handleToggleList(list)}
+                    />
+                    <span className="add-to-list-name">{list.name}</span>
+                    <span className="add-to-list-count">{list.itemCount}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="add-to-list-new" onSubmit={handleCreateList}>
+            <input
+              type="text"
+              placeholder="New list name"
+              maxLength={100}
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="btn btn-sm"
+              disabled={creating || !newListName.trim()}
+            >
+              {creating ? "Creating..." : "Create"}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToListMenu;
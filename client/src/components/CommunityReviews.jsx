@@ -0,0 +1,138 @@
+import { useState, useEffect } from "react";
+import { reviewAPI } from "../services/api";
+import LoadingSpinner from "./LoadingSpinner";
+import Alert from "./Alert";
+import logger from "../utils/logger";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "highest", label: "Highest rated" },
+  { value: "lowest", label: "Lowest rated" },
+];
+
+// Reviews written by CineConnect users for a single movie or TV show.
+// The current user's own review is rendered separately by the details page,
+// so the server leaves it out of these pages when the request is
+// authenticated. Changing refreshKey reloads the first page.
+const CommunityReviews = ({ mediaType, mediaId, currentUserId, refreshKey }) => {
+  const [reviews, setReviews] = useState([]);
+  const [sort, setSort] = useState("newest");
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the first page whenever the title, sort order, signed in user or
+  // refresh key changes
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await reviewAPI.getMediaReviews(
+          mediaType,
+          mediaId,
+          1,
+          sort
+        );
+        setReviews(response.data.results);
+        setPage(1);
+        setTotalPages(response.data.total_pages);
+      } catch (err) {
+        logger.error("Error fetching community reviews:", err);
+        setError("Failed to load CineConnect reviews.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReviews();
+  }, [mediaType, mediaId, sort, currentUserId, refreshKey]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+
+      const response = await reviewAPI.getMediaReviews(
+        mediaType,
+        mediaId,
+        page + 1,
+        sort
+      );
+      setReviews([...reviews, ...response.data.results]);
+      setPage(page + 1);
+      setTotalPages(response.data.total_pages);
+    } catch (err) {
+      logger.error("Error fetching more community reviews:", err);
+      setError("Failed to load more reviews.");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="community-reviews">
+      <div className="community-reviews-header">
+        <h3 className="other-reviews-title">CineConnect Reviews</h3>
+        <select
+          className="review-sort-select"
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          aria-label="Sort CineConnect reviews"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <Alert type="danger" message={error} />}
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : reviews.length > 0 ? (
+        <>
+          <div className="reviews-list">
+            {reviews.map((review) => (
+              <div key={review._id} className="review-card">
+                <div className="review-header">
+                  <div className="reviewer-name">
+                    {review.user?.username || "Deleted user"}
+                  </div>
+                  <div className="reviewer-rating">★ {review.rating}/10</div>
+                </div>
+                <div className="review-content">{review.content}</div>
+                <div className="review-date">
+                  {new Date(review.createdAt).toLocaleDateString()}
+                  {review.edited && " · Edited"}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {page < totalPages && (
+            <div className="show-more-container">
+              <button
+                onClick={handleLoadMore}
+                className="btn-text"
+                disabled={loadingMore}
+              >
+                {loadingMore ? "Loading..." : "Show More Reviews"}
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="no-reviews">
+          No {currentUserId ? "other " : ""}CineConnect reviews yet.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CommunityReviews;
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { SORT_OPTIONS, LANGUAGES } from "../utils/discover";
+import "./DiscoverFilters.css";
+
+// Filter panel for the Discover view. Edits a draft of the filters and hands
+// them to onApply; the page keeps the applied filters in the URL. Remount it
+// (with a key) to reset the draft when the URL changes. `genres` is the
+// [{ id, name }] list from the genres endpoint.
+const DiscoverFilters = ({ mediaType, genres, filters, onApply, onReset }) => {
+  const [draft, setDraft] = useState(filters);
+
+  const selectedGenres = draft.genres ? draft.genres.split(",") : [];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft({ ...draft, [name]: value });
+  };
+
+  const toggleGenre = (genreId) => {
+    const id = String(genreId);
+    const next = selectedGenres.includes(id)
+      ? selectedGenres.filter((selected) => selected !== id)
+      : [...selectedGenres, id];
+    setDraft({ ...draft, genres: next.join(",") });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Leave out empty fields so they stay out of the URL
+    const applied = Object.fromEntries(
+      Object.entries(draft).filter(([, value]) => value !== "")
+    );
+    onApply(applied);
+  };
+
+  return (
+    <form className="discover-filters" onSubmit={handleSubmit}>
+      <div className="genre-chips">
+        {genres.map((genre) => (
+          <button
+            key={genre.id}
+            type="button"
+            className={`genre-chip ${
+              selectedGenres.includes(String(genre.id)) ? "active" : ""
+            }`}
+            onClick={() => toggleGenre(genre.id)}
+          >
+            {genre.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="discover-fields">
+        <label>
+          {mediaType === "movie" ? "Released" : "First aired"}
+          <span className="discover-range">
+            <input
+              type="number"
+              name="yearFrom"
+              placeholder="From"
+              min="1870"
+              max="2100"
+              value={draft.yearFrom || ""}
+              onChange={handleChange}
+            />
+            <input
+              type="number"
+              name="yearTo"
+              placeholder="To"
+              min="1870"
+              max="2100"
+              value={draft.yearTo || ""}
+              onChange={handleChange}
+            />
+          </span>
+        </label>
+
+        <label>
+          Runtime (minutes)
+          <span className="discover-range">
+            <input
+              type="number"
+              name="runtimeMin"
+              placeholder="Min"
+              min="0"
+              value={draft.runtimeMin || ""}
+              onChange={handleChange}
+            />
+            <input
+              type="number"
+              name="runtimeMax"
+              placeholder="Max"
+              min="0"
+              value={draft.runtimeMax || ""}
+              onChange={handleChange}
+            />
+          </span>
+        </label>
+
+        <label>
+          Minimum rating
+          <select
+            name="ratingMin"
+            value={draft.ratingMin || ""}
+            onChange={handleChange}
+          >
+            <option value="">Any</option>
+            {[5, 6, 7, 7.5, 8, 8.5, 9].map((rating) => (
+              <option key={rating} value={rating}>
+                {rating}+
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Minimum votes
+          <input
+            type="number"
+            name="votesMin"
+            placeholder="Any"
+            min="0"
+            value={draft.votesMin || ""}
+            onChange={handleChange}
+          />
+        </label>
+
+        <label>
+          Original language
+          <select
+            name="language"
+            value={draft.language || ""}
+            onChange={handleChange}
+          >
+            <option value="">Any</option>
+            {LANGUAGES.map((language) => (
+              <option key={language.value} value={language.value}>
+                {language.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Sort by
+          <select
+            name="sort"
+            value={draft.sort || "popularity"}
+            onChange={handleChange}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="discover-actions">
+        <button type="button" className="btn btn-secondary" onClick={onReset}>
+          Reset
+        </button>
+        <button type="submit" className="btn">
+          Apply Filters
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DiscoverFilters;
@@ -1,5 +1,6 @@
 import { Link } from "react-router-dom";
 import { getImageUrl } from "../services/api";
+import AddToListMenu from "./AddToListMenu";
 import "./MovieCard.css";
 
 const MovieCard = ({ media }) => {
@@ -39,8 +40,26 @@ const MovieCard = ({ media }) => {
     ? (Math.round(media.vote_average * 10) / 10).toFixed(1)
     : "";
 
+  // CineConnect score, only shown once at least one user has reviewed the title
+  const communityRating =
+    media.cineconnect_rating && media.cineconnect_rating.count > 0
+      ? media.cineconnect_rating.average.toFixed(1)
+      : "";
+
+  // Only signed in users have lists to add to
+  const isLoggedIn = Boolean(localStorage.getItem("user"));
+
   return (
     <div className="movie-card">
+      {isLoggedIn && (isMovie || isTv) && (
+        <AddToListMenu
+          mediaType={isTv ? "tv" : "movie"}
+          mediaId={media.id}
+          title={title}
+          posterPath={media.poster_path}
+          compact
+        />
+      )}
       <Link to={linkPath} className="movie-card-link">
         <div className="movie-card-img-container">
           <img src={posterPath} alt={title} className="movie-card-img" />
@@ -49,6 +68,14 @@ const MovieCard = ({ media }) => {
               <span>{rating}</span>
             </div>
           )}
+          {communityRating && (
+            <div
+              className="movie-card-community-rating"
+              title={`CineConnect score from ${media.cineconnect_rating.count} reviews`}
+            >
+              <span>CC {communityRating}</span>
+            </div>
+          )}
         </div>
         <div className="movie-card-content">
           <h3 className="movie-card-title">{title}</h3>
@@ -100,6 +100,19 @@ const Navbar = ({ user, logout }) => {
                   My Watchlist
                 </Link>
               </li>
+              <li>
+                <Link
+                  to="/continue-watching"
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  Continue Watching
+                </Link>
+              </li>
+              <li>
+                <Link to="/lists" onClick={() => setIsMobileMenuOpen(false)}>
+                  My Lists
+                </Link>
+              </li>
               <li>
                 <Link
                   to="/my-reviews"
@@ -163,6 +176,14 @@ const Navbar = ({ user, logout }) => {
                   <Link to="/profile" onClick={() => setIsDropdownOpen(false)}>
                     My Profile
                   </Link>
+                  {user.role === "admin" && (
+                    <Link
+                      to="/admin/jobs"
+                      onClick={() => setIsDropdownOpen(false)}
+                    >
+                      Background Jobs
+                    </Link>
+                  )}
                   <button
                     onClick={() => {
                       logout();
@@ -0,0 +1,24 @@
+import "./ProgressBar.css";
+
+// How far through a TV show the user is, e.g. "12 of 20 episodes · 60%"
+const ProgressBar = ({ watchedCount, totalEpisodes, percent }) => {
+  return (
+    <div className="progress-bar">
+      <div
+        className="progress-bar-track"
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div className="progress-bar-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="progress-bar-label">
+        {watchedCount} of {totalEpisodes}{" "}
+        {totalEpisodes === 1 ? "episode" : "episodes"} · {percent}%
+      </span>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -1,6 +1,7 @@
 import { Navigate } from "react-router-dom";
 import { useEffect, useState } from "react";
 import LoadingSpinner from "./LoadingSpinner";
+import logger from "../utils/logger";
 
 const ProtectedRoute = ({ user, children }) => {
   const [isValidating, setIsValidating] = useState(true);
@@ -12,7 +13,7 @@ const ProtectedRoute = ({ user, children }) => {
       try {
         // Check if user exists and has a token
         if (!user || !user.token) {
-          console.log("No user or token found");
+          logger.debug("No user or token found");
           setIsValid(false);
           return;
         }
@@ -20,7 +21,7 @@ const ProtectedRoute = ({ user, children }) => {
         // Basic JWT structure validation
         const parts = user.token.split(".");
         if (parts.length !== 3) {
-          console.error("Invalid token format");
+          logger.error("Invalid token format");
           setIsValid(false);
           return;
         }
@@ -30,8 +31,10 @@ const ProtectedRoute = ({ user, children }) => {
           const payload = JSON.parse(atob(parts[1]));
           const currentTime = Math.floor(Date.now() / 1000);
 
-          if (payload.exp && payload.exp < currentTime) {
-            console.error("Token expired");
+          // Expired access tokens are renewed by the api interceptor when
+          // there is a refresh token
+          if (payload.exp && payload.exp < currentTime && !user.refreshToken) {
+            logger.error("Token expired");
             localStorage.removeItem("user");
             localStorage.setItem(
               "auth_error",
@@ -43,11 +46,11 @@ const ProtectedRoute = ({ user, children }) => {
 
           setIsValid(true);
         } catch (parseError) {
-          console.error("Error parsing token:", parseError);
+          logger.error("Error parsing token:", parseError);
           setIsValid(false);
         }
       } catch (error) {
-        console.error("Token validation error:", error);
+        logger.error("Token validation error:", error);
         setIsValid(false);
       } finally {
         setIsValidating(false);
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from "react";
+
+// Seconds to wait before retrying a rate limited (429) request, from its
+// Retry-After header or the retryAfter field of the response body
+export const getRetryAfterSeconds = (error) => {
+  const value =
+    error.response?.headers?.["retry-after"] ?? error.response?.data?.retryAfter;
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) ? null : seconds;
+};
+
+// Format a number of seconds as m:ss (or h:mm:ss)
+export const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+// Countdown for forms the server has temporarily blocked.
+// Pass a 429 error to startCountdown; secondsLeft then counts down to 0.
+const useRetryCountdown = () => {
+  const [retryAt, setRetryAt] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!retryAt) return;
+
+    const timer = setInterval(() => {
+      const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setRetryAt(null);
+        setSecondsLeft(0);
+      } else {
+        setSecondsLeft(remaining);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  const startCountdown = useCallback((error) => {
+    const seconds = getRetryAfterSeconds(error);
+    if (!seconds) return;
+
+    setRetryAt(Date.now() + seconds * 1000);
+    setSecondsLeft(seconds);
+  }, []);
+
+  return { secondsLeft, waiting: secondsLeft > 0, startCountdown };
+};
+
+export default useRetryCountdown;
@@ -0,0 +1,172 @@
+import { useState, useEffect } from "react";
+import { adminAPI, getErrorMessage } from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./AdminJobs.css";
+
+// Job statuses shown as tabs, failed jobs first
+const STATUS_TABS = [
+  { value: "dead", label: "Failed" },
+  { value: "queued", label: "Waiting" },
+  { value: "running", label: "Running" },
+  { value: "succeeded", label: "Succeeded" },
+];
+
+// One line description of what a job does, e.g. "password-reset to fan@example.com"
+const describeJob = (job) => {
+  const { template, to } = job.summary || {};
+  return template ? `${template} to ${to}` : job.type;
+};
+
+const AdminJobs = () => {
+  const [status, setStatus] = useState("dead");
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  const fetchJobs = async (jobStatus) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminAPI.getJobs(jobStatus);
+      setJobs(response.data.jobs);
+      setCounts(response.data.counts);
+    } catch (err) {
+      logger.error("Error fetching jobs:", err);
+      setError(
+        err.response?.status === 403
+          ? "Only admins can see background jobs."
+          : getErrorMessage(err, "Failed to load jobs. Please try again.")
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchJobs(status);
+  }, [status]);
+
+  const handleRetry = async (jobId) => {
+    try {
+      setBusyJobId(jobId);
+      setSuccess(null);
+      await adminAPI.retryJob(jobId);
+      setSuccess("The job will be run again shortly.");
+      await fetchJobs(status);
+    } catch (err) {
+      logger.error("Error retrying job:", err);
+      setError(getErrorMessage(err, "Failed to retry the job."));
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleDelete = async (jobId) => {
+    if (!window.confirm("Delete this job? It will not be run again.")) {
+      return;
+    }
+
+    try {
+      setBusyJobId(jobId);
+      setSuccess(null);
+      await adminAPI.deleteJob(jobId);
+      setJobs(jobs.filter((job) => job._id !== jobId));
+      setCounts({ ...counts, [status]: Math.max((counts[status] || 1) - 1, 0) });
+    } catch (err) {
+      logger.error("Error deleting job:", err);
+      setError(getErrorMessage(err, "Failed to delete the job."));
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  return (
+    <div className="admin-jobs-page">
+      <div className="container">
+        <h1 className="page-title">Background Jobs</h1>
+
+        <div className="job-tabs">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              className={`job-tab ${status === tab.value ? "active" : ""}`}
+              onClick={() => setStatus(tab.value)}
+            >
+              {tab.label}
+              <span className="job-count">{counts[tab.value] ?? 0}</span>
+            </button>
+          ))}
+        </div>
+
+        {error && <Alert type="danger" message={error} />}
+        {success && <Alert type="success" message={success} />}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : jobs.length === 0 ? (
+          <p className="no-jobs-message">No jobs here.</p>
+        ) : (
+          <div className="job-list">
+            {jobs.map((job) => (
+              <div className="job-item" key={job._id}>
+                <div className="job-header">
+                  <span className="job-title">{describeJob(job)}</span>
+                  <span className="job-attempts">
+                    Attempt {job.attempts} of {job.maxAttempts}
+                  </span>
+                </div>
+                <div className="job-dates">
+                  Queued {new Date(job.createdAt).toLocaleString()}
+                  {job.status === "queued" &&
+                    ` · next run ${new Date(job.runAt).toLocaleString()}`}
+                  {job.completedAt &&
+                    ` · done ${new Date(job.completedAt).toLocaleString()}`}
+                </div>
+
+                {job.failures.length > 0 && (
+                  <ul className="job-failures">
+                    {job.failures.map((failure) => (
+                      <li key={failure._id}>
+                        Attempt {failure.attempt} (
+                        {new Date(failure.failedAt).toLocaleString()}):{" "}
+                        {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {job.status !== "running" && (
+                  <div className="job-actions">
+                    {job.status === "dead" && (
+                      <button
+                        className="btn"
+                        onClick={() => handleRetry(job._id)}
+                        disabled={busyJobId === job._id}
+                      >
+                        Retry
+                      </button>
+                    )}
+                    <button
+                      className="delete-btn"
+                      onClick={() => handleDelete(job._id)}
+                      disabled={busyJobId === job._id}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminJobs;
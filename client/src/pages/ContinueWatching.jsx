@@ -0,0 +1,130 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { progressAPI, getImageUrl, getErrorMessage } from "../services/api";
+import ProgressBar from "../components/ProgressBar";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Lists.css";
+import "./ContinueWatching.css";
+
+const episodeLink = (show) =>
+  `/tv/${show.showId}/season/${show.nextEpisode.season}/episode/${show.nextEpisode.episode}`;
+
+// TV shows the user is part way through, most recently watched first, each
+// with a shortcut to the next episode
+const ContinueWatching = () => {
+  const [shows, setShows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyShowId, setBusyShowId] = useState(null);
+
+  useEffect(() => {
+    const fetchShows = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await progressAPI.getContinueWatching();
+        setShows(response.data);
+      } catch (err) {
+        logger.error("Error fetching shows in progress:", err);
+        setError(getErrorMessage(err, "Failed to load your shows."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShows();
+  }, []);
+
+  const handleMarkWatched = async (show) => {
+    try {
+      setBusyShowId(show.showId);
+      setError(null);
+      const response = await progressAPI.markEpisode(
+        show.showId,
+        show.nextEpisode.season,
+        show.nextEpisode.episode
+      );
+      const updated = response.data;
+      // Marking an episode makes this the most recently watched show; one
+      // with nothing left to watch leaves the list
+      const others = shows.filter((item) => item.showId !== show.showId);
+      setShows(updated.nextEpisode ? [updated, ...others] : others);
+    } catch (err) {
+      logger.error("Error marking episode watched:", err);
+      setError(getErrorMessage(err, "Failed to mark the episode watched."));
+    } finally {
+      setBusyShowId(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="lists-page">
+      <div className="container">
+        <h1 className="lists-title">Continue Watching</h1>
+
+        {error && <Alert type="danger" message={error} />}
+
+        {shows.length === 0 ? (
+          <div className="lists-empty">
+            <p>You are not part way through any shows.</p>
+            <p>
+              Mark episodes as watched from a show's season pages and they will
+              show up here.
+            </p>
+          </div>
+        ) : (
+          <ul className="continue-list">
+            {shows.map((show) => (
+              <li key={show.showId} className="continue-item">
+                <Link to={`/tv/${show.showId}`}>
+                  <img
+                    src={getImageUrl.poster(show.poster_path, "w185")}
+                    alt={show.name}
+                    className="list-item-poster"
+                  />
+                </Link>
+                <div className="continue-item-info">
+                  <Link to={`/tv/${show.showId}`} className="list-item-title">
+                    {show.name}
+                  </Link>
+                  <ProgressBar
+                    watchedCount={show.watchedCount}
+                    totalEpisodes={show.totalEpisodes}
+                    percent={show.percent}
+                  />
+                  {show.lastWatchedAt && (
+                    <span className="list-card-meta">
+                      Last watched{" "}
+                      {new Date(show.lastWatchedAt).toLocaleDateString()}
+                    </span>
+                  )}
+                </div>
+                <div className="continue-item-actions">
+                  <Link to={episodeLink(show)} className="btn">
+                    Next: S{show.nextEpisode.season} · E
+                    {show.nextEpisode.episode}
+                  </Link>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleMarkWatched(show)}
+                    disabled={busyShowId === show.showId}
+                  >
+                    Mark Watched
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ContinueWatching;
@@ -0,0 +1,270 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import {
+  tvAPI,
+  progressAPI,
+  getImageUrl,
+  getErrorMessage,
+} from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import { getKeyCrew } from "../utils/credits";
+import "./MovieDetails.css";
+import "./Season.css";
+
+// The episodes either side of this one, crossing into the neighbouring
+// seasons at either end. Uses the episode counts from the show's season list.
+const getAdjacentEpisodes = (seasons, seasonNumber, episodeNumber) => {
+  const ordered = [...(seasons || [])]
+    .filter((season) => season.episode_count > 0)
+    .sort((a, b) => a.season_number - b.season_number);
+  const index = ordered.findIndex(
+    (season) => season.season_number === seasonNumber
+  );
+  if (index === -1) return {};
+
+  const current = ordered[index];
+  const previousSeason = ordered[index - 1];
+  const nextSeason = ordered[index + 1];
+
+  const previous =
+    episodeNumber > 1
+      ? { season: seasonNumber, episode: episodeNumber - 1 }
+      : previousSeason && {
+          season: previousSeason.season_number,
+          episode: previousSeason.episode_count,
+        };
+  const next =
+    episodeNumber < current.episode_count
+      ? { season: seasonNumber, episode: episodeNumber + 1 }
+      : nextSeason && { season: nextSeason.season_number, episode: 1 };
+
+  return { previous, next };
+};
+
+// A single TV episode (/tv/:id/season/:seasonNumber/episode/:episodeNumber)
+// with its crew, guest stars and links to the episodes either side
+const Episode = () => {
+  const { id, seasonNumber, episodeNumber } = useParams();
+  const [tvShow, setTvShow] = useState(null);
+  const [episode, setEpisode] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [progressLoading, setProgressLoading] = useState(false);
+
+  const isLoggedIn = Boolean(localStorage.getItem("user"));
+
+  useEffect(() => {
+    const fetchEpisode = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [showResponse, episodeResponse] = await Promise.all([
+          tvAPI.getDetails(id),
+          tvAPI.getEpisode(id, seasonNumber, episodeNumber),
+        ]);
+        setTvShow(showResponse.data);
+        setEpisode(episodeResponse.data);
+      } catch (err) {
+        logger.error("Error fetching episode:", err);
+        setError(getErrorMessage(err, "Failed to load this episode."));
+        setEpisode(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEpisode();
+    window.scrollTo(0, 0);
+  }, [id, seasonNumber, episodeNumber]);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    const fetchProgress = async () => {
+      try {
+        const response = await progressAPI.getShowProgress(id);
+        setProgress(response.data);
+      } catch (err) {
+        logger.error("Error fetching watch progress:", err);
+      }
+    };
+
+    fetchProgress();
+  }, [isLoggedIn, id]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!episode) {
+    return (
+      <div className="season-page">
+        <div className="container">
+          {error && <Alert type="danger" message={error} />}
+          <Link to={`/tv/${id}/season/${seasonNumber}`} className="btn">
+            Back to Season
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { previous, next } = getAdjacentEpisodes(
+    tvShow.seasons,
+    episode.season_number,
+    episode.episode_number
+  );
+  const episodeLink = ({ season, episode: number }) =>
+    `/tv/${id}/season/${season}/episode/${number}`;
+  const watched =
+    Boolean(progress) &&
+    progress.episodes.some(
+      (item) =>
+        item.season === episode.season_number &&
+        item.episode === episode.episode_number
+    );
+  const aired =
+    Boolean(episode.air_date) && new Date(episode.air_date) <= new Date();
+
+  const handleToggleWatched = async () => {
+    const { season_number: seasonNo, episode_number: episodeNo } = episode;
+    try {
+      setProgressLoading(true);
+      setError(null);
+      const response = watched
+        ? await progressAPI.unmarkEpisode(id, seasonNo, episodeNo)
+        : await progressAPI.markEpisode(id, seasonNo, episodeNo);
+      setProgress(response.data);
+    } catch (err) {
+      logger.error("Error updating watch progress:", err);
+      setError(getErrorMessage(err, "Failed to update the episode."));
+    } finally {
+      setProgressLoading(false);
+    }
+  };
+
+  const keyCrew = getKeyCrew(episode);
+  const guestStars = episode.guest_stars || [];
+
+  return (
+    <div className="season-page">
+      <div className="container">
+        <nav className="season-breadcrumbs">
+          <Link to={`/tv/${id}`}>{tvShow.name}</Link>
+          <span>›</span>
+          <Link to={`/tv/${id}/season/${episode.season_number}`}>
+            Season {episode.season_number}
+          </Link>
+          <span>›</span>
+          <span>Episode {episode.episode_number}</span>
+        </nav>
+
+        <div className="episode-header">
+          <img
+            src={getImageUrl.backdrop(episode.still_path, "w780")}
+            alt={episode.name}
+            className="episode-header-still"
+          />
+          <div>
+            <h1 className="season-title">{episode.name}</h1>
+            <div className="season-facts">
+              <span>
+                S{episode.season_number} · E{episode.episode_number}
+              </span>
+              {episode.air_date && (
+                <span>{new Date(episode.air_date).toLocaleDateString()}</span>
+              )}
+              {episode.runtime > 0 && <span>{episode.runtime}m</span>}
+              {episode.vote_count > 0 && (
+                <span>★ {episode.vote_average.toFixed(1)}</span>
+              )}
+            </div>
+            {episode.overview && (
+              <p className="season-header-overview">{episode.overview}</p>
+            )}
+            {progress && aired && (
+              <div className="season-progress">
+                <button
+                  className={`btn ${watched ? "btn-secondary" : ""}`}
+                  onClick={handleToggleWatched}
+                  disabled={progressLoading}
+                >
+                  {watched ? "✓ Watched" : "Mark as Watched"}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && <Alert type="danger" message={error} />}
+
+        <div className="episode-nav">
+          {previous ? (
+            <Link to={episodeLink(previous)} className="btn btn-secondary">
+              ← S{previous.season} · E{previous.episode}
+            </Link>
+          ) : (
+            <span />
+          )}
+          {next && (
+            <Link to={episodeLink(next)} className="btn btn-secondary">
+              S{next.season} · E{next.episode} →
+            </Link>
+          )}
+        </div>
+
+        {keyCrew.length > 0 && (
+          <div className="movie-section">
+            <h2 className="section-title">Crew</h2>
+            <div className="crew-list">
+              {keyCrew.map((person) => (
+                <Link
+                  key={person.id}
+                  to={`/person/${person.id}`}
+                  className="crew-member"
+                >
+                  <span className="cast-name">{person.name}</span>
+                  <span className="cast-character">
+                    {person.jobs.join(", ")}
+                  </span>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {guestStars.length > 0 && (
+          <div className="movie-section">
+            <h2 className="section-title">Guest Stars</h2>
+            <div className="cast-list">
+              {guestStars.map((person) => (
+                <Link
+                  key={person.id}
+                  to={`/person/${person.id}`}
+                  className="cast-member"
+                >
+                  <div className="cast-image-container">
+                    <img
+                      src={getImageUrl.profile(person.profile_path)}
+                      alt={person.name}
+                      className="cast-image"
+                    />
+                  </div>
+                  <div className="cast-details">
+                    <div className="cast-name">{person.name}</div>
+                    <div className="cast-character">{person.character}</div>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Episode;
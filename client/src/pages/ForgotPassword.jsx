@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { userAPI } from "../services/api";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Auth.css";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError("Please enter your email address");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await userAPI.forgotPassword(email);
+
+      // The server gives the same answer whether or not the account exists
+      setMessage(
+        response.data?.message ||
+          "If an account with that email exists, a password reset link has been sent."
+      );
+    } catch (err) {
+      logger.error("Forgot password error:", err);
+      setError(
+        err.response?.data?.message ||
+          "Could not send the password reset email. Please try again later."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="auth-title">Forgot Password</h1>
+
+        {error && <Alert type="danger" message={error} />}
+
+        {message ? (
+          <div className="verification-status">
+            <Alert type="success" message={message} />
+            <p className="mt-4">
+              The link in the email is valid for one hour.
+            </p>
+          </div>
+        ) : (
+          <form className="auth-form" onSubmit={handleSubmit}>
+            <p className="auth-description">
+              Enter the email address for your account and we'll send you a
+              link to choose a new password.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                className="form-control"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-block" disabled={loading}>
+              {loading ? "Sending..." : "Send Reset Link"}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          Remembered your password? <Link to="/login">Login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,170 @@
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import { movieAPI, tvAPI, getErrorMessage } from "../services/api";
+import MovieCard from "../components/MovieCard";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import NotFound from "./NotFound";
+import logger from "../utils/logger";
+import { SORT_OPTIONS } from "../utils/discover";
+import "./Movies.css";
+
+// TMDB serves at most 500 pages of discover results
+const MAX_PAGES = 500;
+
+// Movies or TV shows in one genre (/genre/:type/:id), with the page and sort
+// order in the URL like the Discover tab
+const Genre = () => {
+  const { type, id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [titles, setTitles] = useState([]);
+  const [genreName, setGenreName] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const isKnownType = type === "movie" || type === "tv";
+  const mediaAPI = type === "tv" ? tvAPI : movieAPI;
+  const sort = searchParams.get("sort") || "popularity";
+  const currentPage = Math.max(parseInt(searchParams.get("page"), 10) || 1, 1);
+
+  useEffect(() => {
+    if (!isKnownType) return;
+
+    const fetchGenreName = async () => {
+      try {
+        const response = await mediaAPI.getGenres();
+        const genre = response.data.genres.find(
+          (item) => String(item.id) === id
+        );
+        setGenreName(genre ? genre.name : "");
+      } catch (err) {
+        logger.error("Error fetching genres:", err);
+      }
+    };
+
+    fetchGenreName();
+  }, [isKnownType, mediaAPI, id]);
+
+  useEffect(() => {
+    if (!isKnownType) return;
+
+    const fetchTitles = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await mediaAPI.discover({
+          genres: id,
+          sort,
+          page: currentPage,
+        });
+        setTitles(response.data.results);
+        setTotalPages(Math.min(response.data.total_pages || 1, MAX_PAGES));
+      } catch (err) {
+        logger.error("Error fetching genre titles:", err);
+        setError(getErrorMessage(err, "Failed to load titles. Please try again later."));
+        setTitles([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTitles();
+    window.scrollTo(0, 0);
+  }, [isKnownType, mediaAPI, id, sort, currentPage]);
+
+  if (!isKnownType) {
+    return <NotFound />;
+  }
+
+  const updateSearch = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handleSortChange = (e) => {
+    // A new order starts again from the first page
+    updateSearch({
+      sort: e.target.value === "popularity" ? null : e.target.value,
+      page: null,
+    });
+  };
+
+  const goToPage = (page) => {
+    updateSearch({ page: page > 1 ? page : null });
+  };
+
+  const typeLabel = type === "movie" ? "Movies" : "TV Shows";
+
+  return (
+    <div className="movies-page">
+      <div className="container">
+        <div className="page-header">
+          <h1 className="page-title">
+            {genreName ? `${genreName} ${typeLabel}` : typeLabel}
+          </h1>
+
+          <label className="sort-select">
+            Sort by
+            <select value={sort} onChange={handleSortChange}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {error && <Alert type="danger" message={error} />}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          <>
+            {!error && titles.length === 0 && (
+              <p className="no-results">No titles found in this genre.</p>
+            )}
+
+            <div className="movies-grid">
+              {titles.map((title) => (
+                <MovieCard key={title.id} media={{ ...title, media_type: type }} />
+              ))}
+            </div>
+
+            {titles.length > 0 && (
+              <div className="pagination">
+                <button
+                  onClick={() => goToPage(currentPage - 1)}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </button>
+
+                <span className="pagination-info">
+                  Page {currentPage} of {totalPages}
+                </span>
+
+                <button
+                  onClick={() => goToPage(currentPage + 1)}
+                  disabled={currentPage >= totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Genre;
@@ -4,6 +4,7 @@ import { movieAPI, tvAPI, getImageUrl } from "../services/api";
 import MovieCard from "../components/MovieCard";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./Home.css";
 
 const Home = () => {
@@ -42,7 +43,7 @@ const Home = () => {
 
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching home data:", err);
+        logger.error("Error fetching home data:", err);
         setError(
           "Failed to fetch movies and TV shows. Please try again later."
         );
@@ -0,0 +1,318 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate, Link } from "react-router-dom";
+import { listAPI, getImageUrl, getErrorMessage } from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Lists.css";
+
+const itemKey = (item) => `${item.mediaType}-${item.mediaId}`;
+
+// A single list. Public lists can be opened by anyone with the link; the
+// owner can also edit, reorder and delete it here.
+const ListDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [list, setList] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({});
+  const [busyKey, setBusyKey] = useState(null);
+
+  useEffect(() => {
+    const fetchList = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await listAPI.getList(id);
+        setList(response.data);
+      } catch (err) {
+        logger.error("Error fetching list:", err);
+        setError(
+          err.response?.status === 404
+            ? "This list does not exist or is private."
+            : getErrorMessage(err, "Failed to load the list.")
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchList();
+  }, [id]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+  };
+
+  // Responses for changes carry the list without the owner details
+  const applyChanges = (updated) => {
+    setList({ ...list, ...updated, user: list.user, isOwner: list.isOwner });
+  };
+
+  const handleEdit = () => {
+    setForm({
+      name: list.name,
+      description: list.description,
+      isPublic: list.isPublic,
+    });
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === "checkbox" ? checked : value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      const response = await listAPI.updateList(id, form);
+      applyChanges(response.data);
+      setEditing(false);
+      showSuccess("List updated");
+    } catch (err) {
+      logger.error("Error updating list:", err);
+      setError(getErrorMessage(err, "Failed to update the list."));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await listAPI.deleteList(id);
+      navigate("/lists");
+    } catch (err) {
+      logger.error("Error deleting list:", err);
+      setError(getErrorMessage(err, "Failed to delete the list."));
+    }
+  };
+
+  const handleMove = async (item, position) => {
+    try {
+      setBusyKey(itemKey(item));
+      setError(null);
+      const response = await listAPI.moveItem(
+        id,
+        item.mediaType,
+        item.mediaId,
+        position
+      );
+      applyChanges(response.data);
+    } catch (err) {
+      logger.error("Error moving list item:", err);
+      setError(getErrorMessage(err, "Failed to move the title."));
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      setBusyKey(itemKey(item));
+      setError(null);
+      const response = await listAPI.removeItem(
+        id,
+        item.mediaType,
+        item.mediaId
+      );
+      applyChanges(response.data);
+      showSuccess(`Removed ${item.title}`);
+    } catch (err) {
+      logger.error("Error removing list item:", err);
+      setError(getErrorMessage(err, "Failed to remove the title."));
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showSuccess("Link copied");
+    } catch (err) {
+      logger.error("Error copying link:", err);
+      setError("Could not copy the link. Copy it from the address bar.");
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!list) {
+    return (
+      <div className="lists-page">
+        <div className="container">
+          {error && <Alert type="danger" message={error} />}
+          <Link to="/" className="btn">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="lists-page">
+      <div className="container">
+        {error && <Alert type="danger" message={error} />}
+        {successMessage && <Alert type="success" message={successMessage} />}
+
+        {editing ? (
+          <form className="list-form" onSubmit={handleSave}>
+            <div className="form-group">
+              <input
+                type="text"
+                name="name"
+                maxLength={100}
+                value={form.name}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <textarea
+                name="description"
+                placeholder="Description (optional)"
+                maxLength={1000}
+                value={form.description}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="list-form-footer">
+              <label className="list-visibility">
+                <input
+                  type="checkbox"
+                  name="isPublic"
+                  checked={form.isPublic}
+                  onChange={handleChange}
+                />
+                Public (anyone with the link can see it)
+              </label>
+              <div className="list-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setEditing(false)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn"
+                  disabled={!form.name.trim()}
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          </form>
+        ) : (
+          <div className="list-header">
+            <h1 className="lists-title">{list.name}</h1>
+            <p className="list-card-meta">
+              {list.user ? `By ${list.user.username} · ` : ""}
+              {list.items.length} {list.items.length === 1 ? "title" : "titles"}{" "}
+              · {list.isPublic ? "Public" : "Private"}
+            </p>
+            {list.description && (
+              <p className="list-description">{list.description}</p>
+            )}
+            <div className="list-actions">
+              {list.isPublic && (
+                <button className="btn btn-secondary" onClick={handleCopyLink}>
+                  Copy Share Link
+                </button>
+              )}
+              {list.isOwner && (
+                <>
+                  <button className="btn btn-secondary" onClick={handleEdit}>
+                    Edit
+                  </button>
+                  <button className="btn btn-secondary" onClick={handleDelete}>
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {list.items.length === 0 ? (
+          <div className="lists-empty">
+            <p>This list is empty.</p>
+            {list.isOwner && (
+              <p>
+                Use "Add to List" on any movie or TV show to put it here.
+              </p>
+            )}
+          </div>
+        ) : (
+          <ol className="list-items">
+            {list.items.map((item, index) => (
+              <li key={itemKey(item)} className="list-item">
+                <span className="list-item-position">{index + 1}</span>
+                <Link to={`/${item.mediaType}/${item.mediaId}`}>
+                  <img
+                    src={getImageUrl.poster(item.poster_path, "w185")}
+                    alt={item.title}
+                    className="list-item-poster"
+                  />
+                </Link>
+                <div className="list-item-info">
+                  <Link
+                    to={`/${item.mediaType}/${item.mediaId}`}
+                    className="list-item-title"
+                  >
+                    {item.title}
+                  </Link>
+                  <span className="list-card-meta">
+                    {item.mediaType === "movie" ? "Movie" : "TV Show"}
+                  </span>
+                </div>
+                {list.isOwner && (
+                  <div className="list-item-controls">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleMove(item, index - 1)}
+                      disabled={index === 0 || busyKey === itemKey(item)}
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleMove(item, index + 1)}
+                      disabled={
+                        index === list.items.length - 1 ||
+                        busyKey === itemKey(item)
+                      }
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleRemove(item)}
+                      disabled={busyKey === itemKey(item)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ListDetails;
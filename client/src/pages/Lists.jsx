@@ -0,0 +1,184 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  listAPI,
+  getImageUrl,
+  getErrorMessage,
+  getFieldErrors,
+} from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Lists.css";
+
+const Lists = () => {
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    name: "",
+    description: "",
+    isPublic: false,
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const fetchLists = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await listAPI.getMyLists();
+        setLists(response.data);
+      } catch (err) {
+        logger.error("Error fetching lists:", err);
+        setError(getErrorMessage(err, "Failed to load your lists."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLists();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === "checkbox" ? checked : value });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      setError(null);
+      setFieldErrors({});
+      const response = await listAPI.createList(form);
+      const list = response.data;
+
+      // Newest first, in the same shape as the summaries from the server
+      setLists([
+        {
+          _id: list._id,
+          name: list.name,
+          description: list.description,
+          isPublic: list.isPublic,
+          itemCount: 0,
+          posters: [],
+        },
+        ...lists,
+      ]);
+      setForm({ name: "", description: "", isPublic: false });
+    } catch (err) {
+      logger.error("Error creating list:", err);
+      setFieldErrors(getFieldErrors(err));
+      setError(getErrorMessage(err, "Failed to create the list."));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="lists-page">
+      <div className="container">
+        <h1 className="lists-title">My Lists</h1>
+
+        {error && <Alert type="danger" message={error} />}
+
+        <form className="list-form" onSubmit={handleCreate}>
+          <h2>Create a list</h2>
+          <div className="form-group">
+            <input
+              type="text"
+              name="name"
+              placeholder='Name, e.g. "Best heist movies"'
+              maxLength={100}
+              value={form.name}
+              onChange={handleChange}
+            />
+            {fieldErrors.name && (
+              <span className="field-error">{fieldErrors.name}</span>
+            )}
+          </div>
+          <div className="form-group">
+            <textarea
+              name="description"
+              placeholder="Description (optional)"
+              maxLength={1000}
+              value={form.description}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="list-form-footer">
+            <label className="list-visibility">
+              <input
+                type="checkbox"
+                name="isPublic"
+                checked={form.isPublic}
+                onChange={handleChange}
+              />
+              Public (anyone with the link can see it)
+            </label>
+            <button
+              type="submit"
+              className="btn"
+              disabled={creating || !form.name.trim()}
+            >
+              {creating ? "Creating..." : "Create List"}
+            </button>
+          </div>
+        </form>
+
+        {lists.length === 0 ? (
+          <div className="lists-empty">
+            <p>You have not made any lists yet.</p>
+            <p>
+              Group movies and TV shows any way you like, then share the list
+              with friends.
+            </p>
+          </div>
+        ) : (
+          <div className="lists-grid">
+            {lists.map((list) => (
+              <Link
+                key={list._id}
+                to={`/lists/${list._id}`}
+                className="list-card"
+              >
+                <div className="list-card-cover">
+                  {list.posters.length > 0 ? (
+                    list.posters.map((poster) => (
+                      <img
+                        key={poster}
+                        src={getImageUrl.poster(poster, "w185")}
+                        alt=""
+                      />
+                    ))
+                  ) : (
+                    <span className="list-card-cover-empty">Empty list</span>
+                  )}
+                </div>
+                <div className="list-card-content">
+                  <h3>{list.name}</h3>
+                  <span className="list-card-meta">
+                    {list.itemCount} {list.itemCount === 1 ? "title" : "titles"}{" "}
+                    · {list.isPublic ? "Public" : "Private"}
+                  </span>
+                  {list.description && (
+                    <p className="list-card-description">{list.description}</p>
+                  )}
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Lists;
@@ -1,7 +1,9 @@
 import { useState, useEffect } from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
-import { userAPI } from "../services/api";
+import { userAPI, getErrorMessage } from "../services/api";
 import Alert from "../components/Alert";
+import useRetryCountdown, { formatCountdown } from "../hooks/useRetryCountdown";
+import logger from "../utils/logger";
 import "./Auth.css";
 
 const Login = ({ setUser }) => {
@@ -12,6 +14,8 @@ const Login = ({ setUser }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [authErrorMessage, setAuthErrorMessage] = useState(null);
+  const [authSuccessMessage, setAuthSuccessMessage] = useState(null);
+  const { secondsLeft, waiting, startCountdown } = useRetryCountdown();
 
   const navigate = useNavigate();
   const location = useLocation();
@@ -19,7 +23,7 @@ const Login = ({ setUser }) => {
   // Get redirect path from location state or default to home
   const from = location.state?.from?.pathname || "/";
 
-  // Check for auth errors in localStorage
+  // Check for auth errors and success messages in localStorage
   useEffect(() => {
     const errorMessage = localStorage.getItem("auth_error");
     if (errorMessage) {
@@ -27,6 +31,13 @@ const Login = ({ setUser }) => {
       // Remove the message after retrieving it
       localStorage.removeItem("auth_error");
     }
+
+    // Set after a password reset or verified profile change
+    const successMessage = localStorage.getItem("auth_success");
+    if (successMessage) {
+      setAuthSuccessMessage(successMessage);
+      localStorage.removeItem("auth_success");
+    }
   }, []);
 
   const { email, password } = formData;
@@ -58,10 +69,18 @@ const Login = ({ setUser }) => {
       // Navigate to previous page or home
       navigate(from, { replace: true });
     } catch (err) {
-      console.error("Login error:", err);
+      logger.error("Login error:", err);
+
+      // Too many attempts - keep the form disabled until the server allows more
+      if (err.response?.status === 429) {
+        startCountdown(err);
+      }
+
       setError(
-        err.response?.data?.message ||
+        getErrorMessage(
+          err,
           "Login failed. Please check your credentials and try again."
+        )
       );
       setLoading(false);
     }
@@ -74,6 +93,9 @@ const Login = ({ setUser }) => {
 
         {error && <Alert type="danger" message={error} />}
         {authErrorMessage && <Alert type="danger" message={authErrorMessage} />}
+        {authSuccessMessage && (
+          <Alert type="success" message={authSuccessMessage} />
+        )}
 
         <form className="auth-form" onSubmit={handleSubmit}>
           <div className="form-group">
@@ -104,8 +126,20 @@ const Login = ({ setUser }) => {
             />
           </div>
 
-          <button type="submit" className="btn btn-block" disabled={loading}>
-            {loading ? "Logging in..." : "Login"}
+          <div className="forgot-password-link">
+            <Link to="/forgot-password">Forgot password?</Link>
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-block"
+            disabled={loading || waiting}
+          >
+            {loading
+              ? "Logging in..."
+              : waiting
+              ? `Try again in ${formatCountdown(secondsLeft)}`
+              : "Login"}
           </button>
         </form>
 
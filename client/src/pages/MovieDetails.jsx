@@ -1,9 +1,18 @@
 import { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import { movieAPI, getImageUrl, userAPI } from "../services/api";
+import {
+  movieAPI,
+  getImageUrl,
+  userAPI,
+  getErrorMessage,
+} from "../services/api";
 import MovieCard from "../components/MovieCard";
+import AddToListMenu from "../components/AddToListMenu";
+import CommunityReviews from "../components/CommunityReviews";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import { getKeyCrew } from "../utils/credits";
 import "./MovieDetails.css";
 
 // Helper function to check if token is valid (not expired)
@@ -20,7 +29,7 @@ const isTokenValid = (token) => {
     const currentTime = Math.floor(Date.now() / 1000);
     return payload.exp > currentTime;
   } catch (error) {
-    console.error("Error checking token validity:", error);
+    logger.error("Error checking token validity:", error);
     return false;
   }
 };
@@ -66,11 +75,12 @@ const MovieDetails = () => {
   useEffect(() => {
     const checkAuth = async () => {
       if (user && user.token) {
-        // First check token format
+        // First check token format. An expired token is renewed by the api
+        // interceptor as long as there is a refresh token.
         const tokenValid = isTokenValid(user.token);
 
-        if (!tokenValid) {
-          console.warn("Invalid token format detected on component mount");
+        if (!tokenValid && !user.refreshToken) {
+          logger.warn("Invalid token format detected on component mount");
           forceLogout();
           return;
         }
@@ -86,16 +96,11 @@ const MovieDetails = () => {
             hasValidToken: true,
           });
         } catch (err) {
-          console.error("Auth verification failed:", err);
+          logger.error("Auth verification failed:", err);
 
           // If it's an invalid signature error, force logout immediately
-          if (
-            err.response &&
-            err.response.status === 401 &&
-            (err.response.data?.error === "invalid signature" ||
-              err.response.data?.message?.includes("token failed"))
-          ) {
-            console.warn(
+          if (err.apiError?.code === "TOKEN_INVALID") {
+            logger.warn(
               "Invalid signature detected from server, forcing logout"
             );
             forceLogout();
@@ -129,7 +134,7 @@ const MovieDetails = () => {
 
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching movie details:", err);
+        logger.error("Error fetching movie details:", err);
         setError("Failed to load movie details. Please try again later.");
         setLoading(false);
       }
@@ -150,14 +155,10 @@ const MovieDetails = () => {
     const checkWatchlist = async () => {
       if (user && movie) {
         try {
-          const response = await userAPI.getWatchlist();
-          const isInWatchlist = response.data.some(
-            (item) =>
-              item.mediaType === "movie" && item.mediaId === parseInt(id)
-          );
-          setInWatchlist(isInWatchlist);
+          const response = await userAPI.checkWatchlist("movie", id);
+          setInWatchlist(response.data.inWatchlist);
         } catch (err) {
-          console.error("Error checking watchlist:", err);
+          logger.error("Error checking watchlist:", err);
         }
       }
     };
@@ -180,7 +181,7 @@ const MovieDetails = () => {
             setUserReview(foundReview);
           }
         } catch (err) {
-          console.error("Error checking user review:", err);
+          logger.error("Error checking user review:", err);
         }
       }
     };
@@ -200,7 +201,7 @@ const MovieDetails = () => {
     try {
       if (inWatchlist) {
         // Remove from watchlist
-        await userAPI.removeFromWatchlist(id);
+        await userAPI.removeFromWatchlist("movie", id);
         setInWatchlist(false);
         setWatchlistMessage("Removed from watchlist");
       } else {
@@ -215,7 +216,7 @@ const MovieDetails = () => {
         setWatchlistMessage("Added to watchlist");
       }
     } catch (err) {
-      console.error("Error updating watchlist:", err);
+      logger.error("Error updating watchlist:", err);
       setWatchlistMessage("Failed to update watchlist");
     }
     setWatchlistLoading(false);
@@ -256,7 +257,7 @@ const MovieDetails = () => {
       setReviewError(
         "You must be logged in with a valid session to submit a review. Please log in again."
       );
-      console.error("Authentication issue:", {
+      logger.error("Authentication issue:", {
         userExists: !!user,
         tokenExists: !!(user && user.token),
         tokenValid: authStatus.hasValidToken,
@@ -273,32 +274,34 @@ const MovieDetails = () => {
       setReviewSubmitting(true);
       setReviewError(null);
 
-      if (isEditingReview && userReview) {
-        // Delete the old review first
-        await userAPI.deleteReview(userReview._id);
-      }
-
       // Submit the review with proper parameters
       const reviewData = {
         content: reviewContent,
         rating: reviewRating,
       };
 
-      console.log("Submitting review with data:", {
-        mediaId: id.toString(),
-        mediaType: "movie",
-        content: reviewContent,
-        rating: reviewRating,
-      });
+      let response;
 
-      const response = await userAPI.submitReview(
-        id.toString(),
-        "movie",
-        reviewData
-      );
-      console.log("Review submission response:", response);
+      if (isEditingReview && userReview) {
+        // Update the existing review in place, keeping its id and creation date
+        response = await userAPI.updateReview(userReview._id, reviewData);
+      } else {
+        logger.debug("Submitting review with data:", {
+          mediaId: id.toString(),
+          mediaType: "movie",
+          content: reviewContent,
+          rating: reviewRating,
+        });
 
-      // Update userReview state with the new review
+        response = await userAPI.submitReview(
+          id.toString(),
+          "movie",
+          reviewData
+        );
+        logger.debug("Review submission response:", response);
+      }
+
+      // Update userReview state with the saved review
       setUserReview(response.data);
       setIsEditingReview(false);
 
@@ -312,26 +315,20 @@ const MovieDetails = () => {
       setShowReviewForm(false);
       setReviewSubmitting(false);
     } catch (err) {
-      console.error("Error submitting review:", err);
+      logger.error("Error submitting review:", err);
       let errorMessage = "Failed to submit your review. Please try again.";
 
       // Check specifically for invalid signature errors
-      if (err.response && err.response.data) {
-        if (
-          err.response.data.error === "invalid signature" ||
-          (err.response.data.message &&
-            err.response.data.message.includes("token failed"))
-        ) {
-          errorMessage =
-            "Invalid authentication signature. Your session may have expired.";
-
-          // Auto logout on next render
-          setTimeout(() => {
-            handleInvalidToken();
-          }, 5000);
-        } else if (err.response.data.message) {
-          errorMessage = err.response.data.message;
-        }
+      if (err.apiError?.code === "TOKEN_INVALID") {
+        errorMessage =
+          "Invalid authentication signature. Your session may have expired.";
+
+        // Auto logout on next render
+        setTimeout(() => {
+          handleInvalidToken();
+        }, 5000);
+      } else if (err.apiError) {
+        errorMessage = getErrorMessage(err, errorMessage);
       }
 
       setReviewError(errorMessage);
@@ -476,21 +473,29 @@ const MovieDetails = () => {
               <div className="review-content">{userReview.content}</div>
               <div className="review-date">
                 {new Date(userReview.createdAt).toLocaleDateString()}
+                {userReview.edited &&
+                  ` · Edited ${new Date(
+                    userReview.updatedAt
+                  ).toLocaleDateString()}`}
               </div>
             </div>
           </div>
         )}
 
-        {/* Other Reviews List */}
+        {/* Reviews from other CineConnect users */}
+        <CommunityReviews
+          mediaType="movie"
+          mediaId={id}
+          currentUserId={user?._id}
+          refreshKey={userReview?._id}
+        />
+
+        {/* TMDB Reviews List */}
         {movie.reviews &&
         movie.reviews.results &&
         movie.reviews.results.length > 0 ? (
           <>
-            {(userReview || movie.reviews.results.length > 0) && (
-              <h3 className="other-reviews-title">
-                {userReview ? "Other Reviews" : "Reviews"}
-              </h3>
-            )}
+            <h3 className="other-reviews-title">TMDB Reviews</h3>
             <div className="reviews-list">
               {movie.reviews.results
                 .slice(0, displayedReviews)
@@ -528,8 +533,8 @@ const MovieDetails = () => {
               </div>
             )}
           </>
-        ) : userReview ? null : (
-          <p className="no-reviews">No reviews yet. Be the first to review!</p>
+        ) : (
+          <p className="no-reviews">No TMDB reviews yet.</p>
         )}
       </div>
     );
@@ -547,6 +552,8 @@ const MovieDetails = () => {
     return <div className="container">Movie not found</div>;
   }
 
+  const keyCrew = getKeyCrew(movie.credits);
+
   // Format runtime to hours and minutes
   const formatRuntime = (minutes) => {
     const hours = Math.floor(minutes / 60);
@@ -594,12 +601,6 @@ const MovieDetails = () => {
                   </span>
                 )}
 
-                {movie.genres && movie.genres.length > 0 && (
-                  <span className="movie-genres">
-                    {movie.genres.map((genre) => genre.name).join(", ")}
-                  </span>
-                )}
-
                 {movie.runtime && (
                   <span className="movie-runtime">
                     {formatRuntime(movie.runtime)}
@@ -607,6 +608,20 @@ const MovieDetails = () => {
                 )}
               </div>
 
+              {movie.genres && movie.genres.length > 0 && (
+                <div className="genre-chips">
+                  {movie.genres.map((genre) => (
+                    <Link
+                      key={genre.id}
+                      to={`/genre/movie/${genre.id}`}
+                      className="genre-chip"
+                    >
+                      {genre.name}
+                    </Link>
+                  ))}
+                </div>
+              )}
+
               {movie.tagline && (
                 <div className="movie-tagline">"{movie.tagline}"</div>
               )}
@@ -618,7 +633,28 @@ const MovieDetails = () => {
                   </span>
                   <span className="score-total">/10</span>
                 </div>
-                <div className="rating-count">{movie.vote_count} votes</div>
+                <div className="rating-count">
+                  <div className="rating-source">TMDB</div>
+                  {movie.vote_count} votes
+                </div>
+
+                {movie.cineconnect_rating && (
+                  <>
+                    <div className="rating-score community-score">
+                      <span className="score-value">
+                        {movie.cineconnect_rating.count > 0
+                          ? movie.cineconnect_rating.average.toFixed(1)
+                          : "–"}
+                      </span>
+                      <span className="score-total">/10</span>
+                    </div>
+                    <div className="rating-count">
+                      <div className="rating-source">CineConnect</div>
+                      {movie.cineconnect_rating.count}{" "}
+                      {movie.cineconnect_rating.count === 1 ? "review" : "reviews"}
+                    </div>
+                  </>
+                )}
               </div>
 
               <div className="movie-actions">
@@ -634,6 +670,13 @@ const MovieDetails = () => {
                     : "Add to Watchlist"}
                 </button>
 
+                <AddToListMenu
+                  mediaType="movie"
+                  mediaId={parseInt(id)}
+                  title={movie.title}
+                  posterPath={movie.poster_path}
+                />
+
                 {movie.homepage && (
                   <a
                     href={movie.homepage}
@@ -665,7 +708,11 @@ const MovieDetails = () => {
                 <h2 className="section-title">Cast</h2>
                 <div className="cast-list">
                   {movie.credits.cast.slice(0, 8).map((person) => (
-                    <div key={person.id} className="cast-member">
+                    <Link
+                      key={person.id}
+                      to={`/person/${person.id}`}
+                      className="cast-member"
+                    >
                       <div className="cast-image-container">
                         <img
                           src={getImageUrl.profile(person.profile_path)}
@@ -677,12 +724,33 @@ const MovieDetails = () => {
                         <div className="cast-name">{person.name}</div>
                         <div className="cast-character">{person.character}</div>
                       </div>
-                    </div>
+                    </Link>
                   ))}
                 </div>
               </div>
             )}
 
+          {/* Key Crew */}
+          {keyCrew.length > 0 && (
+            <div className="movie-section">
+              <h2 className="section-title">Crew</h2>
+              <div className="crew-list">
+                {keyCrew.map((person) => (
+                  <Link
+                    key={person.id}
+                    to={`/person/${person.id}`}
+                    className="crew-member"
+                  >
+                    <span className="cast-name">{person.name}</span>
+                    <span className="cast-character">
+                      {person.jobs.join(", ")}
+                    </span>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Similar Movies */}
           {movie.recommendations &&
             movie.recommendations.results &&
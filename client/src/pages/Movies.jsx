@@ -1,41 +1,71 @@
 import { useState, useEffect } from "react";
-import { movieAPI } from "../services/api";
+import { useSearchParams } from "react-router-dom";
+import { movieAPI, getErrorMessage } from "../services/api";
 import MovieCard from "../components/MovieCard";
+import DiscoverFilters from "../components/DiscoverFilters";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import { readDiscoverFilters } from "../utils/discover";
 import "./Movies.css";
 
+// TMDB serves at most 500 pages of discover results
+const MAX_DISCOVER_PAGES = 500;
+
 const Movies = () => {
   const [movies, setMovies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
-  const [filterType, setFilterType] = useState("popular"); // popular or trending
+  const [genres, setGenres] = useState([]);
+
+  // The view (popular, trending or discover), page and discover filters all
+  // live in the URL so any view can be bookmarked and shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.toString();
+  const filterType = searchParams.get("view") || "popular";
+  const currentPage = Math.max(parseInt(searchParams.get("page"), 10) || 1, 1);
+  const discoverFilters = readDiscoverFilters(searchParams);
 
   useEffect(() => {
     const fetchMovies = async () => {
+      const params = new URLSearchParams(query);
+      const view = params.get("view") || "popular";
+      const page = Math.max(parseInt(params.get("page"), 10) || 1, 1);
+
       try {
         setLoading(true);
         setError(null);
 
         let response;
 
-        if (filterType === "popular") {
-          response = await movieAPI.getPopular(currentPage);
-        } else if (filterType === "trending") {
-          response = await movieAPI.getTrending("day");
+        if (view === "discover") {
+          response = await movieAPI.discover({
+            ...readDiscoverFilters(params),
+            page,
+          });
+          setTotalPages(
+            Math.min(response.data.total_pages || 1, MAX_DISCOVER_PAGES)
+          );
+        } else if (view === "trending") {
           // Trending endpoint doesn't support pagination in the same way
-          setCurrentPage(1);
+          response = await movieAPI.getTrending("day");
+          setTotalPages(1);
+        } else {
+          response = await movieAPI.getPopular(page);
+          setTotalPages(Math.min(response.data.total_pages || 1, 10)); // Limit to 10 pages
         }
 
         setMovies(response.data.results);
-        setTotalPages(Math.min(response.data.total_pages || 1, 10)); // Limit to 10 pages
-
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching movies:", err);
-        setError("Failed to load movies. Please try again later.");
+        logger.error("Error fetching movies:", err);
+        setError(
+          err.response?.status === 400
+            ? getErrorMessage(err)
+            : "Failed to load movies. Please try again later."
+        );
+        setMovies([]);
         setLoading(false);
       }
     };
@@ -44,28 +74,60 @@ const Movies = () => {
 
     // Scroll to top when page changes
     window.scrollTo(0, 0);
-  }, [currentPage, filterType]);
+  }, [query]);
+
+  // Genres for the discover filters
+  useEffect(() => {
+    const fetchGenres = async () => {
+      try {
+        const response = await movieAPI.getGenres();
+        setGenres(response.data.genres);
+      } catch (err) {
+        logger.error("Error fetching movie genres:", err);
+      }
+    };
+
+    fetchGenres();
+  }, []);
 
   const handleFilterChange = (type) => {
     if (type !== filterType) {
-      setFilterType(type);
-      setCurrentPage(1);
+      setSearchParams(type === "popular" ? {} : { view: type });
     }
   };
 
+  const goToPage = (page) => {
+    const next = new URLSearchParams(searchParams);
+    if (page > 1) {
+      next.set("page", page);
+    } else {
+      next.delete("page");
+    }
+    setSearchParams(next);
+  };
+
   const handlePrevPage = () => {
     if (currentPage > 1) {
-      setCurrentPage(currentPage - 1);
+      goToPage(currentPage - 1);
     }
   };
 
   const handleNextPage = () => {
     if (currentPage < totalPages) {
-      setCurrentPage(currentPage + 1);
+      goToPage(currentPage + 1);
     }
   };
 
-  if (loading && movies.length === 0) {
+  // New filters start again from the first page
+  const handleApplyFilters = (filters) => {
+    setSearchParams({ view: "discover", ...filters });
+  };
+
+  const handleResetFilters = () => {
+    setSearchParams({ view: "discover" });
+  };
+
+  if (loading && movies.length === 0 && !error) {
     return <LoadingSpinner />;
   }
 
@@ -92,11 +154,34 @@ const Movies = () => {
             >
               Trending
             </button>
+            <button
+              className={`filter-tab ${
+                filterType === "discover" ? "active" : ""
+              }`}
+              onClick={() => handleFilterChange("discover")}
+            >
+              Discover
+            </button>
           </div>
         </div>
 
+        {filterType === "discover" && (
+          <DiscoverFilters
+            key={query}
+            mediaType="movie"
+            genres={genres}
+            filters={discoverFilters}
+            onApply={handleApplyFilters}
+            onReset={handleResetFilters}
+          />
+        )}
+
         {error && <Alert type="danger" message={error} />}
 
+        {!loading && !error && movies.length === 0 && (
+          <p className="no-results">No movies match these filters.</p>
+        )}
+
         <div className="movies-grid">
           {movies.map((movie) => (
             <MovieCard
@@ -106,8 +191,8 @@ const Movies = () => {
           ))}
         </div>
 
-        {/* Pagination - only show for popular, not for trending */}
-        {!loading && movies.length > 0 && filterType === "popular" && (
+        {/* Pagination - only show for popular and discover, not for trending */}
+        {!loading && movies.length > 0 && filterType !== "trending" && (
           <div className="pagination">
             <button onClick={handlePrevPage} disabled={currentPage === 1}>
               Previous
@@ -119,7 +204,7 @@ const Movies = () => {
 
             <button
               onClick={handleNextPage}
-              disabled={currentPage === totalPages}
+              disabled={currentPage >= totalPages}
             >
               Next
             </button>
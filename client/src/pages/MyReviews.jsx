@@ -3,6 +3,7 @@ import { Link } from "react-router-dom";
 import { userAPI, getImageUrl } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./MyReviews.css";
 
 const MyReviews = () => {
@@ -19,7 +20,7 @@ const MyReviews = () => {
         setReviews(response.data);
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching reviews:", err);
+        logger.error("Error fetching reviews:", err);
         setError("Failed to load your reviews. Please try again later.");
         setLoading(false);
       }
@@ -39,7 +40,7 @@ const MyReviews = () => {
       setReviews(reviews.filter((review) => review._id !== reviewId));
       setDeleteLoading(null);
     } catch (err) {
-      console.error("Error deleting review:", err);
+      logger.error("Error deleting review:", err);
       alert("Failed to delete the review. Please try again.");
       setDeleteLoading(null);
     }
@@ -89,6 +90,10 @@ const MyReviews = () => {
                     <div className="review-date">
                       Reviewed on{" "}
                       {new Date(review.createdAt).toLocaleDateString()}
+                      {review.edited &&
+                        ` (edited ${new Date(
+                          review.updatedAt
+                        ).toLocaleDateString()})`}
                     </div>
                     <div className="review-rating">
                       Your Rating:{" "}
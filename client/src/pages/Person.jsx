@@ -0,0 +1,276 @@
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams, Link } from "react-router-dom";
+import { movieAPI, getImageUrl, getErrorMessage } from "../services/api";
+import MovieCard from "../components/MovieCard";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Movies.css";
+import "./Person.css";
+
+const DEPARTMENTS = [
+  { value: "", label: "All" },
+  { value: "Acting", label: "Acting" },
+  { value: "Directing", label: "Directing" },
+  { value: "Writing", label: "Writing" },
+];
+
+// Biographies longer than this are collapsed behind "Read more"
+const BIOGRAPHY_PREVIEW_LENGTH = 600;
+
+const creditKey = (credit) => `${credit.media_type}-${credit.id}`;
+
+// "All" shows each title once, with the roles from every department
+const mergeDepartments = (filmography) => {
+  const titles = new Map();
+  filmography.forEach((credit) => {
+    const existing = titles.get(creditKey(credit));
+    if (existing) {
+      existing.roles = [...existing.roles, ...credit.roles];
+    } else {
+      titles.set(creditKey(credit), { ...credit });
+    }
+  });
+  return [...titles.values()];
+};
+
+// Undated titles are usually unreleased, so they lead when sorting by year
+const sortCredits = (credits, sort) =>
+  [...credits].sort((a, b) =>
+    sort === "rating"
+      ? b.vote_average - a.vote_average || b.vote_count - a.vote_count
+      : (b.year || Infinity) - (a.year || Infinity)
+  );
+
+const describeRoles = (credit) => {
+  const roles = credit.roles.join(", ");
+  if (!credit.episode_count) return roles;
+  const episodes = `${credit.episode_count} ${
+    credit.episode_count === 1 ? "episode" : "episodes"
+  }`;
+  return roles ? `${roles} · ${episodes}` : episodes;
+};
+
+// An actor or crew member (/person/:id) with their biography, best-known
+// titles and a filmography. The department filter and sort order are kept in
+// the URL like the other browsing pages.
+const Person = () => {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showFullBiography, setShowFullBiography] = useState(false);
+
+  const department = searchParams.get("department") || "";
+  const sort = searchParams.get("sort") === "rating" ? "rating" : "year";
+
+  useEffect(() => {
+    const fetchPerson = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setShowFullBiography(false);
+        const response = await movieAPI.getPerson(id);
+        setPerson(response.data);
+      } catch (err) {
+        logger.error("Error fetching person:", err);
+        setError(getErrorMessage(err, "Failed to load this person."));
+        setPerson(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPerson();
+    window.scrollTo(0, 0);
+  }, [id]);
+
+  const updateSearch = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!person) {
+    return (
+      <div className="person-page">
+        <div className="container">
+          {error && <Alert type="danger" message={error} />}
+          <Link to="/" className="btn">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const countFor = (value) =>
+    value
+      ? person.filmography.filter((credit) => credit.department === value)
+          .length
+      : mergeDepartments(person.filmography).length;
+
+  const credits = sortCredits(
+    department
+      ? person.filmography.filter((credit) => credit.department === department)
+      : mergeDepartments(person.filmography),
+    sort
+  );
+
+  const biography = person.biography || "";
+  const isLongBiography = biography.length > BIOGRAPHY_PREVIEW_LENGTH;
+
+  return (
+    <div className="person-page">
+      <div className="container">
+        <div className="person-header">
+          <img
+            src={getImageUrl.profile(person.profile_path, "h632")}
+            alt={person.name}
+            className="person-photo"
+          />
+
+          <div className="person-info">
+            <h1 className="person-name">{person.name}</h1>
+            <div className="person-facts">
+              {person.known_for_department && (
+                <span>Known for {person.known_for_department}</span>
+              )}
+              {person.birthday && (
+                <span>
+                  Born {new Date(person.birthday).toLocaleDateString()}
+                  {person.place_of_birth ? ` in ${person.place_of_birth}` : ""}
+                </span>
+              )}
+              {person.deathday && (
+                <span>
+                  Died {new Date(person.deathday).toLocaleDateString()}
+                </span>
+              )}
+            </div>
+
+            <h3>Biography</h3>
+            {biography ? (
+              <>
+                <p className="person-biography">
+                  {isLongBiography && !showFullBiography
+                    ? `${biography.slice(0, BIOGRAPHY_PREVIEW_LENGTH).trim()}...`
+                    : biography}
+                </p>
+                {isLongBiography && (
+                  <button
+                    className="person-read-more"
+                    onClick={() => setShowFullBiography(!showFullBiography)}
+                  >
+                    {showFullBiography ? "Show less" : "Read more"}
+                  </button>
+                )}
+              </>
+            ) : (
+              <p className="person-biography">
+                We don't have a biography for {person.name}.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {person.known_for.length > 0 && (
+          <div className="person-section">
+            <h2 className="section-title">Known For</h2>
+            <div className="movies-grid">
+              {person.known_for.map((credit) => (
+                <MovieCard key={creditKey(credit)} media={credit} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="person-section">
+          <div className="page-header">
+            <h2 className="section-title">Filmography</h2>
+            <label className="sort-select">
+              Sort by
+              <select
+                value={sort}
+                onChange={(e) =>
+                  updateSearch({
+                    sort: e.target.value === "year" ? null : e.target.value,
+                  })
+                }
+              >
+                <option value="year">Year</option>
+                <option value="rating">Rating</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="filter-tabs">
+            {DEPARTMENTS.map((option) => (
+              <button
+                key={option.label}
+                className={`filter-tab ${
+                  department === option.value ? "active" : ""
+                }`}
+                onClick={() => updateSearch({ department: option.value })}
+              >
+                {option.label} ({countFor(option.value)})
+              </button>
+            ))}
+          </div>
+
+          {credits.length === 0 ? (
+            <p className="no-results">No credits in this department.</p>
+          ) : (
+            <ul className="filmography">
+              {credits.map((credit) => (
+                <li
+                  key={`${creditKey(credit)}-${credit.department}`}
+                  className="filmography-item"
+                >
+                  <span className="filmography-year">{credit.year || "—"}</span>
+                  <Link to={`/${credit.media_type}/${credit.id}`}>
+                    <img
+                      src={getImageUrl.poster(credit.poster_path, "w92")}
+                      alt={credit.title || credit.name}
+                      className="filmography-poster"
+                    />
+                  </Link>
+                  <div className="filmography-info">
+                    <Link
+                      to={`/${credit.media_type}/${credit.id}`}
+                      className="filmography-title"
+                    >
+                      {credit.title || credit.name}
+                    </Link>
+                    <span className="filmography-role">
+                      {credit.media_type === "tv" ? "TV · " : ""}
+                      {describeRoles(credit)}
+                    </span>
+                  </div>
+                  <span className="filmography-rating">
+                    {credit.vote_count > 0
+                      ? `★ ${credit.vote_average.toFixed(1)}`
+                      : "NR"}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Person;
@@ -1,9 +1,22 @@
 import { useState, useEffect, useRef } from "react";
-import { userAPI } from "../services/api";
+import {
+  userAPI,
+  getFieldErrors,
+  getErrorMessage,
+} from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import ActiveSessions from "../components/ActiveSessions";
+import logger from "../utils/logger";
 import "./Auth.css";
 
+// Languages the server can send emails in
+const EMAIL_LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "es", label: "Español" },
+  { value: "fr", label: "Français" },
+];
+
 // Add inline styles for new elements
 const styles = {
   profileHeader: {
@@ -56,8 +69,10 @@ const Profile = ({ user, updateUser }) => {
   const [loading, setLoading] = useState(false);
   const [fetchingProfile, setFetchingProfile] = useState(true);
   const [resendingVerification, setResendingVerification] = useState(false);
+  const [savingLocale, setSavingLocale] = useState(false);
   const [success, setSuccess] = useState(null);
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [profileData, setProfileData] = useState(null);
   const [fetchError, setFetchError] = useState(null);
   const profileFetched = useRef(false);
@@ -69,16 +84,15 @@ const Profile = ({ user, updateUser }) => {
       setFetchError(null);
       profileFetched.current = false;
 
-      console.log("Manually refreshing profile data...");
+      logger.debug("Manually refreshing profile data...");
 
       const response = await userAPI.getProfile();
-      console.log("Fresh profile data received:", response.data);
       setProfileData(response.data);
       profileFetched.current = true;
 
       return true;
     } catch (err) {
-      console.error("Error refreshing profile:", err);
+      logger.error("Error refreshing profile:", err);
       setFetchError(
         err.response?.data?.message ||
           "Failed to refresh profile data. Please try again."
@@ -100,13 +114,7 @@ const Profile = ({ user, updateUser }) => {
         setFetchingProfile(true);
         setFetchError(null);
 
-        console.log(
-          "Fetching user profile with token:",
-          user?.token?.substring(0, 10) + "..."
-        );
-
         const response = await userAPI.getProfile();
-        console.log("Profile data received:", response.data);
         setProfileData(response.data);
         profileFetched.current = true;
 
@@ -116,18 +124,20 @@ const Profile = ({ user, updateUser }) => {
           const updatedUser = {
             ...currentUser,
             isEmailVerified: response.data.isEmailVerified,
+            role: response.data.role,
           };
           localStorage.setItem("user", JSON.stringify(updatedUser));
           // Only update app state if needed values are different to prevent loop
           const needsUpdate =
-            currentUser.isEmailVerified !== response.data.isEmailVerified;
+            currentUser.isEmailVerified !== response.data.isEmailVerified ||
+            currentUser.role !== response.data.role;
 
           if (needsUpdate) {
             updateUser(updatedUser);
           }
         }
       } catch (err) {
-        console.error("Error fetching profile:", err);
+        logger.error("Error fetching profile:", err);
         const errorMessage =
           err.response?.data?.message ||
           "Failed to load profile data. Please try logging in again.";
@@ -173,6 +183,7 @@ const Profile = ({ user, updateUser }) => {
 
     // Reset messages
     setError(null);
+    setFieldErrors({});
     setSuccess(null);
 
     // Validate form
@@ -211,8 +222,9 @@ const Profile = ({ user, updateUser }) => {
 
       // Update local user data
       if (updateUser && response.data) {
+        const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
         const updatedUser = {
-          ...user,
+          ...currentUser,
           username: response.data.username || user.username,
           email: response.data.email || user.email,
           isEmailVerified: response.data.isEmailVerified,
@@ -237,10 +249,10 @@ const Profile = ({ user, updateUser }) => {
       setConfirmPassword("");
       document.getElementById("currentPassword").value = "";
     } catch (err) {
-      console.error("Error updating profile:", err);
+      logger.error("Error updating profile:", err);
+      setFieldErrors(getFieldErrors(err));
       setError(
-        err.response?.data?.message ||
-          "Failed to update profile. Please try again."
+        getErrorMessage(err, "Failed to update profile. Please try again.")
       );
     } finally {
       setLoading(false);
@@ -257,7 +269,7 @@ const Profile = ({ user, updateUser }) => {
         response.data.message || "Verification email sent successfully"
       );
     } catch (err) {
-      console.error("Error resending verification:", err);
+      logger.error("Error resending verification:", err);
       setError(
         err.response?.data?.message ||
           "Failed to resend verification email. Please try again."
@@ -267,6 +279,30 @@ const Profile = ({ user, updateUser }) => {
     }
   };
 
+  const handleLocaleChange = async (e) => {
+    const locale = e.target.value;
+
+    try {
+      setSavingLocale(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await userAPI.updatePreferences({ locale });
+      setProfileData((prevData) => ({
+        ...prevData,
+        locale: response.data.locale,
+      }));
+      setSuccess("Email language updated");
+    } catch (err) {
+      logger.error("Error updating email language:", err);
+      setError(
+        getErrorMessage(err, "Failed to update email language. Please try again.")
+      );
+    } finally {
+      setSavingLocale(false);
+    }
+  };
+
   // Use server-side verification status to determine verification alert
   const isVerified = profileData
     ? profileData.isEmailVerified
@@ -407,6 +443,9 @@ const Profile = ({ user, updateUser }) => {
               onChange={(e) => setUsername(e.target.value)}
               disabled={loading || hasPendingChanges}
             />
+            {fieldErrors.username && (
+              <span className="field-error">{fieldErrors.username}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -421,6 +460,9 @@ const Profile = ({ user, updateUser }) => {
               />
               {isVerified && <span className="verified-badge">✓ Verified</span>}
             </div>
+            {fieldErrors.email && (
+              <span className="field-error">{fieldErrors.email}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -430,6 +472,9 @@ const Profile = ({ user, updateUser }) => {
               id="currentPassword"
               disabled={loading || hasPendingChanges}
             />
+            {fieldErrors.currentPassword && (
+              <span className="field-error">{fieldErrors.currentPassword}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -443,6 +488,9 @@ const Profile = ({ user, updateUser }) => {
               onChange={(e) => setPassword(e.target.value)}
               disabled={loading || hasPendingChanges}
             />
+            {fieldErrors.newPassword && (
+              <span className="field-error">{fieldErrors.newPassword}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -464,6 +512,24 @@ const Profile = ({ user, updateUser }) => {
             {loading ? <LoadingSpinner small /> : "Update Profile"}
           </button>
         </form>
+
+        <div className="form-group">
+          <label htmlFor="locale">Email language</label>
+          <select
+            id="locale"
+            value={profileData?.locale || "en"}
+            onChange={handleLocaleChange}
+            disabled={savingLocale}
+          >
+            {EMAIL_LANGUAGES.map((language) => (
+              <option key={language.value} value={language.value}>
+                {language.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <ActiveSessions />
       </div>
     </div>
   );
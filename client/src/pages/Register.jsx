@@ -1,7 +1,13 @@
 import { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { userAPI } from "../services/api";
+import {
+  userAPI,
+  getFieldErrors,
+  getErrorMessage,
+} from "../services/api";
 import Alert from "../components/Alert";
+import useRetryCountdown, { formatCountdown } from "../hooks/useRetryCountdown";
+import logger from "../utils/logger";
 import "./Auth.css";
 
 const Register = ({ setUser }) => {
@@ -13,6 +19,8 @@ const Register = ({ setUser }) => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { secondsLeft, waiting, startCountdown } = useRetryCountdown();
 
   const navigate = useNavigate();
 
@@ -20,6 +28,7 @@ const Register = ({ setUser }) => {
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: null });
   };
 
   const handleSubmit = async (e) => {
@@ -44,11 +53,14 @@ const Register = ({ setUser }) => {
     try {
       setLoading(true);
       setError(null);
+      setFieldErrors({});
 
       const response = await userAPI.register({
         username,
         email,
         password,
+        // Emails are sent in this language when the server supports it
+        locale: navigator.language,
       });
 
       // Store user data in localStorage
@@ -60,10 +72,15 @@ const Register = ({ setUser }) => {
       // Navigate to home page
       navigate("/");
     } catch (err) {
-      console.error("Register error:", err);
-      setError(
-        err.response?.data?.message || "Registration failed. Please try again."
-      );
+      logger.error("Register error:", err);
+
+      // Too many sign ups from this network - wait for the server's Retry-After
+      if (err.response?.status === 429) {
+        startCountdown(err);
+      }
+
+      setFieldErrors(getFieldErrors(err));
+      setError(getErrorMessage(err, "Registration failed. Please try again."));
       setLoading(false);
     }
   };
@@ -82,12 +99,15 @@ const Register = ({ setUser }) => {
               type="text"
               id="username"
               name="username"
-              className="form-control"
+              className={`form-control${fieldErrors.username ? " is-invalid" : ""}`}
               placeholder="Choose a username"
               value={username}
               onChange={handleChange}
               required
             />
+            {fieldErrors.username && (
+              <span className="field-error">{fieldErrors.username}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -96,12 +116,15 @@ const Register = ({ setUser }) => {
               type="email"
               id="email"
               name="email"
-              className="form-control"
+              className={`form-control${fieldErrors.email ? " is-invalid" : ""}`}
               placeholder="Enter your email"
               value={email}
               onChange={handleChange}
               required
             />
+            {fieldErrors.email && (
+              <span className="field-error">{fieldErrors.email}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -110,13 +133,16 @@ const Register = ({ setUser }) => {
               type="password"
               id="password"
               name="password"
-              className="form-control"
+              className={`form-control${fieldErrors.password ? " is-invalid" : ""}`}
               placeholder="Enter a password (min. 6 characters)"
               value={password}
               onChange={handleChange}
               required
               minLength="6"
             />
+            {fieldErrors.password && (
+              <span className="field-error">{fieldErrors.password}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -133,8 +159,16 @@ const Register = ({ setUser }) => {
             />
           </div>
 
-          <button type="submit" className="btn btn-block" disabled={loading}>
-            {loading ? "Creating Account..." : "Register"}
+          <button
+            type="submit"
+            className="btn btn-block"
+            disabled={loading || waiting}
+          >
+            {loading
+              ? "Creating Account..."
+              : waiting
+              ? `Try again in ${formatCountdown(secondsLeft)}`
+              : "Register"}
           </button>
         </form>
 
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { Link, useParams, useNavigate } from "react-router-dom";
+import { userAPI } from "../services/api";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Auth.css";
+
+const ResetPassword = ({ setUser }) => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { password, confirmPassword } = formData;
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!password || !confirmPassword) {
+      setError("Please fill in all fields");
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    if (password.length < 6) {
+      setError("Password must be at least 6 characters");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await userAPI.resetPassword(token, password);
+
+      // Existing sessions are no longer valid after a reset, including this one
+      localStorage.removeItem("user");
+      if (setUser) {
+        setUser(null);
+      }
+
+      // Set success message in local storage to display on login screen
+      localStorage.setItem(
+        "auth_success",
+        response.data?.message ||
+          "Password has been reset successfully. You can now log in with your new password."
+      );
+
+      navigate("/login", { replace: true });
+    } catch (err) {
+      logger.error("Reset password error:", err);
+      setError(
+        err.response?.data?.message ||
+          "Failed to reset password. The link may be invalid or expired."
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="auth-title">Reset Password</h1>
+
+        {error && <Alert type="danger" message={error} />}
+
+        <form className="auth-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              className="form-control"
+              placeholder="Enter a new password"
+              value={password}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              className="form-control"
+              placeholder="Confirm your new password"
+              value={confirmPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" className="btn btn-block" disabled={loading}>
+            {loading ? "Resetting..." : "Reset Password"}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          Link expired? <Link to="/forgot-password">Request a new one</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -4,6 +4,7 @@ import { movieAPI } from "../services/api";
 import MovieCard from "../components/MovieCard";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./Search.css";
 
 const Search = () => {
@@ -45,7 +46,7 @@ const Search = () => {
 
         setLoading(false);
       } catch (err) {
-        console.error("Error searching:", err);
+        logger.error("Error searching:", err);
         setError("Failed to search. Please try again later.");
         setLoading(false);
       }
@@ -0,0 +1,271 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import {
+  tvAPI,
+  progressAPI,
+  getImageUrl,
+  getErrorMessage,
+} from "../services/api";
+import ProgressBar from "../components/ProgressBar";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Movies.css";
+import "./Season.css";
+
+// Announced episodes are listed before they air but can't be marked watched
+const hasAired = (episode) =>
+  Boolean(episode.air_date) && new Date(episode.air_date) <= new Date();
+
+// One season of a TV show (/tv/:id/season/:seasonNumber) with its episodes.
+// The show is fetched alongside for its name and the list of seasons.
+// Logged in users can mark episodes, or the whole season, as watched.
+const Season = () => {
+  const { id, seasonNumber } = useParams();
+  const [tvShow, setTvShow] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const isLoggedIn = Boolean(localStorage.getItem("user"));
+
+  useEffect(() => {
+    const fetchSeason = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [showResponse, seasonResponse] = await Promise.all([
+          tvAPI.getDetails(id),
+          tvAPI.getSeason(id, seasonNumber),
+        ]);
+        setTvShow(showResponse.data);
+        setSeason(seasonResponse.data);
+      } catch (err) {
+        logger.error("Error fetching season:", err);
+        setError(getErrorMessage(err, "Failed to load this season."));
+        setSeason(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSeason();
+    window.scrollTo(0, 0);
+  }, [id, seasonNumber]);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    const fetchProgress = async () => {
+      try {
+        const response = await progressAPI.getShowProgress(id);
+        setProgress(response.data);
+      } catch (err) {
+        logger.error("Error fetching watch progress:", err);
+      }
+    };
+
+    fetchProgress();
+  }, [isLoggedIn, id]);
+
+  // Every change answers with the show's updated progress
+  const updateProgress = async (key, request, failureMessage) => {
+    try {
+      setBusyKey(key);
+      setError(null);
+      const response = await request();
+      setProgress(response.data);
+    } catch (err) {
+      logger.error("Error updating watch progress:", err);
+      setError(getErrorMessage(err, failureMessage));
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!season) {
+    return (
+      <div className="season-page">
+        <div className="container">
+          {error && <Alert type="danger" message={error} />}
+          <Link to={`/tv/${id}`} className="btn">
+            Back to Show
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const episodes = season.episodes || [];
+  const isWatched = (episode) =>
+    Boolean(progress) &&
+    progress.episodes.some(
+      (item) =>
+        item.season === episode.season_number &&
+        item.episode === episode.episode_number
+    );
+  const airedEpisodes = episodes.filter(hasAired);
+  const seasonWatched =
+    airedEpisodes.length > 0 && airedEpisodes.every(isWatched);
+
+  const handleToggleEpisode = (episode) => {
+    const { season_number: seasonNo, episode_number: episodeNo } = episode;
+    updateProgress(
+      `episode-${episodeNo}`,
+      () =>
+        isWatched(episode)
+          ? progressAPI.unmarkEpisode(id, seasonNo, episodeNo)
+          : progressAPI.markEpisode(id, seasonNo, episodeNo),
+      "Failed to update the episode."
+    );
+  };
+
+  const handleToggleSeason = () => {
+    updateProgress(
+      "season",
+      () =>
+        seasonWatched
+          ? progressAPI.unmarkSeason(id, season.season_number)
+          : progressAPI.markSeason(id, season.season_number),
+      "Failed to update the season."
+    );
+  };
+
+  return (
+    <div className="season-page">
+      <div className="container">
+        <nav className="season-breadcrumbs">
+          <Link to={`/tv/${id}`}>{tvShow.name}</Link>
+          <span>›</span>
+          <span>{season.name}</span>
+        </nav>
+
+        <div className="season-header">
+          <img
+            src={getImageUrl.poster(season.poster_path, "w342")}
+            alt={season.name}
+            className="season-header-poster"
+          />
+          <div>
+            <h1 className="season-title">{season.name}</h1>
+            <div className="season-facts">
+              {season.air_date && (
+                <span>{new Date(season.air_date).getFullYear()}</span>
+              )}
+              <span>
+                {episodes.length} {episodes.length === 1 ? "episode" : "episodes"}
+              </span>
+            </div>
+            {season.overview && (
+              <p className="season-header-overview">{season.overview}</p>
+            )}
+            {progress && airedEpisodes.length > 0 && (
+              <div className="season-progress">
+                <ProgressBar
+                  watchedCount={progress.watchedCount}
+                  totalEpisodes={progress.totalEpisodes}
+                  percent={progress.percent}
+                />
+                <button
+                  className={`btn ${seasonWatched ? "btn-secondary" : ""}`}
+                  onClick={handleToggleSeason}
+                  disabled={busyKey === "season"}
+                >
+                  {seasonWatched
+                    ? "Mark Season Unwatched"
+                    : "Mark Season Watched"}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && <Alert type="danger" message={error} />}
+
+        {tvShow.seasons && tvShow.seasons.length > 1 && (
+          <div className="filter-tabs season-tabs">
+            {tvShow.seasons.map((item) => (
+              <Link
+                key={item.id}
+                to={`/tv/${id}/season/${item.season_number}`}
+                className={`filter-tab ${
+                  String(item.season_number) === seasonNumber ? "active" : ""
+                }`}
+              >
+                {item.name}
+              </Link>
+            ))}
+          </div>
+        )}
+
+        {episodes.length === 0 ? (
+          <p className="no-results">No episodes have been announced yet.</p>
+        ) : (
+          <ol className="episode-list">
+            {episodes.map((episode) => (
+              <li
+                key={episode.id}
+                className={`episode-list-item ${progress ? "tracking" : ""}`}
+              >
+                <Link
+                  to={`/tv/${id}/season/${seasonNumber}/episode/${episode.episode_number}`}
+                  className={`episode-card ${
+                    isWatched(episode) ? "watched" : ""
+                  }`}
+                >
+                  <img
+                    src={getImageUrl.backdrop(episode.still_path, "w300")}
+                    alt={episode.name}
+                    className="episode-still"
+                  />
+                  <div className="episode-card-details">
+                    <h3 className="episode-name">
+                      {episode.episode_number}. {episode.name}
+                    </h3>
+                    <div className="season-facts">
+                      {episode.air_date && (
+                        <span>
+                          {new Date(episode.air_date).toLocaleDateString()}
+                        </span>
+                      )}
+                      {episode.runtime > 0 && <span>{episode.runtime}m</span>}
+                      {episode.vote_count > 0 && (
+                        <span>★ {episode.vote_average.toFixed(1)}</span>
+                      )}
+                    </div>
+                    {episode.overview && (
+                      <p className="episode-overview">
+                        {episode.overview.length > 200
+                          ? `${episode.overview.substring(0, 200)}...`
+                          : episode.overview}
+                      </p>
+                    )}
+                  </div>
+                </Link>
+                {progress && hasAired(episode) && (
+                  <button
+                    className={`episode-watched-toggle ${
+                      isWatched(episode) ? "active" : ""
+                    }`}
+                    onClick={() => handleToggleEpisode(episode)}
+                    disabled={busyKey === `episode-${episode.episode_number}`}
+                  >
+                    {isWatched(episode) ? "✓ Watched" : "Mark Watched"}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Season;
@@ -1,9 +1,20 @@
 import { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import { tvAPI, getImageUrl, userAPI } from "../services/api";
+import {
+  tvAPI,
+  getImageUrl,
+  userAPI,
+  progressAPI,
+  getErrorMessage,
+} from "../services/api";
 import MovieCard from "../components/MovieCard";
+import AddToListMenu from "../components/AddToListMenu";
+import ProgressBar from "../components/ProgressBar";
+import CommunityReviews from "../components/CommunityReviews";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import { getKeyCrew } from "../utils/credits";
 import "./MovieDetails.css"; // Reuse the same CSS
 
 // Helper function to check if token is valid (not expired)
@@ -20,7 +31,7 @@ const isTokenValid = (token) => {
     const currentTime = Math.floor(Date.now() / 1000);
     return payload.exp > currentTime;
   } catch (error) {
-    console.error("Error checking token validity:", error);
+    logger.error("Error checking token validity:", error);
     return false;
   }
 };
@@ -44,6 +55,7 @@ const TVShowDetails = () => {
   const [inWatchlist, setInWatchlist] = useState(false);
   const [watchlistLoading, setWatchlistLoading] = useState(false);
   const [watchlistMessage, setWatchlistMessage] = useState(null);
+  const [progress, setProgress] = useState(null);
   const [displayedReviews, setDisplayedReviews] = useState(3);
   const [showReviewForm, setShowReviewForm] = useState(false);
   const [reviewContent, setReviewContent] = useState("");
@@ -66,11 +78,12 @@ const TVShowDetails = () => {
   useEffect(() => {
     const checkAuth = async () => {
       if (user && user.token) {
-        // First check token format
+        // First check token format. An expired token is renewed by the api
+        // interceptor as long as there is a refresh token.
         const tokenValid = isTokenValid(user.token);
 
-        if (!tokenValid) {
-          console.warn("Invalid token format detected on component mount");
+        if (!tokenValid && !user.refreshToken) {
+          logger.warn("Invalid token format detected on component mount");
           forceLogout();
           return;
         }
@@ -86,16 +99,11 @@ const TVShowDetails = () => {
             hasValidToken: true,
           });
         } catch (err) {
-          console.error("Auth verification failed:", err);
+          logger.error("Auth verification failed:", err);
 
           // If it's an invalid signature error, force logout immediately
-          if (
-            err.response &&
-            err.response.status === 401 &&
-            (err.response.data?.error === "invalid signature" ||
-              err.response.data?.message?.includes("token failed"))
-          ) {
-            console.warn(
+          if (err.apiError?.code === "TOKEN_INVALID") {
+            logger.warn(
               "Invalid signature detected from server, forcing logout"
             );
             forceLogout();
@@ -129,7 +137,7 @@ const TVShowDetails = () => {
 
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching TV show details:", err);
+        logger.error("Error fetching TV show details:", err);
         setError("Failed to load TV show details. Please try again later.");
         setLoading(false);
       }
@@ -150,13 +158,10 @@ const TVShowDetails = () => {
     const checkWatchlist = async () => {
       if (user && tvShow) {
         try {
-          const response = await userAPI.getWatchlist();
-          const isInWatchlist = response.data.some(
-            (item) => item.mediaType === "tv" && item.mediaId === parseInt(id)
-          );
-          setInWatchlist(isInWatchlist);
+          const response = await userAPI.checkWatchlist("tv", id);
+          setInWatchlist(response.data.inWatchlist);
         } catch (err) {
-          console.error("Error checking watchlist:", err);
+          logger.error("Error checking watchlist:", err);
         }
       }
     };
@@ -164,6 +169,23 @@ const TVShowDetails = () => {
     checkWatchlist();
   }, [user, tvShow, id]);
 
+  // Fetch the user's progress through the show's episodes
+  const isLoggedIn = Boolean(user);
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    const fetchProgress = async () => {
+      try {
+        const response = await progressAPI.getShowProgress(id);
+        setProgress(response.data);
+      } catch (err) {
+        logger.error("Error fetching watch progress:", err);
+      }
+    };
+
+    fetchProgress();
+  }, [isLoggedIn, id]);
+
   // Check if user has reviewed this TV show
   useEffect(() => {
     const checkUserReview = async () => {
@@ -179,7 +201,7 @@ const TVShowDetails = () => {
             setUserReview(foundReview);
           }
         } catch (err) {
-          console.error("Error checking user review:", err);
+          logger.error("Error checking user review:", err);
         }
       }
     };
@@ -199,7 +221,7 @@ const TVShowDetails = () => {
     try {
       if (inWatchlist) {
         // Remove from watchlist
-        await userAPI.removeFromWatchlist(id);
+        await userAPI.removeFromWatchlist("tv", id);
         setInWatchlist(false);
         setWatchlistMessage("Removed from watchlist");
       } else {
@@ -214,7 +236,7 @@ const TVShowDetails = () => {
         setWatchlistMessage("Added to watchlist");
       }
     } catch (err) {
-      console.error("Error updating watchlist:", err);
+      logger.error("Error updating watchlist:", err);
       setWatchlistMessage("Failed to update watchlist");
     }
     setWatchlistLoading(false);
@@ -255,7 +277,7 @@ const TVShowDetails = () => {
       setReviewError(
         "You must be logged in with a valid session to submit a review. Please log in again."
       );
-      console.error("Authentication issue:", {
+      logger.error("Authentication issue:", {
         userExists: !!user,
         tokenExists: !!(user && user.token),
         tokenValid: authStatus.hasValidToken,
@@ -272,32 +294,34 @@ const TVShowDetails = () => {
       setReviewSubmitting(true);
       setReviewError(null);
 
-      if (isEditingReview && userReview) {
-        // Delete the old review first
-        await userAPI.deleteReview(userReview._id);
-      }
-
       // Submit the review with proper parameters
       const reviewData = {
         content: reviewContent,
         rating: reviewRating,
       };
 
-      console.log("Submitting review with data:", {
-        mediaId: id.toString(),
-        mediaType: "tv",
-        content: reviewContent,
-        rating: reviewRating,
-      });
+      let response;
 
-      const response = await userAPI.submitReview(
-        id.toString(),
-        "tv",
-        reviewData
-      );
-      console.log("Review submission response:", response);
+      if (isEditingReview && userReview) {
+        // Update the existing review in place, keeping its id and creation date
+        response = await userAPI.updateReview(userReview._id, reviewData);
+      } else {
+        logger.debug("Submitting review with data:", {
+          mediaId: id.toString(),
+          mediaType: "tv",
+          content: reviewContent,
+          rating: reviewRating,
+        });
+
+        response = await userAPI.submitReview(
+          id.toString(),
+          "tv",
+          reviewData
+        );
+        logger.debug("Review submission response:", response);
+      }
 
-      // Update userReview state with the new review
+      // Update userReview state with the saved review
       setUserReview(response.data);
       setIsEditingReview(false);
 
@@ -311,26 +335,20 @@ const TVShowDetails = () => {
       setShowReviewForm(false);
       setReviewSubmitting(false);
     } catch (err) {
-      console.error("Error submitting review:", err);
+      logger.error("Error submitting review:", err);
       let errorMessage = "Failed to submit your review. Please try again.";
 
       // Check specifically for invalid signature errors
-      if (err.response && err.response.data) {
-        if (
-          err.response.data.error === "invalid signature" ||
-          (err.response.data.message &&
-            err.response.data.message.includes("token failed"))
-        ) {
-          errorMessage =
-            "Invalid authentication signature. Your session may have expired.";
-
-          // Auto logout on next render
-          setTimeout(() => {
-            handleInvalidToken();
-          }, 5000);
-        } else if (err.response.data.message) {
-          errorMessage = err.response.data.message;
-        }
+      if (err.apiError?.code === "TOKEN_INVALID") {
+        errorMessage =
+          "Invalid authentication signature. Your session may have expired.";
+
+        // Auto logout on next render
+        setTimeout(() => {
+          handleInvalidToken();
+        }, 5000);
+      } else if (err.apiError) {
+        errorMessage = getErrorMessage(err, errorMessage);
       }
 
       setReviewError(errorMessage);
@@ -475,21 +493,29 @@ const TVShowDetails = () => {
               <div className="review-content">{userReview.content}</div>
               <div className="review-date">
                 {new Date(userReview.createdAt).toLocaleDateString()}
+                {userReview.edited &&
+                  ` · Edited ${new Date(
+                    userReview.updatedAt
+                  ).toLocaleDateString()}`}
               </div>
             </div>
           </div>
         )}
 
-        {/* Other Reviews List */}
+        {/* Reviews from other CineConnect users */}
+        <CommunityReviews
+          mediaType="tv"
+          mediaId={id}
+          currentUserId={user?._id}
+          refreshKey={userReview?._id}
+        />
+
+        {/* TMDB Reviews List */}
         {tvShow.reviews &&
         tvShow.reviews.results &&
         tvShow.reviews.results.length > 0 ? (
           <>
-            {(userReview || tvShow.reviews.results.length > 0) && (
-              <h3 className="other-reviews-title">
-                {userReview ? "Other Reviews" : "Reviews"}
-              </h3>
-            )}
+            <h3 className="other-reviews-title">TMDB Reviews</h3>
             <div className="reviews-list">
               {tvShow.reviews.results
                 .slice(0, displayedReviews)
@@ -527,8 +553,8 @@ const TVShowDetails = () => {
               </div>
             )}
           </>
-        ) : userReview ? null : (
-          <p className="no-reviews">No reviews yet. Be the first to review!</p>
+        ) : (
+          <p className="no-reviews">No TMDB reviews yet.</p>
         )}
       </div>
     );
@@ -546,6 +572,8 @@ const TVShowDetails = () => {
     return <div className="container">TV Show not found</div>;
   }
 
+  const keyCrew = getKeyCrew(tvShow.credits, tvShow.created_by);
+
   return (
     <div className="movie-details">
       {/* Backdrop */}
@@ -586,12 +614,6 @@ const TVShowDetails = () => {
                   </span>
                 )}
 
-                {tvShow.genres && tvShow.genres.length > 0 && (
-                  <span className="movie-genres">
-                    {tvShow.genres.map((genre) => genre.name).join(", ")}
-                  </span>
-                )}
-
                 {tvShow.number_of_seasons && (
                   <span className="movie-runtime">
                     {tvShow.number_of_seasons}{" "}
@@ -600,6 +622,20 @@ const TVShowDetails = () => {
                 )}
               </div>
 
+              {tvShow.genres && tvShow.genres.length > 0 && (
+                <div className="genre-chips">
+                  {tvShow.genres.map((genre) => (
+                    <Link
+                      key={genre.id}
+                      to={`/genre/tv/${genre.id}`}
+                      className="genre-chip"
+                    >
+                      {genre.name}
+                    </Link>
+                  ))}
+                </div>
+              )}
+
               {tvShow.tagline && (
                 <div className="movie-tagline">"{tvShow.tagline}"</div>
               )}
@@ -611,7 +647,28 @@ const TVShowDetails = () => {
                   </span>
                   <span className="score-total">/10</span>
                 </div>
-                <div className="rating-count">{tvShow.vote_count} votes</div>
+                <div className="rating-count">
+                  <div className="rating-source">TMDB</div>
+                  {tvShow.vote_count} votes
+                </div>
+
+                {tvShow.cineconnect_rating && (
+                  <>
+                    <div className="rating-score community-score">
+                      <span className="score-value">
+                        {tvShow.cineconnect_rating.count > 0
+                          ? tvShow.cineconnect_rating.average.toFixed(1)
+                          : "–"}
+                      </span>
+                      <span className="score-total">/10</span>
+                    </div>
+                    <div className="rating-count">
+                      <div className="rating-source">CineConnect</div>
+                      {tvShow.cineconnect_rating.count}{" "}
+                      {tvShow.cineconnect_rating.count === 1 ? "review" : "reviews"}
+                    </div>
+                  </>
+                )}
               </div>
 
               <div className="movie-actions">
@@ -627,6 +684,13 @@ const TVShowDetails = () => {
                     : "Add to Watchlist"}
                 </button>
 
+                <AddToListMenu
+                  mediaType="tv"
+                  mediaId={parseInt(id)}
+                  title={tvShow.name}
+                  posterPath={tvShow.poster_path}
+                />
+
                 {tvShow.homepage && (
                   <a
                     href={tvShow.homepage}
@@ -643,6 +707,25 @@ const TVShowDetails = () => {
                 <div className="watchlist-message">{watchlistMessage}</div>
               )}
 
+              {progress && progress.watchedCount > 0 && (
+                <div className="show-progress">
+                  <ProgressBar
+                    watchedCount={progress.watchedCount}
+                    totalEpisodes={progress.totalEpisodes}
+                    percent={progress.percent}
+                  />
+                  {progress.nextEpisode && (
+                    <Link
+                      to={`/tv/${id}/season/${progress.nextEpisode.season}/episode/${progress.nextEpisode.episode}`}
+                      className="show-progress-next"
+                    >
+                      Next: S{progress.nextEpisode.season} · E
+                      {progress.nextEpisode.episode}
+                    </Link>
+                  )}
+                </div>
+              )}
+
               <div className="movie-overview">
                 <h3>Overview</h3>
                 <p>{tvShow.overview}</p>
@@ -658,7 +741,11 @@ const TVShowDetails = () => {
                 <h2 className="section-title">Cast</h2>
                 <div className="cast-list">
                   {tvShow.credits.cast.slice(0, 8).map((person) => (
-                    <div key={person.id} className="cast-member">
+                    <Link
+                      key={person.id}
+                      to={`/person/${person.id}`}
+                      className="cast-member"
+                    >
                       <div className="cast-image-container">
                         <img
                           src={getImageUrl.profile(person.profile_path)}
@@ -670,12 +757,33 @@ const TVShowDetails = () => {
                         <div className="cast-name">{person.name}</div>
                         <div className="cast-character">{person.character}</div>
                       </div>
-                    </div>
+                    </Link>
                   ))}
                 </div>
               </div>
             )}
 
+          {/* Key Crew */}
+          {keyCrew.length > 0 && (
+            <div className="movie-section">
+              <h2 className="section-title">Creators & Crew</h2>
+              <div className="crew-list">
+                {keyCrew.map((person) => (
+                  <Link
+                    key={person.id}
+                    to={`/person/${person.id}`}
+                    className="crew-member"
+                  >
+                    <span className="cast-name">{person.name}</span>
+                    <span className="cast-character">
+                      {person.jobs.join(", ")}
+                    </span>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Similar TV Shows */}
           {tvShow.recommendations &&
             tvShow.recommendations.results &&
@@ -701,7 +809,11 @@ const TVShowDetails = () => {
               <h2 className="section-title">Seasons</h2>
               <div className="seasons-list">
                 {tvShow.seasons.map((season) => (
-                  <div key={season.id} className="season-card">
+                  <Link
+                    key={season.id}
+                    to={`/tv/${id}/season/${season.season_number}`}
+                    className="season-card"
+                  >
                     <div className="season-poster-container">
                       <img
                         src={getImageUrl.poster(season.poster_path)}
@@ -718,6 +830,12 @@ const TVShowDetails = () => {
                         </div>
                         <div className="season-episodes">
                           {season.episode_count} episodes
+                          {progress &&
+                            ` · ${
+                              progress.episodes.filter(
+                                (item) => item.season === season.season_number
+                              ).length
+                            } watched`}
                         </div>
                       </div>
                       {season.overview && (
@@ -728,7 +846,7 @@ const TVShowDetails = () => {
                         </div>
                       )}
                     </div>
-                  </div>
+                  </Link>
                 ))}
               </div>
             </div>
@@ -0,0 +1,81 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { userAPI } from "../services/api";
+import LoadingSpinner from "../components/LoadingSpinner";
+import Alert from "../components/Alert";
+import logger from "../utils/logger";
+import "./Auth.css";
+
+const UnlockAccount = () => {
+  const { token } = useParams();
+  const [unlocking, setUnlocking] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unlock = async () => {
+      try {
+        const response = await userAPI.unlockAccount(token);
+        setMessage(
+          response.data?.message ||
+            "Your account has been unlocked. You can now log in."
+        );
+      } catch (err) {
+        logger.error("Unlock account error:", err);
+        setError(
+          err.response?.data?.message ||
+            "Failed to unlock your account. The link may be invalid or expired."
+        );
+      } finally {
+        setUnlocking(false);
+      }
+    };
+
+    if (token) {
+      unlock();
+    } else {
+      setError("Invalid unlock link");
+      setUnlocking(false);
+    }
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="auth-title">Unlock Account</h1>
+
+        {unlocking && (
+          <div className="verification-status">
+            <LoadingSpinner />
+            <p>Unlocking your account...</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="verification-status">
+            <Alert type="success" message={message} />
+          </div>
+        )}
+
+        {error && (
+          <div className="verification-status">
+            <Alert type="danger" message={error} />
+            <p className="mt-4">
+              Locked accounts unlock automatically after a while, or you can{" "}
+              <Link to="/forgot-password">reset your password</Link> to unlock
+              it now.
+            </p>
+          </div>
+        )}
+
+        {!unlocking && (
+          <div className="auth-footer">
+            <Link to="/login">Go to Login</Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from "react-router-dom";
 import { userAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./Auth.css";
 
 const VerifyEmail = ({ setUser }) => {
@@ -55,7 +56,7 @@ const VerifyEmail = ({ setUser }) => {
               }
             }
           } catch (profileErr) {
-            console.error("Error fetching fresh profile data:", profileErr);
+            logger.error("Error fetching fresh profile data:", profileErr);
             // Continue with existing updated user data
           }
         }
@@ -68,7 +69,7 @@ const VerifyEmail = ({ setUser }) => {
           navigate("/profile");
         }, 3000);
       } catch (err) {
-        console.error("Email verification error:", err);
+        logger.error("Email verification error:", err);
         setError(
           err.response?.data?.message ||
             "Failed to verify email. The link may be invalid or expired."
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from "react-router-dom";
 import { userAPI } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./Auth.css";
 
 const VerifyProfileChanges = () => {
@@ -30,7 +31,7 @@ const VerifyProfileChanges = () => {
             "Profile changes successfully applied! Please log in with your updated credentials."
         );
       } catch (err) {
-        console.error("Verification error:", err);
+        logger.error("Verification error:", err);
         setSuccess(false);
         setError(
           err.response?.data?.message ||
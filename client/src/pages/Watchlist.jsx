@@ -3,14 +3,37 @@ import { Link } from "react-router-dom";
 import { userAPI, getImageUrl } from "../services/api";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Alert from "../components/Alert";
+import logger from "../utils/logger";
 import "./Watchlist.css";
 
+// In the order the server lists them (models/WatchlistItem.js)
+const STATUSES = [
+  { value: "plan_to_watch", label: "Plan to Watch" },
+  { value: "watching", label: "Watching" },
+  { value: "watched", label: "Watched" },
+  { value: "dropped", label: "Dropped" },
+];
+
+const PRIORITIES = [
+  { value: "high", label: "High" },
+  { value: "normal", label: "Normal" },
+  { value: "low", label: "Low" },
+];
+
+// Movie and TV ids overlap, so items are told apart by both
+const itemKey = (item) => `${item.mediaType}-${item.mediaId}`;
+
+// "2024-05-01T00:00:00.000Z" -> "2024-05-01" for a date input
+const toDateInput = (value) => (value ? value.slice(0, 10) : "");
+
 const Watchlist = () => {
   const [watchlist, setWatchlist] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
-  const [removingId, setRemovingId] = useState(null);
+  const [removingKey, setRemovingKey] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [notesDrafts, setNotesDrafts] = useState({});
 
   useEffect(() => {
     const fetchWatchlist = async () => {
@@ -28,7 +51,7 @@ const Watchlist = () => {
         setWatchlist(sortedWatchlist);
         setLoading(false);
       } catch (err) {
-        console.error("Error fetching watchlist:", err);
+        logger.error("Error fetching watchlist:", err);
         setError("Failed to load your watchlist. Please try again later.");
         setLoading(false);
       }
@@ -37,28 +60,66 @@ const Watchlist = () => {
     fetchWatchlist();
   }, []);
 
-  const handleRemoveItem = async (mediaId) => {
+  const handleRemoveItem = async (removed) => {
     try {
-      setRemovingId(mediaId);
+      setRemovingKey(itemKey(removed));
 
-      await userAPI.removeFromWatchlist(mediaId);
+      await userAPI.removeFromWatchlist(removed.mediaType, removed.mediaId);
 
       // Update watchlist state
       setWatchlist(
-        watchlist.filter((item) => item.mediaId !== parseInt(mediaId))
+        watchlist.filter((item) => itemKey(item) !== itemKey(removed))
       );
 
       setSuccessMessage("Item removed from watchlist");
       setTimeout(() => setSuccessMessage(null), 3000);
     } catch (err) {
-      console.error("Error removing from watchlist:", err);
+      logger.error("Error removing from watchlist:", err);
       setError("Failed to remove item from watchlist");
       setTimeout(() => setError(null), 3000);
     } finally {
-      setRemovingId(null);
+      setRemovingKey(null);
+    }
+  };
+
+  const handleUpdateItem = async (target, changes) => {
+    try {
+      const response = await userAPI.updateWatchlistItem(
+        target.mediaType,
+        target.mediaId,
+        changes
+      );
+      const updated = response.data.item;
+
+      setWatchlist((items) =>
+        items.map((item) =>
+          itemKey(item) === itemKey(target) ? updated : item
+        )
+      );
+    } catch (err) {
+      logger.error("Error updating watchlist item:", err);
+      setError(err.response?.data?.message || "Failed to update watchlist item");
+      setTimeout(() => setError(null), 3000);
     }
   };
 
+  // Notes are saved when the field loses focus, and only if they changed
+  const handleNotesBlur = (item) => {
+    const notes = notesDrafts[itemKey(item)];
+    if (notes === undefined || notes === item.notes) {
+      return;
+    }
+    handleUpdateItem(item, { notes });
+  };
+
+  const countFor = (status) =>
+    watchlist.filter((item) => item.status === status).length;
+
+  const visibleItems =
+    statusFilter === "all"
+      ? watchlist
+      : watchlist.filter((item) => item.status === statusFilter);
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -71,6 +132,31 @@ const Watchlist = () => {
         {error && <Alert type="danger" message={error} />}
         {successMessage && <Alert type="success" message={successMessage} />}
 
+        {watchlist.length > 0 && (
+          <div className="watchlist-tabs">
+            <button
+              className={`watchlist-tab ${statusFilter === "all" ? "active" : ""}`}
+              onClick={() => setStatusFilter("all")}
+            >
+              All <span className="watchlist-tab-count">{watchlist.length}</span>
+            </button>
+            {STATUSES.map((status) => (
+              <button
+                key={status.value}
+                className={`watchlist-tab ${
+                  statusFilter === status.value ? "active" : ""
+                }`}
+                onClick={() => setStatusFilter(status.value)}
+              >
+                {status.label}{" "}
+                <span className="watchlist-tab-count">
+                  {countFor(status.value)}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
         {watchlist.length === 0 ? (
           <div className="watchlist-empty">
             <p>Your watchlist is empty.</p>
@@ -87,11 +173,15 @@ const Watchlist = () => {
               </Link>
             </div>
           </div>
+        ) : visibleItems.length === 0 ? (
+          <div className="watchlist-empty">
+            <p>Nothing here yet.</p>
+          </div>
         ) : (
           <div className="watchlist-grid">
-            {watchlist.map((item) => (
+            {visibleItems.map((item) => (
               <div
-                key={`${item.mediaType}-${item.mediaId}`}
+                key={itemKey(item)}
                 className="watchlist-item"
               >
                 <div className="watchlist-poster-container">
@@ -109,10 +199,10 @@ const Watchlist = () => {
                     </Link>
                     <button
                       className="btn btn-sm btn-secondary"
-                      onClick={() => handleRemoveItem(item.mediaId)}
-                      disabled={removingId === item.mediaId}
+                      onClick={() => handleRemoveItem(item)}
+                      disabled={removingKey === itemKey(item)}
                     >
-                      {removingId === item.mediaId ? "Removing..." : "Remove"}
+                      {removingKey === itemKey(item) ? "Removing..." : "Remove"}
                     </button>
                   </div>
                 </div>
@@ -128,6 +218,71 @@ const Watchlist = () => {
                   <span className="watchlist-item-date">
                     Added: {new Date(item.added_at).toLocaleDateString()}
                   </span>
+
+                  <div className="watchlist-item-controls">
+                    <label>
+                      Status
+                      <select
+                        value={item.status}
+                        onChange={(e) =>
+                          handleUpdateItem(item, {
+                            status: e.target.value,
+                          })
+                        }
+                      >
+                        {STATUSES.map((status) => (
+                          <option key={status.value} value={status.value}>
+                            {status.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Priority
+                      <select
+                        value={item.priority}
+                        onChange={(e) =>
+                          handleUpdateItem(item, {
+                            priority: e.target.value,
+                          })
+                        }
+                      >
+                        {PRIORITIES.map((priority) => (
+                          <option key={priority.value} value={priority.value}>
+                            {priority.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    {item.status === "watched" && (
+                      <label>
+                        Watched on
+                        <input
+                          type="date"
+                          value={toDateInput(item.watchedAt)}
+                          max={toDateInput(new Date().toISOString())}
+                          onChange={(e) =>
+                            handleUpdateItem(item, {
+                              watchedAt: e.target.value || null,
+                            })
+                          }
+                        />
+                      </label>
+                    )}
+                    <textarea
+                      className="watchlist-item-notes"
+                      placeholder="Add notes..."
+                      maxLength={2000}
+                      value={notesDrafts[itemKey(item)] ?? item.notes ?? ""}
+                      onChange={(e) =>
+                        setNotesDrafts({
+                          ...notesDrafts,
+                          [itemKey(item)]: e.target.value,
+                        })
+                      }
+                      onBlur={() => handleNotesBlur(item)}
+                    />
+                  </div>
                 </div>
               </div>
             ))}
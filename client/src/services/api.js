@@ -1,10 +1,11 @@
 import axios from 'axios';
+import logger from '../utils/logger';
 
 // Use environment variable for API URL with fallback to local development URL
 const API_URL = import.meta.env.VITE_API_URL || 'https://cineconnect-api.onrender.com/api';
 const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
 
-console.log('API URL:', API_URL); // Debug API URL
+logger.debug('API URL:', API_URL); // Debug API URL
 
 // Create axios instance
 const api = axios.create({
@@ -15,6 +16,14 @@ const api = axios.create({
   timeout: 15000, // 15 second timeout
 });
 
+// Id sent as X-Request-Id with every request
+const createRequestId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
 // Set auth token for all requests if exists
 api.interceptors.request.use(
   (config) => {
@@ -24,62 +33,162 @@ api.interceptors.request.use(
 
     if (user && user.token) {
       config.headers.Authorization = `Bearer ${user.token}`;
-      // Log truncated token for debugging (don't log full token for security)
-      console.log(`Adding auth token to ${config.url}: ${user.token.substring(0, 10)}...`);
-    } else {
-      console.log(`No auth token for request to ${config.url}`);
     }
+
+    // The server uses this id in its logs and error responses, so a failed
+    // request logged here can be found in the server logs
+    config.headers['X-Request-Id'] = createRequestId();
+    logger.debug(`${config.method?.toUpperCase()} ${config.url}`, {
+      requestId: config.headers['X-Request-Id'],
+      authenticated: Boolean(user && user.token),
+    });
     return config;
   },
   (error) => {
-    console.error('Request interceptor error:', error);
+    logger.error('Request interceptor error:', error);
     return Promise.reject(error);
   }
 );
 
+// Auth requests that must not trigger a token refresh
+const NO_REFRESH_URLS = ['/users/login', '/users/register', '/users/refresh', '/users/logout'];
+
+// Error codes (the `code` of the server's error responses) meaning the stored
+// login is no longer usable. Other 401s, such as a wrong password, leave the
+// user signed in.
+const SESSION_ERROR_CODES = [
+  'NO_TOKEN',
+  'TOKEN_INVALID',
+  'TOKEN_EXPIRED',
+  'USER_NOT_FOUND',
+  'PASSWORD_CHANGED',
+  'SESSION_ENDED',
+];
+
+// Attach the server's error envelope to an axios error as error.apiError:
+// { status, code, message, requestId, errors }
+const withApiError = (error, fallback) => {
+  const data = error.response?.data || {};
+  error.apiError = {
+    status: error.response?.status || null,
+    code: data.code || fallback.code,
+    message: data.message || fallback.message,
+    requestId: data.requestId || error.response?.headers?.['x-request-id'] || null,
+    errors: data.errors || [],
+  };
+  return error;
+};
+
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new access token. Refresh tokens can
+// only be used once, so concurrent callers share a single refresh request.
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const user = localStorage.getItem('user')
+        ? JSON.parse(localStorage.getItem('user'))
+        : null;
+
+      if (!user || !user.refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      // Plain axios so the refresh request skips these interceptors
+      const response = await axios.post(
+        `${API_URL}/users/refresh`,
+        { refreshToken: user.refreshToken },
+        { timeout: 15000 }
+      );
+
+      // Another tab may have refreshed with the same token first. The server
+      // then answers with an access token only, and the newer refresh token
+      // that tab saved must not be overwritten.
+      const latest = JSON.parse(localStorage.getItem('user')) || user;
+      localStorage.setItem('user', JSON.stringify({
+        ...latest,
+        token: response.data.token,
+        refreshToken: response.data.refreshToken || latest.refreshToken,
+      }));
+
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Add response interceptor to handle auth errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Log error for debugging
-    console.error(`API Error (${error.config?.url}):`, error.message);
-
+  async (error) => {
     if (error.code === 'ECONNABORTED') {
-      console.error('Request timeout - server may be down');
-      return Promise.reject(new Error('Server request timed out. Please try again later.'));
+      logger.error(`Request timeout (${error.config?.url}) - server may be down`, {
+        requestId: error.config?.headers?.['X-Request-Id'],
+      });
+      return Promise.reject(withApiError(
+        new Error('Server request timed out. Please try again later.'),
+        { code: 'TIMEOUT', message: 'Server request timed out. Please try again later.' }
+      ));
     }
 
     // Network error
     if (!error.response) {
-      console.error('Network error - no response received');
-      return Promise.reject(new Error('Network error. Please check your connection and try again.'));
+      logger.error(`Network error (${error.config?.url}) - no response received`, {
+        requestId: error.config?.headers?.['X-Request-Id'],
+      });
+      return Promise.reject(withApiError(
+        new Error('Network error. Please check your connection and try again.'),
+        { code: 'NETWORK_ERROR', message: 'Network error. Please check your connection and try again.' }
+      ));
     }
 
+    withApiError(error, { code: 'UNKNOWN_ERROR', message: error.message });
+    const { status, code, requestId } = error.apiError;
+
+    // Server errors are worth reporting; 4xx responses are usually handled by the page
+    const log = status >= 500 ? logger.error : logger.warn;
+    log(`API error ${status} ${code} (${error.config?.url})`, { requestId });
+
     // Check for auth errors
-    if (error.response) {
-      // Case 1: Direct invalid signature error
-      const hasInvalidSignature =
-        error.response.data?.error === "invalid signature" ||
-        error.response.data?.message?.includes("token failed") ||
-        error.response.data?.message?.includes("Not authorized");
-
-      // Case 2: 401 Unauthorized status
-      if (error.response.status === 401) {
-        console.error("Auth error detected:", error.response.data);
-
-        // Clear user data from localStorage
-        localStorage.removeItem("user");
-
-        // Set detailed error message to display on login screen
-        localStorage.setItem("auth_error",
-          `Authentication failed: ${error.response.data?.message || 'Session expired'}. Please log in again.`);
-
-        // Only redirect if not already on login page to prevent redirect loops
-        if (!window.location.pathname.includes('/login')) {
-          window.location.href = "/login";
-          return Promise.reject(new Error("Authentication failed. Redirecting to login..."));
+    if (error.response.status === 401 && SESSION_ERROR_CODES.includes(code)) {
+      // Case 1: Expired access token - refresh it once and retry the request
+      const originalRequest = error.config;
+      if (
+        code === 'TOKEN_EXPIRED' &&
+        originalRequest &&
+        !originalRequest._retry &&
+        !NO_REFRESH_URLS.includes(originalRequest.url)
+      ) {
+        originalRequest._retry = true;
+
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          logger.error('Token refresh failed:', refreshError.message);
+          // Fall through to the logout handling below
         }
       }
+
+      // Case 2: The login is no longer valid
+      logger.warn(`Session ended (${code}), logging out`, { requestId });
+
+      // Clear user data from localStorage
+      localStorage.removeItem("user");
+
+      // Set detailed error message to display on login screen
+      localStorage.setItem("auth_error",
+        `Authentication failed: ${error.apiError.message || 'Session expired'}. Please log in again.`);
+
+      // Only redirect if not already on login page to prevent redirect loops
+      if (!window.location.pathname.includes('/login')) {
+        window.location.href = "/login";
+        return Promise.reject(new Error("Authentication failed. Redirecting to login..."));
+      }
     }
 
     return Promise.reject(error);
@@ -89,8 +198,13 @@ api.interceptors.response.use(
 // API methods for movies
 export const movieAPI = {
   getPopular: (page = 1) => api.get(`/movies/popular?page=${page}`),
+  // filters: { genres, yearFrom, yearTo, runtimeMin, runtimeMax, ratingMin, votesMin, language, sort, page }
+  discover: (filters) => api.get('/movies/discover', { params: filters }),
+  getGenres: () => api.get('/movies/genres'),
   getTrending: (timeWindow = 'day') => api.get(`/movies/trending/${timeWindow}`),
   getDetails: (id) => api.get(`/movies/${id}`),
+  // Biography, known_for titles and a filmography folded per title and department
+  getPerson: (id) => api.get(`/movies/person/${id}`),
   getReviews: (id, type = 'movie', page = 1) => api.get(`/movies/${type}/${id}/reviews?page=${page}`),
   search: (query, page = 1) => api.get(`/movies/search?query=${query}&page=${page}`),
 };
@@ -98,8 +212,13 @@ export const movieAPI = {
 // API methods for TV shows
 export const tvAPI = {
   getPopular: (page = 1) => api.get(`/movies/tv/popular?page=${page}`),
+  discover: (filters) => api.get('/movies/tv/discover', { params: filters }),
+  getGenres: () => api.get('/movies/tv/genres'),
   getTrending: (timeWindow = 'day') => api.get(`/movies/tv/trending/${timeWindow}`),
   getDetails: (id) => api.get(`/movies/tv/${id}`),
+  getSeason: (id, seasonNumber) => api.get(`/movies/tv/${id}/season/${seasonNumber}`),
+  getEpisode: (id, seasonNumber, episodeNumber) =>
+    api.get(`/movies/tv/${id}/season/${seasonNumber}/episode/${episodeNumber}`),
   getReviews: (id, page = 1) => api.get(`/movies/tv/${id}/reviews?page=${page}`),
   search: (query, page = 1) => api.get(`/movies/search?query=${query}&page=${page}&type=tv`),
 };
@@ -110,19 +229,99 @@ export const userAPI = {
   login: (userData) => api.post('/users/login', userData),
   getProfile: () => api.get('/users/profile'),
   updateProfile: (userData) => api.put('/users/profile', userData),
+  updatePreferences: (preferences) => api.put('/users/preferences', preferences),
   resendVerification: () => api.post('/users/resend-verification'),
   verifyEmail: (token) => api.get(`/users/verify-email/${token}`),
+  forgotPassword: (email) => api.post('/users/forgot-password', { email }),
+  resetPassword: (token, password) =>
+    api.post(`/users/reset-password/${token}`, { password }),
+  unlockAccount: (token) => api.get(`/users/unlock/${token}`),
+  logout: (refreshToken) => api.post('/users/logout', { refreshToken }),
+  logoutAll: () => api.post('/users/logout-all'),
+  getSessions: () => api.get('/users/sessions'),
+  revokeSession: (sessionId) => api.delete(`/users/sessions/${sessionId}`),
   getWatchlist: () => api.get('/users/watchlist'),
+  checkWatchlist: (mediaType, mediaId) =>
+    api.get(`/users/watchlist/${mediaType}/${mediaId}`),
   addToWatchlist: (mediaId, mediaType, title, posterPath) =>
     api.post('/users/watchlist', { mediaId, mediaType, title, posterPath }),
-  removeFromWatchlist: (mediaId) =>
-    api.delete(`/users/watchlist/${mediaId}`),
+  updateWatchlistItem: (mediaType, mediaId, changes) =>
+    api.put(`/users/watchlist/${mediaType}/${mediaId}`, changes),
+  removeFromWatchlist: (mediaType, mediaId) =>
+    api.delete(`/users/watchlist/${mediaType}/${mediaId}`),
   submitReview: (mediaId, mediaType, data) =>
     api.post('/reviews', { mediaId, mediaType, ...data }),
   getUserReviews: () => api.get('/reviews'),
+  updateReview: (reviewId, data) => api.put(`/reviews/${reviewId}`, data),
   deleteReview: (reviewId) => api.delete(`/reviews/${reviewId}`),
 };
 
+// API methods for CineConnect community reviews
+export const reviewAPI = {
+  getMediaReviews: (mediaType, mediaId, page = 1, sort = 'newest') =>
+    api.get(`/reviews/${mediaType}/${mediaId}?page=${page}&sort=${sort}`),
+};
+
+// API methods for custom lists
+export const listAPI = {
+  // With a title given, each list says whether it already has it (hasItem)
+  getMyLists: (mediaType, mediaId) =>
+    api.get('/lists', { params: mediaType ? { mediaType, mediaId } : {} }),
+  getList: (listId) => api.get(`/lists/${listId}`),
+  createList: (list) => api.post('/lists', list),
+  updateList: (listId, changes) => api.put(`/lists/${listId}`, changes),
+  deleteList: (listId) => api.delete(`/lists/${listId}`),
+  addItem: (listId, mediaId, mediaType, title, posterPath) =>
+    api.post(`/lists/${listId}/items`, { mediaId, mediaType, title, posterPath }),
+  moveItem: (listId, mediaType, mediaId, position) =>
+    api.put(`/lists/${listId}/items/${mediaType}/${mediaId}`, { position }),
+  removeItem: (listId, mediaType, mediaId) =>
+    api.delete(`/lists/${listId}/items/${mediaType}/${mediaId}`),
+};
+
+// API methods for per-episode watch progress on TV shows. Every change
+// answers with the show's updated progress.
+export const progressAPI = {
+  getContinueWatching: (limit = 20) => api.get('/progress/continue', { params: { limit } }),
+  getShowProgress: (showId) => api.get(`/progress/tv/${showId}`),
+  markEpisode: (showId, seasonNumber, episodeNumber) =>
+    api.put(`/progress/tv/${showId}/season/${seasonNumber}/episode/${episodeNumber}`),
+  unmarkEpisode: (showId, seasonNumber, episodeNumber) =>
+    api.delete(`/progress/tv/${showId}/season/${seasonNumber}/episode/${episodeNumber}`),
+  markSeason: (showId, seasonNumber) => api.put(`/progress/tv/${showId}/season/${seasonNumber}`),
+  unmarkSeason: (showId, seasonNumber) => api.delete(`/progress/tv/${showId}/season/${seasonNumber}`),
+};
+
+// API methods for the admin pages (admin accounts only)
+export const adminAPI = {
+  getJobs: (status = 'dead') => api.get(`/admin/jobs?status=${status}`),
+  retryJob: (jobId) => api.post(`/admin/jobs/${jobId}/retry`),
+  deleteJob: (jobId) => api.delete(`/admin/jobs/${jobId}`),
+};
+
+// Message to show for a failed request. Server errors include the request id
+// so a report can be matched with the server logs.
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  const apiError = error?.apiError;
+  if (!apiError) return error?.message || fallback;
+
+  const message = apiError.message || fallback;
+  return apiError.status >= 500 && apiError.requestId
+    ? `${message} (reference: ${apiError.requestId})`
+    : message;
+};
+
+// Map a 400 validation response to { field: message } for showing errors next to inputs
+export const getFieldErrors = (error) => {
+  const errors = error?.response?.data?.errors;
+  if (!Array.isArray(errors)) return {};
+
+  return errors.reduce((fields, { field, message }) => {
+    if (field && !fields[field]) fields[field] = message;
+    return fields;
+  }, {});
+};
+
 // Helper functions for image URLs
 export const getImageUrl = {
   poster: (path, size = 'w500') =>
@@ -0,0 +1,28 @@
+// Crew departments shown next to the cast on the detail pages
+const KEY_DEPARTMENTS = ["Directing", "Writing"];
+
+// The people behind a title, one entry per person with all their jobs:
+// TV creators first, then the directors and writers from the credits.
+export const getKeyCrew = (credits, creators = []) => {
+  const people = new Map();
+
+  const addJob = (person, job) => {
+    const entry = people.get(person.id) || {
+      id: person.id,
+      name: person.name,
+      profile_path: person.profile_path,
+      jobs: [],
+    };
+    if (!entry.jobs.includes(job)) {
+      entry.jobs.push(job);
+    }
+    people.set(person.id, entry);
+  };
+
+  creators.forEach((creator) => addJob(creator, "Creator"));
+  (credits?.crew || [])
+    .filter((member) => KEY_DEPARTMENTS.includes(member.department))
+    .forEach((member) => addJob(member, member.job));
+
+  return [...people.values()];
+};
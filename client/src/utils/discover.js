@@ -0,0 +1,47 @@
+// Filters for the Discover view of the Movies and TV Shows pages. They live in
+// the URL query string (under the names the /discover endpoints take), so a
+// filtered view can be bookmarked and shared.
+
+export const DISCOVER_FILTERS = [
+  "genres",
+  "yearFrom",
+  "yearTo",
+  "runtimeMin",
+  "runtimeMax",
+  "ratingMin",
+  "votesMin",
+  "language",
+  "sort",
+];
+
+export const SORT_OPTIONS = [
+  { value: "popularity", label: "Most popular" },
+  { value: "rating", label: "Highest rated" },
+  { value: "votes", label: "Most voted" },
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+];
+
+// Original languages offered in the filter (ISO 639-1 codes)
+export const LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "es", label: "Spanish" },
+  { value: "fr", label: "French" },
+  { value: "de", label: "German" },
+  { value: "it", label: "Italian" },
+  { value: "ja", label: "Japanese" },
+  { value: "ko", label: "Korean" },
+  { value: "zh", label: "Chinese" },
+  { value: "hi", label: "Hindi" },
+  { value: "pt", label: "Portuguese" },
+  { value: "sv", label: "Swedish" },
+  { value: "da", label: "Danish" },
+];
+
+// The discover filters set in a URLSearchParams, e.g. { genres: "28,12", sort: "rating" }
+export const readDiscoverFilters = (searchParams) =>
+  DISCOVER_FILTERS.reduce((filters, key) => {
+    const value = searchParams.get(key);
+    if (value) filters[key] = value;
+    return filters;
+  }, {});
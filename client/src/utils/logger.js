@@ -0,0 +1,24 @@
+/* eslint-disable no-console */
+
+// Console logging for the client. Development builds log everything; production
+// builds are silent unless VITE_LOG_LEVEL is set to debug, info, warn or error.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const configuredLevel =
+  import.meta.env.VITE_LOG_LEVEL || (import.meta.env.PROD ? "silent" : "debug");
+const threshold = LEVELS[configuredLevel] ?? LEVELS.debug;
+
+const createMethod = (level, write) => (...args) => {
+  if (LEVELS[level] >= threshold) {
+    write(`[${level}]`, ...args);
+  }
+};
+
+const logger = {
+  debug: createMethod("debug", console.log),
+  info: createMethod("info", console.info),
+  warn: createMethod("warn", console.warn),
+  error: createMethod("error", console.error),
+};
+
+export default logger;
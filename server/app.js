@@ -0,0 +1,88 @@
+const express = require('express');
+const cors = require('cors');
+const userRoutes = require('./routes/userRoutes');
+const movieRoutes = require('./routes/movieRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const listRoutes = require('./routes/listRoutes');
+const progressRoutes = require('./routes/progressRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const devRoutes = require('./routes/devRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { getReadiness } = require('./controllers/healthController');
+const requestId = require('./middleware/requestId');
+const accessLog = require('./middleware/accessLog');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { logger } = require('./utils/logger');
+
+// Load config
+const config = require('./config/config');
+
+// The /api/dev routes have no authentication and serve captured emails with
+// their password reset and unlock links, so they are only mounted outside
+// production while emails are being captured rather than sent
+const devRoutesEnabled = () =>
+  config.NODE_ENV !== 'production' && ['outbox', 'memory'].includes(config.EMAIL.TRANSPORT);
+
+// Build the Express app without connecting to MongoDB or listening on a port,
+// so it can be imported by server.js and by the test suite
+const createApp = () => {
+  const app = express();
+
+  // Behind a proxy req.ip would otherwise be the proxy's address
+  app.set('trust proxy', config.TRUST_PROXY);
+
+  // CORS configuration
+  const corsOptions = {
+    origin: config.NODE_ENV === 'production'
+      ? [config.CLIENT_URL] // Whitelist the client URL in production
+      : '*', // Allow all origins in development
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    // Let the client read how long to wait after a 429 and the request id of errors
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id'],
+    credentials: true
+  };
+
+  // Middleware
+  app.use(requestId);
+  app.use(accessLog);
+  app.use(cors(corsOptions));
+
+  //Built-in middleware that reads incoming requests with a JSON payload and makes the parsed object available on req.body
+  app.use(express.json());
+
+  // Routes
+  app.use('/api/users', userRoutes);
+  app.use('/api/movies', movieRoutes);
+  app.use('/api/reviews', reviewRoutes);
+  app.use('/api/lists', listRoutes);
+  app.use('/api/progress', progressRoutes);
+  app.use('/api/admin', adminRoutes);
+
+  // Captured emails and other development helpers
+  if (devRoutesEnabled()) {
+    logger.warn('Development routes are mounted at /api/dev without authentication. Anyone who can reach this server can read captured emails.', {
+      nodeEnv: config.NODE_ENV,
+      emailTransport: config.EMAIL.TRANSPORT
+    });
+    app.use('/api/dev', devRoutes);
+  }
+
+  // Default route
+  app.get('/', (req, res) => {
+    res.send('CineConnect API is running');
+  });
+
+  // Liveness and readiness probes for the host / load balancer
+  app.use('/health', healthRoutes);
+
+  // Older name for the readiness probe
+  app.get('/status', getReadiness);
+
+  // Unknown routes and every error end up in the same JSON error format
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = createApp;
@@ -1,42 +1,23 @@
-// Set environment variables if not already set
+const { logger } = require('../utils/logger');
+const { loadConfig, ConfigError } = require('./loadConfig');
 
-// Default client URL (for email verification links)
-if (!process.env.CLIENT_URL) {
-  process.env.CLIENT_URL = 'http://localhost:5173';
-  console.log('CLIENT_URL environment variable not found, using default:', process.env.CLIENT_URL);
-}
-
-// Email configuration defaults
-// For production, you should set these in your .env file
-if (!process.env.EMAIL_SERVICE) {
-  process.env.EMAIL_SERVICE = 'gmail'; // or any other service like 'hotmail', 'outlook', etc.
-}
+/**
+ * Application configuration, parsed from the environment at startup.
+ * Every variable, its type, default and whether it is required is declared in
+ * config/variables.js (and documented in .env.example).
+ *
+ * Invalid values always stop the server. Missing required settings stop it in
+ * production; in development and tests they are logged and /health/ready
+ * reports the server as unavailable until they are set.
+ */
+const { config, invalid, missing } = loadConfig(process.env);
 
-if (!process.env.EMAIL_USERNAME) {
-  // Set a default value, but this needs to be replaced with real credentials in .env
-  process.env.EMAIL_USERNAME = 'your-email@gmail.com';
-  console.log('WARNING: EMAIL_USERNAME not set in environment. Email sending will not work properly.');
+if (invalid.length > 0 || (config.NODE_ENV === 'production' && missing.length > 0)) {
+  throw new ConfigError([...invalid, ...missing.map((setting) => setting.message)]);
 }
 
-if (!process.env.EMAIL_PASSWORD) {
-  // For Gmail, this would be an app password
-  process.env.EMAIL_PASSWORD = 'your-app-password';
-  console.log('WARNING: EMAIL_PASSWORD not set in environment. Email sending will not work properly.');
-}
-
-if (!process.env.EMAIL_FROM) {
-  process.env.EMAIL_FROM = 'CineConnect <your-email@gmail.com>';
-}
+missing.forEach((setting) => {
+  logger.warn(`${setting.message}; features that need it will fail until it is set`);
+});
 
-module.exports = {
-  CLIENT_URL: process.env.CLIENT_URL,
-  MONGO_URI: process.env.MONGO_URI,
-  JWT_SECRET: process.env.JWT_SECRET,
-  PORT: process.env.PORT || 5000,
-  EMAIL: {
-    SERVICE: process.env.EMAIL_SERVICE,
-    USERNAME: process.env.EMAIL_USERNAME,
-    PASSWORD: process.env.EMAIL_PASSWORD,
-    FROM: process.env.EMAIL_FROM
-  }
-}; 
\ No newline at end of file
+module.exports = config;
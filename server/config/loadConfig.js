@@ -0,0 +1,120 @@
+const { variables } = require('./variables');
+const { version } = require('../package.json');
+
+const PROFILES = ['development', 'test', 'production'];
+
+// Example values from an old .env.example, e.g. your_jwt_secret_key
+const PLACEHOLDER = /^your[-_]/i;
+
+// Thrown at startup when the environment cannot be used
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const getIn = (source, key) => key
+  .split('.')
+  .reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), source);
+
+const setIn = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((object, part) => {
+    object[part] = object[part] || {};
+    return object[part];
+  }, target);
+  parent[last] = value;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Raw value of a variable (or one of its aliases), ignoring blank values
+const rawValue = (env, variable) => [variable.name, ...(variable.aliases || [])]
+  .map((name) => env[name])
+  .find((value) => value !== undefined && value.trim() !== '');
+
+const defaultFor = (variable, profile, values) => {
+  const fallback = variable.default;
+  if (typeof fallback === 'function') {
+    return fallback(values);
+  }
+  if (fallback !== null && typeof fallback === 'object') {
+    return fallback[profile] === undefined ? null : fallback[profile];
+  }
+  return fallback === undefined ? null : fallback;
+};
+
+const isRequired = (variable, profile, values) => {
+  if (typeof variable.required === 'function') {
+    return variable.required(values);
+  }
+  if (Array.isArray(variable.required)) {
+    return variable.required.includes(profile);
+  }
+  return Boolean(variable.required);
+};
+
+/**
+ * Required settings that have no value in the given config
+ * @param {Object} values - Parsed config (see loadConfig)
+ * @returns {Array} [{ name, message }]
+ */
+const missingSettings = (values) => variables
+  .filter((variable) => isRequired(variable, values.NODE_ENV, values) && isEmpty(getIn(values, variable.key)))
+  .map((variable) => ({ name: variable.name, message: `${variable.name} is required` }));
+
+/**
+ * Parse and validate the environment
+ * Unset variables get their profile's default. Invalid values are always
+ * reported in `invalid`; required settings without a value are reported in
+ * `missing`, and it is up to the caller whether that is fatal.
+ * @param {Object} env - Environment variables, usually process.env
+ * @returns {Object} { config, invalid: [message], missing: [{ name, message }] }
+ */
+const loadConfig = (env = process.env) => {
+  const profile = PROFILES.includes(env.NODE_ENV) ? env.NODE_ENV : 'development';
+  const config = { BUILD: { VERSION: version } };
+  const invalid = [];
+  const placeholders = [];
+
+  // In declaration order, so derived defaults can use the values before them
+  variables.forEach((variable) => {
+    let raw = rawValue(env, variable);
+
+    if (raw !== undefined && PLACEHOLDER.test(raw)) {
+      placeholders.push(variable.name);
+      raw = undefined;
+    }
+
+    if (raw === undefined) {
+      setIn(config, variable.key, defaultFor(variable, profile, config));
+      return;
+    }
+
+    try {
+      setIn(config, variable.key, variable.type.parse(raw.trim()));
+    } catch (error) {
+      const got = variable.secret ? '' : ` (got "${raw}")`;
+      invalid.push(`${variable.name} must be ${error.message}${got}`);
+      setIn(config, variable.key, defaultFor(variable, profile, config));
+    }
+  });
+
+  const missing = missingSettings(config).map((setting) => (
+    placeholders.includes(setting.name)
+      ? { ...setting, message: `${setting.name} still has its placeholder value` }
+      : setting
+  ));
+
+  return { config, invalid, missing };
+};
+
+module.exports = {
+  PROFILES,
+  ConfigError,
+  loadConfig,
+  missingSettings
+};
@@ -0,0 +1,329 @@
+const path = require('path');
+
+/**
+ * Value types. parse(raw) turns the raw string into the typed value or throws
+ * an Error whose message completes "<NAME> must be ...".
+ */
+const types = {
+  string: () => ({
+    parse: (raw) => raw
+  }),
+
+  integer: ({ min = -Infinity, max = Infinity } = {}) => ({
+    parse: (raw) => {
+      const value = Number(raw);
+      if (!/^-?\d+$/.test(raw) || value < min || value > max) {
+        const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+        throw new Error(`a whole number ${range}`);
+      }
+      return value;
+    }
+  }),
+
+  boolean: () => ({
+    parse: (raw) => {
+      if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+      throw new Error('true or false');
+    }
+  }),
+
+  oneOf: (...values) => ({
+    values,
+    parse: (raw) => {
+      if (!values.includes(raw)) {
+        throw new Error(`one of: ${values.join(', ')}`);
+      }
+      return raw;
+    }
+  }),
+
+  url: () => ({
+    parse: (raw) => {
+      if (!/^https?:\/\/[^\s/]+/.test(raw)) {
+        throw new Error('an http(s) URL, e.g. https://cineconnect.example.com');
+      }
+      // Links are built as `${CLIENT_URL}/path`
+      return raw.replace(/\/+$/, '');
+    }
+  }),
+
+  mongoUri: () => ({
+    parse: (raw) => {
+      if (!/^mongodb(\+srv)?:\/\/\S+/.test(raw)) {
+        throw new Error('a MongoDB connection string (mongodb:// or mongodb+srv://)');
+      }
+      return raw;
+    }
+  }),
+
+  // jsonwebtoken expiresIn values such as 900, 15m, 12h or 7d
+  duration: () => ({
+    parse: (raw) => {
+      if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/.test(raw)) {
+        throw new Error('a duration such as 900 (seconds), 15m, 12h or 7d');
+      }
+      return /^\d+$/.test(raw) ? Number(raw) : raw;
+    }
+  }),
+
+  // Express "trust proxy" setting: a hop count, true/false, or a list of addresses
+  trustProxy: () => ({
+    parse: (raw) => {
+      if (raw === 'false') return false;
+      if (raw === 'true') return true;
+      return /^\d+$/.test(raw) ? Number(raw) : raw;
+    }
+  })
+};
+
+/**
+ * Every environment variable the server reads, validated by config/config.js
+ * and documented in .env.example by scripts/generate-env-example.js.
+ *
+ *   name         environment variable
+ *   key          where the parsed value is found in config, e.g. 'TMDB.API_KEY'
+ *   type         one of the types above
+ *   default      value used when unset; an object gives one per profile
+ *                ({ development, test, production }), a function derives it
+ *                from the other parsed values
+ *   required     true, a list of profiles, or a function of the parsed values
+ *   secret       never printed; .env.example leaves it empty
+ *   example      value written to .env.example (defaults to the development default)
+ *   description  comment written above the variable in .env.example
+ */
+const variables = [
+  // Server
+  {
+    group: 'Server',
+    name: 'NODE_ENV',
+    key: 'NODE_ENV',
+    type: types.oneOf('development', 'test', 'production'),
+    default: 'development',
+    description: 'development, test or production. Production refuses to start without its required settings'
+  },
+  {
+    group: 'Server',
+    name: 'PORT',
+    key: 'PORT',
+    type: types.integer({ min: 1, max: 65535 }),
+    default: 5000
+  },
+  {
+    group: 'Server',
+    name: 'CLIENT_URL',
+    key: 'CLIENT_URL',
+    type: types.url(),
+    default: { development: 'http://localhost:5173', test: 'http://localhost:5173' },
+    required: ['production'],
+    description: 'Address of the React client, used for links in emails and as the allowed CORS origin in production'
+  },
+  {
+    group: 'Server',
+    name: 'TRUST_PROXY',
+    key: 'TRUST_PROXY',
+    type: types.trustProxy(),
+    default: false,
+    description: 'Number of proxies in front of the server (e.g. 1 on Render or Heroku) so rate limits see real client IPs'
+  },
+  {
+    group: 'Server',
+    name: 'RATE_LIMIT_ENABLED',
+    key: 'RATE_LIMIT_ENABLED',
+    type: types.boolean(),
+    default: true,
+    description: 'Set to false to turn off request throttling (e.g. for load tests)'
+  },
+  {
+    group: 'Server',
+    name: 'GIT_COMMIT',
+    // Render sets RENDER_GIT_COMMIT automatically
+    aliases: ['RENDER_GIT_COMMIT'],
+    key: 'BUILD.COMMIT',
+    type: types.string(),
+    default: null,
+    example: '',
+    description: 'Commit reported by /health/live and /health/ready (set by your deploy)'
+  },
+
+  // Database
+  {
+    group: 'Database',
+    name: 'MONGO_URI',
+    key: 'MONGO_URI',
+    type: types.mongoUri(),
+    default: {
+      development: 'mongodb://localhost:27017/moviedb',
+      // tests/setup.js connects to an in-memory server instead
+      test: 'mongodb://127.0.0.1:27017/cineconnect-test'
+    },
+    required: true,
+    secret: true,
+    example: 'mongodb://localhost:27017/moviedb'
+  },
+
+  // Authentication
+  {
+    group: 'Authentication',
+    name: 'JWT_SECRET',
+    key: 'JWT_SECRET',
+    type: types.string(),
+    default: { test: 'test-jwt-secret' },
+    required: true,
+    secret: true,
+    description: 'Long random string used to sign access tokens, e.g. from: openssl rand -hex 32'
+  },
+  {
+    group: 'Authentication',
+    name: 'ACCESS_TOKEN_TTL',
+    key: 'AUTH.ACCESS_TOKEN_TTL',
+    type: types.duration(),
+    default: '15m',
+    description: 'Access tokens are short lived; sessions last REFRESH_TOKEN_TTL_DAYS after their last refresh'
+  },
+  {
+    group: 'Authentication',
+    name: 'REFRESH_TOKEN_TTL_DAYS',
+    key: 'AUTH.REFRESH_TOKEN_TTL_DAYS',
+    type: types.integer({ min: 1 }),
+    default: 30
+  },
+
+  // TMDB
+  {
+    group: 'TMDB',
+    name: 'TMDB_PROVIDER',
+    key: 'TMDB.PROVIDER',
+    type: types.oneOf('live', 'fixture', 'record'),
+    default: { development: 'live', test: 'fixture', production: 'live' },
+    description: 'live, fixture (offline, serves server/fixtures/tmdb) or record (live + save fixtures)'
+  },
+  {
+    group: 'TMDB',
+    name: 'TMDB_API_KEY',
+    key: 'TMDB.API_KEY',
+    type: types.string(),
+    // Fixture mode serves recorded responses and never calls TMDB
+    required: (values) => values.TMDB.PROVIDER !== 'fixture',
+    secret: true,
+    description: 'Needed unless TMDB_PROVIDER=fixture'
+  },
+  {
+    group: 'TMDB',
+    name: 'TMDB_FIXTURES_DIR',
+    key: 'TMDB.FIXTURES_DIR',
+    type: types.string(),
+    default: path.join(__dirname, '..', 'fixtures', 'tmdb'),
+    example: '',
+    description: 'Where fixture mode reads and record mode writes responses (defaults to server/fixtures/tmdb)'
+  },
+  {
+    group: 'TMDB',
+    name: 'TMDB_CACHE_MAX_ENTRIES',
+    key: 'TMDB_CACHE_MAX_ENTRIES',
+    type: types.integer({ min: 1 }),
+    default: 500,
+    description: 'Maximum number of TMDB responses kept in the in-memory cache'
+  },
+
+  // Email
+  {
+    group: 'Email',
+    name: 'EMAIL_TRANSPORT',
+    key: 'EMAIL.TRANSPORT',
+    type: types.oneOf('smtp', 'outbox', 'memory'),
+    default: { development: 'outbox', test: 'memory', production: 'smtp' },
+    description: 'smtp (send through EMAIL_SERVICE), outbox (write messages to EMAIL_OUTBOX_DIR, list them with npm run emails) or memory (tests)'
+  },
+  {
+    group: 'Email',
+    name: 'EMAIL_OUTBOX_DIR',
+    key: 'EMAIL.OUTBOX_DIR',
+    type: types.string(),
+    default: path.join(__dirname, '..', 'outbox'),
+    example: '',
+    description: 'Where the outbox transport writes messages (defaults to server/outbox)'
+  },
+  {
+    group: 'Email',
+    name: 'EMAIL_SERVICE',
+    key: 'EMAIL.SERVICE',
+    type: types.string(),
+    default: 'gmail',
+    description: 'Nodemailer well-known service, e.g. gmail, hotmail or outlook'
+  },
+  {
+    group: 'Email',
+    name: 'EMAIL_USERNAME',
+    key: 'EMAIL.USERNAME',
+    type: types.string(),
+    default: { test: 'cineconnect@example.com' },
+    required: (values) => values.EMAIL.TRANSPORT === 'smtp',
+    example: '',
+    description: 'Mail account used to send verification, password reset and security emails. Needed when EMAIL_TRANSPORT=smtp'
+  },
+  {
+    group: 'Email',
+    name: 'EMAIL_PASSWORD',
+    key: 'EMAIL.PASSWORD',
+    type: types.string(),
+    default: { test: 'test-password' },
+    required: (values) => values.EMAIL.TRANSPORT === 'smtp',
+    secret: true,
+    description: 'For Gmail, an app password. Needed when EMAIL_TRANSPORT=smtp'
+  },
+  {
+    group: 'Email',
+    name: 'EMAIL_FROM',
+    key: 'EMAIL.FROM',
+    type: types.string(),
+    default: (values) => `CineConnect <${values.EMAIL.USERNAME || 'no-reply@cineconnect.local'}>`,
+    example: '',
+    description: 'Sender shown in emails (defaults to CineConnect <EMAIL_USERNAME>)'
+  },
+
+  // Background jobs
+  {
+    group: 'Jobs',
+    name: 'JOBS_WORKER_ENABLED',
+    key: 'JOBS.WORKER_ENABLED',
+    type: types.boolean(),
+    default: { development: true, test: false, production: true },
+    description: 'Run queued jobs (such as outgoing emails) in this process. Tests run them explicitly instead'
+  },
+  {
+    group: 'Jobs',
+    name: 'JOBS_POLL_INTERVAL_MS',
+    key: 'JOBS.POLL_INTERVAL_MS',
+    type: types.integer({ min: 100 }),
+    default: 1000,
+    description: 'How often the worker looks for due jobs, in milliseconds'
+  },
+  {
+    group: 'Jobs',
+    name: 'JOBS_MAX_ATTEMPTS',
+    key: 'JOBS.MAX_ATTEMPTS',
+    type: types.integer({ min: 1 }),
+    default: 5,
+    description: 'Attempts before a failing job is moved to the failed jobs list (retries back off exponentially)'
+  },
+
+  // Logging (read directly by utils/logger.js, validated here)
+  {
+    group: 'Logging',
+    name: 'LOG_LEVEL',
+    key: 'LOG.LEVEL',
+    type: types.oneOf('debug', 'info', 'warn', 'error', 'silent'),
+    default: { development: 'info', test: 'silent', production: 'info' }
+  },
+  {
+    group: 'Logging',
+    name: 'LOG_FORMAT',
+    key: 'LOG.FORMAT',
+    type: types.oneOf('json', 'pretty'),
+    default: { development: 'pretty', test: 'pretty', production: 'json' },
+    description: 'json (one JSON object per line, for log collectors) or pretty'
+  }
+];
+
+module.exports = { types, variables };
@@ -0,0 +1,49 @@
+const jobQueue = require('../services/jobQueue');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// @desc    List background jobs, newest first, with counts per status
+// @route   GET /api/admin/jobs
+// @access  Admin
+const getJobs = asyncHandler(async (req, res) => {
+  const { status, type, limit } = req.query;
+
+  const [jobs, counts] = await Promise.all([
+    jobQueue.listJobs({ status, type, limit }),
+    jobQueue.countJobs()
+  ]);
+
+  res.json({ jobs, counts });
+});
+
+// @desc    Run a failed job again with a fresh set of attempts
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Admin
+const retryJob = asyncHandler(async (req, res) => {
+  const job = await jobQueue.retryJob(req.params.id);
+
+  if (!job) {
+    throw new NotFoundError('Failed job not found');
+  }
+
+  res.json(job);
+});
+
+// @desc    Delete a job that is not running
+// @route   DELETE /api/admin/jobs/:id
+// @access  Admin
+const deleteJob = asyncHandler(async (req, res) => {
+  const deleted = await jobQueue.deleteJob(req.params.id);
+
+  if (!deleted) {
+    throw new NotFoundError('Job not found');
+  }
+
+  res.json({ message: 'Job deleted' });
+});
+
+module.exports = {
+  getJobs,
+  retryJob,
+  deleteJob
+};
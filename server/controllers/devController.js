@@ -0,0 +1,58 @@
+const emailService = require('../services/emailService');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// Only the outbox and memory transports keep the messages they send
+const requireCapturedEmails = () => {
+  if (!emailService.canListMessages()) {
+    throw new NotFoundError(
+      `The ${emailService.transport.name} email transport does not keep sent emails`,
+      { code: 'EMAILS_NOT_CAPTURED' }
+    );
+  }
+};
+
+// @desc    List captured emails with their links, newest first
+// @route   GET /api/dev/emails
+// @access  Development only
+const getEmails = asyncHandler(async (req, res) => {
+  requireCapturedEmails();
+  const { to, limit } = req.query;
+
+  const messages = await emailService.listMessages({ to, limit });
+
+  res.json(messages.map(({ html, text, ...summary }) => summary));
+});
+
+// @desc    Show a captured email as it would be rendered
+// @route   GET /api/dev/emails/:id
+// @access  Development only
+const getEmail = asyncHandler(async (req, res) => {
+  requireCapturedEmails();
+
+  const messages = await emailService.listMessages();
+  const message = messages.find((item) => item.id === req.params.id);
+
+  if (!message) {
+    throw new NotFoundError('Email not found');
+  }
+
+  res.type('html').send(message.html);
+});
+
+// @desc    Delete all captured emails
+// @route   DELETE /api/dev/emails
+// @access  Development only
+const clearEmails = asyncHandler(async (req, res) => {
+  requireCapturedEmails();
+
+  await emailService.clearMessages();
+
+  res.json({ message: 'Emails deleted' });
+});
+
+module.exports = {
+  getEmails,
+  getEmail,
+  clearEmails
+};
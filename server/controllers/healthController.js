@@ -0,0 +1,27 @@
+const healthService = require('../services/healthService');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Health responses must never be cached by proxies
+const noStore = (res) => res.set('Cache-Control', 'no-store');
+
+// @desc    Liveness probe - the process is running
+// @route   GET /health/live
+// @access  Public
+const getLiveness = (req, res) => {
+  noStore(res);
+  res.json(healthService.getLiveness());
+};
+
+// @desc    Readiness probe - MongoDB, TMDB, mail, cache and required config
+// @route   GET /health/ready
+// @access  Public
+const getReadiness = asyncHandler(async (req, res) => {
+  const report = await healthService.getReadiness();
+  noStore(res);
+  res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+});
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
@@ -0,0 +1,210 @@
+const List = require('../models/List');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// How many posters a list summary shows as its cover
+const COVER_POSTERS = 4;
+
+// What the "my lists" page and the "Add to list" menu need of a list.
+// With a title given, also whether it is on the list.
+const summarize = (list, media) => {
+  const summary = {
+    _id: list._id,
+    name: list.name,
+    description: list.description,
+    isPublic: list.isPublic,
+    itemCount: list.items.length,
+    posters: list.items
+      .filter((item) => item.poster_path)
+      .slice(0, COVER_POSTERS)
+      .map((item) => item.poster_path),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+  if (media) {
+    summary.hasItem = list.indexOfItem(media.mediaType, media.mediaId) !== -1;
+  }
+  return summary;
+};
+
+// A list the user may change. Someone else's private list is reported as
+// missing so its existence is not given away.
+const findOwnList = async (req) => {
+  const list = await List.findById(req.params.id);
+
+  if (!list || (!list.isPublic && list.user.toString() !== req.user.id)) {
+    throw new NotFoundError('List not found');
+  }
+  if (list.user.toString() !== req.user.id) {
+    throw new ForbiddenError('You can only change your own lists', { code: 'NOT_LIST_OWNER' });
+  }
+  return list;
+};
+
+// @desc    Get the logged-in user's lists, most recently changed first
+// @route   GET /api/lists
+// @access  Private
+const getMyLists = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId } = req.query;
+  const media = mediaType && mediaId ? { mediaType, mediaId } : null;
+
+  const lists = await List.find({ user: req.user.id }).sort({ updatedAt: -1, _id: -1 });
+
+  res.json(lists.map((list) => summarize(list, media)));
+});
+
+// @desc    Create a list
+// @route   POST /api/lists
+// @access  Private
+const createList = asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+
+  const list = await List.create({
+    user: req.user.id,
+    name,
+    description,
+    isPublic
+  });
+
+  res.status(201).json(list);
+});
+
+// @desc    Get a list with its items
+// @route   GET /api/lists/:id
+// @access  Public for public lists, otherwise the owner only
+const getList = asyncHandler(async (req, res) => {
+  const list = await List.findById(req.params.id).populate('user', 'username');
+  const isOwner = Boolean(list && list.user && req.user && list.user._id.toString() === req.user.id);
+
+  if (!list || (!list.isPublic && !isOwner)) {
+    throw new NotFoundError('List not found');
+  }
+
+  res.json({ ...list.toJSON(), isOwner });
+});
+
+// @desc    Rename a list or change its description or visibility
+// @route   PUT /api/lists/:id
+// @access  Private
+const updateList = asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+  const list = await findOwnList(req);
+
+  if (name !== undefined) list.name = name;
+  if (description !== undefined) list.description = description;
+  if (isPublic !== undefined) list.isPublic = isPublic;
+  list.updatedAt = new Date();
+
+  await list.save();
+
+  res.json(list);
+});
+
+// @desc    Delete a list
+// @route   DELETE /api/lists/:id
+// @access  Private
+const deleteList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+
+  await list.deleteOne();
+
+  res.json({ message: 'List deleted' });
+});
+
+// @desc    Add a movie or TV show to the end of a list
+// @route   POST /api/lists/:id/items
+// @access  Private
+const addListItem = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId, title, posterPath } = req.body;
+  const list = await findOwnList(req);
+
+  // Check and push in one update so parallel adds can't duplicate a title or
+  // overfill the list. __v is bumped so a reorder saved from an older copy of
+  // the list fails instead of dropping the new title.
+  const updated = await List.findOneAndUpdate(
+    {
+      _id: list._id,
+      items: { $not: { $elemMatch: { mediaType, mediaId } } },
+      [`items.${List.MAX_ITEMS - 1}`]: { $exists: false }
+    },
+    {
+      $push: { items: { mediaType, mediaId, title, poster_path: posterPath } },
+      $set: { updatedAt: new Date() },
+      $inc: { __v: 1 }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    // Work out which condition failed from the list as it is now
+    const current = await List.findById(list._id);
+    if (!current) {
+      throw new NotFoundError('List not found');
+    }
+    if (current.indexOfItem(mediaType, mediaId) !== -1) {
+      throw new ConflictError('Title already in this list');
+    }
+    throw new ValidationError(`A list can hold at most ${List.MAX_ITEMS} titles`, { code: 'LIST_FULL' });
+  }
+
+  res.status(201).json(updated);
+});
+
+// @desc    Move a title to another position in a list
+// @route   PUT /api/lists/:id/items/:mediaType/:mediaId
+// @access  Private
+const moveListItem = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId } = req.params;
+  const list = await findOwnList(req);
+
+  const from = list.indexOfItem(mediaType, mediaId);
+  if (from === -1) {
+    throw new NotFoundError('Title not found in this list');
+  }
+
+  // Positions past the end move the title to the end
+  const to = Math.min(req.body.position, list.items.length - 1);
+  const [item] = list.items.splice(from, 1);
+  list.items.splice(to, 0, item);
+  list.updatedAt = new Date();
+  // Rewrites the whole array, guarded by __v: if the list changed since it
+  // was read the save fails with a VersionError (409) rather than undoing it
+  await list.save();
+
+  res.json(list);
+});
+
+// @desc    Remove a title from a list
+// @route   DELETE /api/lists/:id/items/:mediaType/:mediaId
+// @access  Private
+const removeListItem = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId } = req.params;
+  const list = await findOwnList(req);
+
+  const updated = await List.findOneAndUpdate(
+    { _id: list._id, items: { $elemMatch: { mediaType, mediaId } } },
+    {
+      $pull: { items: { mediaType, mediaId } },
+      $set: { updatedAt: new Date() },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new NotFoundError('Title not found in this list');
+  }
+
+  res.json(updated);
+});
+
+module.exports = {
+  getMyLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  moveListItem,
+  removeListItem
+};
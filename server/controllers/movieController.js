@@ -1,170 +1,251 @@
 const tmdbService = require('../services/tmdbService');
+const { attachRatingStats } = require('../services/ratingService');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError } = require('../utils/errors');
+
+// TMDB failures are thrown by tmdbService as NotFoundError / UpstreamError
+// and answered by the error handler
 
 // @desc    Get popular movies
 // @route   GET /api/movies/popular
 // @access  Public
-const getPopularMovies = async (req, res) => {
-  try {
-    const page = req.query.page || 1;
-    const movies = await tmdbService.getPopularMovies(page);
-    res.json(movies);
-  } catch (error) {
-    console.error('Error in getPopularMovies controller:', error);
-    res.status(500).json({ message: 'Server error' });
+const getPopularMovies = asyncHandler(async (req, res) => {
+  const { page } = req.query;
+  const movies = await tmdbService.getPopularMovies(page);
+  res.json({ ...movies, results: await attachRatingStats(movies.results, 'movie') });
+});
+
+// A range given back to front would silently match nothing
+const checkDiscoverRanges = ({ yearFrom, yearTo, runtimeMin, runtimeMax }) => {
+  const errors = [];
+  if (yearFrom !== undefined && yearTo !== undefined && yearFrom > yearTo) {
+    errors.push({ field: 'yearTo', location: 'query', message: 'To year cannot be before from year' });
+  }
+  if (runtimeMin !== undefined && runtimeMax !== undefined && runtimeMin > runtimeMax) {
+    errors.push({ field: 'runtimeMax', location: 'query', message: 'Maximum runtime cannot be below minimum runtime' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
   }
 };
 
-// @desc    Get trending movies
-// @route   GET /api/movies/trending/:timeWindow
+// @desc    Browse movies by genre, year, runtime, rating, votes and language
+// @route   GET /api/movies/discover
+// @access  Public
+const discoverMovies = asyncHandler(async (req, res) => {
+  checkDiscoverRanges(req.query);
+  const movies = await tmdbService.discoverMedia('movie', req.query);
+  res.json({ ...movies, results: await attachRatingStats(movies.results, 'movie') });
+});
+
+// @desc    Browse TV shows by genre, year, runtime, rating, votes and language
+// @route   GET /api/movies/tv/discover
 // @access  Public
-const getTrendingMovies = async (req, res) => {
-  try {
-    const { timeWindow } = req.params;
-    const validTimeWindows = ['day', 'week'];
+const discoverTVShows = asyncHandler(async (req, res) => {
+  checkDiscoverRanges(req.query);
+  const tvShows = await tmdbService.discoverMedia('tv', req.query);
+  res.json({ ...tvShows, results: await attachRatingStats(tvShows.results, 'tv') });
+});
+
+// @desc    Get the list of movie genres
+// @route   GET /api/movies/genres
+// @access  Public
+const getMovieGenres = asyncHandler(async (req, res) => {
+  res.json(await tmdbService.getGenres('movie'));
+});
 
-    if (!validTimeWindows.includes(timeWindow)) {
-      return res.status(400).json({ message: 'Time window must be "day" or "week"' });
-    }
+// @desc    Get the list of TV genres
+// @route   GET /api/movies/tv/genres
+// @access  Public
+const getTVGenres = asyncHandler(async (req, res) => {
+  res.json(await tmdbService.getGenres('tv'));
+});
 
-    const movies = await tmdbService.getTrendingMovies(timeWindow);
-    res.json(movies);
-  } catch (error) {
-    console.error('Error in getTrendingMovies controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+// @desc    Get trending movies
+// @route   GET /api/movies/trending/:timeWindow
+// @access  Public
+const getTrendingMovies = asyncHandler(async (req, res) => {
+  const { timeWindow } = req.params;
+  const movies = await tmdbService.getTrendingMovies(timeWindow);
+  res.json({ ...movies, results: await attachRatingStats(movies.results, 'movie') });
+});
 
 // @desc    Get trending TV shows
 // @route   GET /api/movies/tv/trending/:timeWindow
 // @access  Public
-const getTrendingTVShows = async (req, res) => {
-  try {
-    const { timeWindow } = req.params;
-    const validTimeWindows = ['day', 'week'];
-
-    if (!validTimeWindows.includes(timeWindow)) {
-      return res.status(400).json({ message: 'Time window must be "day" or "week"' });
-    }
-
-    const tvShows = await tmdbService.getTrendingTVShows(timeWindow);
-    res.json(tvShows);
-  } catch (error) {
-    console.error('Error in getTrendingTVShows controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+const getTrendingTVShows = asyncHandler(async (req, res) => {
+  const { timeWindow } = req.params;
+  const tvShows = await tmdbService.getTrendingTVShows(timeWindow);
+  res.json({ ...tvShows, results: await attachRatingStats(tvShows.results, 'tv') });
+});
 
 // @desc    Get popular TV shows
 // @route   GET /api/movies/tv/popular
 // @access  Public
-const getPopularTVShows = async (req, res) => {
-  try {
-    const page = req.query.page || 1;
-    const tvShows = await tmdbService.getPopularTVShows(page);
-    res.json(tvShows);
-  } catch (error) {
-    console.error('Error in getPopularTVShows controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+const getPopularTVShows = asyncHandler(async (req, res) => {
+  const { page } = req.query;
+  const tvShows = await tmdbService.getPopularTVShows(page);
+  res.json({ ...tvShows, results: await attachRatingStats(tvShows.results, 'tv') });
+});
 
 // @desc    Get movie details
 // @route   GET /api/movies/:id
 // @access  Public
-const getMovieDetails = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const movie = await tmdbService.getMovieDetails(id);
-    res.json(movie);
-  } catch (error) {
-    console.error(`Error in getMovieDetails controller for ID ${req.params.id}:`, error);
-
-    // Handle 404 from TMDB API
-    if (error.response && error.response.status === 404) {
-      return res.status(404).json({ message: 'Movie not found' });
-    }
-
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+const getMovieDetails = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const movie = await tmdbService.getMovieDetails(id);
+  const [movieWithRating] = await attachRatingStats([movie], 'movie');
+  res.json(movieWithRating);
+});
 
 // @desc    Get TV show details
 // @route   GET /api/movies/tv/:id
 // @access  Public
-const getTVShowDetails = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const tvShow = await tmdbService.getTVShowDetails(id);
-    res.json(tvShow);
-  } catch (error) {
-    console.error(`Error in getTVShowDetails controller for ID ${req.params.id}:`, error);
-
-    // Handle 404 from TMDB API
-    if (error.response && error.response.status === 404) {
-      return res.status(404).json({ message: 'TV show not found' });
+const getTVShowDetails = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const tvShow = await tmdbService.getTVShowDetails(id);
+  const [tvShowWithRating] = await attachRatingStats([tvShow], 'tv');
+  res.json(tvShowWithRating);
+});
+
+// @desc    Get a TV season with its episodes
+// @route   GET /api/movies/tv/:id/season/:seasonNumber
+// @access  Public
+const getSeasonDetails = asyncHandler(async (req, res) => {
+  const { id, seasonNumber } = req.params;
+  res.json(await tmdbService.getSeasonDetails(id, seasonNumber));
+});
+
+// @desc    Get a single TV episode
+// @route   GET /api/movies/tv/:id/season/:seasonNumber/episode/:episodeNumber
+// @access  Public
+const getEpisodeDetails = asyncHandler(async (req, res) => {
+  const { id, seasonNumber, episodeNumber } = req.params;
+  res.json(await tmdbService.getEpisodeDetails(id, seasonNumber, episodeNumber));
+});
+
+// How many titles the "known for" row shows
+const KNOWN_FOR_LIMIT = 8;
+
+// Fold TMDB's combined credits into one entry per title and department. TMDB
+// lists a credit per character or job, so someone who both wrote and directed
+// a film, or played two characters in a show, appears more than once.
+// Acting credits get the 'Acting' department; roles are characters or jobs.
+const buildFilmography = ({ cast = [], crew = [] }) => {
+  const entries = new Map();
+
+  const addCredit = (credit, department, role) => {
+    const key = `${credit.media_type}-${credit.id}-${department}`;
+    let entry = entries.get(key);
+
+    if (!entry) {
+      const date = credit.media_type === 'tv' ? credit.first_air_date : credit.release_date;
+      entry = {
+        id: credit.id,
+        media_type: credit.media_type,
+        [credit.media_type === 'tv' ? 'name' : 'title']: credit.title || credit.name,
+        [credit.media_type === 'tv' ? 'first_air_date' : 'release_date']: date || null,
+        year: date ? Number(date.slice(0, 4)) : null,
+        poster_path: credit.poster_path || null,
+        vote_average: credit.vote_average || 0,
+        vote_count: credit.vote_count || 0,
+        department,
+        roles: [],
+        episode_count: credit.media_type === 'tv' ? 0 : undefined
+      };
+      entries.set(key, entry);
     }
 
-    res.status(500).json({ message: 'Server error' });
-  }
+    if (role && !entry.roles.includes(role)) {
+      entry.roles.push(role);
+    }
+    if (credit.media_type === 'tv') {
+      entry.episode_count += credit.episode_count || 0;
+    }
+  };
+
+  cast.forEach((credit) => addCredit(credit, 'Acting', credit.character));
+  crew.forEach((credit) => addCredit(credit, credit.department, credit.job));
+
+  // Newest first; titles without a date are usually unreleased, so they lead
+  return [...entries.values()].sort((a, b) => {
+    const dateA = a.release_date || a.first_air_date || '9999';
+    const dateB = b.release_date || b.first_air_date || '9999';
+    return dateB.localeCompare(dateA);
+  });
+};
+
+// The person's best-known titles: the most voted-on ones in the department
+// they are known for, falling back to all their work
+const pickKnownFor = (filmography, department) => {
+  const inDepartment = filmography.filter((entry) => entry.department === department);
+  const pool = inDepartment.length > 0 ? inDepartment : filmography;
+  const seen = new Set();
+
+  return [...pool]
+    .sort((a, b) => b.vote_count - a.vote_count)
+    .filter((entry) => {
+      const key = `${entry.media_type}-${entry.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, KNOWN_FOR_LIMIT);
 };
 
+// @desc    Get a person's biography and filmography
+// @route   GET /api/movies/person/:id
+// @access  Public
+const getPersonDetails = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { combined_credits: credits, ...person } = await tmdbService.getPersonDetails(id);
+  const filmography = buildFilmography(credits || {});
+
+  res.json({
+    ...person,
+    known_for: pickKnownFor(filmography, person.known_for_department),
+    filmography
+  });
+});
+
 // @desc    Search movies and TV shows
 // @route   GET /api/movies/search
 // @access  Public
-const searchMedia = async (req, res) => {
-  try {
-    const { query, page = 1, type } = req.query;
+const searchMedia = asyncHandler(async (req, res) => {
+  const { query, page, type } = req.query;
 
-    if (!query) {
-      return res.status(400).json({ message: 'Search query is required' });
-    }
+  // Without a type both movies and TV shows are searched
+  const mediaType = type || null;
 
-    // Check if a valid type is provided
-    let mediaType = null;
-    if (type) {
-      const validTypes = ['movie', 'tv'];
-      if (!validTypes.includes(type)) {
-        return res.status(400).json({ message: 'Type must be "movie" or "tv"' });
-      }
-      mediaType = type;
-    }
-
-    const results = await tmdbService.searchMedia(query, page, mediaType);
-    res.json(results);
-  } catch (error) {
-    console.error('Error in searchMedia controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+  const results = await tmdbService.searchMedia(query, page, mediaType);
+  res.json({ ...results, results: await attachRatingStats(results.results, mediaType) });
+});
 
 // @desc    Get reviews for a movie or TV show
 // @route   GET /api/movies/:type/:id/reviews
 // @access  Public
-const getMediaReviews = async (req, res) => {
-  try {
-    const { type, id } = req.params;
-    const page = req.query.page || 1;
-
-    const validTypes = ['movie', 'tv'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({ message: 'Type must be "movie" or "tv"' });
-    }
+const getMediaReviews = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  const { page } = req.query;
 
-    const reviews = await tmdbService.getReviews(id, type, page);
-    res.json(reviews);
-  } catch (error) {
-    console.error(`Error in getMediaReviews controller for ${req.params.type} ID ${req.params.id}:`, error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+  const reviews = await tmdbService.getReviews(id, type, page);
+  res.json(reviews);
+});
 
 module.exports = {
   getPopularMovies,
+  discoverMovies,
+  getMovieGenres,
   getTrendingMovies,
   getPopularTVShows,
+  discoverTVShows,
+  getTVGenres,
   getTrendingTVShows,
   getMovieDetails,
   getTVShowDetails,
+  getSeasonDetails,
+  getEpisodeDetails,
+  getPersonDetails,
   searchMedia,
   getMediaReviews
 }; 
\ No newline at end of file
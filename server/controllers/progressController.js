@@ -0,0 +1,182 @@
+const ShowProgress = require('../models/ShowProgress');
+const tmdbService = require('../services/tmdbService');
+const { seasonEpisodes, summarizeProgress } = require('../services/progressService');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const progressQuery = (req) => ({
+  user: req.user.id,
+  showId: req.params.showId
+});
+
+// The aired episodes of a season, which must exist on TMDB
+const findSeasonEpisodes = (show, seasonNumber) => {
+  if (!(show.seasons || []).some((season) => season.season_number === seasonNumber)) {
+    throw new NotFoundError('Season not found');
+  }
+  return seasonEpisodes(show, seasonNumber);
+};
+
+// Mark episodes watched and return the updated progress. The document is
+// upserted, then each episode is pushed only while it is missing, all in one
+// ordered bulk write, so parallel marks neither clash creating the document
+// nor duplicate or lose episodes. ($addToSet can't do the pushing: every
+// entry carries its own watchedAt, so no two are ever equal.)
+const addWatched = async (req, show, episodes) => {
+  const query = progressQuery(req);
+
+  await ShowProgress.bulkWrite([
+    {
+      updateOne: {
+        filter: query,
+        // Refresh the copied show details on every mark
+        update: { $set: { name: show.name, poster_path: show.poster_path, lastWatchedAt: new Date() } },
+        upsert: true
+      }
+    },
+    ...episodes.map(({ season, episode }) => ({
+      updateOne: {
+        filter: { ...query, episodes: { $not: { $elemMatch: { season, episode } } } },
+        update: { $push: { episodes: { season, episode } } }
+      }
+    }))
+  ]);
+
+  return ShowProgress.findOne(query);
+};
+
+// Unmark the episodes matching condition and return the updated progress. A
+// show with none left watched is forgotten so it drops out of "Continue
+// watching" - unless another request marked an episode in the meantime.
+const removeWatched = async (req, condition) => {
+  const progress = await ShowProgress.findOneAndUpdate(
+    progressQuery(req),
+    { $pull: { episodes: condition } },
+    { new: true }
+  );
+
+  if (progress && progress.episodes.length === 0) {
+    const { deletedCount } = await ShowProgress.deleteOne({ _id: progress._id, episodes: { $size: 0 } });
+    return deletedCount > 0 ? null : ShowProgress.findById(progress._id);
+  }
+  return progress;
+};
+
+// The summary plus the watched episodes, as every per-show endpoint answers
+const formatProgress = (progress, show) => ({
+  ...summarizeProgress(progress, show),
+  episodes: progress ? progress.episodes : []
+});
+
+// @desc    Get the user's progress through a TV show
+// @route   GET /api/progress/tv/:showId
+// @access  Private
+const getShowProgress = asyncHandler(async (req, res) => {
+  const show = await tmdbService.getTVShowDetails(req.params.showId);
+  const progress = await ShowProgress.findOne(progressQuery(req));
+  res.json(formatProgress(progress, show));
+});
+
+// @desc    Mark an episode watched
+// @route   PUT /api/progress/tv/:showId/season/:seasonNumber/episode/:episodeNumber
+// @access  Private
+const markEpisodeWatched = asyncHandler(async (req, res) => {
+  const { showId, seasonNumber, episodeNumber } = req.params;
+  const show = await tmdbService.getTVShowDetails(showId);
+
+  const aired = findSeasonEpisodes(show, seasonNumber);
+  const season = show.seasons.find((item) => item.season_number === seasonNumber);
+  if (episodeNumber > season.episode_count) {
+    throw new NotFoundError('Episode not found');
+  }
+  if (!aired.some((item) => item.episode === episodeNumber)) {
+    throw new ValidationError('This episode has not aired yet', { code: 'NOT_AIRED' });
+  }
+
+  const progress = await addWatched(req, show, [{ season: seasonNumber, episode: episodeNumber }]);
+
+  res.json(formatProgress(progress, show));
+});
+
+// @desc    Mark an episode not watched
+// @route   DELETE /api/progress/tv/:showId/season/:seasonNumber/episode/:episodeNumber
+// @access  Private
+const markEpisodeUnwatched = asyncHandler(async (req, res) => {
+  const { showId, seasonNumber, episodeNumber } = req.params;
+  const show = await tmdbService.getTVShowDetails(showId);
+  const progress = await removeWatched(req, { season: seasonNumber, episode: episodeNumber });
+
+  res.json(formatProgress(progress, show));
+});
+
+// @desc    Mark every aired episode of a season watched
+// @route   PUT /api/progress/tv/:showId/season/:seasonNumber
+// @access  Private
+const markSeasonWatched = asyncHandler(async (req, res) => {
+  const { showId, seasonNumber } = req.params;
+  const show = await tmdbService.getTVShowDetails(showId);
+
+  const episodes = findSeasonEpisodes(show, seasonNumber);
+  if (episodes.length === 0) {
+    throw new ValidationError('No episodes of this season have aired yet', { code: 'NOT_AIRED' });
+  }
+
+  const progress = await addWatched(req, show, episodes);
+
+  res.json(formatProgress(progress, show));
+});
+
+// @desc    Mark every episode of a season not watched
+// @route   DELETE /api/progress/tv/:showId/season/:seasonNumber
+// @access  Private
+const markSeasonUnwatched = asyncHandler(async (req, res) => {
+  const { showId, seasonNumber } = req.params;
+  const show = await tmdbService.getTVShowDetails(showId);
+  const progress = await removeWatched(req, { season: seasonNumber });
+
+  res.json(formatProgress(progress, show));
+});
+
+// @desc    Get the shows the user is part way through, most recently watched first
+// @route   GET /api/progress/continue
+// @access  Private
+const getContinueWatching = asyncHandler(async (req, res) => {
+  const { limit } = req.query;
+  const shows = [];
+
+  const progressList = await ShowProgress.find({ user: req.user.id })
+    .sort({ lastWatchedAt: -1, _id: -1 });
+
+  // One show at a time (the details are usually cached), stopping once the
+  // list is full so users who track many shows don't cost a TMDB call each
+  for (const progress of progressList) {
+    if (shows.length >= limit) break;
+
+    let show;
+    try {
+      show = await tmdbService.getTVShowDetails(progress.showId);
+    } catch (error) {
+      // A show TMDB has since removed can't be continued
+      if (error instanceof NotFoundError) continue;
+      throw error;
+    }
+
+    const summary = summarizeProgress(progress, show);
+    // Finished or caught up shows have no next episode; shows with only
+    // specials watched haven't been started
+    if (summary.watchedCount > 0 && summary.nextEpisode) {
+      shows.push(summary);
+    }
+  }
+
+  res.json(shows);
+});
+
+module.exports = {
+  getShowProgress,
+  markEpisodeWatched,
+  markEpisodeUnwatched,
+  markSeasonWatched,
+  markSeasonUnwatched,
+  getContinueWatching
+};
@@ -1,107 +1,223 @@
 const Review = require('../models/Review');
 const tmdbService = require('../services/tmdbService');
+const ratingService = require('../services/ratingService');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
 // @desc    Create a new review
 // @route   POST /api/reviews
 // @access  Private
-const createReview = async (req, res) => {
-  try {
-    const { mediaId, mediaType, content, rating } = req.body;
-
-    // Validate input
-    if (!mediaId || !mediaType || !content || !rating) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
+const createReview = asyncHandler(async (req, res) => {
+  const { mediaId, mediaType, content, rating } = req.body;
 
-    // Check if the media exists by fetching its details
-    let mediaDetails;
-    try {
-      if (mediaType === 'movie') {
-        mediaDetails = await tmdbService.getMovieDetails(mediaId);
-      } else if (mediaType === 'tv') {
-        mediaDetails = await tmdbService.getTVShowDetails(mediaId);
-      } else {
-        return res.status(400).json({ message: 'Invalid media type' });
-      }
-    } catch (error) {
-      return res.status(404).json({ message: 'Media not found' });
+  // Check if the media exists by fetching its details
+  let mediaDetails;
+  try {
+    mediaDetails = mediaType === 'movie'
+      ? await tmdbService.getMovieDetails(mediaId)
+      : await tmdbService.getTVShowDetails(mediaId);
+  } catch (error) {
+    // TMDB outages are passed on; only unknown titles are reported here
+    if (error instanceof NotFoundError) {
+      throw new NotFoundError('Media not found');
     }
+    throw error;
+  }
 
-    // Check if user already has a review for this media
-    const existingReview = await Review.findOne({
-      user: req.user.id,
-      mediaId,
-      mediaType
-    });
+  // Check if user already has a review for this media
+  const existingReview = await Review.findOne({
+    user: req.user.id,
+    mediaId,
+    mediaType
+  });
 
-    if (existingReview) {
-      return res.status(400).json({ message: 'You have already reviewed this title' });
-    }
+  if (existingReview) {
+    throw new ConflictError('You have already reviewed this title');
+  }
 
-    // Get title and poster path based on media type
-    const mediaTitle = mediaType === 'movie' ? mediaDetails.title : mediaDetails.name;
-    const mediaPoster = mediaDetails.poster_path;
+  // Get title and poster path based on media type
+  const mediaTitle = mediaType === 'movie' ? mediaDetails.title : mediaDetails.name;
+  const mediaPoster = mediaDetails.poster_path;
 
-    // Create new review
-    const review = new Review({
-      user: req.user.id,
-      mediaId,
-      mediaType,
-      mediaTitle,
-      mediaPoster,
-      rating,
-      content
-    });
+  // Create new review
+  const review = new Review({
+    user: req.user.id,
+    mediaId,
+    mediaType,
+    mediaTitle,
+    mediaPoster,
+    rating,
+    content
+  });
 
-    await review.save();
+  await review.save();
+  await ratingService.refreshRatingStats(mediaType, mediaId);
 
-    res.status(201).json(review);
-  } catch (error) {
-    console.error('Error in createReview controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+  res.status(201).json(review);
+});
 
 // @desc    Get user's reviews
 // @route   GET /api/reviews
 // @access  Private
-const getUserReviews = async (req, res) => {
-  try {
-    const reviews = await Review.find({ user: req.user.id }).sort({ createdAt: -1 });
-    res.json(reviews);
-  } catch (error) {
-    console.error('Error in getUserReviews controller:', error);
-    res.status(500).json({ message: 'Server error' });
+const getUserReviews = asyncHandler(async (req, res) => {
+  const reviews = await Review.find({ user: req.user.id }).sort({ createdAt: -1 });
+  res.json(reviews);
+});
+
+// @desc    Update a review
+// @route   PUT /api/reviews/:id
+// @access  Private
+const updateReview = asyncHandler(async (req, res) => {
+  const { content, rating } = req.body;
+
+  if (content === undefined && rating === undefined) {
+    throw new ValidationError([
+      { field: 'rating', location: 'body', message: 'Rating or review is required' },
+      { field: 'content', location: 'body', message: 'Rating or review is required' }
+    ]);
+  }
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  // Check if the review belongs to the user
+  if (review.user.toString() !== req.user.id) {
+    throw new AuthError('Not authorized', { code: 'NOT_REVIEW_AUTHOR' });
   }
-};
+
+  const newRating = rating !== undefined ? rating : review.rating;
+  const newContent = content !== undefined ? content : review.content;
+
+  // Nothing changed, so there is no new revision to record
+  if (newRating === review.rating && newContent === review.content) {
+    return res.json(review);
+  }
+
+  // A single pipeline update archives the stored version and replaces it in
+  // one atomic write, so concurrent edits can never lose a revision.
+  // Field references in $set resolve against the document before the update.
+  const updatedReview = await Review.findOneAndUpdate(
+    { _id: review._id, user: req.user.id },
+    [{
+      $set: {
+        revisions: {
+          $slice: [
+            {
+              $concatArrays: [
+                { $ifNull: ['$revisions', []] },
+                [{
+                  rating: '$rating',
+                  content: '$content',
+                  savedAt: { $ifNull: ['$updatedAt', '$createdAt'] }
+                }]
+              ]
+            },
+            -Review.MAX_REVISIONS
+          ]
+        },
+        rating: { $literal: newRating },
+        content: { $literal: newContent },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { new: true }
+  );
+
+  if (!updatedReview) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (updatedReview.rating !== review.rating) {
+    await ratingService.refreshRatingStats(updatedReview.mediaType, updatedReview.mediaId);
+  }
+
+  res.json(updatedReview);
+});
+
+// @desc    Get CineConnect reviews for a movie or TV show. A logged-in
+//          caller's own review is left out (the details page shows it apart),
+//          so pages stay full and total_results counts only the others.
+// @route   GET /api/reviews/:mediaType/:mediaId
+// @access  Public
+const getMediaReviews = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId } = req.params;
+  const { page, limit, sort } = req.query;
+
+  // _id is the final tie-breaker so pages stay stable between requests
+  const sortOptions = {
+    newest: { createdAt: -1, _id: -1 },
+    highest: { rating: -1, createdAt: -1, _id: -1 },
+    lowest: { rating: 1, createdAt: -1, _id: -1 }
+  };
+
+  const filter = { mediaType, mediaId };
+  if (req.user) {
+    filter.user = { $ne: req.user.id };
+  }
+
+  const [totalResults, reviews] = await Promise.all([
+    Review.countDocuments(filter),
+    Review.find(filter)
+      .sort(sortOptions[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-revisions')
+      .populate('user', 'username')
+  ]);
+
+  // Same pagination shape as the TMDB review endpoints
+  res.json({
+    page,
+    results: reviews,
+    total_pages: Math.ceil(totalResults / limit),
+    total_results: totalResults
+  });
+});
+
+// @desc    Get CineConnect rating stats for a movie or TV show
+// @route   GET /api/reviews/:mediaType/:mediaId/stats
+// @access  Public
+const getMediaRatingStats = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId } = req.params;
+
+  const stats = await ratingService.getRatingStats(mediaType, mediaId);
+  res.json({ mediaType, mediaId, ...stats });
+});
 
 // @desc    Delete a review
 // @route   DELETE /api/reviews/:id
 // @access  Private
-const deleteReview = async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
 
-    if (!review) {
-      return res.status(404).json({ message: 'Review not found' });
-    }
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
 
-    // Check if the review belongs to the user
-    if (review.user.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
+  // Check if the review belongs to the user
+  if (review.user.toString() !== req.user.id) {
+    throw new AuthError('Not authorized', { code: 'NOT_REVIEW_AUTHOR' });
+  }
 
-    await Review.deleteOne({ _id: req.params.id });
+  await Review.deleteOne({ _id: req.params.id });
+  await ratingService.refreshRatingStats(review.mediaType, review.mediaId);
 
-    res.json({ message: 'Review removed' });
-  } catch (error) {
-    console.error('Error in deleteReview controller:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+  res.json({ message: 'Review removed' });
+});
 
 module.exports = {
   createReview,
   getUserReviews,
+  getMediaReviews,
+  getMediaRatingStats,
+  updateReview,
   deleteReview
 }; 
\ No newline at end of file
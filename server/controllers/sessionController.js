@@ -0,0 +1,76 @@
+const sessionService = require('../services/sessionService');
+const asyncHandler = require('../utils/asyncHandler');
+const { AuthError, NotFoundError } = require('../utils/errors');
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshSession = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokens = await sessionService.rotateSession(refreshToken, req);
+
+  if (!tokens) {
+    throw new AuthError('Invalid or expired refresh token', { code: 'REFRESH_TOKEN_INVALID' });
+  }
+
+  res.json(tokens);
+});
+
+// @desc    Log out the session a refresh token belongs to
+// @route   POST /api/users/logout
+// @access  Public
+const logoutUser = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Logging out an already ended session is not an error
+  await sessionService.revokeSessionByRefreshToken(refreshToken);
+
+  res.json({ message: 'Logged out' });
+});
+
+// @desc    Log out of all devices
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  await sessionService.revokeAllSessions(req.user._id);
+
+  res.json({ message: 'Logged out of all devices' });
+});
+
+// @desc    Get the user's active sessions
+// @route   GET /api/users/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.json(sessions.map((session) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === req.sessionId
+  })));
+});
+
+// @desc    Log out a single session
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+const deleteSession = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.params.id, req.user._id);
+
+  if (!revoked) {
+    throw new NotFoundError('Session not found');
+  }
+
+  res.json({ message: 'Session revoked' });
+});
+
+module.exports = {
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
+};
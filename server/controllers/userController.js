@@ -1,510 +1,582 @@
 const User = require('../models/User');
-const { generateToken, generateRandomToken } = require('../utils/generateToken');
+const { TOKEN_LIFETIMES, generateRandomToken } = require('../utils/generateToken');
 const emailService = require('../services/emailService');
+const { resolveLocale } = require('../locales');
+const sessionService = require('../services/sessionService');
+const asyncHandler = require('../utils/asyncHandler');
+const { logger } = require('../utils/logger');
+const {
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors');
 const bcrypt = require('bcryptjs');
 
 // @desc    Register a new user
 // @route   POST /api/users/register
 // @access  Public
-const registerUser = async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+const registerUser = asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+  // Emails are sent in the language the client asked for, or the browser's
+  const locale = resolveLocale(req.body.locale || req.get('Accept-Language'));
 
-    // Check if user or email already exists
-    const userExists = await User.findOne({ $or: [{ email }, { username }] });
+  // Check if user or email already exists
+  const userExists = await User.findOne({ $or: [{ email }, { username }] });
 
-    if (userExists) {
-      if (userExists.email === email) {
-        return res.status(400).json({ message: 'Email is already registered' });
-      } else {
-        return res.status(400).json({ message: 'Username is already taken' });
-      }
+  if (userExists) {
+    if (userExists.email === email) {
+      throw new ConflictError('Email is already registered', { code: 'EMAIL_TAKEN' });
+    } else {
+      throw new ConflictError('Username is already taken', { code: 'USERNAME_TAKEN' });
     }
+  }
 
-    // Generate verification token
-    const emailVerificationToken = generateRandomToken();
-    const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-
-    // Create new user
-    const user = await User.create({
-      username,
-      email,
-      password,
-      isEmailVerified: false,
-      emailVerificationToken,
-      emailVerificationExpires
-    });
+  // Generate verification token
+  const emailVerificationToken = generateRandomToken();
+  const emailVerificationExpires = new Date(Date.now() + TOKEN_LIFETIMES.emailVerification);
+
+  // Create new user
+  const user = await User.create({
+    username,
+    email,
+    password,
+    locale,
+    isEmailVerified: false,
+    emailVerificationToken,
+    emailVerificationExpires
+  });
+
+  // Sign the new user in
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+
+  // Queue the verification email; the job worker sends and retries it
+  await emailService.sendVerificationEmail(user, emailVerificationToken);
+
+  // Return user data (excluding password) and token
+  res.status(201).json({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    locale: user.locale,
+    role: user.role,
+    token,
+    refreshToken,
+    message: 'Registration successful! Please check your email to verify your account.'
+  });
+});
+
+// Human readable wait time, e.g. "15 minutes" or "2 hours"
+const formatWait = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
 
-    try {
-      // Send verification email
-      await emailService.sendVerificationEmail(user, emailVerificationToken);
-
-      // Return user data (excluding password) and token
-      res.status(201).json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        token: generateToken(user._id),
-        message: 'Registration successful! Please check your email to verify your account.'
-      });
-    } catch (emailError) {
-      console.error('Error sending verification email:', emailError);
-
-      // Still create the user, but inform them about the email issue
-      res.status(201).json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        token: generateToken(user._id),
-        message: 'Registration successful, but we could not send a verification email. Please try requesting a new verification email from your profile page.'
-      });
-    }
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+// Count a failed login and lock the account once there are too many in a row.
+// The counter is incremented atomically so parallel guesses are all counted.
+const recordFailedLogin = async (user) => {
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  const lockMinutes = User.lockMinutesFor(updatedUser.failedLoginAttempts);
+  if (!lockMinutes) {
+    return;
+  }
+
+  const unlockToken = generateRandomToken();
+  updatedUser.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  updatedUser.unlockToken = unlockToken;
+  updatedUser.unlockTokenExpires = new Date(Date.now() + TOKEN_LIFETIMES.accountUnlock);
+  await updatedUser.save();
+
+  try {
+    await emailService.sendAccountLockedEmail(updatedUser, unlockToken, lockMinutes);
+  } catch (emailError) {
+    // The lock still expires on its own
+    logger.error('Could not queue account locked email', { userId: updatedUser._id, err: emailError });
   }
 };
 
+// Failed logins for emails without an account. They lock the same way real
+// accounts do, so a locked response doesn't reveal which emails are
+// registered. Kept in memory like the rate limit counters, dropping the
+// longest idle emails once full.
+const MAX_UNKNOWN_EMAILS = 10000;
+const unknownEmailFailures = new Map();
+
+const recordUnknownEmailFailure = (email) => {
+  const entry = unknownEmailFailures.get(email) || { failedLoginAttempts: 0, lockUntil: null };
+  entry.failedLoginAttempts += 1;
+
+  const lockMinutes = User.lockMinutesFor(entry.failedLoginAttempts);
+  if (lockMinutes) {
+    entry.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  }
+
+  unknownEmailFailures.delete(email);
+  unknownEmailFailures.set(email, entry);
+
+  if (unknownEmailFailures.size > MAX_UNKNOWN_EMAILS) {
+    unknownEmailFailures.delete(unknownEmailFailures.keys().next().value);
+  }
+};
+
+// Unknown emails have their password checked against this hash, so a login
+// takes as long whether or not the account exists
+const UNKNOWN_EMAIL_PASSWORD_HASH = bcrypt.hashSync('no account has this password', User.PASSWORD_SALT_ROUNDS);
+
+const accountLockedError = (lockUntil) => {
+  const retryAfter = Math.ceil((lockUntil - Date.now()) / 1000);
+  return new TooManyRequestsError(
+    `Too many failed login attempts. Try again in ${formatWait(Math.ceil(retryAfter / 60))} or use the unlock link we emailed you.`,
+    retryAfter,
+    { code: 'ACCOUNT_LOCKED' }
+  );
+};
+
 // @desc    User login
 // @route   POST /api/users/login
 // @access  Public
-const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-
-    // Check user exists and password matches
-    if (user && (await user.matchPassword(password))) {
-      // Update last login time
-      user.lastLogin = new Date();
-      await user.save();
-
-      res.json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        token: generateToken(user._id)
-      });
+const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user by email
+  const user = await User.findOne({ email });
+
+  // Locked accounts are refused before the password is even checked
+  if (user && user.isLocked()) {
+    throw accountLockedError(user.lockUntil);
+  }
+
+  const unknownEmail = !user && unknownEmailFailures.get(email);
+  if (unknownEmail && unknownEmail.lockUntil > Date.now()) {
+    throw accountLockedError(unknownEmail.lockUntil);
+  }
+
+  // Check user exists and password matches
+  const passwordMatches = user
+    ? await user.matchPassword(password)
+    : await bcrypt.compare(password, UNKNOWN_EMAIL_PASSWORD_HASH).then(() => false);
+
+  if (passwordMatches) {
+    // Update last login time and clear failed attempts
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+
+    res.json({
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+      locale: user.locale,
+      role: user.role,
+      token,
+      refreshToken
+    });
+  } else {
+    if (user) {
+      await recordFailedLogin(user);
     } else {
-      res.status(401).json({ message: 'Invalid email or password' });
+      recordUnknownEmailFailure(email);
     }
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    throw new AuthError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
   }
-};
+});
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/users/unlock/:token
+// @access  Public
+const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    unlockToken: token,
+    unlockTokenExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired unlock link', { code: 'INVALID_TOKEN' });
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  user.unlockToken = null;
+  user.unlockTokenExpires = null;
+  await user.save();
+
+  res.json({ message: 'Your account has been unlocked. You can now log in.' });
+});
 
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
-const updateUserProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
+const updateUserProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    // Check if there are pending changes already
-    if (user.pendingChanges.changeType) {
-      return res.status(400).json({
-        message: 'You have pending changes that require verification. Please check your email or request a new verification link.'
-      });
+  // Check if there are pending changes already
+  if (user.pendingChanges.changeType) {
+    throw new ConflictError(
+      'You have pending changes that require verification. Please check your email or request a new verification link.',
+      { code: 'PENDING_CHANGES' }
+    );
+  }
+
+  // Track what kind of changes are being made
+  let hasChanges = false;
+  let changeType = null;
+  const pendingChanges = {
+    username: null,
+    email: null,
+    password: null
+  };
+
+  // Handle email change
+  if (req.body.email && req.body.email !== user.email) {
+    // Check if email is already taken
+    const emailExists = await User.findOne({ email: req.body.email });
+    if (emailExists) {
+      throw new ConflictError('Email is already in use', { code: 'EMAIL_TAKEN' });
     }
 
-    // Track what kind of changes are being made
-    let hasChanges = false;
-    let changeType = null;
-    const pendingChanges = {
-      username: null,
-      email: null,
-      password: null
-    };
+    pendingChanges.email = req.body.email;
+    changeType = 'email';
+    hasChanges = true;
+  }
 
-    // Handle email change
-    if (req.body.email && req.body.email !== user.email) {
-      // Check if email is already taken
-      const emailExists = await User.findOne({ email: req.body.email });
-      if (emailExists) {
-        return res.status(400).json({ message: 'Email is already in use' });
-      }
-
-      pendingChanges.email = req.body.email;
-      changeType = 'email';
-      hasChanges = true;
+  // Handle username change
+  if (req.body.username && req.body.username !== user.username) {
+    // Check if username is already taken
+    const usernameExists = await User.findOne({ username: req.body.username });
+    if (usernameExists) {
+      throw new ConflictError('Username is already taken', { code: 'USERNAME_TAKEN' });
     }
 
-    // Handle username change
-    if (req.body.username && req.body.username !== user.username) {
-      // Check if username is already taken
-      const usernameExists = await User.findOne({ username: req.body.username });
-      if (usernameExists) {
-        return res.status(400).json({ message: 'Username is already taken' });
-      }
-
-      pendingChanges.username = req.body.username;
-      changeType = changeType ? 'multiple' : 'username';
-      hasChanges = true;
-    }
+    pendingChanges.username = req.body.username;
+    changeType = changeType ? 'multiple' : 'username';
+    hasChanges = true;
+  }
 
-    // Handle password change - requires current password
-    if (req.body.newPassword) {
-      if (!req.body.currentPassword) {
-        return res.status(400).json({ message: 'Current password is required' });
-      }
-
-      // Verify current password
-      const isMatch = await user.matchPassword(req.body.currentPassword);
-      if (!isMatch) {
-        return res.status(401).json({ message: 'Current password is incorrect' });
-      }
-
-      // Hash the new password for storage in pending changes
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(req.body.newPassword, salt);
-
-      pendingChanges.password = hashedPassword;
-      changeType = changeType ? 'multiple' : 'password';
-      hasChanges = true;
+  // Handle password change - requires current password
+  if (req.body.newPassword) {
+    if (!req.body.currentPassword) {
+      throw new ValidationError([
+        { field: 'currentPassword', location: 'body', message: 'Current password is required' }
+      ]);
     }
 
-    // Don't proceed if no changes
-    if (!hasChanges) {
-      return res.status(400).json({ message: 'No changes were requested' });
+    // Verify current password
+    const isMatch = await user.matchPassword(req.body.currentPassword);
+    if (!isMatch) {
+      throw new AuthError('Current password is incorrect', { code: 'INVALID_CREDENTIALS' });
     }
 
-    // Generate verification token
-    const emailVerificationToken = generateRandomToken();
-    const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    // Hash the new password for storage in pending changes
+    const salt = await bcrypt.genSalt(User.PASSWORD_SALT_ROUNDS);
+    const hashedPassword = await bcrypt.hash(req.body.newPassword, salt);
 
-    // Set pending changes and verification data
-    user.pendingChanges = {
-      ...pendingChanges,
-      changeType
-    };
-    user.emailVerificationToken = emailVerificationToken;
-    user.emailVerificationExpires = emailVerificationExpires;
+    pendingChanges.password = hashedPassword;
+    changeType = changeType ? 'multiple' : 'password';
+    hasChanges = true;
+  }
 
-    // Save the user with pending changes
-    await user.save();
+  // Don't proceed if no changes
+  if (!hasChanges) {
+    throw new ValidationError('No changes were requested', { code: 'NO_CHANGES' });
+  }
 
-    try {
-      // Send verification email
-      // Determine where to send the verification email (current email or new email if changing)
-      const emailTarget = pendingChanges.email || user.email;
-
-      // Customize message based on change type
-      let changeMessage;
-      switch (changeType) {
-        case 'username':
-          changeMessage = `username to "${pendingChanges.username}"`;
-          break;
-        case 'email':
-          changeMessage = `email to "${pendingChanges.email}"`;
-          break;
-        case 'password':
-          changeMessage = 'password';
-          break;
-        case 'multiple':
-          changeMessage = 'profile information';
-          break;
-      }
-
-      await emailService.sendProfileVerificationEmail(
-        user,
-        emailVerificationToken,
-        emailTarget,
-        changeType,
-        pendingChanges
-      );
-
-      res.json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        pendingChanges: {
-          hasChanges: true,
-          changeType
-        },
-        message: `A verification email has been sent to ${emailTarget}. Please verify to apply your changes to ${changeMessage}.`
-      });
-    } catch (emailError) {
-      console.error('Error sending verification email:', emailError);
-
-      // Reset verification fields if email fails
-      user.pendingChanges = {
-        username: null,
-        email: null,
-        password: null,
-        changeType: null
-      };
-      user.emailVerificationToken = null;
-      user.emailVerificationExpires = null;
-      await user.save();
-
-      return res.status(500).json({
-        message: 'Could not send verification email. Please try again later.'
-      });
-    }
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ message: 'Server error during profile update' });
+  // Generate verification token
+  const emailVerificationToken = generateRandomToken();
+  const emailVerificationExpires = new Date(Date.now() + TOKEN_LIFETIMES.profileChange);
+
+  // Set pending changes and verification data
+  user.pendingChanges = {
+    ...pendingChanges,
+    changeType
+  };
+  user.emailVerificationToken = emailVerificationToken;
+  user.emailVerificationExpires = emailVerificationExpires;
+
+  // Save the user with pending changes
+  await user.save();
+
+  // Determine where to send the verification email (current email or new email if changing)
+  const emailTarget = pendingChanges.email || user.email;
+
+  // Customize message based on change type
+  let changeMessage;
+  switch (changeType) {
+    case 'username':
+      changeMessage = `username to "${pendingChanges.username}"`;
+      break;
+    case 'email':
+      changeMessage = `email to "${pendingChanges.email}"`;
+      break;
+    case 'password':
+      changeMessage = 'password';
+      break;
+    case 'multiple':
+      changeMessage = 'profile information';
+      break;
   }
-};
+
+  await emailService.sendProfileVerificationEmail(
+    user,
+    emailVerificationToken,
+    emailTarget,
+    pendingChanges
+  );
+
+  res.json({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    pendingChanges: {
+      hasChanges: true,
+      changeType
+    },
+    message: `A verification email has been sent to ${emailTarget}. Please verify to apply your changes to ${changeMessage}.`
+  });
+});
 
 // @desc    Verify Email
 // @route   GET /api/users/verify-email/:token
 // @access  Public
-const verifyEmail = async (req, res) => {
-  try {
-    const { token } = req.params;
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
 
-    const user = await User.findOne({
-      emailVerificationToken: token,
-      emailVerificationExpires: { $gt: Date.now() }
-    });
+  const user = await User.findOne({
+    emailVerificationToken: token,
+    emailVerificationExpires: { $gt: Date.now() }
+  });
 
-    if (!user) {
-      return res.status(400).json({
-        message: 'Invalid or expired verification token'
-      });
-    }
+  if (!user) {
+    throw new ValidationError('Invalid or expired verification token', { code: 'INVALID_TOKEN' });
+  }
 
-    // Handle initial account verification
-    if (!user.isEmailVerified && !user.pendingChanges.changeType) {
-      user.isEmailVerified = true;
+  // Handle initial account verification
+  if (!user.isEmailVerified && !user.pendingChanges.changeType) {
+    user.isEmailVerified = true;
+  }
+
+  let passwordChanged = false;
+
+  // Handle profile changes verification
+  if (user.pendingChanges && user.pendingChanges.changeType) {
+    const { pendingChanges } = user;
+
+    // Apply username change if requested
+    if (pendingChanges.username) {
+      user.username = pendingChanges.username;
     }
 
-    // Handle profile changes verification
-    if (user.pendingChanges && user.pendingChanges.changeType) {
-      const { pendingChanges } = user;
-
-      // Apply username change if requested
-      if (pendingChanges.username) {
-        user.username = pendingChanges.username;
-      }
-
-      // Apply email change if requested
-      if (pendingChanges.email) {
-        user.email = pendingChanges.email;
-      }
-
-      // Apply password change if requested
-      if (pendingChanges.password) {
-        user.password = pendingChanges.password; // Already hashed
-      }
-
-      // Clear pending changes
-      user.pendingChanges = {
-        username: null,
-        email: null,
-        password: null,
-        changeType: null
-      };
-
-      // Email is considered verified if profile changes are verified
-      if (!user.isEmailVerified) {
-        user.isEmailVerified = true;
-      }
+    // Apply email change if requested
+    if (pendingChanges.email) {
+      user.email = pendingChanges.email;
     }
 
-    // Clear verification data
-    user.emailVerificationToken = null;
-    user.emailVerificationExpires = null;
+    // Apply password change if requested
+    if (pendingChanges.password) {
+      user.password = pendingChanges.password; // Already hashed
+      user.$locals.passwordIsHashed = true;
+      passwordChanged = true;
+    }
 
-    await user.save();
+    // Clear pending changes
+    user.pendingChanges = {
+      username: null,
+      email: null,
+      password: null,
+      changeType: null
+    };
 
-    // Determine appropriate success message
-    let message = 'Email verified successfully';
-    if (user.pendingChanges && user.pendingChanges.changeType) {
-      message = 'Profile changes applied successfully';
+    // Email is considered verified if profile changes are verified
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
     }
+  }
 
-    res.json({
-      success: true,
-      message: message
-    });
-  } catch (error) {
-    console.error('Email verification error:', error);
-    res.status(500).json({ message: 'Server error during verification' });
+  // Clear verification data
+  user.emailVerificationToken = null;
+  user.emailVerificationExpires = null;
+
+  await user.save();
+
+  // A new password logs the user out everywhere
+  if (passwordChanged) {
+    await sessionService.revokeAllSessions(user._id);
   }
-};
+
+  // Determine appropriate success message
+  let message = 'Email verified successfully';
+  if (user.pendingChanges && user.pendingChanges.changeType) {
+    message = 'Profile changes applied successfully';
+  }
+
+  res.json({
+    success: true,
+    message: message
+  });
+});
 
 // @desc    Resend Verification Email
 // @route   POST /api/users/resend-verification
 // @access  Private
-const resendVerificationEmail = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    // Only allow resending verification for unverified accounts
-    if (user.isEmailVerified) {
-      return res.status(400).json({
-        message: 'Your email is already verified'
-      });
-    }
+  // Only allow resending verification for unverified accounts
+  if (user.isEmailVerified) {
+    throw new ConflictError('Your email is already verified', { code: 'ALREADY_VERIFIED' });
+  }
 
-    // Generate new verification token
-    const emailVerificationToken = generateRandomToken();
-    const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  // Generate new verification token
+  const emailVerificationToken = generateRandomToken();
+  const emailVerificationExpires = new Date(Date.now() + TOKEN_LIFETIMES.emailVerification);
 
-    user.emailVerificationToken = emailVerificationToken;
-    user.emailVerificationExpires = emailVerificationExpires;
+  user.emailVerificationToken = emailVerificationToken;
+  user.emailVerificationExpires = emailVerificationExpires;
 
-    // Save updated user
-    await user.save();
+  // Save updated user
+  await user.save();
 
-    try {
-      // Send verification email
-      await emailService.sendVerificationEmail(user, emailVerificationToken, user.email);
-
-      res.json({
-        message: 'Verification email has been sent'
-      });
-    } catch (emailError) {
-      console.error('Error sending verification email:', emailError);
-      res.status(500).json({
-        message: 'Could not send verification email. Please try again later.'
-      });
-    }
-  } catch (error) {
-    console.error('Resend verification error:', error);
-    res.status(500).json({ message: 'Server error during verification email resend' });
-  }
-};
+  await emailService.sendVerificationEmail(user, emailVerificationToken, user.email);
+
+  res.json({
+    message: 'Verification email has been sent'
+  });
+});
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
-const getUserProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('-password');
+const getUserProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('-password');
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.json(user);
+});
 
-    res.json(user);
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ message: 'Server error retrieving profile' });
+// @desc    Update user preferences
+// @route   PUT /api/users/preferences
+// @access  Private
+const updatePreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
+
+  user.locale = req.body.locale;
+  await user.save();
+
+  res.json({
+    locale: user.locale
+  });
+});
 
 // @desc    Request password reset
 // @route   POST /api/users/forgot-password
 // @access  Public
-const forgotPassword = async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
 
-    const user = await User.findOne({ email });
+  const user = await User.findOne({ email });
 
-    // Always return the same response to prevent email enumeration
-    if (!user) {
-      return res.json({
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
-    }
-
-    // Generate reset token and expiry
-    const passwordResetToken = generateRandomToken();
-    const passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-    // Update user with reset token
-    user.passwordResetToken = passwordResetToken;
-    user.passwordResetExpires = passwordResetExpires;
-    await user.save();
+  // Always return the same response to prevent email enumeration
+  if (!user) {
+    return res.json({
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    });
+  }
 
-    try {
-      // Send password reset email
-      await emailService.sendVerificationEmail(user, passwordResetToken, null, true);
+  // Generate reset token and expiry
+  const passwordResetToken = generateRandomToken();
+  const passwordResetExpires = new Date(Date.now() + TOKEN_LIFETIMES.passwordReset);
 
-      res.json({
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
-    } catch (emailError) {
-      console.error('Error sending password reset email:', emailError);
+  // Update user with reset token
+  user.passwordResetToken = passwordResetToken;
+  user.passwordResetExpires = passwordResetExpires;
+  await user.save();
 
-      // Remove the token if email failed
-      user.passwordResetToken = null;
-      user.passwordResetExpires = null;
-      await user.save();
+  await emailService.sendPasswordResetEmail(user, passwordResetToken);
 
-      res.status(500).json({
-        message: 'Error sending password reset email. Please try again later.'
-      });
-    }
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ message: 'Server error processing password reset request' });
-  }
-};
+  res.json({
+    message: 'If an account with that email exists, a password reset link has been sent.'
+  });
+});
 
 // @desc    Reset password with token
 // @route   POST /api/users/reset-password/:token
 // @access  Public
-const resetPassword = async (req, res) => {
-  try {
-    const { token } = req.params;
-    const { password } = req.body;
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
 
-    if (!password) {
-      return res.status(400).json({ message: 'New password is required' });
-    }
+  const user = await User.findOne({
+    passwordResetToken: token,
+    passwordResetExpires: { $gt: Date.now() }
+  });
 
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters' });
-    }
+  if (!user) {
+    throw new ValidationError('Invalid or expired password reset token', { code: 'INVALID_TOKEN' });
+  }
 
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+  // Set new password
+  user.password = password;
 
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid or expired password reset token' });
-    }
+  // Clear reset token
+  user.passwordResetToken = null;
+  user.passwordResetExpires = null;
 
-    // Set new password
-    user.password = password;
+  // Proving access to the mailbox also lifts a login lock
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  user.unlockToken = null;
+  user.unlockTokenExpires = null;
 
-    // Clear reset token
-    user.passwordResetToken = null;
-    user.passwordResetExpires = null;
+  await user.save();
 
-    await user.save();
+  // Log out every device, including any that may have been compromised
+  await sessionService.revokeAllSessions(user._id);
 
-    res.json({
-      message: 'Password has been reset successfully. You can now log in with your new password.'
-    });
-  } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ message: 'Server error during password reset' });
-  }
-};
+  res.json({
+    message: 'Password has been reset successfully. You can now log in with your new password.'
+  });
+});
 
 module.exports = {
   registerUser,
   loginUser,
   updateUserProfile,
   getUserProfile,
+  updatePreferences,
   verifyEmail,
   resendVerificationEmail,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  unlockAccount
 }; 
\ No newline at end of file
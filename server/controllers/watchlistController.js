@@ -1,115 +1,141 @@
-const User = require('../models/User');
+const WatchlistItem = require('../models/WatchlistItem');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// MongoDB error code for a duplicate key
+const DUPLICATE_KEY = 11000;
+
+// A watched date only makes sense for something that has been watched
+const checkWatchedAt = (status, watchedAt) => {
+  if (watchedAt && status !== 'watched') {
+    throw new ValidationError('Watched date can only be set on watched items', { code: 'NOT_WATCHED' });
+  }
+};
+
+// The user's entry for one title; movie and TV ids overlap, so both are needed
+const itemQuery = (req) => ({
+  user: req.user.id,
+  mediaType: req.params.mediaType,
+  mediaId: req.params.mediaId
+});
 
 // @desc    Add item to watchlist
 // @route   POST /api/users/watchlist
 // @access  Private
-const addToWatchlist = async (req, res) => {
-  try {
-    const { mediaType, mediaId, title, posterPath } = req.body;
+const addToWatchlist = asyncHandler(async (req, res) => {
+  const { mediaType, mediaId, title, posterPath, status, notes, priority, watchedAt } = req.body;
+  checkWatchedAt(status, watchedAt);
+
+  const item = new WatchlistItem({
+    user: req.user.id,
+    mediaType,
+    mediaId,
+    title,
+    poster_path: posterPath,
+    notes,
+    priority
+  });
+  if (status) {
+    item.applyStatus(status, watchedAt);
+  }
 
-    // Basic validation
-    if (!mediaType || !mediaId || !title) {
-      return res.status(400).json({ message: 'Missing required fields' });
+  try {
+    await item.save();
+  } catch (error) {
+    // The unique index also catches two adds racing each other
+    if (error.code === DUPLICATE_KEY) {
+      throw new ConflictError('Item already in watchlist');
     }
+    throw error;
+  }
 
-    const user = await User.findById(req.user.id);
+  res.status(201).json({
+    message: 'Added to watchlist',
+    item
+  });
+});
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// @desc    Update an item's status, notes, priority or watched date
+// @route   PUT /api/users/watchlist/:mediaType/:mediaId
+// @access  Private
+const updateWatchlistItem = asyncHandler(async (req, res) => {
+  const { status, notes, priority, watchedAt } = req.body;
 
-    // Check if media already exists in watchlist
-    const existingItem = user.watchlist.find(
-      item => item.mediaType === mediaType && item.mediaId === parseInt(mediaId)
-    );
+  const item = await WatchlistItem.findOne(itemQuery(req));
 
-    if (existingItem) {
-      return res.status(400).json({ message: 'Item already in watchlist' });
-    }
+  if (!item) {
+    throw new NotFoundError('Item not found in watchlist');
+  }
 
-    // Add to watchlist
-    user.watchlist.push({
-      mediaType,
-      mediaId: parseInt(mediaId),
-      title,
-      poster_path: posterPath,
-      added_at: Date.now()
-    });
-
-    await user.save();
-
-    res.status(201).json({
-      message: 'Added to watchlist',
-      item: user.watchlist[user.watchlist.length - 1]
-    });
-  } catch (error) {
-    console.error('Add to watchlist error:', error);
-    res.status(500).json({ message: 'Server error adding to watchlist' });
+  checkWatchedAt(status || item.status, watchedAt);
+  if (status !== undefined || watchedAt !== undefined) {
+    item.applyStatus(status || item.status, watchedAt);
+  }
+  if (notes !== undefined) {
+    item.notes = notes;
+  }
+  if (priority !== undefined) {
+    item.priority = priority;
   }
-};
 
-// @desc    Remove item from watchlist
-// @route   DELETE /api/users/watchlist/:mediaId
-// @access  Private
-const removeFromWatchlist = async (req, res) => {
-  try {
-    const { mediaId } = req.params;
+  await item.save();
 
-    const user = await User.findById(req.user.id);
+  res.json({
+    message: 'Watchlist item updated',
+    item
+  });
+});
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// @desc    Check whether a title is on the watchlist
+// @route   GET /api/users/watchlist/:mediaType/:mediaId
+// @access  Private
+const getWatchlistItem = asyncHandler(async (req, res) => {
+  // A title that is not on the list is a normal answer here, not a 404
+  const item = await WatchlistItem.findOne(itemQuery(req));
 
-    // Ensure mediaId is handled as a number for comparison
-    const mediaIdNumber = parseInt(mediaId);
+  res.json({
+    inWatchlist: Boolean(item),
+    item
+  });
+});
 
-    // Check if item exists in watchlist
-    const existingItemIndex = user.watchlist.findIndex(
-      item => item.mediaId === mediaIdNumber
-    );
+// @desc    Remove item from watchlist
+// @route   DELETE /api/users/watchlist/:mediaType/:mediaId
+// @access  Private
+const removeFromWatchlist = asyncHandler(async (req, res) => {
+  const item = await WatchlistItem.findOneAndDelete(itemQuery(req));
 
-    if (existingItemIndex === -1) {
-      return res.status(404).json({ message: 'Item not found in watchlist' });
-    }
+  if (!item) {
+    throw new NotFoundError('Item not found in watchlist');
+  }
 
-    // Remove item from watchlist
-    user.watchlist.splice(existingItemIndex, 1);
-    await user.save();
+  const watchlist = await WatchlistItem.find({ user: req.user.id }).sort({ added_at: -1, _id: -1 });
 
-    res.json({
-      message: 'Removed from watchlist',
-      watchlist: user.watchlist
-    });
-  } catch (error) {
-    console.error('Remove from watchlist error:', error);
-    res.status(500).json({ message: 'Server error removing from watchlist' });
-  }
-};
+  res.json({
+    message: 'Removed from watchlist',
+    watchlist
+  });
+});
 
-// @desc    Get user watchlist
+// @desc    Get user watchlist, optionally only the items with one status
 // @route   GET /api/users/watchlist
 // @access  Private
-const getWatchlist = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
+const getWatchlist = asyncHandler(async (req, res) => {
+  const query = { user: req.user.id };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+  // Most recently added first
+  const watchlist = await WatchlistItem.find(query).sort({ added_at: -1, _id: -1 });
 
-    // Sort watchlist by date added (most recent first)
-    const sortedWatchlist = [...user.watchlist].sort((a, b) => b.added_at - a.added_at);
-
-    res.json(sortedWatchlist);
-  } catch (error) {
-    console.error('Get watchlist error:', error);
-    res.status(500).json({ message: 'Server error retrieving watchlist' });
-  }
-};
+  res.json(watchlist);
+});
 
 module.exports = {
   addToWatchlist,
+  getWatchlistItem,
+  updateWatchlistItem,
   removeFromWatchlist,
   getWatchlist
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,68 @@
+/**
+ * Translations for emails. Each <locale>.json holds the same keys as en.json;
+ * missing keys fall back to English.
+ *
+ *   const t = createTranslator('es');
+ *   t('common.greeting', { username });          // "Hola, moviefan:"
+ *   t('duration.hours', { count: 1 });           // plural forms: { one, other }
+ */
+const locales = {
+  en: require('./en.json'),
+  es: require('./es.json'),
+  fr: require('./fr.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+const lookup = (messages, key) => key
+  .split('.')
+  .reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), messages);
+
+const interpolate = (text, vars) => text.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+  vars[name] === undefined ? match : String(vars[name])
+));
+
+/**
+ * Best supported locale for a locale tag or an Accept-Language header,
+ * e.g. 'es-MX' or 'fr-CA,fr;q=0.9,en;q=0.8'
+ * @param {String} preferred
+ * @returns {String} A supported locale, DEFAULT_LOCALE if none matches
+ */
+const resolveLocale = (preferred) => {
+  const candidates = String(preferred || '')
+    .split(',')
+    .map((part) => part.split(';')[0].trim().toLowerCase().split('-')[0]);
+  return candidates.find((locale) => SUPPORTED_LOCALES.includes(locale)) || DEFAULT_LOCALE;
+};
+
+/**
+ * Translate function for a locale
+ * @param {String} locale - Supported locale (others use DEFAULT_LOCALE)
+ * @returns {Function} t(key, vars) - the translation, or the key if no locale has it
+ */
+const createTranslator = (locale) => {
+  const messages = locales[locale] || locales[DEFAULT_LOCALE];
+
+  return (key, vars = {}) => {
+    let value = lookup(messages, key);
+    if (value === undefined) {
+      value = lookup(locales[DEFAULT_LOCALE], key);
+    }
+    if (value === undefined) {
+      return key;
+    }
+    if (typeof value === 'object') {
+      value = vars.count === 1 ? value.one : value.other;
+    }
+    return interpolate(value, vars);
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  locales,
+  resolveLocale,
+  createTranslator
+};
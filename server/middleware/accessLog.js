@@ -0,0 +1,48 @@
+const { logger } = require('../utils/logger');
+
+const segments = (path) => path.split('/').filter(Boolean);
+
+// Route pattern of the request, e.g. /api/users/reset-password/:token, so
+// tokens in paths never reach the log. Unmatched requests log their path.
+// req.baseUrl is reset once a router is done, so the mount path is taken from
+// the URL: everything before the segments the route pattern matched.
+const routeOf = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  if (!req.route || typeof req.route.path !== 'string') {
+    return path;
+  }
+
+  const pathSegments = segments(path);
+  const routeSegments = segments(req.route.path);
+  const mountSegments = pathSegments.slice(0, pathSegments.length - routeSegments.length);
+  return `/${[...mountSegments, ...routeSegments].join('/')}`;
+};
+
+// Log one entry per request once the response has been sent
+const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    let level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    // Health probes arrive every few seconds; only their failures are news
+    if (level === 'info' && req.originalUrl.startsWith('/health/')) {
+      level = 'debug';
+    }
+
+    logger[level]('HTTP request', {
+      // The response can finish outside the request's logging context
+      requestId: req.id,
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      contentLength: res.get('Content-Length') ? Number(res.get('Content-Length')) : undefined,
+      userId: req.user ? req.user.id : undefined
+    });
+  });
+
+  next();
+};
+
+module.exports = accessLog;
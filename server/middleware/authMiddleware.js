@@ -1,46 +1,74 @@
 const jwt = require('jsonwebtoken');
+const config = require('../config/config');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const asyncHandler = require('../utils/asyncHandler');
+const { AuthError, ForbiddenError } = require('../utils/errors');
 
-const protect = async (req, res, next) => {
-  let token;
-
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      if (!token) {
-        console.log('Token is empty after splitting');
-        return res.status(401).json({ message: 'Not authorized, invalid token format' });
-      }
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token (exclude password)
-      const user = await User.findById(decoded.id).select('-password');
-
-      if (!user) {
-        console.log('User not found for token ID:', decoded.id);
-        return res.status(401).json({ message: 'User not found' });
-      }
-
-      req.user = user;
-      next();
-    } catch (error) {
-      console.error('Auth middleware error:', error.message);
-      return res.status(401).json({
-        message: 'Not authorized, token failed',
-        error: error.message
-      });
+// Verify the access token, mapping JWT failures to auth errors
+const verifyToken = (token) => {
+  try {
+    return jwt.verify(token, config.JWT_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new AuthError('Not authorized, token expired', { code: 'TOKEN_EXPIRED' });
     }
-  } else {
-    console.log('No Authorization header or not Bearer format');
-    return res.status(401).json({ message: 'Not authorized, no token' });
+    throw new AuthError('Not authorized, token failed', { code: 'TOKEN_INVALID' });
   }
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+const protect = asyncHandler(async (req, res, next) => {
+  const { authorization } = req.headers;
+
+  if (!authorization || !authorization.startsWith('Bearer')) {
+    throw new AuthError('Not authorized, no token', { code: 'NO_TOKEN' });
+  }
+
+  // Get token from header
+  const token = authorization.split(' ')[1];
+
+  if (!token) {
+    throw new AuthError('Not authorized, invalid token format', { code: 'TOKEN_INVALID' });
+  }
+
+  const decoded = verifyToken(token);
+
+  // Get user from the token (exclude password)
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new AuthError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+
+  // Reject tokens issued before the last password change or reset
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AuthError('Password was changed, please log in again', { code: 'PASSWORD_CHANGED' });
+  }
+
+  // Access tokens only work while their session has not been logged out
+  if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, user._id))) {
+    throw new AuthError('Session has ended, please log in again', { code: 'SESSION_ENDED' });
+  }
+
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
+});
+
+// Identify the user when a token is sent, but let anonymous requests through
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// Only let users with one of the roles through; use after protect
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError('You do not have access to this page'));
+  }
+  next();
+};
+
+module.exports = { protect, optionalAuth, requireRole };
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Turn errors thrown by Express, Mongoose and the MongoDB driver into AppErrors.
+// Anything unrecognised is a bug and becomes a plain 500.
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Errors from express.json()
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError([
+      { field: error.path, location: null, message: `Invalid ${error.path}` }
+    ]);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(Object.values(error.errors).map((fieldError) => ({
+      field: fieldError.path,
+      location: 'body',
+      message: fieldError.message
+    })));
+  }
+
+  // A document changed between being read and saved (optimistic concurrency)
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('This record was changed by another request. Please try again.', { code: 'VERSION_CONFLICT' });
+  }
+
+  // Unique index violation that slipped past the controller's own checks
+  if (error.code === 11000) {
+    return new ConflictError('This record already exists', { code: 'DUPLICATE' });
+  }
+
+  return null;
+};
+
+// 404 for requests that matched no route
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Final error middleware - sends every error in the same JSON envelope.
+// Internal details are logged, never sent to the client. Express recognises
+// error middleware by its four arguments, so next must stay in the signature.
+const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+
+  if (!appError || appError.statusCode >= 500) {
+    logger.error('Request failed', { method: req.method, url: req.originalUrl, err: error });
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (!appError) {
+    return res.status(500).json({
+      message: 'Server error',
+      code: 'INTERNAL_ERROR',
+      requestId: req.id
+    });
+  }
+
+  res.set(appError.headers);
+  res.status(appError.statusCode).json({
+    message: appError.message,
+    code: appError.code,
+    requestId: req.id,
+    ...appError.details
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFound,
+  toAppError
+};
@@ -0,0 +1,121 @@
+const config = require('../config/config');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Fixed-window request counters kept in memory.
+ * Counts are per process, which suits a single server instance; running
+ * several instances would need a shared store with the same increment method.
+ */
+class MemoryRateLimitStore {
+  constructor({ maxKeys = 10000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.windows = new Map();
+  }
+
+  // Count a request under key and return { count, resetAt } for its window
+  increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      // Re-insert so the Map stays ordered by window start, oldest first
+      this.windows.delete(key);
+      if (this.windows.size >= this.maxKeys) {
+        this.prune(now);
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  // Drop expired windows, then the oldest ones until there is room for a new
+  // key, so a flood of distinct keys can't grow the store without bound
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+
+    for (const key of this.windows.keys()) {
+      if (this.windows.size < this.maxKeys) {
+        break;
+      }
+      this.windows.delete(key);
+    }
+  }
+
+  reset() {
+    this.windows.clear();
+  }
+}
+
+const store = new MemoryRateLimitStore();
+
+// Key functions - each returns the value to count a request under, or null to
+// let the request through uncounted
+const keyByIp = (req) => req.ip || null;
+
+const keyByEmail = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Requires protect to run first
+const keyByUser = (req) => (req.user ? req.user.id : null);
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {String} options.name - Unique name, keeps the counters of different limiters apart
+ * @param {Number} options.windowMs - Length of the counting window
+ * @param {Number} options.max - Requests allowed per key in each window
+ * @param {Function} options.keyBy - Key function (keyByIp, keyByEmail, keyByUser or custom)
+ * @param {String} options.message - Error message for throttled requests
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyBy = keyByIp,
+  message = 'Too many requests. Please try again later.'
+}) => (req, res, next) => {
+  if (!config.RATE_LIMIT_ENABLED) {
+    return next();
+  }
+
+  const key = keyBy(req);
+  if (!key) {
+    return next();
+  }
+
+  const { count, resetAt } = store.increment(`${name}:${key}`, windowMs);
+  const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - count, 0)),
+    'RateLimit-Reset': String(retryAfter)
+  });
+
+  if (count > max) {
+    return next(new TooManyRequestsError(message, retryAfter));
+  }
+
+  next();
+};
+
+// Clear all counters (used by the test suite)
+const resetRateLimits = () => store.reset();
+
+module.exports = {
+  rateLimit,
+  keyByIp,
+  keyByEmail,
+  keyByUser,
+  resetRateLimits,
+  MemoryRateLimitStore
+};
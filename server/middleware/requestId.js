@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const { requestContext } = require('../utils/logger');
+
+// Accept ids from a proxy or the client only if they look harmless
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an id, echoed in the X-Request-Id header and in error
+// responses so a failed request can be matched with the server logs. The rest
+// of the request runs inside the logging context, so every log entry written
+// while handling it carries the id.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
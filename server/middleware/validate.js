@@ -0,0 +1,251 @@
+/**
+ * Declarative request validation.
+ *
+ * Routes describe the params, query and body they accept with field rules:
+ *
+ *   validate({
+ *     params: { id: v.objectId().required() },
+ *     body: { rating: v.integer().min(1).max(10) }
+ *   })
+ *
+ * Values are coerced to the declared type (query strings become numbers etc.),
+ * fields not in the schema are rejected and every failing field is reported
+ * as a ValidationError:
+ *
+ *   400 { message, code: 'VALIDATION_ERROR', requestId, errors: [{ field, location, message }] }
+ *
+ * Locations left out of a schema are not checked.
+ */
+const { ValidationError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// "mediaType" -> "Media type"
+const defaultLabel = (field) => {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Convert a raw value to the rule's type. Returns { value } or { error }.
+const coercers = {
+  string: (value) => {
+    if (typeof value === 'string') return { value };
+    if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+    return { error: 'must be text' };
+  },
+  integer: (value) => {
+    if (typeof value === 'number' && Number.isInteger(value)) return { value };
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return { value: parseInt(value, 10) };
+    return { error: 'must be a whole number' };
+  },
+  number: (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value };
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      return { value: Number(value) };
+    }
+    return { error: 'must be a number' };
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: 'must be true or false' };
+  },
+  // ISO 8601 dates such as 2024-05-01 or 2024-05-01T20:30:00Z, as a Date
+  date: (value) => {
+    const date = typeof value === 'string' && value.trim() !== '' ? new Date(value) : null;
+    if (date && !Number.isNaN(date.getTime())) return { value: date };
+    return { error: 'must be a date' };
+  }
+};
+
+class Rule {
+  constructor(type) {
+    this.type = type;
+    this.isRequired = false;
+    this.isNullable = false;
+    this.defaultValue = undefined;
+    this.fieldLabel = null;
+    this.transforms = [];
+    this.checks = [];
+  }
+
+  required() {
+    this.isRequired = true;
+    return this;
+  }
+
+  // Accept null as a value (e.g. to clear an optional field)
+  nullable() {
+    this.isNullable = true;
+    return this;
+  }
+
+  // Value used when the field is missing
+  default(value) {
+    this.defaultValue = value;
+    return this;
+  }
+
+  // Name used in error messages instead of the field name
+  label(text) {
+    this.fieldLabel = text;
+    return this;
+  }
+
+  trim() {
+    this.transforms.push((value) => value.trim());
+    return this;
+  }
+
+  lowercase() {
+    this.transforms.push((value) => value.toLowerCase());
+    return this;
+  }
+
+  // Minimum length for text, minimum value for numbers
+  min(limit) {
+    if (this.type === 'string') {
+      return this.check((value) => value.length >= limit, `must be at least ${limit} characters`);
+    }
+    return this.check((value) => value >= limit, `must be at least ${limit}`);
+  }
+
+  // Maximum length for text, maximum value for numbers
+  max(limit) {
+    if (this.type === 'string') {
+      return this.check((value) => value.length <= limit, `must be at most ${limit} characters`);
+    }
+    return this.check((value) => value <= limit, `must be at most ${limit}`);
+  }
+
+  oneOf(values) {
+    return this.check((value) => values.includes(value), `must be one of: ${values.join(', ')}`);
+  }
+
+  pattern(regex, message = 'is not in the right format') {
+    return this.check((value) => regex.test(value), message);
+  }
+
+  // Add a custom check; message is appended to the field label
+  check(test, message) {
+    this.checks.push({ test, message });
+    return this;
+  }
+
+  /**
+   * Validate and coerce a single value
+   * @returns {Object} { value } (undefined when an optional field is absent) or { error }
+   */
+  run(rawValue, field) {
+    const label = this.fieldLabel || defaultLabel(field);
+    const missing = rawValue === undefined || (rawValue === '' && this.type !== 'string');
+
+    if (missing) {
+      if (this.defaultValue !== undefined) return { value: this.defaultValue };
+      return this.isRequired ? { error: `${label} is required` } : { value: undefined };
+    }
+
+    if (rawValue === null) {
+      if (this.isNullable) return { value: null };
+      return this.isRequired ? { error: `${label} is required` } : { error: `${label} cannot be empty` };
+    }
+
+    const coerced = coercers[this.type](rawValue);
+    if (coerced.error) {
+      return { error: `${label} ${coerced.error}` };
+    }
+
+    let value = coerced.value;
+    if (typeof value === 'string') {
+      value = this.transforms.reduce((current, transform) => transform(current), value);
+
+      if (value === '') {
+        if (this.defaultValue !== undefined) return { value: this.defaultValue };
+        if (this.isRequired) return { error: `${label} is required` };
+        if (this.isNullable) return { value: null };
+      }
+    }
+
+    const failed = this.checks.find(({ test }) => !test(value));
+    if (failed) {
+      return { error: `${label} ${failed.message}` };
+    }
+
+    return { value };
+  }
+}
+
+// Rule builders
+const v = {
+  string: () => new Rule('string'),
+  integer: () => new Rule('integer'),
+  number: () => new Rule('number'),
+  boolean: () => new Rule('boolean'),
+  date: () => new Rule('date'),
+  email: () => new Rule('string').trim().lowercase()
+    .check((value) => EMAIL_PATTERN.test(value), 'must be a valid email address'),
+  objectId: () => new Rule('string')
+    .check((value) => OBJECT_ID_PATTERN.test(value), 'must be a valid id'),
+  // TMDB ids: positive integers, passed along as strings
+  tmdbId: () => new Rule('string').trim()
+    .check((value) => /^[1-9]\d*$/.test(value), 'must be a valid TMDB id'),
+  mediaType: () => new Rule('string').oneOf(['movie', 'tv'])
+};
+
+/**
+ * Build a middleware validating req.params, req.query and req.body
+ * @param {Object} schema - { params, query, body }, each mapping field names to rules
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  LOCATIONS.forEach((location) => {
+    const rules = schema[location];
+    if (!rules) return;
+
+    const input = req[location] === undefined ? {} : req[location];
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      errors.push({ field: null, location, message: `Request ${location} must be an object` });
+      return;
+    }
+
+    Object.keys(input)
+      .filter((field) => !rules[field])
+      .forEach((field) => {
+        errors.push({ field, location, message: `Unknown field "${field}"` });
+      });
+
+    const output = {};
+    Object.keys(rules).forEach((field) => {
+      const result = rules[field].run(input[field], field);
+      if (result.error) {
+        errors.push({ field, location, message: result.error });
+      } else if (result.value !== undefined) {
+        output[field] = result.value;
+      }
+    });
+
+    validated[location] = output;
+  });
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+
+  // Replace the raw input with the coerced values
+  if (validated.params) Object.assign(req.params, validated.params);
+  if (validated.query) req.query = validated.query;
+  if (validated.body) req.body = validated.body;
+
+  next();
+};
+
+module.exports = {
+  validate,
+  v,
+  Rule
+};
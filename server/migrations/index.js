@@ -0,0 +1,19 @@
+/**
+ * Data migrations, run in order when the server connects to MongoDB and by
+ * `npm run migrate`. Each one exports { name, up } and must be safe to run
+ * again once it has completed, since no record of finished migrations is kept.
+ */
+const { logger } = require('../utils/logger');
+
+const migrations = [
+  require('./watchlistItems')
+];
+
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    const result = await migration.up();
+    logger.info('Migration checked', { migration: migration.name, ...result });
+  }
+};
+
+module.exports = { migrations, runMigrations };
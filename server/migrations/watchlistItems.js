@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const WatchlistItem = require('../models/WatchlistItem');
+
+/**
+ * Move watchlists embedded in user documents (user.watchlist) into the
+ * watchlistitems collection. Safe to run again: items that were already
+ * copied are skipped and the embedded array is removed once copied.
+ * @returns {Object} { users, items } - how many users and items were moved
+ */
+const up = async () => {
+  // The watchlist path is no longer in the User schema, so use the driver
+  const users = await User.collection
+    .find({ watchlist: { $exists: true } }, { projection: { watchlist: 1 } })
+    .toArray();
+
+  let items = 0;
+  for (const user of users) {
+    const docs = (user.watchlist || []).map((item) => ({
+      user: user._id,
+      mediaType: item.mediaType,
+      mediaId: item.mediaId,
+      title: item.title,
+      poster_path: item.poster_path,
+      added_at: item.added_at || new Date()
+    }));
+
+    // Upserts skip items an earlier, interrupted run already copied
+    if (docs.length > 0) {
+      const result = await WatchlistItem.bulkWrite(docs.map((doc) => ({
+        updateOne: {
+          filter: { user: doc.user, mediaType: doc.mediaType, mediaId: doc.mediaId },
+          update: { $setOnInsert: doc },
+          upsert: true
+        }
+      })));
+      items += result.upsertedCount;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { watchlist: '' } });
+  }
+
+  return { users: users.length, items };
+};
+
+module.exports = {
+  name: 'watchlist-items',
+  up
+};
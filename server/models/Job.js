@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Keep finished jobs around for a week so recent activity can be inspected
+const SUCCEEDED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// A unit of background work, run by the worker in services/jobQueue.js.
+// Jobs that fail on every attempt stay in the collection as "dead" until an
+// admin retries or deletes them.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // Not run before this time - pushed back after every failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker runs the job; a stale lock means the worker died
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// The worker picks the oldest due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Let MongoDB remove succeeded jobs after a while
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: SUCCEEDED_JOB_TTL_SECONDS, partialFilterExpression: { status: 'succeeded' } }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Most titles one list can hold; items are embedded so the list keeps its order
+const MAX_ITEMS = 500;
+
+// A movie or TV show on a list, in the order the owner arranged them
+const listItemSchema = new mongoose.Schema({
+  mediaType: {
+    type: String,
+    enum: ['movie', 'tv'],
+    required: true
+  },
+  mediaId: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  poster_path: String,
+  added_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A named list of titles, e.g. "Best heist movies". Public lists can be read
+// by anyone with the link; private ones only by their owner.
+const listSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a list name'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  items: {
+    type: [listItemSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listSchema.index({ user: 1, updatedAt: -1 });
+
+listSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+// Position of a title in the list, or -1
+listSchema.methods.indexOfItem = function (mediaType, mediaId) {
+  return this.items.findIndex((item) => item.mediaType === mediaType && item.mediaId === mediaId);
+};
+
+module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Aggregate CineConnect rating for a single movie or TV show.
+// Derived from the Review collection by services/ratingService.
+const mediaRatingSchema = new mongoose.Schema({
+  mediaId: {
+    type: String,
+    required: true
+  },
+  mediaType: {
+    type: String,
+    enum: ['movie', 'tv'],
+    required: true
+  },
+  average: {
+    type: Number,
+    default: 0
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // histogram[i] holds the number of reviews rated i + 1
+  histogram: {
+    type: [Number],
+    default: () => new Array(10).fill(0)
+  },
+  // Refreshes started for this title, and the newest one whose stats are
+  // stored. Lets an older refresh that finishes late leave newer stats alone.
+  refreshes: {
+    type: Number,
+    default: 0
+  },
+  appliedRefresh: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One stats document per title
+mediaRatingSchema.index({ mediaType: 1, mediaId: 1 }, { unique: true });
+
+module.exports = mongoose.model('MediaRating', mediaRatingSchema);
@@ -36,10 +36,35 @@ const reviewSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  updatedAt: {
+    type: Date,
+    default: null
+  },
+  // Earlier versions of the review, oldest first, capped at MAX_REVISIONS entries
+  revisions: [{
+    _id: false,
+    rating: Number,
+    content: String,
+    savedAt: Date
+  }]
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Maximum number of earlier versions kept per review
+reviewSchema.statics.MAX_REVISIONS = 10;
+
+// A review counts as edited once it has been updated after creation
+reviewSchema.virtual('edited').get(function () {
+  return !!this.updatedAt;
 });
 
 // Compound index to prevent duplicate reviews
 reviewSchema.index({ user: 1, mediaId: 1, mediaType: 1 }, { unique: true });  //enforces that no two documents can have this identical triple (user, mediaId, mediaType)
 
+// Supports listing the community reviews of a single title
+reviewSchema.index({ mediaType: 1, mediaId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Review', reviewSchema); 
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// An episode the user has watched
+const watchedEpisodeSchema = new mongoose.Schema({
+  season: {
+    type: Number,
+    required: true
+  },
+  episode: {
+    type: Number,
+    required: true
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Which episodes of a TV show a user has watched. The show's name and poster
+// are copied from TMDB so "Continue watching" can be drawn without them.
+const showProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  showId: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  poster_path: String,
+  episodes: {
+    type: [watchedEpisodeSchema],
+    default: []
+  },
+  // Last time an episode was marked watched; orders "Continue watching"
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per show per user
+showProgressSchema.index({ user: 1, showId: 1 }, { unique: true });
+showProgressSchema.index({ user: 1, lastWatchedAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ShowProgress', showProgressSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../locales');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -67,23 +68,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  watchlist: [{
-    mediaType: {
-      type: String,
-      enum: ['movie', 'tv'],
-      required: true
-    },
-    mediaId: {
-      type: Number,
-      required: true
-    },
-    title: String,
-    poster_path: String,
-    added_at: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Admins can see and retry failed background jobs (npm run users:admin)
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Language of the emails sent to this user
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -91,15 +87,66 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Tokens issued before this time are rejected by the auth middleware
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Brute-force protection - see loginUser
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  unlockToken: {
+    type: String,
+    default: null
+  },
+  unlockTokenExpires: {
+    type: Date,
+    default: null
   }
 });
 
+// bcrypt cost factor for stored passwords
+userSchema.statics.PASSWORD_SALT_ROUNDS = 10;
+
+// Failed logins in a row before the account is locked
+userSchema.statics.MAX_FAILED_LOGINS = 5;
+
+// The first lock lasts LOCK_MINUTES; every further failure after a lock
+// doubles it, up to MAX_LOCK_MINUTES
+userSchema.statics.LOCK_MINUTES = 15;
+userSchema.statics.MAX_LOCK_MINUTES = 24 * 60;
+
+// Lock length after the given number of consecutive failed logins (0 = no lock)
+userSchema.statics.lockMinutesFor = function (failedAttempts) {
+  if (failedAttempts < this.MAX_FAILED_LOGINS) {
+    return 0;
+  }
+
+  const doublings = failedAttempts - this.MAX_FAILED_LOGINS;
+  return Math.min(this.LOCK_MINUTES * 2 ** doublings, this.MAX_LOCK_MINUTES);
+};
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
 
+  // Changing the password of an existing account invalidates all of its tokens
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
+  // Verified profile changes carry a password that was hashed when requested
+  if (this.$locals.passwordIsHashed) return next();
+
   try {
-    const salt = await bcrypt.genSalt(10);
+    const salt = await bcrypt.genSalt(this.constructor.PASSWORD_SALT_ROUNDS);
     //Generates a random "salt" value. Cost factor 10 means bcrypt does 2¹⁰ (1024) internal rounds—more rounds = slower hashing = harder for attackers.
     this.password = await bcrypt.hash(this.password, salt);
     //Combines your plain password + the salt and runs the bcrypt algorithm
@@ -116,4 +163,20 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   //You never decrypt the stored hash—instead, you hash the submitted password with the same salt & cost.
 };
 
+// Whether login is currently blocked after too many failed attempts
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// Whether the password was changed after a JWT was issued (iat is in seconds).
+// A token issued in the same second as the change is still accepted so the
+// login that follows a reset is not rejected.
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Where a title stands for the user, in the order the watchlist tabs show them
+const WATCH_STATUSES = ['plan_to_watch', 'watching', 'watched', 'dropped'];
+const PRIORITIES = ['low', 'normal', 'high'];
+
+// A movie or TV show on a user's watchlist. These used to be embedded in the
+// User document (see migrations/watchlistItems.js); the field names of that
+// array (poster_path, added_at) are kept so API responses are unchanged.
+const watchlistItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mediaType: {
+    type: String,
+    enum: ['movie', 'tv'],
+    required: true
+  },
+  mediaId: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  poster_path: String,
+  status: {
+    type: String,
+    enum: WATCH_STATUSES,
+    default: 'plan_to_watch'
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'normal'
+  },
+  // When the user finished it; only set while the status is "watched"
+  watchedAt: {
+    type: Date,
+    default: null
+  },
+  added_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One entry per title per user
+watchlistItemSchema.index({ user: 1, mediaType: 1, mediaId: 1 }, { unique: true });
+watchlistItemSchema.index({ user: 1, added_at: -1, _id: -1 });
+
+watchlistItemSchema.statics.WATCH_STATUSES = WATCH_STATUSES;
+watchlistItemSchema.statics.PRIORITIES = PRIORITIES;
+
+// Keep watchedAt in step with the status: stamp it when an item becomes
+// watched (unless a date was given) and clear it when it stops being watched
+watchlistItemSchema.methods.applyStatus = function (status, watchedAt) {
+  this.status = status;
+  if (status !== 'watched') {
+    this.watchedAt = null;
+  } else if (watchedAt !== undefined) {
+    this.watchedAt = watchedAt;
+  } else if (!this.watchedAt) {
+    this.watchedAt = new Date();
+  }
+};
+
+module.exports = mongoose.model('WatchlistItem', watchlistItemSchema);
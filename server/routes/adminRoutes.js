@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/adminValidators');
+const { getJobs, retryJob, deleteJob } = require('../controllers/adminController');
+
+// Routes for /api/admin - every route needs an admin account
+router.use(protect, requireRole('admin'));
+
+router.get('/jobs', validate(schemas.listJobs), getJobs);
+router.post('/jobs/:id/retry', validate(schemas.jobId), retryJob);
+router.delete('/jobs/:id', validate(schemas.jobId), deleteJob);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getEmails, getEmail, clearEmails } = require('../controllers/devController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/devValidators');
+
+// Routes for /api/dev - development helpers, only mounted outside production
+// while the outbox or memory email transport is selected (see app.js)
+router.get('/emails', validate(schemas.listEmails), getEmails);
+router.get('/emails/:id', validate(schemas.emailId), getEmail);
+router.delete('/emails', clearEmails);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getLiveness, getReadiness } = require('../controllers/healthController');
+
+// Routes for /health
+router.get('/live', getLiveness);
+router.get('/ready', getReadiness);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  moveListItem,
+  removeListItem
+} = require('../controllers/listController');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/listValidators');
+
+// Routes for /api/lists
+router.get('/', protect, validate(schemas.getMyLists), getMyLists);
+router.post('/', protect, validate(schemas.createList), createList);
+// Public lists can be opened from a shared link without logging in
+router.get('/:id', validate(schemas.list), optionalAuth, getList);
+router.put('/:id', protect, validate(schemas.updateList), updateList);
+router.delete('/:id', protect, validate(schemas.list), deleteList);
+router.post('/:id/items', protect, validate(schemas.addListItem), addListItem);
+router.put('/:id/items/:mediaType/:mediaId', protect, validate(schemas.moveListItem), moveListItem);
+router.delete('/:id/items/:mediaType/:mediaId', protect, validate(schemas.listItem), removeListItem);
+
+module.exports = router;
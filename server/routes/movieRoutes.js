@@ -2,25 +2,44 @@ const express = require('express');
 const router = express.Router();
 const {
   getPopularMovies,
+  discoverMovies,
+  getMovieGenres,
   getTrendingMovies,
   getPopularTVShows,
+  discoverTVShows,
+  getTVGenres,
   getTrendingTVShows,
   getMovieDetails,
   getTVShowDetails,
+  getSeasonDetails,
+  getEpisodeDetails,
+  getPersonDetails,
   searchMedia,
   getMediaReviews
 } = require('../controllers/movieController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/movieValidators');
 
 // Movies routes
-router.get('/popular', getPopularMovies);
-router.get('/trending/:timeWindow', getTrendingMovies);
-router.get('/search', searchMedia);
-router.get('/:id', getMovieDetails);
-router.get('/:type/:id/reviews', getMediaReviews);
+router.get('/popular', validate(schemas.paged), getPopularMovies);
+// Registered before /:id, which would otherwise take these names as ids
+router.get('/discover', validate(schemas.discover), discoverMovies);
+router.get('/genres', getMovieGenres);
+router.get('/trending/:timeWindow', validate(schemas.trending), getTrendingMovies);
+router.get('/search', validate(schemas.search), searchMedia);
+router.get('/:id', validate(schemas.details), getMovieDetails);
+router.get('/:type/:id/reviews', validate(schemas.tmdbReviews), getMediaReviews);
 
 // TV Shows routes
-router.get('/tv/popular', getPopularTVShows);
-router.get('/tv/trending/:timeWindow', getTrendingTVShows);
-router.get('/tv/:id', getTVShowDetails);
+router.get('/tv/popular', validate(schemas.paged), getPopularTVShows);
+router.get('/tv/discover', validate(schemas.discover), discoverTVShows);
+router.get('/tv/genres', getTVGenres);
+router.get('/tv/trending/:timeWindow', validate(schemas.trending), getTrendingTVShows);
+router.get('/tv/:id', validate(schemas.details), getTVShowDetails);
+router.get('/tv/:id/season/:seasonNumber', validate(schemas.season), getSeasonDetails);
+router.get('/tv/:id/season/:seasonNumber/episode/:episodeNumber', validate(schemas.episode), getEpisodeDetails);
+
+// People routes
+router.get('/person/:id', validate(schemas.details), getPersonDetails);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShowProgress,
+  markEpisodeWatched,
+  markEpisodeUnwatched,
+  markSeasonWatched,
+  markSeasonUnwatched,
+  getContinueWatching
+} = require('../controllers/progressController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/progressValidators');
+
+// Routes for /api/progress
+router.get('/continue', protect, validate(schemas.continueWatching), getContinueWatching);
+router.get('/tv/:showId', protect, validate(schemas.show), getShowProgress);
+router.put('/tv/:showId/season/:seasonNumber', protect, validate(schemas.season), markSeasonWatched);
+router.delete('/tv/:showId/season/:seasonNumber', protect, validate(schemas.season), markSeasonUnwatched);
+router.put('/tv/:showId/season/:seasonNumber/episode/:episodeNumber', protect, validate(schemas.episode), markEpisodeWatched);
+router.delete('/tv/:showId/season/:seasonNumber/episode/:episodeNumber', protect, validate(schemas.episode), markEpisodeUnwatched);
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { createReview, getUserReviews, deleteReview } = require('../controllers/reviewController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  createReview,
+  getUserReviews,
+  getMediaReviews,
+  getMediaRatingStats,
+  updateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/reviewValidators');
 
 // Routes for /api/reviews
-router.post('/', protect, createReview);
+router.post('/', protect, validate(schemas.createReview), createReview);
 router.get('/', protect, getUserReviews);
-router.delete('/:id', protect, deleteReview);
+router.get('/:mediaType/:mediaId', validate(schemas.mediaReviews), optionalAuth, getMediaReviews);
+router.get('/:mediaType/:mediaId/stats', validate(schemas.mediaStats), getMediaRatingStats);
+router.put('/:id', protect, validate(schemas.updateReview), updateReview);
+router.delete('/:id', protect, validate(schemas.reviewId), deleteReview);
 
 module.exports = router; 
\ No newline at end of file
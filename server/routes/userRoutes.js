@@ -1,38 +1,134 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit, keyByIp, keyByEmail, keyByUser } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/userValidators');
 const {
   registerUser,
   loginUser,
   updateUserProfile,
   getUserProfile,
+  updatePreferences,
   verifyEmail,
   resendVerificationEmail,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  unlockAccount
 } = require('../controllers/userController');
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Throttling for the auth endpoints. Per-IP limits slow down a single client;
+// per-email limits protect one account (or inbox) from many clients.
+const limits = {
+  loginByIp: rateLimit({
+    name: 'login-ip',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    keyBy: keyByIp,
+    message: 'Too many login attempts. Please try again later.'
+  }),
+  loginByEmail: rateLimit({
+    name: 'login-email',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: keyByEmail,
+    message: 'Too many login attempts for this account. Please try again later.'
+  }),
+  register: rateLimit({
+    name: 'register-ip',
+    windowMs: HOUR,
+    max: 5,
+    keyBy: keyByIp,
+    message: 'Too many accounts created from this network. Please try again later.'
+  }),
+  forgotPasswordByIp: rateLimit({
+    name: 'forgot-password-ip',
+    windowMs: HOUR,
+    max: 5,
+    keyBy: keyByIp,
+    message: 'Too many password reset requests. Please try again later.'
+  }),
+  forgotPasswordByEmail: rateLimit({
+    name: 'forgot-password-email',
+    windowMs: HOUR,
+    max: 3,
+    keyBy: keyByEmail,
+    message: 'Too many password reset requests for this email. Please try again later.'
+  }),
+  resetPassword: rateLimit({
+    name: 'reset-password-ip',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: keyByIp
+  }),
+  unlock: rateLimit({
+    name: 'unlock-ip',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: keyByIp
+  }),
+  resendVerificationByIp: rateLimit({
+    name: 'resend-verification-ip',
+    windowMs: HOUR,
+    max: 10,
+    keyBy: keyByIp,
+    message: 'Too many verification emails requested. Please try again later.'
+  }),
+  resendVerificationByUser: rateLimit({
+    name: 'resend-verification-user',
+    windowMs: HOUR,
+    max: 3,
+    keyBy: keyByUser,
+    message: 'Too many verification emails requested. Please try again later.'
+  })
+};
+
 // Public routes
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+// Limits run before validation so malformed requests are counted too
+router.post('/register', limits.register, validate(schemas.register), registerUser);
+router.post('/login', limits.loginByIp, validate(schemas.login), limits.loginByEmail, loginUser);
 router.get('/verify-email/:token', verifyEmail);
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password/:token', resetPassword);
+router.post('/forgot-password', limits.forgotPasswordByIp, validate(schemas.forgotPassword), limits.forgotPasswordByEmail, forgotPassword);
+router.post('/reset-password/:token', limits.resetPassword, validate(schemas.resetPassword), resetPassword);
+router.get('/unlock/:token', limits.unlock, unlockAccount);
 
 // Protected routes
 router.get('/profile', protect, getUserProfile);
-router.put('/profile', protect, updateUserProfile);
-router.post('/resend-verification', protect, resendVerificationEmail);
+router.put('/profile', protect, validate(schemas.updateProfile), updateUserProfile);
+router.put('/preferences', protect, validate(schemas.updatePreferences), updatePreferences);
+router.post('/resend-verification', limits.resendVerificationByIp, protect, limits.resendVerificationByUser, resendVerificationEmail);
+
+// Session routes
+const {
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
+} = require('../controllers/sessionController');
+
+router.post('/refresh', validate(schemas.refreshToken), refreshSession);
+router.post('/logout', validate(schemas.refreshToken), logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validate(schemas.sessionId), deleteSession);
 
 // Watchlist routes have been moved to a separate controller
 const {
   addToWatchlist,
+  getWatchlistItem,
+  updateWatchlistItem,
   removeFromWatchlist,
   getWatchlist
 } = require('../controllers/watchlistController');
 
-router.get('/watchlist', protect, getWatchlist);
-router.post('/watchlist', protect, addToWatchlist);
-router.delete('/watchlist/:mediaId', protect, removeFromWatchlist);
+router.get('/watchlist', protect, validate(schemas.getWatchlist), getWatchlist);
+router.post('/watchlist', protect, validate(schemas.addToWatchlist), addToWatchlist);
+router.get('/watchlist/:mediaType/:mediaId', protect, validate(schemas.watchlistItem), getWatchlistItem);
+router.put('/watchlist/:mediaType/:mediaId', protect, validate(schemas.updateWatchlistItem), updateWatchlistItem);
+router.delete('/watchlist/:mediaType/:mediaId', protect, validate(schemas.watchlistItem), removeFromWatchlist);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Write server/.env.example from the declarations in config/variables.js
+ *
+ *   npm run env:example          - rewrite .env.example
+ *   npm run env:example -- --check - exit with an error if it is out of date
+ */
+const fs = require('fs');
+const path = require('path');
+const { variables } = require('../config/variables');
+
+const ENV_EXAMPLE_PATH = path.join(__dirname, '..', '.env.example');
+
+const exampleValue = (variable) => {
+  if (variable.example !== undefined) return variable.example;
+  if (variable.secret) return '';
+
+  const fallback = variable.default;
+  const value = fallback !== null && typeof fallback === 'object' ? fallback.development : fallback;
+  return value === undefined || value === null || typeof value === 'function' ? '' : String(value);
+};
+
+const requirementNote = (variable) => {
+  if (typeof variable.required === 'function') return null;
+  if (Array.isArray(variable.required)) return `Required in ${variable.required.join(', ')}`;
+  return variable.required ? 'Required' : null;
+};
+
+const renderEnvExample = () => {
+  const lines = [
+    '# CineConnect server settings. Copy to .env and fill in the blanks.',
+    '# Generated from config/variables.js by `npm run env:example` - edit that file instead.'
+  ];
+  let group = null;
+
+  variables.forEach((variable) => {
+    if (variable.group !== group) {
+      group = variable.group;
+      lines.push('', `# --- ${group} ---`);
+    }
+
+    const notes = [variable.description, requirementNote(variable)].filter(Boolean);
+    if (variable.type.values && !variable.description) {
+      notes.push(`Values: ${variable.type.values.join(', ')}`);
+    }
+    notes.forEach((note) => lines.push(`# ${note}`));
+    lines.push(`${variable.name}=${exampleValue(variable)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+if (require.main === module) {
+  const contents = renderEnvExample();
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(ENV_EXAMPLE_PATH) ? fs.readFileSync(ENV_EXAMPLE_PATH, 'utf8') : '';
+    if (current !== contents) {
+      console.error('.env.example is out of date, run: npm run env:example');
+      process.exit(1);
+    }
+    console.log('.env.example is up to date');
+  } else {
+    fs.writeFileSync(ENV_EXAMPLE_PATH, contents);
+    console.log(`Wrote ${path.relative(process.cwd(), ENV_EXAMPLE_PATH) || '.env.example'}`);
+  }
+}
+
+module.exports = { renderEnvExample, ENV_EXAMPLE_PATH };
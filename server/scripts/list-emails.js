@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * List the emails captured by the outbox transport (EMAIL_TRANSPORT=outbox)
+ *
+ *   npm run emails                           - the 10 newest emails and their links
+ *   npm run emails -- --to fan@example.com   - only emails sent to that address
+ *   npm run emails -- --limit 3
+ *   npm run emails -- --clear                - delete every captured email
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { loadConfig } = require('../config/loadConfig');
+const { createOutboxTransport } = require('../services/emailTransports');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const formatMessage = (message, index) => [
+  `[${index + 1}] ${message.subject}`,
+  `    To:   ${message.to}`,
+  `    Sent: ${new Date(message.sentAt).toLocaleString()}`,
+  `    Id:   ${message.id}`,
+  ...(message.links.length > 0 ? ['    Links:', ...message.links.map((link) => `      ${link}`)] : [])
+].join('\n');
+
+const main = async () => {
+  const { config } = loadConfig(process.env);
+  const outbox = createOutboxTransport({ outboxDir: config.EMAIL.OUTBOX_DIR });
+
+  if (process.argv.includes('--clear')) {
+    await outbox.clear();
+    console.log(`Deleted the emails in ${config.EMAIL.OUTBOX_DIR}`);
+    return;
+  }
+
+  const limit = parseInt(option('limit'), 10) || 10;
+  const messages = await outbox.list({ to: option('to'), limit });
+
+  if (messages.length === 0) {
+    console.log(`No emails in ${config.EMAIL.OUTBOX_DIR}`);
+    if (config.EMAIL.TRANSPORT !== 'outbox') {
+      console.log(`EMAIL_TRANSPORT is "${config.EMAIL.TRANSPORT}"; set it to "outbox" to capture emails`);
+    }
+    return;
+  }
+
+  console.log(messages.map(formatMessage).join('\n\n'));
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
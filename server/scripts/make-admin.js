@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Give an existing account access to the admin pages (failed jobs)
+ *
+ *   npm run users:admin -- fan@example.com
+ *   npm run users:admin -- fan@example.com --remove   - make it a normal user again
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { loadConfig } = require('../config/loadConfig');
+const User = require('../models/User');
+
+const main = async () => {
+  const email = process.argv.slice(2).find((arg) => !arg.startsWith('--'));
+  if (!email) {
+    throw new Error('Usage: npm run users:admin -- <email> [--remove]');
+  }
+
+  const role = process.argv.includes('--remove') ? 'user' : 'admin';
+  const { config } = loadConfig(process.env);
+  await mongoose.connect(config.MONGO_URI);
+
+  try {
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+    if (!user) {
+      throw new Error(`No account with the email ${email}`);
+    }
+    console.log(`${user.username} (${user.email}) is now ${role === 'admin' ? 'an admin' : 'a normal user'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
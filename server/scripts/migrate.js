@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Run the data migrations in migrations/ against MONGO_URI. The server also
+ * runs them when it connects, so this is only needed to migrate ahead of a
+ * deploy or to check the result.
+ *
+ *   npm run migrate
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { loadConfig } = require('../config/loadConfig');
+const { runMigrations } = require('../migrations');
+
+const main = async () => {
+  const { config } = loadConfig(process.env);
+  await mongoose.connect(config.MONGO_URI);
+
+  try {
+    await runMigrations();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Render every email template in every language with its sample data, to
+ * check wording and layout in a browser without sending anything
+ *
+ *   npm run emails:preview                    - writes server/email-previews/index.html
+ *   npm run emails:preview -- --locale fr     - only the French versions
+ *   npm run emails:preview -- --out /tmp/emails
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { SUPPORTED_LOCALES } = require('../locales');
+const { templates, renderEmail } = require('../services/emailTemplates');
+const { escapeHtml } = require('../services/emailTemplates/layout');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const renderIndex = (previews) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CineConnect email previews</title>
+</head>
+<body style="font-family: Arial, sans-serif;">
+<h1>CineConnect email previews</h1>
+<ul>
+${previews.map(({ file, locale, name, subject }) => (
+    `<li>${name} (${locale}): <a href="${file}.html">${escapeHtml(subject)}</a> · <a href="${file}.txt">text</a></li>`
+  )).join('\n')}
+</ul>
+</body>
+</html>
+`;
+
+const main = async () => {
+  const outDir = path.resolve(option('out') || path.join(__dirname, '..', 'email-previews'));
+  const locale = option('locale');
+
+  if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`Unknown locale "${locale}"; use one of: ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+
+  const previews = [];
+  for (const template of Object.values(templates)) {
+    for (const previewLocale of locale ? [locale] : SUPPORTED_LOCALES) {
+      const { subject, html, text } = renderEmail(template.name, template.sample, previewLocale);
+      const file = `${template.name}.${previewLocale}`;
+      await fs.writeFile(path.join(outDir, `${file}.html`), html);
+      await fs.writeFile(path.join(outDir, `${file}.txt`), text);
+      previews.push({ file, locale: previewLocale, name: template.name, subject });
+    }
+  }
+
+  await fs.writeFile(path.join(outDir, 'index.html'), renderIndex(previews));
+  console.log(`Wrote ${previews.length} previews to ${path.join(outDir, 'index.html')}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
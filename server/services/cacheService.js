@@ -0,0 +1,147 @@
+/**
+ * Cache Service
+ * A small read-through cache with per-call TTLs, request coalescing and hit/miss stats.
+ *
+ * Values are kept in a pluggable store. Any object implementing the async methods
+ * below can be passed to createCache (e.g. a Redis-backed store):
+ *   get(key)              -> cached value, or undefined when missing or expired
+ *   set(key, value, ttl)  -> store value for ttl milliseconds
+ *   delete(key)
+ *   clear()
+ *   size()                -> number of stored entries
+ *
+ * Cached values are shared between callers and must not be mutated.
+ */
+
+/**
+ * In-memory least-recently-used store (the default)
+ * A Map keeps insertion order, so re-inserting on read moves an entry to the
+ * "most recent" end and the first key is always the least recently used.
+ */
+class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    // Evict least recently used entries once over capacity
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions += 1;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Create a cache on top of a store
+ * @param {Object} options
+ * @param {Object} options.store - Store implementing the interface above (defaults to a MemoryStore)
+ */
+const createCache = ({ store = new MemoryStore() } = {}) => {
+  let currentStore = store;
+  // Pending fetches by key, so concurrent identical calls share one upstream request
+  const inflight = new Map();
+  const counters = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+  /**
+   * Return the cached value for key, or call fetcher and cache its result for ttl milliseconds.
+   * Failed fetches are not cached.
+   */
+  const wrap = async (key, ttl, fetcher) => {
+    const cached = await currentStore.get(key);
+
+    if (cached !== undefined) {
+      counters.hits += 1;
+      return cached;
+    }
+
+    if (inflight.has(key)) {
+      counters.coalesced += 1;
+      return inflight.get(key);
+    }
+
+    counters.misses += 1;
+
+    const request = (async () => {
+      try {
+        const value = await fetcher();
+        await currentStore.set(key, value, ttl);
+        return value;
+      } catch (error) {
+        counters.errors += 1;
+        throw error;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, request);
+    return request;
+  };
+
+  const getStats = async () => {
+    const lookups = counters.hits + counters.misses + counters.coalesced;
+
+    return {
+      store: currentStore.constructor.name,
+      ...counters,
+      hitRate: lookups > 0 ? Math.round(((counters.hits + counters.coalesced) / lookups) * 1000) / 1000 : 0,
+      size: await currentStore.size(),
+      maxEntries: currentStore.maxEntries,
+      evictions: currentStore.evictions,
+      inflight: inflight.size
+    };
+  };
+
+  const clear = async () => {
+    await currentStore.clear();
+  };
+
+  // Swap the backing store, e.g. for a shared store in multi-instance deployments
+  const setStore = (newStore) => {
+    currentStore = newStore;
+  };
+
+  return { wrap, getStats, clear, setStore };
+};
+
+module.exports = {
+  MemoryStore,
+  createCache
+};
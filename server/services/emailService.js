@@ -1,132 +1,103 @@
-const nodemailer = require('nodemailer');
 const config = require('../config/config');
+const { createEmailTransport } = require('./emailTransports');
+const { renderEmail } = require('./emailTemplates');
+const jobQueue = require('./jobQueue');
+const { logger } = require('../utils/logger');
 
 /**
  * Email Service for handling all email operations
- * This service creates transporters based on environment and provides methods for different email types
+ * Messages go through the transport selected by EMAIL_TRANSPORT: SMTP, the
+ * outbox directory (development) or memory (tests). See services/emailTransports.
+ * The send*Email methods queue the email as a 'send-email' job and return
+ * straight away; the job worker (services/jobQueue.js) sends it and retries
+ * failures.
  */
 class EmailService {
   constructor() {
-    this.transporter = this.createTransporter();
+    this.transport = createEmailTransport({
+      ...config.EMAIL,
+      // Add some extra security for production environments
+      SECURE: config.NODE_ENV === 'production'
+    });
   }
 
   /**
-   * Create the appropriate email transporter based on configuration
+   * Replace the transport, e.g. with a memory transport in tests
+   * @param {Object} transport - See services/emailTransports/index.js
    */
-  createTransporter() {
-    // Production transporter
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message through the transport, logging the attempt
+   * @param {Object} mailOptions - { to, subject, html, text }
+   * @param {Object} logFields - Extra fields for the log entries (type, url, ...)
+   */
+  async send(mailOptions, logFields = {}) {
+    const message = { from: config.EMAIL.FROM, ...mailOptions };
+    const fields = { ...logFields, to: message.to, subject: message.subject, transport: this.transport.name };
+
+    logger.info('Sending email', fields);
     try {
-      return nodemailer.createTransport({
-        service: config.EMAIL.SERVICE,
-        auth: {
-          user: config.EMAIL.USERNAME,
-          pass: config.EMAIL.PASSWORD
-        },
-        // Improve reliability with connection pool
-        pool: true,
-        maxConnections: 5,
-        maxMessages: 100,
-        // Add some extra security for production environments
-        secure: process.env.NODE_ENV === 'production'
-      });
+      return await this.transport.send(message);
     } catch (error) {
-      console.error('Failed to create email transporter:', error);
-      throw new Error('Email service configuration error');
+      logger.error('Error sending email', { ...fields, err: error });
+      throw error;
     }
   }
 
+  /**
+   * Queue a templated email for the job worker, so requests don't wait for
+   * the mail server and failed sends are retried
+   * @param {String} template - Template name (see services/emailTemplates)
+   * @param {Object} user - Recipient user; user.locale picks the language
+   * @param {String} to - Address to send to
+   * @param {Object} data - Template data (username is added)
+   * @param {String} url - The link in the email
+   */
+  async queueTemplate(template, user, to, data, url) {
+    const job = await jobQueue.enqueue('send-email', {
+      template,
+      to,
+      locale: user.locale,
+      data: { username: user.username, url, ...data }
+    });
+    return {
+      queued: true,
+      jobId: job._id
+    };
+  }
+
+  /**
+   * Render a queued email in the recipient's language and send it (run by the
+   * job worker - see queueTemplate)
+   * @param {Object} payload - { template, to, locale, data }
+   */
+  async deliver({ template, to, locale, data }) {
+    const { subject, html, text } = renderEmail(template, data, locale);
+    return this.send({ to, subject, html, text }, { type: template, locale, url: data.url });
+  }
+
   /**
    * Send an email verification message
    * @param {Object} user - User object
    * @param {String} token - Verification token
    * @param {String} email - Optional email override (for backward compatibility)
-   * @param {Boolean} isPasswordReset - Whether this is for password reset
    */
-  async sendVerificationEmail(user, token, email = null, isPasswordReset = false) {
-    const targetEmail = email || user.email;
+  async sendVerificationEmail(user, token, email = null) {
     const verificationUrl = `${config.CLIENT_URL}/verify-email/${token}`;
+    return this.queueTemplate('verify-email', user, email || user.email, {}, verificationUrl);
+  }
 
-    // Different subjects and content based on email purpose
-    let subject, heading, mainText, buttonText;
-
-    if (isPasswordReset) {
-      subject = 'Reset Your CineConnect Password';
-      heading = 'Password Reset Request';
-      mainText = `We received a request to reset your password. Please click the button below to set a new password. If you didn't request this, you can safely ignore this email.`;
-      buttonText = 'Reset Password';
-    } else {
-      subject = 'Verify Your CineConnect Email';
-      heading = 'Email Verification';
-      mainText = `Thanks for creating an account with CineConnect. To complete your registration, please verify your email address by clicking the button below:`;
-      buttonText = 'Verify Email Address';
-    }
-
-    // Email content with enhanced styling
-    const mailOptions = {
-      from: config.EMAIL.FROM,
-      to: targetEmail,
-      subject: subject,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e9e9e9; border-radius: 5px;">
-          <div style="text-align: center; margin-bottom: 20px;">
-            <h1 style="color: #e50914;">CineConnect</h1>
-          </div>
-          <div style="padding: 20px; background-color: #f9f9f9; border-radius: 4px;">
-            <h2 style="margin-top: 0;">${heading}</h2>
-            <p>Hi ${user.username},</p>
-            <p>${mainText}</p>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${verificationUrl}" style="background-color: #e50914; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">${buttonText}</a>
-            </div>
-            <p>Or copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #0066cc;">${verificationUrl}</p>
-            <p>This link will expire in 24 hours.</p>
-            <p>If you did not request this, please ignore this email or contact support if you have concerns.</p>
-          </div>
-          <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #e9e9e9; text-align: center; color: #666; font-size: 12px;">
-            <p>© ${new Date().getFullYear()} CineConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
-
-    try {
-      // Log email in development
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`
-          =============================================
-          SENDING EMAIL (${isPasswordReset ? 'PASSWORD RESET' : 'VERIFICATION'})
-          =============================================
-          TO: ${targetEmail}
-          SUBJECT: ${subject}
-          URL: ${verificationUrl}
-          =============================================
-        `);
-      }
-
-      // Send email and return results
-      const info = await this.transporter.sendMail(mailOptions);
-      return {
-        success: true,
-        messageId: info.messageId,
-        message: `${isPasswordReset ? 'Password reset' : 'Verification'} email sent successfully`
-      };
-    } catch (error) {
-      console.error(`Error sending ${isPasswordReset ? 'password reset' : 'verification'} email:`, error);
-
-      // More detailed error information for debugging
-      const errorDetails = {
-        code: error.code || 'UNKNOWN',
-        message: error.message,
-        target: targetEmail,
-        service: config.EMAIL.SERVICE,
-        sender: config.EMAIL.USERNAME,
-      };
-
-      console.error('Email error details:', JSON.stringify(errorDetails, null, 2));
-
-      throw error;
-    }
+  /**
+   * Send a password reset link, opening the client's reset form
+   * @param {Object} user - User object
+   * @param {String} token - Password reset token
+   */
+  async sendPasswordResetEmail(user, token) {
+    const resetUrl = `${config.CLIENT_URL}/reset-password/${token}`;
+    return this.queueTemplate('password-reset', user, user.email, {}, resetUrl);
   }
 
   /**
@@ -134,97 +105,70 @@ class EmailService {
    * @param {Object} user - User object
    * @param {String} token - Verification token
    * @param {String} email - Email to send to
-   * @param {String} changeType - Type of change (username, email, password, multiple)
    * @param {Object} pendingChanges - Object containing pending changes
    */
-  async sendProfileVerificationEmail(user, token, email, changeType, pendingChanges) {
+  async sendProfileVerificationEmail(user, token, email, pendingChanges) {
     const verificationUrl = `${config.CLIENT_URL}/verify-profile-changes/${token}`;
+    return this.queueTemplate('profile-change', user, email, {
+      email: user.email,
+      // The pending password is a hash; the email only says that it changes
+      pendingChanges: {
+        username: pendingChanges.username,
+        email: pendingChanges.email,
+        password: Boolean(pendingChanges.password)
+      }
+    }, verificationUrl);
+  }
 
-    // Create appropriate subject and content based on change type
-    let subject = 'Verify Your CineConnect Profile Changes';
-    let heading = 'Profile Change Verification';
-    let mainText = `You've requested to change your profile information. To apply these changes, please verify by clicking the button below:`;
-
-    // Customize message based on what's being changed
-    let changeDetails = '<ul style="text-align: left; margin: 20px 0;">';
-
-    if (pendingChanges.username) {
-      changeDetails += `<li>Username: <strong>${user.username}</strong> → <strong>${pendingChanges.username}</strong></li>`;
-    }
-
-    if (pendingChanges.email) {
-      changeDetails += `<li>Email: <strong>${user.email}</strong> → <strong>${pendingChanges.email}</strong></li>`;
-    }
+  /**
+   * Send an account locked notice with a link to unlock the account
+   * @param {Object} user - User object
+   * @param {String} token - Unlock token
+   * @param {Number} lockMinutes - How long the account stays locked
+   */
+  async sendAccountLockedEmail(user, token, lockMinutes) {
+    const unlockUrl = `${config.CLIENT_URL}/unlock-account/${token}`;
+    return this.queueTemplate('account-locked', user, user.email, { lockMinutes }, unlockUrl);
+  }
 
-    if (pendingChanges.password) {
-      changeDetails += `<li>Password: <strong>*******</strong> → <strong>*******</strong> (changed)</li>`;
-    }
+  /**
+   * Check that the transport can deliver mail (e.g. the SMTP login works)
+   * Resolves when it can, rejects otherwise
+   */
+  async verify() {
+    await this.transport.verify();
+  }
 
-    changeDetails += '</ul>';
-
-    // Email content with enhanced styling
-    const mailOptions = {
-      from: config.EMAIL.FROM,
-      to: email,
-      subject: subject,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e9e9e9; border-radius: 5px;">
-          <div style="text-align: center; margin-bottom: 20px;">
-            <h1 style="color: #e50914;">CineConnect</h1>
-          </div>
-          <div style="padding: 20px; background-color: #f9f9f9; border-radius: 4px;">
-            <h2 style="margin-top: 0;">${heading}</h2>
-            <p>Hi ${user.username},</p>
-            <p>${mainText}</p>
-            
-            <div style="background-color: #f0f0f0; padding: 15px; border-radius: 4px; margin: 15px 0;">
-              <h3 style="margin-top: 0;">Changes to be applied:</h3>
-              ${changeDetails}
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${verificationUrl}" style="background-color: #e50914; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">Verify Changes</a>
-            </div>
-            <p>Or copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #0066cc;">${verificationUrl}</p>
-            <p>This link will expire in 24 hours.</p>
-            <p>If you did not request these changes, please contact support immediately as your account may be compromised.</p>
-          </div>
-          <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #e9e9e9; text-align: center; color: #666; font-size: 12px;">
-            <p>© ${new Date().getFullYear()} CineConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
+  /**
+   * Whether the transport keeps the messages it sends (outbox and memory)
+   */
+  canListMessages() {
+    return typeof this.transport.list === 'function';
+  }
 
-    try {
-      // Log email in development
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`
-          =============================================
-          SENDING EMAIL (PROFILE CHANGE VERIFICATION)
-          =============================================
-          TO: ${email}
-          SUBJECT: ${subject}
-          CHANGE TYPE: ${changeType}
-          URL: ${verificationUrl}
-          =============================================
-        `);
-      }
+  /**
+   * Messages kept by the transport, newest first
+   * @param {Object} filter - { to, limit }
+   */
+  async listMessages(filter = {}) {
+    return this.transport.list(filter);
+  }
 
-      // Send email and return results
-      const info = await this.transporter.sendMail(mailOptions);
-      return {
-        success: true,
-        messageId: info.messageId,
-        message: 'Profile change verification email sent successfully'
-      };
-    } catch (error) {
-      console.error('Error sending profile change verification email:', error);
-      throw error;
-    }
+  /**
+   * Forget the messages kept by the transport
+   */
+  async clearMessages() {
+    await this.transport.clear();
   }
 }
 
 // Export a singleton instance
-module.exports = new EmailService(); 
\ No newline at end of file
+const emailService = new EmailService();
+
+// Queued emails are sent by the job worker. Admins see who an email was for,
+// never its links.
+jobQueue.defineJob('send-email', (payload) => emailService.deliver(payload), {
+  describe: ({ template, to }) => ({ template, to })
+});
+
+module.exports = emailService; 
\ No newline at end of file
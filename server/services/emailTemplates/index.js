@@ -0,0 +1,53 @@
+/**
+ * Email templates
+ * Each template in ./templates exports:
+ *   name                 - 'verify-email', 'password-reset', ...
+ *   sample               - example data, used by `npm run emails:preview`
+ *   build(data, t)       - { subject, heading, blocks } for the data, with t()
+ *                          translating into the recipient's language
+ * renderEmail wraps the blocks in the shared layout as HTML and plain text.
+ */
+const { createTranslator, resolveLocale } = require('../../locales');
+const { renderHtml, renderText } = require('./layout');
+
+const templates = [
+  require('./templates/verifyEmail'),
+  require('./templates/passwordReset'),
+  require('./templates/profileChange'),
+  require('./templates/accountLocked')
+].reduce((byName, template) => ({ ...byName, [template.name]: template }), {});
+
+/**
+ * Render an email
+ * @param {String} name - Template name
+ * @param {Object} data - Template data
+ * @param {String} locale - Recipient's locale (unsupported locales use English)
+ * @returns {Object} { subject, html, text }
+ */
+const renderEmail = (name, data, locale) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const supportedLocale = resolveLocale(locale);
+  const t = createTranslator(supportedLocale);
+  const { subject, heading, blocks } = template.build(data, t);
+  const email = {
+    locale: supportedLocale,
+    heading,
+    blocks,
+    footer: t('common.footer', { year: new Date().getFullYear() })
+  };
+
+  return {
+    subject,
+    html: renderHtml(email),
+    text: renderText(email)
+  };
+};
+
+module.exports = {
+  templates,
+  renderEmail
+};
@@ -0,0 +1,118 @@
+// Shared HTML and plain-text layout for every email
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STYLES = {
+  body: 'font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e9e9e9; border-radius: 5px;',
+  header: 'text-align: center; margin-bottom: 20px;',
+  brand: 'color: #e50914;',
+  content: 'padding: 20px; background-color: #f9f9f9; border-radius: 4px;',
+  button: 'background-color: #e50914; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;',
+  link: 'word-break: break-all; color: #0066cc;',
+  changes: 'background-color: #f0f0f0; padding: 15px; border-radius: 4px; margin: 15px 0;',
+  footer: 'margin-top: 20px; padding-top: 20px; border-top: 1px solid #e9e9e9; text-align: center; color: #666; font-size: 12px;'
+};
+
+// Lines of HTML for a block
+const htmlBlock = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+      return [`<p>${escapeHtml(block.text)}</p>`];
+    case 'button':
+      return [
+        '<div style="text-align: center; margin: 30px 0;">',
+        `  <a href="${escapeHtml(block.url)}" style="${STYLES.button}">${escapeHtml(block.label)}</a>`,
+        '</div>'
+      ];
+    case 'link':
+      return [
+        `<p>${escapeHtml(block.intro)}</p>`,
+        `<p style="${STYLES.link}">${escapeHtml(block.url)}</p>`
+      ];
+    case 'changes':
+      return [
+        `<div style="${STYLES.changes}">`,
+        `  <h3 style="margin-top: 0;">${escapeHtml(block.title)}</h3>`,
+        '  <ul style="text-align: left; margin: 20px 0;">',
+        ...block.changes.map(({ label, from, to }) => (
+          `    <li>${escapeHtml(label)}: <strong>${escapeHtml(from)}</strong> → <strong>${escapeHtml(to)}</strong></li>`
+        )),
+        '  </ul>',
+        '</div>'
+      ];
+    default:
+      throw new Error(`Unknown email block "${block.type}"`);
+  }
+};
+
+const textBlock = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+      return block.text;
+    case 'button':
+      return `${block.label}: ${block.url}`;
+    // The button already spells out the link in plain text
+    case 'link':
+      return null;
+    case 'changes':
+      return [block.title, ...block.changes.map(({ label, from, to }) => `- ${label}: ${from} → ${to}`)].join('\n');
+    default:
+      throw new Error(`Unknown email block "${block.type}"`);
+  }
+};
+
+/**
+ * Render an email to HTML
+ * @param {Object} email - { locale, heading, blocks, footer }
+ */
+const renderHtml = ({ locale, heading, blocks, footer }) => `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(heading)}</title>
+  </head>
+  <body>
+    <div style="${STYLES.body}">
+      <div style="${STYLES.header}">
+        <h1 style="${STYLES.brand}">CineConnect</h1>
+      </div>
+      <div style="${STYLES.content}">
+        <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+${blocks.flatMap(htmlBlock).map((line) => `        ${line}`).join('\n')}
+      </div>
+      <div style="${STYLES.footer}">
+        <p>${escapeHtml(footer)}</p>
+      </div>
+    </div>
+  </body>
+</html>
+`;
+
+/**
+ * Render an email to plain text
+ * @param {Object} email - { heading, blocks, footer }
+ */
+const renderText = ({ heading, blocks, footer }) => [
+  'CineConnect',
+  '',
+  heading,
+  '='.repeat(heading.length),
+  '',
+  blocks.map(textBlock).filter((text) => text !== null).join('\n\n'),
+  '',
+  '--',
+  footer,
+  ''
+].join('\n');
+
+module.exports = {
+  escapeHtml,
+  renderHtml,
+  renderText
+};
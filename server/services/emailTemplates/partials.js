@@ -0,0 +1,44 @@
+/**
+ * Building blocks for email bodies. Templates describe an email as a list of
+ * blocks and layout.js renders each block to HTML and to plain text, so every
+ * email has both versions.
+ */
+
+const paragraph = (text) => ({ type: 'paragraph', text });
+
+const button = (url, label) => ({ type: 'button', url, label });
+
+// The link spelled out for mail clients that do not show the button
+const linkFallback = (url, t) => ({ type: 'link', url, intro: t('common.linkFallback') });
+
+// List of "label: from → to" lines in a highlighted box
+const changeList = (title, changes) => ({ type: 'changes', title, changes });
+
+// "3 hours" / "15 minutes" in the reader's language
+const formatDuration = (ms, t) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes >= 60 && minutes % 60 === 0) {
+    return t('duration.hours', { count: minutes / 60 });
+  }
+  return t('duration.minutes', { count: minutes });
+};
+
+// Expiry line for a link that stays valid for `ms` milliseconds
+const expiryNotice = (ms, t) => paragraph(t('common.expiresIn', { duration: formatDuration(ms, t) }));
+
+// The standard call to action: button, spelled-out link and how long it works
+const callToAction = (url, label, expiresInMs, t) => [
+  button(url, label),
+  linkFallback(url, t),
+  expiryNotice(expiresInMs, t)
+];
+
+module.exports = {
+  paragraph,
+  button,
+  linkFallback,
+  changeList,
+  formatDuration,
+  expiryNotice,
+  callToAction
+};
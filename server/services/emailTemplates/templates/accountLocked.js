@@ -0,0 +1,22 @@
+const { TOKEN_LIFETIMES } = require('../../../utils/generateToken');
+const { paragraph, callToAction, formatDuration } = require('../partials');
+
+// Sent when repeated failed logins lock an account
+module.exports = {
+  name: 'account-locked',
+  sample: {
+    username: 'moviefan',
+    lockMinutes: 15,
+    url: 'http://localhost:5173/unlock-account/3f9a1c…'
+  },
+  build: ({ username, lockMinutes, url }, t) => ({
+    subject: t('accountLocked.subject'),
+    heading: t('accountLocked.heading'),
+    blocks: [
+      paragraph(t('common.greeting', { username })),
+      paragraph(t('accountLocked.intro', { duration: formatDuration(lockMinutes * 60 * 1000, t) })),
+      ...callToAction(url, t('accountLocked.button'), TOKEN_LIFETIMES.accountUnlock, t),
+      paragraph(t('accountLocked.warning'))
+    ]
+  })
+};
@@ -0,0 +1,21 @@
+const { TOKEN_LIFETIMES } = require('../../../utils/generateToken');
+const { paragraph, callToAction } = require('../partials');
+
+// Sent by "forgot password"
+module.exports = {
+  name: 'password-reset',
+  sample: {
+    username: 'moviefan',
+    url: 'http://localhost:5173/reset-password/3f9a1c…'
+  },
+  build: ({ username, url }, t) => ({
+    subject: t('passwordReset.subject'),
+    heading: t('passwordReset.heading'),
+    blocks: [
+      paragraph(t('common.greeting', { username })),
+      paragraph(t('passwordReset.intro')),
+      ...callToAction(url, t('passwordReset.button'), TOKEN_LIFETIMES.passwordReset, t),
+      paragraph(t('passwordReset.ignore'))
+    ]
+  })
+};
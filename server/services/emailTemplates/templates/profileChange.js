@@ -0,0 +1,43 @@
+const { TOKEN_LIFETIMES } = require('../../../utils/generateToken');
+const { paragraph, changeList, callToAction } = require('../partials');
+
+const MASKED_PASSWORD = '*******';
+
+// Sent to confirm username, email or password changes before they apply
+module.exports = {
+  name: 'profile-change',
+  sample: {
+    username: 'moviefan',
+    email: 'moviefan@example.com',
+    pendingChanges: { username: 'cinephile', email: 'cinephile@example.com', password: 'hash' },
+    url: 'http://localhost:5173/verify-profile-changes/3f9a1c…'
+  },
+  build: ({ username, email, pendingChanges, url }, t) => {
+    const changes = [];
+    if (pendingChanges.username) {
+      changes.push({ label: t('profileChange.username'), from: username, to: pendingChanges.username });
+    }
+    if (pendingChanges.email) {
+      changes.push({ label: t('profileChange.email'), from: email, to: pendingChanges.email });
+    }
+    if (pendingChanges.password) {
+      changes.push({
+        label: t('profileChange.password'),
+        from: MASKED_PASSWORD,
+        to: `${MASKED_PASSWORD} ${t('profileChange.passwordChanged')}`
+      });
+    }
+
+    return {
+      subject: t('profileChange.subject'),
+      heading: t('profileChange.heading'),
+      blocks: [
+        paragraph(t('common.greeting', { username })),
+        paragraph(t('profileChange.intro')),
+        changeList(t('profileChange.changesTitle'), changes),
+        ...callToAction(url, t('profileChange.button'), TOKEN_LIFETIMES.profileChange, t),
+        paragraph(t('profileChange.warning'))
+      ]
+    };
+  }
+};
@@ -0,0 +1,21 @@
+const { TOKEN_LIFETIMES } = require('../../../utils/generateToken');
+const { paragraph, callToAction } = require('../partials');
+
+// Sent after registration and when a user asks for a new verification link
+module.exports = {
+  name: 'verify-email',
+  sample: {
+    username: 'moviefan',
+    url: 'http://localhost:5173/verify-email/3f9a1c…'
+  },
+  build: ({ username, url }, t) => ({
+    subject: t('verifyEmail.subject'),
+    heading: t('verifyEmail.heading'),
+    blocks: [
+      paragraph(t('common.greeting', { username })),
+      paragraph(t('verifyEmail.intro')),
+      ...callToAction(url, t('verifyEmail.button'), TOKEN_LIFETIMES.emailVerification, t),
+      paragraph(t('verifyEmail.ignore'))
+    ]
+  })
+};
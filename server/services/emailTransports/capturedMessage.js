@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Links in the HTML body, in order and without duplicates
+const extractLinks = (html = '') => [...new Set(
+  [...html.matchAll(/href="([^"]+)"/g)].map((match) => match[1])
+)];
+
+// Record kept by the outbox and memory transports for a sent message
+const captureMessage = (message) => {
+  const id = crypto.randomUUID();
+  return {
+    id,
+    messageId: `<${id}@cineconnect.local>`,
+    sentAt: new Date().toISOString(),
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    links: extractLinks(message.html),
+    html: message.html,
+    text: message.text
+  };
+};
+
+// Apply a { to, limit } filter to captured messages sorted newest first
+const filterMessages = (messages, { to, limit } = {}) => {
+  const matching = to
+    ? messages.filter((message) => message.to.toLowerCase() === to.toLowerCase())
+    : messages;
+  return limit ? matching.slice(0, limit) : matching;
+};
+
+module.exports = { captureMessage, extractLinks, filterMessages };
@@ -0,0 +1,38 @@
+/**
+ * Email transports
+ * emailService sends mail only through a transport, an object with:
+ *   name                 - 'smtp', 'outbox' or 'memory'
+ *   send(message)        - delivers { from, to, subject, html, text } and resolves
+ *                          with { messageId }, or rejects if it could not be sent
+ *   verify()             - resolves if the transport is usable, rejects otherwise
+ *   list(filter)         - (outbox and memory only) captured messages, newest first;
+ *                          filter: { to, limit }
+ *   clear()              - (outbox and memory only) forget captured messages
+ */
+const { createSmtpTransport } = require('./smtpTransport');
+const { createOutboxTransport } = require('./outboxTransport');
+const { createMemoryTransport } = require('./memoryTransport');
+
+const TRANSPORTS = ['smtp', 'outbox', 'memory'];
+
+// Create the transport selected by config.EMAIL.TRANSPORT
+const createEmailTransport = ({ TRANSPORT, SERVICE, USERNAME, PASSWORD, OUTBOX_DIR, SECURE }) => {
+  switch (TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({ service: SERVICE, username: USERNAME, password: PASSWORD, secure: SECURE });
+    case 'outbox':
+      return createOutboxTransport({ outboxDir: OUTBOX_DIR });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown email transport "${TRANSPORT}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  TRANSPORTS,
+  createEmailTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,32 @@
+const { captureMessage, filterMessages } = require('./capturedMessage');
+
+/**
+ * Transport that keeps sent messages in memory, for tests
+ */
+const createMemoryTransport = () => {
+  // Oldest first
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+
+    async send(message) {
+      const captured = captureMessage(message);
+      messages.push(captured);
+      return { messageId: captured.messageId };
+    },
+
+    async verify() {},
+
+    async list(filter) {
+      return filterMessages([...messages].reverse(), filter);
+    },
+
+    async clear() {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,67 @@
+const { constants } = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const { captureMessage, filterMessages } = require('./capturedMessage');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Transport that writes each message to the outbox directory as JSON instead
+ * of sending it, so the app can be used without mail credentials. The files
+ * are named <sent time>-<id>.json and listed by `npm run emails` and
+ * GET /api/dev/emails.
+ * @param {Object} options
+ * @param {String} options.outboxDir - Directory to write messages to
+ */
+const createOutboxTransport = ({ outboxDir }) => {
+  const readMessages = async () => {
+    let files;
+    try {
+      files = await fs.readdir(outboxDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    // File names start with the send time, so reverse order is newest first
+    const names = files.filter((file) => file.endsWith('.json')).sort().reverse();
+    return Promise.all(names.map(async (file) => (
+      JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'))
+    )));
+  };
+
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      const captured = captureMessage(message);
+      const fileName = `${captured.sentAt.replace(/[:.]/g, '-')}-${captured.id}.json`;
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(path.join(outboxDir, fileName), `${JSON.stringify(captured, null, 2)}\n`);
+
+      // Links carry tokens and are redacted from logs; `npm run emails` shows them
+      logger.info('Email written to outbox', { file: fileName, to: captured.to, subject: captured.subject });
+      return { messageId: captured.messageId };
+    },
+
+    async verify() {
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.access(outboxDir, constants.W_OK);
+    },
+
+    async list(filter) {
+      return filterMessages(await readMessages(), filter);
+    },
+
+    async clear() {
+      const files = await fs.readdir(outboxDir).catch(() => []);
+      await Promise.all(files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => fs.unlink(path.join(outboxDir, file))));
+    }
+  };
+};
+
+module.exports = { createOutboxTransport };
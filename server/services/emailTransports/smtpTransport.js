@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Transport that delivers mail through a nodemailer well-known service (Gmail etc.)
+ * @param {Object} options
+ * @param {String} options.service - Nodemailer service name, e.g. 'gmail'
+ * @param {String} options.username - Account to send from
+ * @param {String} options.password - Its password (an app password for Gmail)
+ * @param {Boolean} options.secure - Require TLS from the start of the connection
+ */
+const createSmtpTransport = ({ service, username, password, secure = false }) => {
+  const transporter = nodemailer.createTransport({
+    service,
+    auth: {
+      user: username,
+      pass: password
+    },
+    // Improve reliability with connection pool
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    secure
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+
+    async verify() {
+      await transporter.verify();
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
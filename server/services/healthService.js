@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { missingSettings } = require('../config/loadConfig');
+const tmdbService = require('./tmdbService');
+const emailService = require('./emailService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Dependency checks behind /health/ready
+ *
+ * Each check resolves with { status: 'ok' | 'error', ...details }. MongoDB and
+ * the required config are critical: if either fails the server is not ready.
+ * TMDB and mail only degrade the service, so their failures are reported
+ * without taking the server out of rotation.
+ */
+
+// How long a single check may take before it counts as failed
+const CHECK_TIMEOUT_MS = 3000;
+// TMDB and mail checks reach external services, so their results are reused
+// for this long instead of calling out on every probe
+const EXTERNAL_CHECK_TTL_MS = 60 * 1000;
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const withTimeout = (promise, ms = CHECK_TIMEOUT_MS) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run a check, timing it and turning a failure into an error result
+const runCheck = async (name, check) => {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check());
+    return { status: 'ok', ...details, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    logger.warn('Health check failed', { check: name, error: error.message });
+    return { status: 'error', error: error.message, latencyMs: Date.now() - startedAt };
+  }
+};
+
+// Cache the result of an external check for EXTERNAL_CHECK_TTL_MS
+const cachedCheck = (name, check) => {
+  let last = null;
+
+  const run = async () => {
+    if (last && Date.now() - last.checkedAt < EXTERNAL_CHECK_TTL_MS) {
+      return last.result;
+    }
+    const result = { ...(await runCheck(name, check)), checkedAt: new Date().toISOString() };
+    last = { result, checkedAt: Date.now() };
+    return result;
+  };
+  run.reset = () => {
+    last = null;
+  };
+  return run;
+};
+
+// Names of required settings (see config/variables.js) without a value
+const missingConfig = () => missingSettings(config).map((setting) => setting.name);
+
+const checkConfig = async () => {
+  const missing = missingConfig();
+  if (missing.length > 0) {
+    throw new Error(`Missing required settings: ${missing.join(', ')}`);
+  }
+  return {};
+};
+
+const checkDatabase = async () => {
+  const { readyState } = mongoose.connection;
+  const state = DB_STATES[readyState] || 'unknown';
+  if (readyState !== 1) {
+    throw new Error(`MongoDB is ${state}`);
+  }
+  await mongoose.connection.db.admin().ping();
+  return { state };
+};
+
+const checkTmdb = cachedCheck('tmdb', async () => {
+  await tmdbService.checkConnection();
+  return { provider: tmdbService.getProviderName() };
+});
+
+const checkEmail = cachedCheck('email', async () => {
+  await emailService.verify();
+  return { transport: emailService.transport.name };
+});
+
+const getVersion = () => ({
+  version: config.BUILD.VERSION,
+  commit: config.BUILD.COMMIT,
+  node: process.version
+});
+
+// Liveness: the process is up and serving requests
+const getLiveness = () => ({
+  status: 'ok',
+  uptime: Math.round(process.uptime()),
+  ...getVersion()
+});
+
+/**
+ * Readiness report
+ * status is 'ok', 'degraded' (TMDB or mail failing) or 'unavailable'
+ * (MongoDB or required config failing)
+ */
+const getReadiness = async () => {
+  const [configResult, database, tmdb, email, cache] = await Promise.all([
+    runCheck('config', checkConfig),
+    runCheck('database', checkDatabase),
+    checkTmdb(),
+    checkEmail(),
+    tmdbService.getCacheStats()
+  ]);
+
+  // A failed config check names the missing settings, never their values
+  if (configResult.status === 'error') {
+    configResult.missing = missingConfig();
+  }
+
+  const critical = [configResult, database];
+  const optional = [tmdb, email];
+  let status = 'ok';
+  if (critical.some((check) => check.status !== 'ok')) {
+    status = 'unavailable';
+  } else if (optional.some((check) => check.status !== 'ok')) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    environment: config.NODE_ENV,
+    uptime: Math.round(process.uptime()),
+    ...getVersion(),
+    checks: {
+      config: configResult,
+      database,
+      tmdb: { provider: tmdbService.getProviderName(), ...tmdb },
+      email,
+      cache: { status: 'ok', ...cache }
+    }
+  };
+};
+
+// Forget cached TMDB and mail results, e.g. after changing the provider in tests
+const resetHealthChecks = () => {
+  checkTmdb.reset();
+  checkEmail.reset();
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness,
+  missingConfig,
+  resetHealthChecks
+};
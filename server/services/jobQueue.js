@@ -0,0 +1,319 @@
+/**
+ * Job Queue
+ * Background work stored in MongoDB (models/Job.js), so it survives restarts
+ * and can be run by any server process.
+ *
+ *   defineJob('send-email', async (payload) => { ... }, { describe })
+ *   await enqueue('send-email', { to, ... });
+ *
+ * The worker claims due jobs one at a time. A job that throws is retried with
+ * exponential backoff; after maxAttempts it is marked "dead" and kept for the
+ * admin failed jobs page, where it can be retried or deleted.
+ */
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+
+// Delay before the first retry, doubled for every further attempt
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A job still "running" after this long belonged to a worker that died
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const definitions = new Map();
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {String} type - Job type, e.g. 'send-email'
+ * @param {Function} handler - async (payload, job) => void; throw to retry
+ * @param {Object} options
+ * @param {Function} options.describe - Summary of a payload that is safe to
+ *   show to admins (payloads may hold tokens). Defaults to showing nothing.
+ */
+const defineJob = (type, handler, { describe = () => ({}) } = {}) => {
+  definitions.set(type, { handler, describe });
+};
+
+// Delay before the next attempt after `attempts` failed ones
+const backoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+let worker = null;
+
+/**
+ * Add a job to the queue
+ * @param {String} type - A type registered with defineJob
+ * @param {Object} payload - Data for the handler (stored as-is)
+ * @param {Object} options
+ * @param {Date} options.runAt - Earliest time to run it (default: now)
+ * @param {Number} options.maxAttempts - Defaults to JOBS_MAX_ATTEMPTS
+ * @returns {Object} The job document
+ */
+const enqueue = async (type, payload, { runAt = new Date(), maxAttempts = config.JOBS.MAX_ATTEMPTS } = {}) => {
+  if (!definitions.has(type)) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const job = await Job.create({ type, payload, runAt, maxAttempts });
+  logger.debug('Job queued', { jobId: job._id, type });
+
+  // Run it right away rather than at the next poll
+  if (worker) {
+    worker.wake();
+  }
+  return job;
+};
+
+// Recorded on a job whose worker died while running it
+const WORKER_TIMEOUT_ERROR = 'Worker timed out';
+
+// Mark jobs whose worker died during their last attempt as dead, so a job
+// that hangs or crashes the worker every time still ends up on the admin
+// failed jobs page instead of being taken over forever
+const expireStaleJobs = async (staleBefore) => {
+  const now = new Date();
+  const { modifiedCount } = await Job.updateMany(
+    {
+      status: 'running',
+      lockedAt: { $lte: staleBefore },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    [{
+      $set: {
+        status: 'dead',
+        lockedAt: null,
+        lastError: WORKER_TIMEOUT_ERROR,
+        failures: {
+          $concatArrays: [
+            { $ifNull: ['$failures', []] },
+            [{ attempt: '$attempts', message: WORKER_TIMEOUT_ERROR, failedAt: now }]
+          ]
+        }
+      }
+    }]
+  );
+
+  if (modifiedCount > 0) {
+    logger.error('Jobs timed out on their last attempt', { count: modifiedCount });
+  }
+};
+
+// Atomically take the oldest due job, or one whose worker died with
+// attempts left
+const claimNextJob = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+
+  await expireStaleJobs(staleBefore);
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lte: staleBefore },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const fields = { jobId: job._id, type: job.type, attempt: job.attempts };
+
+  try {
+    const definition = definitions.get(job.type);
+    if (!definition) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+
+    await definition.handler(job.payload, job);
+
+    job.status = 'succeeded';
+    job.completedAt = new Date();
+    logger.debug('Job succeeded', fields);
+  } catch (error) {
+    job.lastError = error.message;
+    job.failures.push({ attempt: job.attempts, message: error.message, failedAt: new Date() });
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      logger.error('Job failed on its last attempt', { ...fields, err: error });
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + backoffDelay(job.attempts));
+      logger.warn('Job failed, will retry', { ...fields, retryAt: job.runAt, err: error });
+    }
+  }
+
+  job.lockedAt = null;
+  await job.save();
+  return job;
+};
+
+/**
+ * Run the next due job, if any
+ * @returns {Object|null} The job after running it
+ */
+const processNextJob = async () => {
+  const job = await claimNextJob();
+  return job ? runJob(job) : null;
+};
+
+/**
+ * Run jobs until none are due. Failed jobs are rescheduled into the future,
+ * so this always ends.
+ * @returns {Number} How many jobs were run
+ */
+const runDueJobs = async () => {
+  let count = 0;
+  while (await processNextJob()) {
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Poll for due jobs in this process until stopWorker is called
+ * @param {Object} options
+ * @param {Number} options.pollInterval - Milliseconds between polls
+ */
+const startWorker = ({ pollInterval = config.JOBS.POLL_INTERVAL_MS } = {}) => {
+  if (worker) {
+    return;
+  }
+
+  let timer = null;
+  let running = null;
+  let stopped = false;
+
+  const poll = async () => {
+    timer = null;
+    // Without a connection queries would wait for one; try again later
+    if (mongoose.connection.readyState === 1) {
+      try {
+        await runDueJobs();
+      } catch (error) {
+        logger.error('Job worker error', { err: error });
+      }
+    }
+    running = null;
+    if (!stopped && !timer) {
+      timer = setTimeout(tick, pollInterval);
+    }
+  };
+
+  const tick = () => {
+    if (!running) {
+      running = poll();
+    }
+  };
+
+  worker = {
+    wake: () => {
+      if (stopped || running) return;
+      clearTimeout(timer);
+      timer = setTimeout(tick, 0);
+    },
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    }
+  };
+
+  logger.info('Job worker started', { pollInterval });
+  tick();
+};
+
+// Stop polling, waiting for the job being run to finish
+const stopWorker = async () => {
+  if (!worker) {
+    return;
+  }
+  const current = worker;
+  worker = null;
+  await current.stop();
+};
+
+// What the admin pages show of a job: never the raw payload
+const describeJob = (job) => {
+  const definition = definitions.get(job.type);
+  return {
+    _id: job._id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    lastError: job.lastError,
+    failures: job.failures,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    summary: definition ? definition.describe(job.payload) : {}
+  };
+};
+
+/**
+ * Jobs for the admin pages, newest first
+ * @param {Object} filter - { status, type, limit }
+ */
+const listJobs = async ({ status, type, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const jobs = await Job.find(query).sort({ createdAt: -1 }).limit(limit);
+  return jobs.map(describeJob);
+};
+
+// Number of jobs in each status, e.g. { queued: 2, running: 0, succeeded: 40, dead: 1 }
+const countJobs = async () => {
+  const counts = { queued: 0, running: 0, succeeded: 0, dead: 0 };
+  const groups = await Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  groups.forEach((group) => {
+    counts[group._id] = group.count;
+  });
+  return counts;
+};
+
+/**
+ * Give a dead job a fresh set of attempts, starting now
+ * @returns {Object|null} The job, or null if there is no dead job with that id
+ */
+const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date(), lastError: null } },
+    { new: true }
+  );
+  if (job && worker) {
+    worker.wake();
+  }
+  return job && describeJob(job);
+};
+
+// Delete a job that is not running; returns whether one was deleted
+const deleteJob = async (jobId) => {
+  const { deletedCount } = await Job.deleteOne({ _id: jobId, status: { $ne: 'running' } });
+  return deletedCount > 0;
+};
+
+module.exports = {
+  defineJob,
+  enqueue,
+  backoffDelay,
+  processNextJob,
+  runDueJobs,
+  startWorker,
+  stopWorker,
+  listJobs,
+  countJobs,
+  retryJob,
+  deleteJob
+};
@@ -0,0 +1,80 @@
+// Watch progress for TV shows, worked out from a ShowProgress document and
+// the show's TMDB details (its seasons and episode counts)
+
+const SPECIALS = 0;
+
+// Whether an episode has aired. TMDB counts announced episodes in
+// episode_count, so anything after last_episode_to_air is still to come.
+// Without last_episode_to_air every listed episode is taken as aired.
+const hasAired = (show, season, episode) => {
+  const last = show.last_episode_to_air;
+  if (!last || season === SPECIALS) return true;
+  return season < last.season_number
+    || (season === last.season_number && episode <= last.episode_number);
+};
+
+// The aired episodes of one season, as [{ season, episode }]
+const seasonEpisodes = (show, seasonNumber) => {
+  const season = (show.seasons || []).find((item) => item.season_number === seasonNumber);
+  if (!season) return [];
+
+  const episodes = [];
+  for (let episode = 1; episode <= season.episode_count; episode += 1) {
+    if (hasAired(show, seasonNumber, episode)) {
+      episodes.push({ season: seasonNumber, episode });
+    }
+  }
+  return episodes;
+};
+
+// Every aired episode in viewing order. Specials sit outside the story, so
+// they count towards neither the percentage nor the next episode.
+const showEpisodes = (show) => (show.seasons || [])
+  .filter((season) => season.season_number !== SPECIALS)
+  .sort((a, b) => a.season_number - b.season_number)
+  .flatMap((season) => seasonEpisodes(show, season.season_number));
+
+// The episode to watch next: the first unwatched one after the furthest the
+// user has got, or failing that the first one they skipped
+const findNextEpisode = (episodes, isWatched) => {
+  let furthest = -1;
+  episodes.forEach((item, index) => {
+    if (isWatched(item)) furthest = index;
+  });
+
+  const after = episodes.slice(furthest + 1).find((item) => !isWatched(item));
+  return after || episodes.find((item) => !isWatched(item)) || null;
+};
+
+/**
+ * Summarize a user's progress through a show
+ * @param {Object|null} progress - their ShowProgress document, if any
+ * @param {Object} show - the show's TMDB details
+ * @returns {Object} { showId, name, poster_path, watchedCount, totalEpisodes,
+ *   percent, nextEpisode, lastWatchedAt }
+ */
+const summarizeProgress = (progress, show) => {
+  const watched = new Set(
+    (progress ? progress.episodes : []).map((item) => `${item.season}-${item.episode}`)
+  );
+  const isWatched = (item) => watched.has(`${item.season}-${item.episode}`);
+
+  const episodes = showEpisodes(show);
+  const watchedCount = episodes.filter(isWatched).length;
+
+  return {
+    showId: show.id,
+    name: show.name,
+    poster_path: show.poster_path,
+    watchedCount,
+    totalEpisodes: episodes.length,
+    percent: episodes.length > 0 ? Math.round((watchedCount / episodes.length) * 100) : 0,
+    nextEpisode: findNextEpisode(episodes, isWatched),
+    lastWatchedAt: progress ? progress.lastWatchedAt : null
+  };
+};
+
+module.exports = {
+  seasonEpisodes,
+  summarizeProgress
+};
@@ -0,0 +1,142 @@
+const Review = require('../models/Review');
+const MediaRating = require('../models/MediaRating');
+const { logger } = require('../utils/logger');
+
+// Stats returned for titles nobody on CineConnect has reviewed yet
+const emptyStats = () => ({
+  average: null,
+  count: 0,
+  histogram: new Array(10).fill(0)
+});
+
+// Shape a MediaRating document for API responses
+const formatStats = (stats) => {
+  if (!stats || stats.count === 0) {
+    return emptyStats();
+  }
+
+  return {
+    average: Math.round(stats.average * 10) / 10,
+    count: stats.count,
+    histogram: [...stats.histogram]
+  };
+};
+
+// Recompute the stats of a title from its reviews.
+// Recomputing (rather than incrementing) keeps the stats self-correcting:
+// any refresh restores them to match the Review collection exactly.
+// Each refresh is numbered before it reads the reviews, and stores its result
+// only if no later-numbered refresh has stored one yet. A refresh that starts
+// later sees at least the same reviews, so refreshes running side by side
+// can't leave older stats behind. A title whose reviews are all deleted keeps
+// its document with a count of 0, which reads the same as no stats.
+// The stats are derived data, so a failed refresh is logged instead of
+// failing the review request that triggered it.
+const refreshRatingStats = async (mediaType, mediaId) => {
+  try {
+    const title = { mediaType, mediaId: mediaId.toString() };
+
+    const { refreshes: refresh } = await MediaRating.findOneAndUpdate(
+      title,
+      { $inc: { refreshes: 1 } },
+      { new: true, upsert: true }
+    );
+
+    const buckets = await Review.aggregate([
+      { $match: title },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const histogram = new Array(10).fill(0);
+    let count = 0;
+    let total = 0;
+
+    buckets.forEach((bucket) => {
+      // Ratings are whole numbers from the UI, but the model allows decimals
+      histogram[Math.round(bucket._id) - 1] += bucket.count;
+      count += bucket.count;
+      total += bucket._id * bucket.count;
+    });
+
+    const stats = await MediaRating.findOneAndUpdate(
+      // Documents from before refreshes were numbered have no appliedRefresh
+      { ...title, appliedRefresh: { $not: { $gte: refresh } } },
+      {
+        average: count > 0 ? total / count : 0,
+        count,
+        histogram,
+        appliedRefresh: refresh,
+        updatedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    // Without a match a newer refresh has already stored its stats
+    return formatStats(stats || await MediaRating.findOne(title));
+  } catch (error) {
+    logger.error('Could not refresh rating stats', { mediaType, mediaId, err: error });
+    return null;
+  }
+};
+
+// Get the stats of a single title
+const getRatingStats = async (mediaType, mediaId) => {
+  const stats = await MediaRating.findOne({ mediaType, mediaId: mediaId.toString() });
+  return formatStats(stats);
+};
+
+// Add a cineconnect_rating field to a list of TMDB results using one query.
+// Items without a media_type are treated as defaultMediaType; people and other
+// non-title results are returned unchanged.
+const attachRatingStats = async (items, defaultMediaType = null) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return items;
+  }
+
+  const mediaTypeOf = (item) => item.media_type || defaultMediaType;
+  const idsByType = { movie: [], tv: [] };
+
+  items.forEach((item) => {
+    const mediaType = mediaTypeOf(item);
+    if (idsByType[mediaType] && item.id !== undefined) {
+      idsByType[mediaType].push(item.id.toString());
+    }
+  });
+
+  const conditions = Object.keys(idsByType)
+    .filter((mediaType) => idsByType[mediaType].length > 0)
+    .map((mediaType) => ({ mediaType, mediaId: { $in: idsByType[mediaType] } }));
+
+  if (conditions.length === 0) {
+    return items;
+  }
+
+  try {
+    const stats = await MediaRating.find({ $or: conditions });
+    const statsByKey = new Map(
+      stats.map((entry) => [`${entry.mediaType}-${entry.mediaId}`, entry])
+    );
+
+    return items.map((item) => {
+      const mediaType = mediaTypeOf(item);
+      if (!idsByType[mediaType]) {
+        return item;
+      }
+
+      return {
+        ...item,
+        cineconnect_rating: formatStats(statsByKey.get(`${mediaType}-${item.id}`))
+      };
+    });
+  } catch (error) {
+    // TMDB data is still useful without CineConnect stats
+    logger.error('Could not attach rating stats', error);
+    return items;
+  }
+};
+
+module.exports = {
+  refreshRatingStats,
+  getRatingStats,
+  attachRatingStats
+};
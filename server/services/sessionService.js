@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const config = require('../config/config');
+const { generateToken, generateRandomToken, hashToken } = require('../utils/generateToken');
+
+// Sessions expire this long after they were last refreshed
+const sessionExpiry = () =>
+  new Date(Date.now() + config.AUTH.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// How long a just-exchanged refresh token is still accepted from a request that
+// lost the race for it, e.g. two browser tabs refreshing at the same moment
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Device details shown in the session list
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request the user signed in with
+ * @returns {Object} { token, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    expiresAt: sessionExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token works once. A token exchanged within the last
+ * ROTATION_GRACE_MS only gets a new access token for the already rotated
+ * session (no refresh token - the caller that won the exchange holds it).
+ * Presenting one exchanged before that means it has leaked, so the session it
+ * belonged to is ended.
+ * @returns {Object|null} { token, refreshToken } or { token }, or null if the token is not valid
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRandomToken();
+  const now = new Date();
+
+  // Swap the token atomically so two requests can't both use it
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        ...clientInfo(req),
+        lastUsedAt: now,
+        expiresAt: sessionExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const rotated = await Session.findOne({
+      previousTokenHash: tokenHash,
+      lastUsedAt: { $gt: new Date(now.getTime() - ROTATION_GRACE_MS) },
+      expiresAt: { $gt: now }
+    });
+
+    if (rotated) {
+      return { token: generateToken(rotated.user, rotated._id) };
+    }
+
+    await Session.deleteOne({ previousTokenHash: tokenHash });
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Whether an access token's session is still active
+const isSessionActive = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+};
+
+// Active sessions of a user, most recently used first
+const listSessions = (userId) => {
+  return Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+// End one of a user's sessions. Returns false if there was no such session.
+const revokeSession = async (sessionId, userId) => {
+  const result = await Session.deleteOne({ _id: sessionId, user: userId });
+  return result.deletedCount > 0;
+};
+
+// End the session a refresh token belongs to
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  await Session.deleteOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+// End every session of a user, e.g. after a password change
+const revokeAllSessions = async (userId) => {
+  await Session.deleteMany({ user: userId });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,87 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Fixture files live under the fixtures directory at the TMDB path they replace:
+ *   <dir>/<tmdb path>@<sorted, URL-encoded query>.json  - response for those exact params
+ *   <dir>/<tmdb path>.json                              - response for any params
+ * e.g. movie/550.json, search/multi@page=1&query=matrix.json
+ */
+const fixtureFileName = (tmdbPath, params = {}) => {
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+
+  return query ? `${tmdbPath}@${query}.json` : `${tmdbPath}.json`;
+};
+
+// Absolute path of a fixture file, or null if the name would escape the fixtures
+// directory (path segments such as ids come straight from request params)
+const resolveFixturePath = (fixturesDir, fileName) => {
+  const root = path.resolve(fixturesDir);
+  const filePath = path.resolve(root, fileName);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+// Build an error shaped like an axios 404 so controllers handle it the same way
+const notFoundError = (tmdbPath) => {
+  const error = new Error(`No TMDB fixture found for ${tmdbPath}`);
+  error.response = {
+    status: 404,
+    data: {
+      status_code: 34,
+      status_message: 'The resource you requested could not be found.'
+    }
+  };
+  return error;
+};
+
+/**
+ * Offline provider that serves recorded JSON responses from disk
+ * @param {Object} options
+ * @param {String} options.fixturesDir - Directory holding the fixture files
+ */
+const createFixtureProvider = ({ fixturesDir }) => {
+  const readFixture = async (fileName) => {
+    const filePath = resolveFixturePath(fixturesDir, fileName);
+    if (!filePath) {
+      return undefined;
+    }
+
+    try {
+      const contents = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'fixture',
+
+    async get(tmdbPath, params = {}) {
+      // Prefer a fixture recorded for these exact params, then the generic one
+      const exact = await readFixture(fixtureFileName(tmdbPath, params));
+      if (exact !== undefined) {
+        return exact;
+      }
+
+      const generic = await readFixture(fixtureFileName(tmdbPath));
+      if (generic !== undefined) {
+        return generic;
+      }
+
+      throw notFoundError(tmdbPath);
+    }
+  };
+};
+
+module.exports = {
+  createFixtureProvider,
+  fixtureFileName,
+  resolveFixturePath
+};
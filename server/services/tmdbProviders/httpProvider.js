@@ -0,0 +1,22 @@
+const axios = require('axios');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+/**
+ * Live provider that calls the TMDB REST API
+ * @param {Object} options
+ * @param {String} options.apiKey - TMDB API key
+ * @param {String} options.baseUrl - Optional API base URL override
+ */
+const createHttpProvider = ({ apiKey, baseUrl = TMDB_BASE_URL }) => ({
+  name: 'live',
+
+  async get(path, params = {}) {
+    const response = await axios.get(`${baseUrl}/${path}`, {
+      params: { api_key: apiKey, ...params }
+    });
+    return response.data;
+  }
+});
+
+module.exports = { createHttpProvider };
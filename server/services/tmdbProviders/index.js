@@ -0,0 +1,37 @@
+/**
+ * TMDB providers
+ * tmdbService talks to TMDB only through a provider, an object with:
+ *   name                 - 'live', 'fixture' or 'record'
+ *   get(path, params)    - resolves with the parsed JSON body for a TMDB GET request,
+ *                          or rejects with an axios-style error (error.response.status)
+ */
+const { createHttpProvider } = require('./httpProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+const { createRecordingProvider } = require('./recordingProvider');
+
+const PROVIDERS = ['live', 'fixture', 'record'];
+
+// Create the provider selected by config.TMDB.PROVIDER
+const createTmdbProvider = ({ PROVIDER, API_KEY, FIXTURES_DIR }) => {
+  switch (PROVIDER) {
+    case 'fixture':
+      return createFixtureProvider({ fixturesDir: FIXTURES_DIR });
+    case 'record':
+      return createRecordingProvider({
+        provider: createHttpProvider({ apiKey: API_KEY }),
+        fixturesDir: FIXTURES_DIR
+      });
+    case 'live':
+      return createHttpProvider({ apiKey: API_KEY });
+    default:
+      throw new Error(`Unknown TMDB provider "${PROVIDER}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  createTmdbProvider,
+  createHttpProvider,
+  createFixtureProvider,
+  createRecordingProvider
+};
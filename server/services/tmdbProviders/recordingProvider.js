@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { fixtureFileName, resolveFixturePath } = require('./fixtureProvider');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Provider that forwards every call to another provider (normally the live one)
+ * and saves each successful response as a fixture for the exact params used
+ * @param {Object} options
+ * @param {Object} options.provider - Provider to record from
+ * @param {String} options.fixturesDir - Directory to write fixture files to
+ */
+const createRecordingProvider = ({ provider, fixturesDir }) => ({
+  name: 'record',
+
+  async get(tmdbPath, params = {}) {
+    const data = await provider.get(tmdbPath, params);
+
+    const filePath = resolveFixturePath(fixturesDir, fixtureFileName(tmdbPath, params));
+    if (!filePath) {
+      return data;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+      logger.info('Recorded TMDB fixture', { file: path.relative(fixturesDir, filePath) });
+    } catch (error) {
+      // Recording is best effort - the live response is still returned
+      logger.error('Could not record TMDB fixture', { tmdbPath, err: error });
+    }
+
+    return data;
+  }
+});
+
+module.exports = { createRecordingProvider };
@@ -1,144 +1,262 @@
-const axios = require('axios');
+const fs = require('fs/promises');
+const config = require('../config/config');
+const { MemoryStore, createCache } = require('./cacheService');
+const { createTmdbProvider } = require('./tmdbProviders');
+const { NotFoundError, UpstreamError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
 
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
-const API_KEY = process.env.TMDB_API_KEY;
+// Where TMDB data comes from: the live API, recorded fixtures, or live with recording
+let provider = createTmdbProvider(config.TMDB);
 
-// Get popular movies
-const getPopularMovies = async (page = 1) => {
-  try {
-    // Using discover endpoint with parameters optimized for all-time popular movies
-    const response = await axios.get(`${TMDB_BASE_URL}/discover/movie`, {
-      params: {
-        api_key: API_KEY,
-        page,
-        sort_by: 'vote_average.desc,popularity.desc',
-        'vote_count.gte': 10000,  // Only include movies with significant number of votes
-        'primary_release_date.lte': '2023-12-31', // Include movies released up to end of 2023
-        'primary_release_date.gte': '1900-01-01', // Include movies from 1900 onwards
-        include_adult: false,
-        include_video: false,
-        with_watch_monetization_types: 'flatrate'
-      }
+// How long each kind of TMDB response stays cached
+const CACHE_TTLS = {
+  trending: 10 * 60 * 1000, // 10 minutes - changes throughout the day
+  popular: 60 * 60 * 1000, // 1 hour
+  discover: 60 * 60 * 1000, // 1 hour
+  search: 15 * 60 * 1000, // 15 minutes
+  reviews: 30 * 60 * 1000, // 30 minutes
+  details: 6 * 60 * 60 * 1000, // 6 hours - rarely changes
+  genres: 24 * 60 * 60 * 1000 // 1 day - TMDB almost never changes its genres
+};
+
+const cache = createCache({
+  store: new MemoryStore({ maxEntries: config.TMDB_CACHE_MAX_ENTRIES })
+});
+
+// Translate a provider failure into an application error. A TMDB 404 means the
+// title does not exist; any other failure is TMDB's problem, not the client's.
+const toTmdbError = (error, resource) => {
+  const status = error.response && error.response.status;
+
+  if (status === 404) {
+    return new NotFoundError(`${resource} not found`);
+  }
+
+  // TMDB rejected our API key - a server configuration problem
+  if (status === 401) {
+    return new UpstreamError('Movie data is temporarily unavailable', {
+      statusCode: 502,
+      code: 'TMDB_AUTH_FAILED'
     });
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching popular movies:', error);
-    throw error;
   }
+
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after'], 10) || 10;
+    return new UpstreamError('Movie data is busy, please try again shortly', {
+      code: 'TMDB_RATE_LIMITED',
+      details: { retryAfter },
+      headers: { 'Retry-After': String(retryAfter) }
+    });
+  }
+
+  // 5xx responses, timeouts and network failures
+  if (!status || status >= 500) {
+    return new UpstreamError('Movie data is temporarily unavailable', { code: 'TMDB_UNAVAILABLE' });
+  }
+
+  // Any other 4xx means we sent TMDB a request it did not accept
+  return new UpstreamError('Movie data is temporarily unavailable', {
+    statusCode: 502,
+    code: 'TMDB_BAD_RESPONSE'
+  });
 };
 
-// Get trending movies
-const getTrendingMovies = async (timeWindow = 'day') => {
+// GET a TMDB endpoint through the response cache and the current provider.
+// The cache key is the path plus the sorted query params. Failures are
+// rethrown as NotFoundError / UpstreamError; resource names the thing
+// requested in "not found" messages.
+const fetchFromTmdb = async (path, params, ttl, resource = 'Resource') => {
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&');
+  const key = `${path}?${query}`;
+
   try {
-    const response = await axios.get(`${TMDB_BASE_URL}/trending/movie/${timeWindow}`, {
-      params: {
-        api_key: API_KEY
-      }
-    });
-    return response.data;
+    return await cache.wrap(key, ttl, () => provider.get(path, params));
   } catch (error) {
-    console.error('Error fetching trending movies:', error);
-    throw error;
+    const tmdbError = toTmdbError(error, resource);
+    const log = tmdbError instanceof NotFoundError ? logger.debug : logger.warn;
+    log('TMDB request failed', { path, status: error.response && error.response.status, err: error });
+    throw tmdbError;
   }
 };
 
+// Get popular movies
+const getPopularMovies = async (page = 1) => {
+  // Using discover endpoint with parameters optimized for all-time popular movies
+  return fetchFromTmdb('discover/movie', {
+    page,
+    sort_by: 'vote_average.desc,popularity.desc',
+    'vote_count.gte': 10000,  // Only include movies with significant number of votes
+    'primary_release_date.lte': '2023-12-31', // Include movies released up to end of 2023
+    'primary_release_date.gte': '1900-01-01', // Include movies from 1900 onwards
+    include_adult: false,
+    include_video: false,
+    with_watch_monetization_types: 'flatrate'
+  }, CACHE_TTLS.popular);
+};
+
+// Get trending movies
+const getTrendingMovies = async (timeWindow = 'day') => {
+  return fetchFromTmdb(`trending/movie/${timeWindow}`, {}, CACHE_TTLS.trending);
+};
+
 // Get trending TV shows
 const getTrendingTVShows = async (timeWindow = 'day') => {
-  try {
-    const response = await axios.get(`${TMDB_BASE_URL}/trending/tv/${timeWindow}`, {
-      params: {
-        api_key: API_KEY
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching trending TV shows:', error);
-    throw error;
-  }
+  return fetchFromTmdb(`trending/tv/${timeWindow}`, {}, CACHE_TTLS.trending);
 };
 
 // Get popular TV shows
 const getPopularTVShows = async (page = 1) => {
-  try {
-    const response = await axios.get(`${TMDB_BASE_URL}/tv/popular`, {
-      params: {
-        api_key: API_KEY,
-        page
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching popular TV shows:', error);
-    throw error;
+  return fetchFromTmdb('tv/popular', { page }, CACHE_TTLS.popular);
+};
+
+// Sort orders accepted by discoverMedia
+const DISCOVER_SORTS = ['popularity', 'rating', 'votes', 'newest', 'oldest'];
+
+// Ratings from a handful of votes swamp a rating sort, so unless a minimum
+// vote count is given it only includes titles with at least this many
+const RATING_SORT_MIN_VOTES = 200;
+
+/**
+ * Browse movies or TV shows through TMDB's discover endpoints
+ * @param {String} mediaType - 'movie' or 'tv'
+ * @param {Object} filters - All optional: genres (comma separated genre ids,
+ *   all must match), yearFrom, yearTo, runtimeMin, runtimeMax (minutes),
+ *   ratingMin (0-10), votesMin, language (ISO 639-1 original language),
+ *   sort (one of DISCOVER_SORTS) and page
+ */
+const discoverMedia = async (mediaType, filters = {}) => {
+  const { genres, yearFrom, yearTo, runtimeMin, runtimeMax, ratingMin, votesMin, language } = filters;
+  const sort = filters.sort || 'popularity';
+  // Movies are dated by their first release, TV shows by their first episode
+  const dateField = mediaType === 'movie' ? 'primary_release_date' : 'first_air_date';
+
+  const sortBy = {
+    popularity: 'popularity.desc',
+    rating: 'vote_average.desc',
+    votes: 'vote_count.desc',
+    newest: `${dateField}.desc`,
+    oldest: `${dateField}.asc`
+  };
+
+  const params = {
+    page: filters.page || 1,
+    sort_by: sortBy[sort],
+    include_adult: false
+  };
+
+  if (genres) params.with_genres = genres;
+  if (yearFrom !== undefined) params[`${dateField}.gte`] = `${yearFrom}-01-01`;
+  if (yearTo !== undefined) {
+    params[`${dateField}.lte`] = `${yearTo}-12-31`;
+  } else if (sort === 'newest') {
+    // Otherwise announced titles nobody has seen yet come first
+    params[`${dateField}.lte`] = new Date().toISOString().slice(0, 10);
+  }
+  if (runtimeMin !== undefined) params['with_runtime.gte'] = runtimeMin;
+  if (runtimeMax !== undefined) params['with_runtime.lte'] = runtimeMax;
+  if (ratingMin !== undefined) params['vote_average.gte'] = ratingMin;
+  if (votesMin !== undefined) {
+    params['vote_count.gte'] = votesMin;
+  } else if (sort === 'rating') {
+    params['vote_count.gte'] = RATING_SORT_MIN_VOTES;
   }
+  if (language) params.with_original_language = language;
+
+  return fetchFromTmdb(`discover/${mediaType}`, params, CACHE_TTLS.discover);
+};
+
+// Get the genres TMDB sorts movies or TV shows into: { genres: [{ id, name }] }
+const getGenres = async (mediaType) => {
+  return fetchFromTmdb(`genre/${mediaType}/list`, {}, CACHE_TTLS.genres);
 };
 
 // Get movie details
 const getMovieDetails = async (movieId) => {
-  try {
-    const response = await axios.get(`${TMDB_BASE_URL}/movie/${movieId}`, {
-      params: {
-        api_key: API_KEY,
-        append_to_response: 'videos,credits,recommendations,reviews'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching movie details for ID ${movieId}:`, error);
-    throw error;
-  }
+  return fetchFromTmdb(`movie/${movieId}`, {
+    append_to_response: 'videos,credits,recommendations,reviews'
+  }, CACHE_TTLS.details, 'Movie');
 };
 
 // Get TV show details
 const getTVShowDetails = async (tvId) => {
-  try {
-    const response = await axios.get(`${TMDB_BASE_URL}/tv/${tvId}`, {
-      params: {
-        api_key: API_KEY,
-        append_to_response: 'videos,credits,recommendations,reviews'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching TV show details for ID ${tvId}:`, error);
-    throw error;
-  }
+  return fetchFromTmdb(`tv/${tvId}`, {
+    append_to_response: 'videos,credits,recommendations,reviews'
+  }, CACHE_TTLS.details, 'TV show');
+};
+
+// Get a TV season with its episodes (each carrying its crew and guest stars)
+const getSeasonDetails = async (tvId, seasonNumber) => {
+  return fetchFromTmdb(`tv/${tvId}/season/${seasonNumber}`, {}, CACHE_TTLS.details, 'Season');
+};
+
+// Get a single TV episode with its crew and guest stars
+const getEpisodeDetails = async (tvId, seasonNumber, episodeNumber) => {
+  return fetchFromTmdb(
+    `tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`,
+    {},
+    CACHE_TTLS.details,
+    'Episode'
+  );
+};
+
+// Get a person's details with their movie and TV credits in one request
+const getPersonDetails = async (personId) => {
+  return fetchFromTmdb(`person/${personId}`, {
+    append_to_response: 'combined_credits'
+  }, CACHE_TTLS.details, 'Person');
 };
 
 // Search for movies and TV shows
 const searchMedia = async (query, page = 1, mediaType = null) => {
-  try {
-    // If a specific media type is requested, use the appropriate endpoint
-    const endpoint = mediaType ? `search/${mediaType}` : 'search/multi';
-
-    const response = await axios.get(`${TMDB_BASE_URL}/${endpoint}`, {
-      params: {
-        api_key: API_KEY,
-        query,
-        page
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error searching media:', error);
-    throw error;
-  }
+  // If a specific media type is requested, use the appropriate endpoint
+  const endpoint = mediaType ? `search/${mediaType}` : 'search/multi';
+
+  return fetchFromTmdb(endpoint, {
+    query,
+    page
+  }, CACHE_TTLS.search);
 };
 
 // Get movie/TV show reviews
 const getReviews = async (mediaId, mediaType = 'movie', page = 1) => {
-  try {
-    const response = await axios.get(`${TMDB_BASE_URL}/${mediaType}/${mediaId}/reviews`, {
-      params: {
-        api_key: API_KEY,
-        page
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching reviews for ${mediaType} ID ${mediaId}:`, error);
-    throw error;
+  return fetchFromTmdb(
+    `${mediaType}/${mediaId}/reviews`,
+    { page },
+    CACHE_TTLS.reviews,
+    mediaType === 'tv' ? 'TV show' : 'Movie'
+  );
+};
+
+// Cache statistics for the /status route
+const getCacheStats = () => cache.getStats();
+
+// Drop every cached TMDB response
+const clearCache = () => cache.clear();
+
+// Replace the cache store (see services/cacheService.js for the store interface)
+const setCacheStore = (store) => cache.setStore(store);
+
+// Replace the TMDB provider (see services/tmdbProviders for the interface).
+// Cached responses came from the previous provider, so the cache is cleared.
+const setProvider = async (newProvider) => {
+  provider = newProvider;
+  await cache.clear();
+};
+
+// Name of the active provider: 'live', 'fixture' or 'record'
+const getProviderName = () => provider.name;
+
+// Check that TMDB answers, bypassing the cache. The fixture provider only
+// needs its fixtures directory, so no request is made in fixture mode.
+const checkConnection = async () => {
+  if (provider.name === 'fixture') {
+    await fs.access(config.TMDB.FIXTURES_DIR);
+    return;
   }
+  await provider.get('configuration', {});
 };
 
 module.exports = {
@@ -146,8 +264,20 @@ module.exports = {
   getTrendingMovies,
   getTrendingTVShows,
   getPopularTVShows,
+  DISCOVER_SORTS,
+  discoverMedia,
+  getGenres,
   getMovieDetails,
   getTVShowDetails,
+  getSeasonDetails,
+  getEpisodeDetails,
+  getPersonDetails,
   searchMedia,
-  getReviews
+  getReviews,
+  getCacheStats,
+  clearCache,
+  setCacheStore,
+  setProvider,
+  getProviderName,
+  checkConnection
 }; 
\ No newline at end of file
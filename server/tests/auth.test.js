@@ -0,0 +1,208 @@
+const request = require('supertest');
+const createApp = require('../app');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const mailbox = require('./helpers/mailbox');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+describe('POST /api/users/register', () => {
+  it('creates an unverified user and sends a verification email', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'moviefan', email: 'fan@example.com', password: 'password123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      username: 'moviefan',
+      email: 'fan@example.com',
+      isEmailVerified: false
+    });
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.password).toBeUndefined();
+
+    const user = await User.findOne({ email: 'fan@example.com' });
+    expect(user.password).not.toBe('password123');
+    expect(user.emailVerificationToken).toEqual(expect.any(String));
+
+    await mailbox.deliver();
+    const [message] = mailbox.sentTo('fan@example.com');
+    expect(message.html).toContain(`/verify-email/${user.emailVerificationToken}`);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await registerUser(app, { email: 'taken@example.com' });
+
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'someoneelse', email: 'taken@example.com', password: 'password123' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Email is already registered');
+  });
+
+  it('rejects a username that is already taken', async () => {
+    await registerUser(app, { username: 'takenname' });
+
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'takenname', email: 'new@example.com', password: 'password123' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Username is already taken');
+  });
+
+  it('registers the user without waiting for the verification email and retries it', async () => {
+    mailbox.failNext();
+
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'unlucky', email: 'unlucky@example.com', password: 'password123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toMatch(/Please check your email/);
+    expect(await User.exists({ email: 'unlucky@example.com' })).toBeTruthy();
+
+    await mailbox.deliver();
+    expect(mailbox.sentTo('unlucky@example.com')).toHaveLength(0);
+
+    // The failed send is retried later
+    const job = await Job.findOne({ type: 'send-email' });
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Simulated SMTP failure' });
+    await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+
+    await mailbox.deliver();
+    expect(mailbox.sentTo('unlucky@example.com')).toHaveLength(1);
+  });
+});
+
+describe('POST /api/users/login', () => {
+  it('returns a token for valid credentials and records the login', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: user.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ _id: user._id, username: user.username });
+    expect(res.body.token).toEqual(expect.any(String));
+
+    const stored = await User.findById(user._id);
+    expect(stored.lastLogin).toBeInstanceOf(Date);
+  });
+
+  it('rejects a wrong password', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  it('rejects an unknown email with the same message', async () => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'nobody@example.com', password: 'password123' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+});
+
+describe('GET /api/users/verify-email/:token', () => {
+  it('marks the account as verified and clears the token', async () => {
+    const user = await registerUser(app);
+    const { emailVerificationToken } = await User.findById(user._id);
+
+    const res = await request(app).get(`/api/users/verify-email/${emailVerificationToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    const stored = await User.findById(user._id);
+    expect(stored.isEmailVerified).toBe(true);
+    expect(stored.emailVerificationToken).toBeNull();
+  });
+
+  it('rejects an unknown token', async () => {
+    const res = await request(app).get('/api/users/verify-email/not-a-real-token');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired verification token');
+  });
+
+  it('rejects an expired token', async () => {
+    const user = await registerUser(app);
+    const stored = await User.findById(user._id);
+    stored.emailVerificationExpires = new Date(Date.now() - 1000);
+    await stored.save();
+
+    const res = await request(app).get(`/api/users/verify-email/${stored.emailVerificationToken}`);
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(user._id)).isEmailVerified).toBe(false);
+  });
+});
+
+describe('POST /api/users/resend-verification', () => {
+  it('issues a new token and emails it', async () => {
+    const user = await registerUser(app);
+    const { emailVerificationToken: firstToken } = await User.findById(user._id);
+    mailbox.clear();
+
+    const res = await request(app)
+      .post('/api/users/resend-verification')
+      .set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    await mailbox.deliver();
+
+    const { emailVerificationToken: newToken } = await User.findById(user._id);
+    expect(newToken).not.toBe(firstToken);
+    expect(mailbox.sentTo(user.email)).toHaveLength(1);
+    expect(mailbox.last().html).toContain(newToken);
+  });
+
+  it('refuses when the email is already verified', async () => {
+    const user = await registerUser(app);
+    await User.updateOne({ _id: user._id }, { isEmailVerified: true });
+
+    const res = await request(app)
+      .post('/api/users/resend-verification')
+      .set(authHeader(user));
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Your email is already verified');
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/users/resend-verification');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/users/profile', () => {
+  it('returns the current user without the password hash', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app).get('/api/users/profile').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ username: user.username, email: user.email });
+    expect(res.body.password).toBeUndefined();
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', 'Bearer not-a-jwt');
+
+    expect(res.status).toBe(401);
+  });
+});
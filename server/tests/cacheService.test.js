@@ -0,0 +1,92 @@
+const { MemoryStore, createCache } = require('../services/cacheService');
+
+describe('cacheService wrap', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shares one fetch between concurrent calls for the same key', async () => {
+    const cache = createCache();
+    const fetcher = jest.fn().mockResolvedValue({ id: 550 });
+
+    const calls = [
+      cache.wrap('movie/550', 1000, fetcher),
+      cache.wrap('movie/550', 1000, fetcher),
+      cache.wrap('movie/550', 1000, fetcher)
+    ];
+
+    const results = await Promise.all(calls);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ id: 550 }, { id: 550 }, { id: 550 }]);
+    expect(await cache.getStats()).toMatchObject({ misses: 1, coalesced: 2, inflight: 0, size: 1 });
+  });
+
+  it('serves from the cache until the TTL runs out', async () => {
+    const cache = createCache();
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce('first')
+      .mockResolvedValueOnce('second');
+
+    expect(await cache.wrap('genres', 1000, fetcher)).toBe('first');
+
+    now += 999;
+    expect(await cache.wrap('genres', 1000, fetcher)).toBe('first');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    now += 1;
+    expect(await cache.wrap('genres', 1000, fetcher)).toBe('second');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  it('evicts the least recently used entry once full', async () => {
+    const cache = createCache({ store: new MemoryStore({ maxEntries: 2 }) });
+    const fetchValue = (value) => jest.fn().mockResolvedValue(value);
+
+    await cache.wrap('a', 1000, fetchValue('a'));
+    await cache.wrap('b', 1000, fetchValue('b'));
+    // Reading a makes b the least recently used
+    await cache.wrap('a', 1000, fetchValue('unused'));
+    await cache.wrap('c', 1000, fetchValue('c'));
+
+    const refetchA = fetchValue('a again');
+    const refetchB = fetchValue('b again');
+    expect(await cache.wrap('a', 1000, refetchA)).toBe('a');
+    expect(await cache.wrap('b', 1000, refetchB)).toBe('b again');
+    expect(refetchA).not.toHaveBeenCalled();
+    expect(await cache.getStats()).toMatchObject({ size: 2, maxEntries: 2, evictions: 2 });
+  });
+
+  it('does not cache a failed fetch', async () => {
+    const cache = createCache();
+    const failing = jest.fn().mockRejectedValue(new Error('TMDB is down'));
+
+    await expect(cache.wrap('trending', 1000, failing)).rejects.toThrow('TMDB is down');
+
+    const working = jest.fn().mockResolvedValue(['a film']);
+    expect(await cache.wrap('trending', 1000, working)).toEqual(['a film']);
+    expect(working).toHaveBeenCalledTimes(1);
+    expect(await cache.getStats()).toMatchObject({ errors: 1, misses: 2, size: 1, inflight: 0 });
+  });
+
+  it('rejects every caller sharing a fetch that fails', async () => {
+    const cache = createCache();
+    const failing = jest.fn().mockRejectedValue(new Error('TMDB is down'));
+
+    const results = await Promise.allSettled([
+      cache.wrap('trending', 1000, failing),
+      cache.wrap('trending', 1000, failing)
+    ]);
+
+    expect(results.map((result) => result.reason?.message)).toEqual(['TMDB is down', 'TMDB is down']);
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { loadConfig } = require('../config/loadConfig');
+const { renderEnvExample, ENV_EXAMPLE_PATH } = require('../scripts/generate-env-example');
+
+const production = {
+  NODE_ENV: 'production',
+  MONGO_URI: 'mongodb+srv://cluster.example.net/cineconnect',
+  JWT_SECRET: 'a-long-random-secret',
+  CLIENT_URL: 'https://cineconnect.example.com/',
+  TMDB_API_KEY: 'abc123',
+  EMAIL_USERNAME: 'mail@cineconnect.example.com',
+  EMAIL_PASSWORD: 'app-password'
+};
+
+describe('loadConfig', () => {
+  it('parses typed values and applies the profile defaults', () => {
+    const { config, invalid, missing } = loadConfig({
+      ...production,
+      PORT: '8080',
+      TRUST_PROXY: '1',
+      RATE_LIMIT_ENABLED: 'false',
+      REFRESH_TOKEN_TTL_DAYS: '7'
+    });
+
+    expect(invalid).toEqual([]);
+    expect(missing).toEqual([]);
+    expect(config).toMatchObject({
+      NODE_ENV: 'production',
+      PORT: 8080,
+      CLIENT_URL: 'https://cineconnect.example.com',
+      TRUST_PROXY: 1,
+      RATE_LIMIT_ENABLED: false,
+      AUTH: { ACCESS_TOKEN_TTL: '15m', REFRESH_TOKEN_TTL_DAYS: 7 },
+      TMDB: { PROVIDER: 'live', API_KEY: 'abc123' },
+      EMAIL: { SERVICE: 'gmail', FROM: 'CineConnect <mail@cineconnect.example.com>' },
+      LOG: { LEVEL: 'info', FORMAT: 'json' }
+    });
+  });
+
+  it('describes every invalid value', () => {
+    const { invalid } = loadConfig({
+      ...production,
+      PORT: 'eighty',
+      TMDB_PROVIDER: 'mock',
+      ACCESS_TOKEN_TTL: 'soon',
+      MONGO_URI: 'localhost/cineconnect'
+    });
+
+    expect(invalid).toEqual([
+      'PORT must be a whole number between 1 and 65535 (got "eighty")',
+      // The value of a secret is never echoed
+      'MONGO_URI must be a MongoDB connection string (mongodb:// or mongodb+srv://)',
+      'ACCESS_TOKEN_TTL must be a duration such as 900 (seconds), 15m, 12h or 7d (got "soon")',
+      'TMDB_PROVIDER must be one of: live, fixture, record (got "mock")'
+    ]);
+  });
+
+  it('reports required settings that are unset, blank or placeholders', () => {
+    const { missing } = loadConfig({
+      NODE_ENV: 'production',
+      MONGO_URI: production.MONGO_URI,
+      JWT_SECRET: 'your_jwt_secret_key',
+      TMDB_API_KEY: '   '
+    });
+
+    expect(missing).toEqual([
+      { name: 'CLIENT_URL', message: 'CLIENT_URL is required' },
+      { name: 'JWT_SECRET', message: 'JWT_SECRET still has its placeholder value' },
+      { name: 'TMDB_API_KEY', message: 'TMDB_API_KEY is required' },
+      { name: 'EMAIL_USERNAME', message: 'EMAIL_USERNAME is required' },
+      { name: 'EMAIL_PASSWORD', message: 'EMAIL_PASSWORD is required' }
+    ]);
+  });
+
+  it('only requires production settings in production', () => {
+    const { config, missing } = loadConfig({ NODE_ENV: 'development', TMDB_PROVIDER: 'fixture' });
+
+    expect(missing.map((setting) => setting.name)).toEqual(['JWT_SECRET']);
+    expect(config.CLIENT_URL).toBe('http://localhost:5173');
+    // No made-up credentials; mail goes to the outbox instead
+    expect(config.EMAIL).toMatchObject({ TRANSPORT: 'outbox', USERNAME: null, PASSWORD: null });
+  });
+});
+
+describe('.env.example', () => {
+  it('is up to date with config/variables.js', () => {
+    expect(fs.readFileSync(ENV_EXAMPLE_PATH, 'utf8')).toBe(renderEnvExample());
+  });
+});
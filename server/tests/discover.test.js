@@ -0,0 +1,139 @@
+const request = require('supertest');
+const createApp = require('../app');
+const config = require('../config/config');
+const tmdbService = require('../services/tmdbService');
+const { createTmdbProvider } = require('../services/tmdbProviders');
+
+const app = createApp();
+
+describe('discover', () => {
+  // Records the TMDB requests made, answering from the fixtures
+  const recordingProvider = () => {
+    const fixtures = createTmdbProvider(config.TMDB);
+    const calls = [];
+    return {
+      name: 'recording',
+      calls,
+      get: (path, params) => {
+        calls.push({ path, params });
+        return fixtures.get(path, params);
+      }
+    };
+  };
+
+  afterEach(async () => {
+    await tmdbService.setProvider(createTmdbProvider(config.TMDB));
+  });
+
+  it('lists movies and TV shows from the discover endpoints', async () => {
+    const movies = await request(app).get('/api/movies/discover');
+    expect(movies.status).toBe(200);
+    expect(movies.body.results.length).toBeGreaterThan(0);
+    expect(movies.body.results[0].cineconnect_rating).toEqual(expect.objectContaining({ count: 0 }));
+
+    const tvShows = await request(app).get('/api/movies/tv/discover');
+    expect(tvShows.status).toBe(200);
+    expect(tvShows.body.results[0].name).toBe('Game of Thrones');
+  });
+
+  it('passes the filters on to TMDB', async () => {
+    const provider = recordingProvider();
+    await tmdbService.setProvider(provider);
+
+    const res = await request(app).get('/api/movies/discover').query({
+      genres: '28,12',
+      yearFrom: 1990,
+      yearTo: 1999,
+      runtimeMin: 90,
+      runtimeMax: 150,
+      ratingMin: 7.5,
+      votesMin: 1000,
+      language: 'EN',
+      sort: 'oldest',
+      page: 2
+    });
+
+    expect(res.status).toBe(200);
+    expect(provider.calls).toEqual([{
+      path: 'discover/movie',
+      params: {
+        page: 2,
+        sort_by: 'primary_release_date.asc',
+        include_adult: false,
+        with_genres: '28,12',
+        'primary_release_date.gte': '1990-01-01',
+        'primary_release_date.lte': '1999-12-31',
+        'with_runtime.gte': 90,
+        'with_runtime.lte': 150,
+        'vote_average.gte': 7.5,
+        'vote_count.gte': 1000,
+        with_original_language: 'en'
+      }
+    }]);
+  });
+
+  it('dates TV shows by their first air date and needs votes for a rating sort', async () => {
+    const provider = recordingProvider();
+    await tmdbService.setProvider(provider);
+
+    await request(app).get('/api/movies/tv/discover').query({ yearFrom: 2010, sort: 'rating' });
+
+    expect(provider.calls[0]).toEqual({
+      path: 'discover/tv',
+      params: expect.objectContaining({
+        sort_by: 'vote_average.desc',
+        'first_air_date.gte': '2010-01-01',
+        'vote_count.gte': 200
+      })
+    });
+  });
+
+  it('rejects invalid filters and back to front ranges', async () => {
+    const invalid = await request(app)
+      .get('/api/movies/discover')
+      .query({ genres: 'action', ratingMin: 11, sort: 'random' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map((error) => error.field)).toEqual(['genres', 'ratingMin', 'sort']);
+
+    const backwards = await request(app)
+      .get('/api/movies/tv/discover')
+      .query({ yearFrom: 2020, yearTo: 2010 });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.errors).toEqual([
+      { field: 'yearTo', location: 'query', message: 'To year cannot be before from year' }
+    ]);
+  });
+});
+
+describe('genres', () => {
+  afterEach(async () => {
+    await tmdbService.setProvider(createTmdbProvider(config.TMDB));
+  });
+
+  it('lists movie and TV genres', async () => {
+    const movie = await request(app).get('/api/movies/genres');
+    expect(movie.status).toBe(200);
+    expect(movie.body.genres).toContainEqual({ id: 28, name: 'Action' });
+
+    const tv = await request(app).get('/api/movies/tv/genres');
+    expect(tv.status).toBe(200);
+    expect(tv.body.genres).toContainEqual({ id: 10765, name: 'Sci-Fi & Fantasy' });
+  });
+
+  it('caches the genre lists', async () => {
+    const fixtures = createTmdbProvider(config.TMDB);
+    let calls = 0;
+    await tmdbService.setProvider({
+      name: 'counting',
+      get: (path, params) => {
+        calls += 1;
+        return fixtures.get(path, params);
+      }
+    });
+
+    await request(app).get('/api/movies/genres');
+    await request(app).get('/api/movies/genres');
+
+    expect(calls).toBe(1);
+  });
+});
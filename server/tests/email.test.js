@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../app');
+const config = require('../config/config');
+const emailService = require('../services/emailService');
+const { createOutboxTransport, createSmtpTransport } = require('../services/emailTransports');
+const mailbox = require('./helpers/mailbox');
+const { registerUser } = require('./helpers/users');
+
+const app = createApp();
+
+const message = (to, link) => ({
+  from: 'CineConnect <no-reply@cineconnect.local>',
+  to,
+  subject: 'Hello',
+  html: `<a href="${link}">Open</a> or paste ${link} <a href="${link}">again</a>`
+});
+
+describe('outbox transport', () => {
+  let outboxDir;
+
+  beforeEach(async () => {
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cineconnect-outbox-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  it('writes messages to disk and lists them newest first with their links', async () => {
+    const outbox = createOutboxTransport({ outboxDir });
+
+    await outbox.send(message('first@example.com', 'http://localhost:5173/verify-email/1'));
+    const { messageId } = await outbox.send(message('second@example.com', 'http://localhost:5173/verify-email/2'));
+
+    expect(await fs.readdir(outboxDir)).toHaveLength(2);
+    expect(messageId).toEqual(expect.any(String));
+
+    const messages = await outbox.list();
+    expect(messages.map((item) => item.to)).toEqual(['second@example.com', 'first@example.com']);
+    expect(messages[0].links).toEqual(['http://localhost:5173/verify-email/2']);
+
+    expect(await outbox.list({ to: 'FIRST@example.com' })).toHaveLength(1);
+    expect(await outbox.list({ limit: 1 })).toHaveLength(1);
+
+    await outbox.clear();
+    expect(await outbox.list()).toEqual([]);
+  });
+
+  it('lists nothing before the first message', async () => {
+    const outbox = createOutboxTransport({ outboxDir: path.join(outboxDir, 'not-created-yet') });
+
+    expect(await outbox.list()).toEqual([]);
+  });
+});
+
+describe('captured email routes', () => {
+  it('lists the emails sent to an address and shows one as HTML', async () => {
+    const user = await registerUser(app, { email: 'inbox@example.com' });
+    await registerUser(app);
+
+    const list = await request(app).get('/api/dev/emails').query({ to: 'inbox@example.com' });
+
+    expect(list.status).toBe(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).toMatchObject({ to: user.email, subject: 'Verify Your CineConnect Email' });
+    expect(list.body[0].links[0]).toMatch(/\/verify-email\/[a-f0-9]{64}$/);
+    expect(list.body[0].html).toBeUndefined();
+
+    const shown = await request(app).get(`/api/dev/emails/${list.body[0].id}`);
+    expect(shown.status).toBe(200);
+    expect(shown.type).toBe('text/html');
+    expect(shown.text).toContain(list.body[0].links[0]);
+  });
+
+  it('deletes captured emails', async () => {
+    await registerUser(app);
+
+    const res = await request(app).delete('/api/dev/emails');
+
+    expect(res.status).toBe(200);
+    expect(mailbox.messages).toHaveLength(0);
+  });
+
+  it('explains when the transport does not keep emails', async () => {
+    const { transport } = emailService;
+    emailService.setTransport(createSmtpTransport({ service: 'gmail', username: 'x', password: 'y' }));
+
+    try {
+      const res = await request(app).get('/api/dev/emails');
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('EMAILS_NOT_CAPTURED');
+    } finally {
+      emailService.setTransport(transport);
+    }
+  });
+
+  it('is not available when emails are really sent', async () => {
+    const { TRANSPORT } = config.EMAIL;
+    config.EMAIL.TRANSPORT = 'smtp';
+
+    try {
+      const res = await request(createApp()).get('/api/dev/emails');
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+      expect((await request(createApp()).delete('/api/dev/emails')).status).toBe(404);
+    } finally {
+      config.EMAIL.TRANSPORT = TRANSPORT;
+    }
+  });
+
+  it('is not available in production', async () => {
+    const { NODE_ENV } = config;
+    config.NODE_ENV = 'production';
+
+    try {
+      const res = await request(createApp()).get('/api/dev/emails');
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+    } finally {
+      config.NODE_ENV = NODE_ENV;
+    }
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { locales, SUPPORTED_LOCALES, resolveLocale, createTranslator } = require('../locales');
+const { templates, renderEmail } = require('../services/emailTemplates');
+const mailbox = require('./helpers/mailbox');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+// Every key path in a locale file, e.g. 'common.greeting'
+const keysOf = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  value && typeof value === 'object'
+    ? keysOf(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+describe('locales', () => {
+  it('translates every English key', () => {
+    const englishKeys = keysOf(locales.en).sort();
+
+    SUPPORTED_LOCALES.forEach((locale) => {
+      expect(keysOf(locales[locale]).sort()).toEqual(englishKeys);
+    });
+  });
+
+  it('picks the best supported language', () => {
+    expect(resolveLocale('es-MX')).toBe('es');
+    expect(resolveLocale('de-DE,fr;q=0.9,en;q=0.8')).toBe('fr');
+    expect(resolveLocale('de')).toBe('en');
+    expect(resolveLocale(undefined)).toBe('en');
+  });
+
+  it('interpolates values, chooses plural forms and falls back to English', () => {
+    const t = createTranslator('fr');
+
+    expect(t('duration.hours', { count: 1 })).toBe('1 heure');
+    expect(t('duration.hours', { count: 24 })).toBe('24 heures');
+    expect(t('common.greeting', { username: 'cinephile' })).toContain('cinephile');
+    expect(createTranslator('xx')('verifyEmail.subject')).toBe(locales.en.verifyEmail.subject);
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('email templates', () => {
+  const names = Object.keys(templates);
+
+  it.each(names.flatMap((name) => SUPPORTED_LOCALES.map((locale) => [name, locale])))(
+    'renders %s in %s as HTML and plain text',
+    (name, locale) => {
+      const { subject, html, text } = renderEmail(name, templates[name].sample, locale);
+
+      expect(subject).toEqual(expect.any(String));
+      expect(html).toContain(`<html lang="${locale}">`);
+      expect(html).toContain(`href="${templates[name].sample.url}"`);
+      expect(text).toContain(templates[name].sample.url);
+      expect(text).not.toMatch(/<[a-z]/i);
+      expect(text).not.toContain('{{');
+      expect(html).not.toContain('{{');
+    }
+  );
+
+  it('escapes user supplied values in the HTML', () => {
+    const { html, text } = renderEmail('verify-email', {
+      username: '<script>alert(1)</script>',
+      url: 'http://localhost:5173/verify-email/abc'
+    }, 'en');
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(text).toContain('<script>alert(1)</script>');
+  });
+
+  it('quotes how long each link lasts', () => {
+    const reset = renderEmail('password-reset', templates['password-reset'].sample, 'en');
+    const verify = renderEmail('verify-email', templates['verify-email'].sample, 'en');
+
+    expect(reset.text).toContain('1 hour');
+    expect(verify.text).toContain('24 hours');
+  });
+
+  it('rejects unknown templates', () => {
+    expect(() => renderEmail('no-such-email', {}, 'en')).toThrow('Unknown email template');
+  });
+});
+
+describe('email language', () => {
+  it('sends the verification email in the language the user registered with', async () => {
+    const user = await registerUser(app, { locale: 'es-ES' });
+
+    expect(user.locale).toBe('es');
+    const [message] = mailbox.sentTo(user.email);
+    expect(message.subject).toBe(locales.es.verifyEmail.subject);
+    expect(message.text).toContain(locales.es.verifyEmail.button);
+  });
+
+  it('falls back to the Accept-Language header and then English', async () => {
+    const fromHeader = await request(app)
+      .post('/api/users/register')
+      .set('Accept-Language', 'fr-CA,fr;q=0.9')
+      .send({ username: 'francophone', email: 'fr@example.com', password: 'password123' });
+    expect(fromHeader.body.locale).toBe('fr');
+
+    const unsupported = await registerUser(app, { locale: 'ja-JP' });
+    expect(unsupported.locale).toBe('en');
+  });
+
+  it('changes the language of later emails from the preferences', async () => {
+    const user = await registerUser(app);
+
+    const updated = await request(app)
+      .put('/api/users/preferences')
+      .set(authHeader(user))
+      .send({ locale: 'fr' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toEqual({ locale: 'fr' });
+
+    mailbox.clear();
+    await request(app).post('/api/users/forgot-password').send({ email: user.email });
+    await mailbox.deliver();
+    expect(mailbox.last().subject).toBe(locales.fr.passwordReset.subject);
+
+    const invalid = await request(app)
+      .put('/api/users/preferences')
+      .set(authHeader(user))
+      .send({ locale: 'de' });
+    expect(invalid.status).toBe(400);
+  });
+});
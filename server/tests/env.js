@@ -0,0 +1,8 @@
+// Environment for the test suite, applied before any application module loads.
+// The test profile in config/variables.js supplies the other settings, such as
+// a JWT secret and example mail credentials.
+process.env.NODE_ENV = 'test';
+
+// Serve TMDB data from server/fixtures/tmdb instead of the network, even if
+// the shell selects another provider
+process.env.TMDB_PROVIDER = 'fixture';
@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const createApp = require('../app');
+const config = require('../config/config');
+const tmdbService = require('../services/tmdbService');
+const { createTmdbProvider } = require('../services/tmdbProviders');
+const { errorHandler, notFound } = require('../middleware/errorHandler');
+const requestId = require('../middleware/requestId');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError } = require('../utils/errors');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+describe('error handler', () => {
+  // Minimal app with routes that fail in different ways
+  const failingApp = () => {
+    const testApp = express();
+    testApp.use(requestId);
+    testApp.use(express.json());
+    testApp.get('/conflict', asyncHandler(async () => {
+      throw new ConflictError('Already there', { code: 'ALREADY_THERE', details: { id: 7 } });
+    }));
+    testApp.get('/stale', asyncHandler(async () => {
+      throw new mongoose.Error.VersionError({ _doc: { _id: 'list-1' } }, 3, ['items']);
+    }));
+    testApp.get('/bug', asyncHandler(async () => {
+      throw new Error('secret internal detail');
+    }));
+    testApp.post('/echo', (req, res) => res.json(req.body));
+    testApp.use(notFound);
+    testApp.use(errorHandler);
+    return testApp;
+  };
+
+  it('sends application errors in the JSON envelope', async () => {
+    const res = await request(failingApp()).get('/conflict');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      message: 'Already there',
+      code: 'ALREADY_THERE',
+      requestId: res.headers['x-request-id'],
+      id: 7
+    });
+  });
+
+  it('hides the details of unexpected errors', async () => {
+    const res = await request(failingApp()).get('/bug');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({
+      message: 'Server error',
+      code: 'INTERNAL_ERROR',
+      requestId: expect.any(String)
+    });
+    expect(JSON.stringify(res.body)).not.toContain('secret');
+  });
+
+  it('reports a save from a stale copy of a document as a conflict', async () => {
+    const res = await request(failingApp()).get('/stale');
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('VERSION_CONFLICT');
+  });
+
+  it('reuses a valid incoming request id and replaces an invalid one', async () => {
+    const reused = await request(failingApp()).get('/conflict').set('X-Request-Id', 'edge-1234');
+    expect(reused.headers['x-request-id']).toBe('edge-1234');
+    expect(reused.body.requestId).toBe('edge-1234');
+
+    const replaced = await request(failingApp()).get('/conflict').set('X-Request-Id', 'bad id <script>');
+    expect(replaced.headers['x-request-id']).not.toBe('bad id <script>');
+  });
+
+  it('reports malformed JSON and unknown routes', async () => {
+    const badJson = await request(failingApp())
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"title": ');
+    expect(badJson.status).toBe(400);
+    expect(badJson.body.code).toBe('INVALID_JSON');
+
+    const missing = await request(app).get('/api/nothing-here');
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
+
+describe('authentication errors', () => {
+  it('gives each failure its own code without leaking token errors', async () => {
+    const user = await registerUser(app);
+    const { sid } = jwt.decode(user.token);
+
+    const noToken = await request(app).get('/api/users/profile');
+    expect(noToken.status).toBe(401);
+    expect(noToken.body.code).toBe('NO_TOKEN');
+
+    const forged = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${jwt.sign({ id: user._id, sid }, 'wrong-secret')}`);
+    expect(forged.status).toBe(401);
+    expect(forged.body).toEqual({
+      message: 'Not authorized, token failed',
+      code: 'TOKEN_INVALID',
+      requestId: expect.any(String)
+    });
+
+    const expiredToken = jwt.sign(
+      { id: user._id, sid, exp: Math.floor(Date.now() / 1000) - 10 },
+      config.JWT_SECRET
+    );
+    const expired = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${expiredToken}`);
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('TOKEN_EXPIRED');
+  });
+
+  it('uses a separate code for wrong credentials', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+});
+
+describe('TMDB errors', () => {
+  // Provider failing every request with an axios-style error
+  const failingProvider = (response, code) => ({
+    name: 'failing',
+    get: async () => {
+      const error = new Error('TMDB request failed');
+      error.response = response;
+      error.code = code;
+      throw error;
+    }
+  });
+
+  afterEach(async () => {
+    await tmdbService.setProvider(createTmdbProvider(config.TMDB));
+  });
+
+  it('reports unknown titles as not found', async () => {
+    const movie = await request(app).get('/api/movies/99999999');
+    expect(movie.status).toBe(404);
+    expect(movie.body).toMatchObject({ message: 'Movie not found', code: 'NOT_FOUND' });
+
+    const tvShow = await request(app).get('/api/movies/tv/99999999');
+    expect(tvShow.body.message).toBe('TV show not found');
+  });
+
+  it.each([
+    [{ status: 401, headers: {} }, undefined, 502, 'TMDB_AUTH_FAILED'],
+    [{ status: 500, headers: {} }, undefined, 503, 'TMDB_UNAVAILABLE'],
+    [undefined, 'ECONNABORTED', 503, 'TMDB_UNAVAILABLE'],
+    [{ status: 422, headers: {} }, undefined, 502, 'TMDB_BAD_RESPONSE']
+  ])('maps a TMDB failure (%o, %s) to %i %s', async (response, code, status, errorCode) => {
+    await tmdbService.setProvider(failingProvider(response, code));
+
+    const res = await request(app).get('/api/movies/550');
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(errorCode);
+  });
+
+  it('passes on TMDB rate limits with a Retry-After header', async () => {
+    await tmdbService.setProvider(failingProvider({ status: 429, headers: { 'retry-after': '7' } }));
+
+    const res = await request(app).get('/api/movies/popular');
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ code: 'TMDB_RATE_LIMITED', retryAfter: 7 });
+    expect(res.headers['retry-after']).toBe('7');
+  });
+
+  it('does not report a TMDB outage as a missing title when reviewing', async () => {
+    const user = await registerUser(app);
+    await tmdbService.setProvider(failingProvider({ status: 503, headers: {} }));
+
+    const res = await request(app)
+      .post('/api/reviews')
+      .set(authHeader(user))
+      .send({ mediaType: 'movie', mediaId: '550', rating: 8, content: 'Still holds up.' });
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('TMDB_UNAVAILABLE');
+  });
+});
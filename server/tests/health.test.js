@@ -0,0 +1,95 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const createApp = require('../app');
+const config = require('../config/config');
+const tmdbService = require('../services/tmdbService');
+const emailService = require('../services/emailService');
+const { createTmdbProvider } = require('../services/tmdbProviders');
+const { resetHealthChecks } = require('../services/healthService');
+
+const app = createApp();
+
+describe('health endpoints', () => {
+  afterEach(async () => {
+    resetHealthChecks();
+    await tmdbService.setProvider(createTmdbProvider(config.TMDB));
+  });
+
+  it('reports liveness with the build version', async () => {
+    const res = await request(app).get('/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body).toMatchObject({ status: 'ok', version: config.BUILD.VERSION });
+  });
+
+  it('reports ready when every dependency works', async () => {
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+    expect(res.body.checks).toMatchObject({
+      config: { status: 'ok' },
+      database: { status: 'ok', state: 'connected' },
+      tmdb: { status: 'ok', provider: 'fixture' },
+      email: { status: 'ok' },
+      cache: { status: 'ok', store: 'MemoryStore' }
+    });
+  });
+
+  it('reports degraded but stays ready when TMDB or mail fail', async () => {
+    await tmdbService.setProvider({
+      name: 'live',
+      get: async () => {
+        throw new Error('connect ECONNREFUSED');
+      }
+    });
+    const { transport } = emailService;
+    emailService.setTransport({
+      ...transport,
+      verify: async () => {
+        throw new Error('Invalid login');
+      }
+    });
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('degraded');
+      expect(res.body.checks.tmdb).toMatchObject({ status: 'error', error: 'connect ECONNREFUSED' });
+      expect(res.body.checks.email).toMatchObject({ status: 'error', error: 'Invalid login' });
+    } finally {
+      emailService.setTransport(transport);
+    }
+  });
+
+  it('is not ready while required config is missing', async () => {
+    const { JWT_SECRET } = config;
+    config.JWT_SECRET = undefined;
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe('unavailable');
+      expect(res.body.checks.config).toMatchObject({ status: 'error', missing: ['JWT_SECRET'] });
+    } finally {
+      config.JWT_SECRET = JWT_SECRET;
+    }
+  });
+
+  it('is not ready without a database connection', async () => {
+    const { host, port, name } = mongoose.connection;
+    await mongoose.disconnect();
+
+    try {
+      const res = await request(app).get('/status');
+
+      expect(res.status).toBe(503);
+      expect(res.body.checks.database).toMatchObject({ status: 'error', error: 'MongoDB is disconnected' });
+    } finally {
+      await mongoose.connect(`mongodb://${host}:${port}/${name}`);
+    }
+  });
+});
@@ -0,0 +1,49 @@
+const emailService = require('../../services/emailService');
+const jobQueue = require('../../services/jobQueue');
+const { createMemoryTransport } = require('../../services/emailTransports');
+
+// Messages "sent" during the current test, oldest first
+const transport = createMemoryTransport();
+const { messages } = transport;
+let failuresLeft = 0;
+
+// Send through a memory transport that can be told to fail
+const install = () => {
+  emailService.setTransport({
+    ...transport,
+    send: async (message) => {
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        throw new Error('Simulated SMTP failure');
+      }
+      return transport.send(message);
+    }
+  });
+};
+
+const clear = () => {
+  messages.length = 0;
+  failuresLeft = 0;
+};
+
+// Make the next `count` sends fail
+const failNext = (count = 1) => {
+  failuresLeft = count;
+};
+
+// Emails are queued as jobs; run the due ones so their messages arrive here
+const deliver = () => jobQueue.runDueJobs();
+
+const sentTo = (address) => messages.filter((message) => message.to === address);
+
+const last = () => messages[messages.length - 1];
+
+module.exports = {
+  messages,
+  install,
+  clear,
+  failNext,
+  deliver,
+  sentTo,
+  last
+};
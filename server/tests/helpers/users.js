@@ -0,0 +1,46 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const mailbox = require('./mailbox');
+
+let userCount = 0;
+
+// Register a new user through the API and deliver the verification email.
+// Returns the registration response body (including its access and refresh
+// tokens) plus the plain-text password used.
+const registerUser = async (app, overrides = {}) => {
+  userCount += 1;
+
+  const credentials = {
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    ...overrides
+  };
+
+  const res = await request(app).post('/api/users/register').send(credentials);
+
+  if (res.status !== 201) {
+    throw new Error(`Registration failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  await mailbox.deliver();
+
+  return { ...res.body, password: credentials.password };
+};
+
+// Authorization header for a registered user
+const authHeader = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+// A token for the user that was issued some time ago, so it predates any
+// password change made during the test
+const issuedEarlierToken = (user, secondsAgo = 60) => jwt.sign(
+  { id: user._id, sid: jwt.decode(user.token).sid, iat: Math.floor(Date.now() / 1000) - secondsAgo },
+  config.JWT_SECRET,
+  { expiresIn: '30d' }
+);
+
+module.exports = {
+  registerUser,
+  authHeader,
+  issuedEarlierToken
+};
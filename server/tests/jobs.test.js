@@ -0,0 +1,180 @@
+const request = require('supertest');
+const createApp = require('../app');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const jobQueue = require('../services/jobQueue');
+const mailbox = require('./helpers/mailbox');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+// Runs of the 'test-job' type, and how many of the next runs should throw
+const runs = [];
+let failuresLeft = 0;
+
+jobQueue.defineJob('test-job', async (payload) => {
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    throw new Error('Temporary failure');
+  }
+  runs.push(payload);
+}, {
+  describe: ({ name }) => ({ name })
+});
+
+// Make every queued job due now, as if its backoff had passed
+const skipBackoff = () => Job.updateMany({ status: 'queued' }, { runAt: new Date() });
+
+afterEach(() => {
+  runs.length = 0;
+  failuresLeft = 0;
+});
+
+describe('job queue', () => {
+  it('runs due jobs once, oldest first', async () => {
+    await jobQueue.enqueue('test-job', { name: 'first' });
+    await jobQueue.enqueue('test-job', { name: 'second' });
+    await jobQueue.enqueue('test-job', { name: 'later' }, { runAt: new Date(Date.now() + 60 * 1000) });
+
+    expect(await jobQueue.runDueJobs()).toBe(2);
+    expect(runs.map((payload) => payload.name)).toEqual(['first', 'second']);
+    expect(await jobQueue.runDueJobs()).toBe(0);
+
+    expect(await Job.countDocuments({ status: 'succeeded' })).toBe(2);
+    expect(await Job.countDocuments({ status: 'queued' })).toBe(1);
+  });
+
+  it('retries a failing job with exponential backoff', async () => {
+    failuresLeft = 2;
+    await jobQueue.enqueue('test-job', { name: 'flaky' });
+
+    const before = Date.now();
+    await jobQueue.runDueJobs();
+    let job = await Job.findOne();
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Temporary failure' });
+    expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + jobQueue.backoffDelay(1));
+
+    await skipBackoff();
+    await jobQueue.runDueJobs();
+    job = await Job.findOne();
+    expect(job.attempts).toBe(2);
+    expect(jobQueue.backoffDelay(2)).toBe(2 * jobQueue.backoffDelay(1));
+
+    await skipBackoff();
+    await jobQueue.runDueJobs();
+    job = await Job.findOne();
+    expect(job.status).toBe('succeeded');
+    expect(job.failures).toHaveLength(2);
+    expect(runs).toHaveLength(1);
+  });
+
+  it('keeps a job as dead after its last attempt', async () => {
+    failuresLeft = 10;
+    await jobQueue.enqueue('test-job', { name: 'hopeless' }, { maxAttempts: 2 });
+
+    await jobQueue.runDueJobs();
+    await skipBackoff();
+    await jobQueue.runDueJobs();
+
+    const job = await Job.findOne();
+    expect(job).toMatchObject({ status: 'dead', attempts: 2 });
+    expect(await jobQueue.runDueJobs()).toBe(0);
+  });
+
+  it('picks up a job whose worker died', async () => {
+    const job = await jobQueue.enqueue('test-job', { name: 'orphaned' });
+    await Job.updateOne({ _id: job._id }, { status: 'running', lockedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    await jobQueue.runDueJobs();
+
+    expect(runs).toEqual([{ name: 'orphaned' }]);
+  });
+
+  it('gives up on a job whose worker died during its last attempt', async () => {
+    const job = await jobQueue.enqueue('test-job', { name: 'hangs' }, { maxAttempts: 3 });
+    await Job.updateOne(
+      { _id: job._id },
+      { status: 'running', attempts: 3, lockedAt: new Date(Date.now() - 60 * 60 * 1000) }
+    );
+
+    expect(await jobQueue.runDueJobs()).toBe(0);
+
+    expect(runs).toEqual([]);
+    const dead = await Job.findById(job._id);
+    expect(dead).toMatchObject({ status: 'dead', attempts: 3, lockedAt: null, lastError: 'Worker timed out' });
+    expect(dead.failures.map((failure) => failure.attempt)).toEqual([3]);
+  });
+
+  it('refuses unknown job types', async () => {
+    await expect(jobQueue.enqueue('no-such-job', {})).rejects.toThrow('Unknown job type');
+  });
+});
+
+describe('admin jobs routes', () => {
+  const registerAdmin = async () => {
+    const admin = await registerUser(app);
+    await User.updateOne({ _id: admin._id }, { role: 'admin' });
+    return admin;
+  };
+
+  it('is only open to admins', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app).get('/api/admin/jobs').set(authHeader(user));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  it('lists failed emails without their links and retries them', async () => {
+    const admin = await registerAdmin();
+    mailbox.failNext(10);
+    await request(app).post('/api/users/forgot-password').send({ email: admin.email });
+    await Job.updateMany({}, { maxAttempts: 1 });
+    await mailbox.deliver();
+
+    const list = await request(app)
+      .get('/api/admin/jobs')
+      .query({ status: 'dead' })
+      .set(authHeader(admin));
+
+    expect(list.status).toBe(200);
+    expect(list.body.counts).toMatchObject({ dead: 1 });
+    expect(list.body.jobs).toHaveLength(1);
+    const [failed] = list.body.jobs;
+    expect(failed).toMatchObject({
+      type: 'send-email',
+      status: 'dead',
+      lastError: 'Simulated SMTP failure',
+      summary: { template: 'password-reset', to: admin.email }
+    });
+    expect(JSON.stringify(failed)).not.toContain('reset-password/');
+
+    mailbox.clear();
+    const retried = await request(app)
+      .post(`/api/admin/jobs/${failed._id}/retry`)
+      .set(authHeader(admin));
+    expect(retried.status).toBe(200);
+    expect(retried.body).toMatchObject({ status: 'queued', attempts: 0 });
+
+    await mailbox.deliver();
+    expect(mailbox.sentTo(admin.email)).toHaveLength(1);
+
+    const again = await request(app)
+      .post(`/api/admin/jobs/${failed._id}/retry`)
+      .set(authHeader(admin));
+    expect(again.status).toBe(404);
+  });
+
+  it('deletes a job', async () => {
+    const admin = await registerAdmin();
+    const job = await jobQueue.enqueue('test-job', { name: 'unwanted' });
+
+    const res = await request(app)
+      .delete(`/api/admin/jobs/${job._id}`)
+      .set(authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(await Job.exists({ _id: job._id })).toBeNull();
+  });
+});
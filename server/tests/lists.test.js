@@ -0,0 +1,195 @@
+const request = require('supertest');
+const createApp = require('../app');
+const List = require('../models/List');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+const fightClub = { mediaType: 'movie', mediaId: 550, title: 'Fight Club', posterPath: '/fight-club.jpg' };
+const gameOfThrones = { mediaType: 'tv', mediaId: 1399, title: 'Game of Thrones', posterPath: '/got.jpg' };
+const heat = { mediaType: 'movie', mediaId: 949, title: 'Heat', posterPath: '/heat.jpg' };
+
+describe('lists', () => {
+  let user;
+
+  const createList = (fields, owner = user) => request(app)
+    .post('/api/lists')
+    .set(authHeader(owner))
+    .send(fields);
+  const addItem = (listId, item) => request(app)
+    .post(`/api/lists/${listId}/items`)
+    .set(authHeader(user))
+    .send(item);
+  const titlesOf = (list) => list.items.map((item) => item.title);
+
+  beforeEach(async () => {
+    user = await registerUser(app);
+  });
+
+  it('creates private lists by default', async () => {
+    const res = await createList({ name: '  Best heist movies ', description: 'Crews and vaults' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'Best heist movies', description: 'Crews and vaults', isPublic: false, items: [] });
+  });
+
+  it('requires a name', async () => {
+    const res = await createList({ name: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['name']);
+  });
+
+  it('keeps movies and TV shows in the order they were added', async () => {
+    const { body: list } = await createList({ name: 'Halloween 2026' });
+
+    await addItem(list._id, fightClub);
+    const res = await addItem(list._id, gameOfThrones);
+
+    expect(res.status).toBe(201);
+    expect(res.body.items).toEqual([
+      expect.objectContaining({ mediaType: 'movie', mediaId: 550, poster_path: '/fight-club.jpg' }),
+      expect.objectContaining({ mediaType: 'tv', mediaId: 1399 })
+    ]);
+  });
+
+  it('rejects a title that is already on the list', async () => {
+    const { body: list } = await createList({ name: 'Favorites' });
+    await addItem(list._id, fightClub);
+
+    const res = await addItem(list._id, fightClub);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('adds a title only once when the same add arrives twice at once', async () => {
+    const { body: list } = await createList({ name: 'Favorites' });
+
+    const responses = await Promise.all([addItem(list._id, fightClub), addItem(list._id, fightClub)]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 409]);
+    expect((await List.findById(list._id)).items).toHaveLength(1);
+  });
+
+  it('never lets parallel adds overfill a list', async () => {
+    const { body: list } = await createList({ name: 'Everything' });
+    const items = Array.from({ length: List.MAX_ITEMS - 1 }, (_, index) => ({ mediaType: 'movie', mediaId: 100000 + index }));
+    await List.updateOne({ _id: list._id }, { items });
+
+    const responses = await Promise.all([addItem(list._id, fightClub), addItem(list._id, heat)]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect(responses.find((res) => res.status === 400).body.code).toBe('LIST_FULL');
+    expect((await List.findById(list._id)).items).toHaveLength(List.MAX_ITEMS);
+  });
+
+  it('moves and removes titles', async () => {
+    const { body: list } = await createList({ name: 'Favorites' });
+    await addItem(list._id, fightClub);
+    await addItem(list._id, gameOfThrones);
+    await addItem(list._id, heat);
+
+    const moved = await request(app)
+      .put(`/api/lists/${list._id}/items/movie/949`)
+      .set(authHeader(user))
+      .send({ position: 0 });
+    expect(moved.status).toBe(200);
+    expect(titlesOf(moved.body)).toEqual(['Heat', 'Fight Club', 'Game of Thrones']);
+
+    const toEnd = await request(app)
+      .put(`/api/lists/${list._id}/items/movie/949`)
+      .set(authHeader(user))
+      .send({ position: 99 });
+    expect(titlesOf(toEnd.body)).toEqual(['Fight Club', 'Game of Thrones', 'Heat']);
+
+    const removed = await request(app)
+      .delete(`/api/lists/${list._id}/items/tv/1399`)
+      .set(authHeader(user));
+    expect(titlesOf(removed.body)).toEqual(['Fight Club', 'Heat']);
+
+    const missing = await request(app)
+      .delete(`/api/lists/${list._id}/items/tv/1399`)
+      .set(authHeader(user));
+    expect(missing.status).toBe(404);
+  });
+
+  it('lists the user\'s lists and whether a title is on each', async () => {
+    const { body: heists } = await createList({ name: 'Heists' });
+    await createList({ name: 'Halloween' });
+    await addItem(heists._id, heat);
+
+    const res = await request(app)
+      .get('/api/lists')
+      .query({ mediaType: 'movie', mediaId: 949 })
+      .set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      expect.objectContaining({ name: 'Heists', itemCount: 1, posters: ['/heat.jpg'], hasItem: true }),
+      expect.objectContaining({ name: 'Halloween', itemCount: 0, hasItem: false })
+    ]);
+    expect(res.body[0].items).toBeUndefined();
+  });
+
+  it('renames a list and changes its visibility', async () => {
+    const { body: list } = await createList({ name: 'Draft' });
+
+    const res = await request(app)
+      .put(`/api/lists/${list._id}`)
+      .set(authHeader(user))
+      .send({ name: 'Comfort shows', isPublic: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ name: 'Comfort shows', isPublic: true });
+  });
+
+  it('deletes a list', async () => {
+    const { body: list } = await createList({ name: 'Temporary' });
+
+    const res = await request(app).delete(`/api/lists/${list._id}`).set(authHeader(user));
+    expect(res.status).toBe(200);
+
+    const gone = await request(app).get(`/api/lists/${list._id}`).set(authHeader(user));
+    expect(gone.status).toBe(404);
+  });
+
+  describe('sharing', () => {
+    it('shows public lists to anyone with the link', async () => {
+      const { body: list } = await createList({ name: 'Shared', isPublic: true });
+      await addItem(list._id, fightClub);
+
+      const res = await request(app).get(`/api/lists/${list._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: 'Shared', isOwner: false, user: { username: user.username } });
+      expect(titlesOf(res.body)).toEqual(['Fight Club']);
+
+      const asOwner = await request(app).get(`/api/lists/${list._id}`).set(authHeader(user));
+      expect(asOwner.body.isOwner).toBe(true);
+    });
+
+    it('hides private lists from everyone but their owner', async () => {
+      const other = await registerUser(app);
+      const { body: list } = await createList({ name: 'Secret' });
+
+      const anonymous = await request(app).get(`/api/lists/${list._id}`);
+      expect(anonymous.status).toBe(404);
+
+      const stranger = await request(app).get(`/api/lists/${list._id}`).set(authHeader(other));
+      expect(stranger.status).toBe(404);
+    });
+
+    it('only lets the owner change a public list', async () => {
+      const other = await registerUser(app);
+      const { body: list } = await createList({ name: 'Shared', isPublic: true });
+
+      const res = await request(app)
+        .post(`/api/lists/${list._id}/items`)
+        .set(authHeader(other))
+        .send(heat);
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('NOT_LIST_OWNER');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const createApp = require('../app');
+
+const app = createApp();
+
+describe('people', () => {
+  it('returns the biography without the raw credits', async () => {
+    const res = await request(app).get('/api/movies/person/287');
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Brad Pitt');
+    expect(res.body.biography).toMatch(/American actor/);
+    expect(res.body.known_for_department).toBe('Acting');
+    expect(res.body.combined_credits).toBeUndefined();
+  });
+
+  it('builds one filmography entry per title and department', async () => {
+    const res = await request(app).get('/api/movies/person/287');
+    const { filmography } = res.body;
+
+    const moneyball = filmography.filter((entry) => entry.id === 60308);
+    expect(moneyball).toEqual([
+      expect.objectContaining({ department: 'Acting', roles: ['Billy Beane'], year: 2011 }),
+      expect.objectContaining({ department: 'Production', roles: ['Producer', 'Executive Producer'] })
+    ]);
+
+    const friends = filmography.filter((entry) => entry.id === 1668);
+    expect(friends).toEqual([
+      expect.objectContaining({
+        media_type: 'tv',
+        name: 'Friends',
+        first_air_date: '1994-09-22',
+        roles: ['Will Colbert', 'Himself'],
+        episode_count: 2
+      })
+    ]);
+  });
+
+  it('orders the filmography newest first with undated titles leading', async () => {
+    const res = await request(app).get('/api/movies/person/287');
+    const years = res.body.filmography.map((entry) => entry.year);
+
+    expect(years[0]).toBeNull();
+    expect(years.slice(1)).toEqual([...years.slice(1)].sort((a, b) => b - a));
+  });
+
+  it('picks known for titles from the department the person is known for', async () => {
+    const res = await request(app).get('/api/movies/person/287');
+    const knownFor = res.body.known_for;
+
+    expect(knownFor.map((entry) => entry.id)).toEqual([550, 807, 466272, 1668, 60308, 1149000]);
+    expect(knownFor.every((entry) => entry.department === 'Acting')).toBe(true);
+  });
+
+  it('answers 404 for an unknown person and 400 for an invalid id', async () => {
+    const missing = await request(app).get('/api/movies/person/999999');
+    expect(missing.status).toBe(404);
+    expect(missing.body.message).toBe('Person not found');
+
+    const invalid = await request(app).get('/api/movies/person/abc');
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const createApp = require('../app');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const mailbox = require('./helpers/mailbox');
+const { registerUser, authHeader, issuedEarlierToken } = require('./helpers/users');
+
+const app = createApp();
+
+// Apply a user's pending profile changes through the verification link
+const verifyPendingChanges = async (userId) => {
+  const { emailVerificationToken } = await User.findById(userId);
+  return request(app).get(`/api/users/verify-email/${emailVerificationToken}`);
+};
+
+describe('PUT /api/users/profile', () => {
+  it('holds a username change until it is verified', async () => {
+    const user = await registerUser(app);
+    mailbox.clear();
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ username: 'renamed_user' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pendingChanges).toEqual({ hasChanges: true, changeType: 'username' });
+    expect(res.body.username).toBe(user.username);
+    await mailbox.deliver();
+    expect(mailbox.sentTo(user.email)).toHaveLength(1);
+
+    const verifyRes = await verifyPendingChanges(user._id);
+    expect(verifyRes.status).toBe(200);
+
+    const stored = await User.findById(user._id);
+    expect(stored.username).toBe('renamed_user');
+    expect(stored.pendingChanges.changeType).toBeNull();
+  });
+
+  it('sends an email change to the new address for verification', async () => {
+    const user = await registerUser(app);
+    mailbox.clear();
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ email: 'new-address@example.com' });
+
+    expect(res.status).toBe(200);
+    await mailbox.deliver();
+    expect(mailbox.sentTo('new-address@example.com')).toHaveLength(1);
+    expect(mailbox.sentTo(user.email)).toHaveLength(0);
+
+    await verifyPendingChanges(user._id);
+
+    const stored = await User.findById(user._id);
+    expect(stored.email).toBe('new-address@example.com');
+    expect(stored.isEmailVerified).toBe(true);
+  });
+
+  it('refuses new changes while others are awaiting verification', async () => {
+    const user = await registerUser(app);
+    await request(app).put('/api/users/profile').set(authHeader(user)).send({ username: 'first_change' });
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ username: 'second_change' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/pending changes/);
+  });
+
+  it('rejects a username that belongs to someone else', async () => {
+    const user = await registerUser(app);
+    const other = await registerUser(app);
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ username: other.username });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Username is already taken');
+  });
+
+  it('requires the current password to change the password', async () => {
+    const user = await registerUser(app);
+
+    const missing = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ newPassword: 'newpassword456' });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.message).toBe('Current password is required');
+
+    const wrong = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ newPassword: 'newpassword456', currentPassword: 'not-my-password' });
+
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.message).toBe('Current password is incorrect');
+  });
+
+  it('applies a verified password change and signs out existing sessions', async () => {
+    const user = await registerUser(app);
+    const staleToken = issuedEarlierToken(user);
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ newPassword: 'newpassword456', currentPassword: user.password });
+
+    expect(res.status).toBe(200);
+
+    await verifyPendingChanges(user._id);
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: 'newpassword456' });
+    expect(login.status).toBe(200);
+
+    const stale = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${staleToken}`);
+    expect(stale.status).toBe(401);
+  });
+
+  it('rejects a request without changes', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ username: user.username });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No changes were requested');
+  });
+
+  it('keeps the pending changes when the verification email fails, to be retried', async () => {
+    const user = await registerUser(app);
+    mailbox.failNext();
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ username: 'later_applied' });
+
+    expect(res.status).toBe(200);
+    await mailbox.deliver();
+
+    const stored = await User.findById(user._id);
+    expect(stored.pendingChanges.changeType).toBe('username');
+    expect(await Job.findOne({ status: 'queued' })).toMatchObject({ attempts: 1 });
+  });
+});
+
+describe('password reset', () => {
+  it('gives the same response for unknown emails without sending anything', async () => {
+    const res = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/If an account with that email exists/);
+    await mailbox.deliver();
+    expect(mailbox.messages).toHaveLength(0);
+  });
+
+  it('resets the password with the emailed token', async () => {
+    const user = await registerUser(app);
+    mailbox.clear();
+
+    const forgotRes = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: user.email });
+
+    expect(forgotRes.status).toBe(200);
+
+    const { passwordResetToken } = await User.findById(user._id);
+    await mailbox.deliver();
+    expect(mailbox.sentTo(user.email)).toHaveLength(1);
+    expect(mailbox.last().html).toContain(`/reset-password/${passwordResetToken}`);
+
+    const resetRes = await request(app)
+      .post(`/api/users/reset-password/${passwordResetToken}`)
+      .send({ password: 'brandnew789' });
+
+    expect(resetRes.status).toBe(200);
+
+    const oldLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: user.password });
+    expect(oldLogin.status).toBe(401);
+
+    const newLogin = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: 'brandnew789' });
+    expect(newLogin.status).toBe(200);
+
+    // The token is single use
+    const reuse = await request(app)
+      .post(`/api/users/reset-password/${passwordResetToken}`)
+      .send({ password: 'another123' });
+    expect(reuse.status).toBe(400);
+  });
+
+  it('invalidates tokens issued before the reset', async () => {
+    const user = await registerUser(app);
+    const staleToken = issuedEarlierToken(user);
+
+    await User.updateOne(
+      { _id: user._id },
+      { passwordResetToken: 'reset-token', passwordResetExpires: new Date(Date.now() + 60 * 1000) }
+    );
+
+    await request(app)
+      .post('/api/users/reset-password/reset-token')
+      .send({ password: 'brandnew789' });
+
+    const stale = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${staleToken}`);
+    expect(stale.status).toBe(401);
+    expect(stale.body.message).toBe('Password was changed, please log in again');
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: user.email, password: 'brandnew789' });
+    const fresh = await request(app).get('/api/users/profile').set(authHeader(login.body));
+    expect(fresh.status).toBe(200);
+  });
+
+  it('rejects an expired reset token', async () => {
+    const user = await registerUser(app);
+    await User.updateOne(
+      { _id: user._id },
+      { passwordResetToken: 'expired-token', passwordResetExpires: new Date(Date.now() - 1000) }
+    );
+
+    const res = await request(app)
+      .post('/api/users/reset-password/expired-token')
+      .send({ password: 'brandnew789' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired password reset token');
+  });
+
+  it('rejects a new password that is too short', async () => {
+    const res = await request(app)
+      .post('/api/users/reset-password/any-token')
+      .send({ password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Password must be at least 6 characters');
+  });
+
+  it('keeps the reset token when the email cannot be sent yet', async () => {
+    const user = await registerUser(app);
+    mailbox.failNext();
+
+    const res = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: user.email });
+
+    expect(res.status).toBe(200);
+    await mailbox.deliver();
+    expect((await User.findById(user._id)).passwordResetToken).toEqual(expect.any(String));
+    expect(await Job.findOne({ status: 'queued' })).toMatchObject({ attempts: 1 });
+  });
+});
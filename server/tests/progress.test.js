@@ -0,0 +1,189 @@
+const request = require('supertest');
+const createApp = require('../app');
+const config = require('../config/config');
+const tmdbService = require('../services/tmdbService');
+const ShowProgress = require('../models/ShowProgress');
+const { createTmdbProvider } = require('../services/tmdbProviders');
+const { summarizeProgress } = require('../services/progressService');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+// Game of Thrones in the fixtures has two seasons of ten episodes
+const GOT = '/api/progress/tv/1399';
+
+// A short show served alongside the fixtures, for tests that need two shows
+const theOffice = {
+  id: 2316,
+  name: 'The Office',
+  poster_path: '/office.jpg',
+  seasons: [{ id: 7240, season_number: 1, episode_count: 6 }]
+};
+
+describe('watch progress', () => {
+  let user;
+
+  const mark = (path) => request(app).put(path).set(authHeader(user));
+  const unmark = (path) => request(app).delete(path).set(authHeader(user));
+
+  beforeEach(async () => {
+    user = await registerUser(app);
+
+    const fixtures = createTmdbProvider(config.TMDB);
+    await tmdbService.setProvider({
+      name: 'fixture-plus',
+      get: async (path, params) => (path === 'tv/2316' ? theOffice : fixtures.get(path, params))
+    });
+  });
+
+  afterEach(async () => {
+    await tmdbService.setProvider(createTmdbProvider(config.TMDB));
+  });
+
+  it('starts at the first episode with nothing watched', async () => {
+    const res = await request(app).get(GOT).set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      showId: 1399,
+      name: 'Game of Thrones',
+      watchedCount: 0,
+      totalEpisodes: 20,
+      percent: 0,
+      nextEpisode: { season: 1, episode: 1 },
+      lastWatchedAt: null,
+      episodes: []
+    });
+  });
+
+  it('marks episodes watched and moves the next episode on', async () => {
+    await mark(`${GOT}/season/1/episode/1`);
+    const res = await mark(`${GOT}/season/1/episode/2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ watchedCount: 2, percent: 10, nextEpisode: { season: 1, episode: 3 } });
+    expect(res.body.episodes.map((item) => [item.season, item.episode])).toEqual([[1, 1], [1, 2]]);
+
+    // Marking an episode twice changes nothing
+    const again = await mark(`${GOT}/season/1/episode/2`);
+    expect(again.body.watchedCount).toBe(2);
+  });
+
+  it('marks and unmarks whole seasons', async () => {
+    const watched = await mark(`${GOT}/season/1`);
+    expect(watched.status).toBe(200);
+    expect(watched.body).toMatchObject({ watchedCount: 10, percent: 50, nextEpisode: { season: 2, episode: 1 } });
+
+    await mark(`${GOT}/season/2/episode/1`);
+    const unwatched = await unmark(`${GOT}/season/1`);
+    expect(unwatched.body).toMatchObject({ watchedCount: 1, percent: 5, nextEpisode: { season: 2, episode: 2 } });
+  });
+
+  it('forgets a show once nothing in it is watched', async () => {
+    await mark(`${GOT}/season/1/episode/1`);
+
+    const res = await unmark(`${GOT}/season/1/episode/1`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ watchedCount: 0, lastWatchedAt: null, episodes: [] });
+
+    const continueWatching = await request(app).get('/api/progress/continue').set(authHeader(user));
+    expect(continueWatching.body).toEqual([]);
+  });
+
+  it('keeps every episode when marks arrive at the same time', async () => {
+    const responses = await Promise.all([
+      mark(`${GOT}/season/1/episode/1`),
+      mark(`${GOT}/season/1/episode/2`),
+      mark(`${GOT}/season/1/episode/2`),
+      mark(`${GOT}/season/1`)
+    ]);
+
+    expect(responses.map((res) => res.status)).toEqual([200, 200, 200, 200]);
+    const [progress] = await ShowProgress.find({ user: user._id });
+    expect(progress.episodes).toHaveLength(10);
+
+    const unmarked = await Promise.all([
+      unmark(`${GOT}/season/1/episode/1`),
+      unmark(`${GOT}/season/1/episode/2`)
+    ]);
+    expect(unmarked.map((res) => res.status)).toEqual([200, 200]);
+    expect((await ShowProgress.findById(progress._id)).episodes).toHaveLength(8);
+  });
+
+  it('answers 404 for seasons and episodes the show does not have', async () => {
+    const season = await mark(`${GOT}/season/9/episode/1`);
+    expect(season.status).toBe(404);
+    expect(season.body.message).toBe('Season not found');
+
+    const episode = await mark(`${GOT}/season/1/episode/11`);
+    expect(episode.status).toBe(404);
+    expect(episode.body.message).toBe('Episode not found');
+
+    const show = await request(app).get('/api/progress/tv/999999').set(authHeader(user));
+    expect(show.status).toBe(404);
+  });
+
+  it('lists shows in progress, most recently watched first', async () => {
+    await mark(`${GOT}/season/1/episode/1`);
+    await mark('/api/progress/tv/2316/season/1/episode/1');
+
+    const res = await request(app).get('/api/progress/continue').set(authHeader(user));
+    expect(res.status).toBe(200);
+    expect(res.body.map((show) => show.name)).toEqual(['The Office', 'Game of Thrones']);
+    expect(res.body[0]).toMatchObject({ percent: 17, nextEpisode: { season: 1, episode: 2 } });
+
+    // Going back to a show moves it to the front; finishing one removes it
+    await mark(`${GOT}/season/1/episode/2`);
+    await mark('/api/progress/tv/2316/season/1');
+    const after = await request(app).get('/api/progress/continue').set(authHeader(user));
+    expect(after.body.map((show) => show.name)).toEqual(['Game of Thrones']);
+  });
+
+  it('keeps each user\'s progress to themselves', async () => {
+    await mark(`${GOT}/season/1`);
+    const other = await registerUser(app);
+
+    const res = await request(app).get(GOT).set(authHeader(other));
+    expect(res.body.watchedCount).toBe(0);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).put(`${GOT}/season/1/episode/1`);
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('summarizeProgress', () => {
+  const show = {
+    id: 1,
+    name: 'Airing Show',
+    seasons: [
+      { season_number: 0, episode_count: 3 },
+      { season_number: 1, episode_count: 4 },
+      { season_number: 2, episode_count: 8 }
+    ],
+    last_episode_to_air: { season_number: 2, episode_number: 2 }
+  };
+  const watched = (...episodes) => ({
+    episodes: episodes.map(([season, episode]) => ({ season, episode })),
+    lastWatchedAt: new Date()
+  });
+
+  it('counts only aired episodes outside the specials', () => {
+    const summary = summarizeProgress(watched([0, 1], [1, 1], [1, 2]), show);
+
+    expect(summary).toMatchObject({ watchedCount: 2, totalEpisodes: 6, percent: 33 });
+  });
+
+  it('has no next episode once the user has caught up', () => {
+    const summary = summarizeProgress(watched([1, 1], [1, 2], [1, 3], [1, 4], [2, 1], [2, 2]), show);
+
+    expect(summary.nextEpisode).toBeNull();
+  });
+
+  it('goes back to a skipped episode after the furthest one watched', () => {
+    const summary = summarizeProgress(watched([1, 1], [1, 3], [1, 4], [2, 1], [2, 2]), show);
+
+    expect(summary.nextEpisode).toEqual({ season: 1, episode: 2 });
+  });
+});
@@ -0,0 +1,232 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const createApp = require('../app');
+const User = require('../models/User');
+const mailbox = require('./helpers/mailbox');
+const { rateLimit, keyByEmail, MemoryRateLimitStore } = require('../middleware/rateLimiter');
+const { errorHandler } = require('../middleware/errorHandler');
+const { registerUser } = require('./helpers/users');
+
+const app = createApp();
+
+const login = (email, password) => request(app)
+  .post('/api/users/login')
+  .send({ email, password });
+
+describe('rateLimit middleware', () => {
+  // Minimal app with a single limited route
+  const limitedApp = (options) => {
+    const testApp = express();
+    testApp.use(express.json());
+    testApp.post('/limited', rateLimit({ name: `test-${Date.now()}`, windowMs: 60 * 1000, ...options }), (req, res) => {
+      res.json({ ok: true });
+    });
+    testApp.use(errorHandler);
+    return testApp;
+  };
+
+  it('allows max requests per window and then responds 429 with Retry-After', async () => {
+    const testApp = limitedApp({ max: 2, message: 'Slow down' });
+
+    const first = await request(testApp).post('/limited');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+
+    await request(testApp).post('/limited');
+    const blocked = await request(testApp).post('/limited');
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.message).toBe('Slow down');
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(blocked.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(blocked.body.retryAfter).toBe(Number(blocked.headers['retry-after']));
+  });
+
+  it('counts each key separately and skips requests without a key', async () => {
+    const testApp = limitedApp({ max: 1, keyBy: keyByEmail });
+
+    await request(testApp).post('/limited').send({ email: 'a@example.com' });
+
+    const sameEmail = await request(testApp).post('/limited').send({ email: ' A@example.com ' });
+    expect(sameEmail.status).toBe(429);
+
+    const otherEmail = await request(testApp).post('/limited').send({ email: 'b@example.com' });
+    expect(otherEmail.status).toBe(200);
+
+    const noEmail = await request(testApp).post('/limited').send({});
+    expect(noEmail.status).toBe(200);
+  });
+});
+
+describe('MemoryRateLimitStore', () => {
+  it('evicts the oldest windows once full of unexpired keys', () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 3 });
+
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+      store.increment(key, 60 * 1000);
+    }
+
+    expect(store.windows.size).toBe(3);
+    expect([...store.windows.keys()]).toEqual(['c', 'd', 'e']);
+    expect(store.increment('a', 60 * 1000).count).toBe(1);
+    expect(store.increment('e', 60 * 1000).count).toBe(2);
+  });
+
+  it('drops expired windows before evicting live ones', () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 2 });
+
+    store.increment('expired', -1);
+    store.increment('live', 60 * 1000);
+    store.increment('new', 60 * 1000);
+
+    expect([...store.windows.keys()]).toEqual(['live', 'new']);
+  });
+});
+
+describe('auth endpoint limits', () => {
+  it('limits registrations per IP', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await registerUser(app);
+    }
+
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'onetoomany', email: 'onetoomany@example.com', password: 'password123' });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(await User.exists({ email: 'onetoomany@example.com' })).toBeNull();
+  });
+
+  it('limits login attempts per email', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      await login('nobody@example.com', 'guess');
+    }
+
+    const res = await login('nobody@example.com', 'guess');
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Too many login attempts for this account. Please try again later.');
+  });
+
+  it('limits password reset emails per address', async () => {
+    const user = await registerUser(app);
+    mailbox.clear();
+
+    for (let i = 0; i < 3; i += 1) {
+      await request(app).post('/api/users/forgot-password').send({ email: user.email });
+    }
+    const res = await request(app).post('/api/users/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(429);
+    await mailbox.deliver();
+    expect(mailbox.sentTo(user.email)).toHaveLength(3);
+  });
+});
+
+describe('account lockout', () => {
+  it('locks the account after repeated failures and emails an unlock link', async () => {
+    const user = await registerUser(app);
+    mailbox.clear();
+
+    for (let i = 0; i < User.MAX_FAILED_LOGINS; i += 1) {
+      const res = await login(user.email, 'wrong-password');
+      expect(res.status).toBe(401);
+    }
+
+    // Even the right password is refused while locked
+    const locked = await login(user.email, user.password);
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(14 * 60);
+    expect(locked.body.message).toMatch(/Try again in 15 minutes/);
+
+    const stored = await User.findById(user._id);
+    await mailbox.deliver();
+    expect(mailbox.sentTo(user.email)).toHaveLength(1);
+    expect(mailbox.last().html).toContain(`/unlock-account/${stored.unlockToken}`);
+
+    const unlock = await request(app).get(`/api/users/unlock/${stored.unlockToken}`);
+    expect(unlock.status).toBe(200);
+
+    const afterUnlock = await login(user.email, user.password);
+    expect(afterUnlock.status).toBe(200);
+  });
+
+  it('doubles the lock for each failure after a lock expires', async () => {
+    const user = await registerUser(app);
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: User.MAX_FAILED_LOGINS, lockUntil: new Date(Date.now() - 1000) }
+    );
+
+    const res = await login(user.email, 'wrong-password');
+    expect(res.status).toBe(401);
+
+    const stored = await User.findById(user._id);
+    const lockMinutes = (stored.lockUntil - Date.now()) / (60 * 1000);
+    expect(lockMinutes).toBeGreaterThan(29);
+    expect(lockMinutes).toBeLessThanOrEqual(30);
+    expect(User.lockMinutesFor(100)).toBe(User.MAX_LOCK_MINUTES);
+  });
+
+  it('resets the failure count after a successful login', async () => {
+    const user = await registerUser(app);
+
+    await login(user.email, 'wrong-password');
+    await login(user.email, 'wrong-password');
+    await login(user.email, user.password);
+
+    expect((await User.findById(user._id)).failedLoginAttempts).toBe(0);
+  });
+
+  it('lifts the lock when the password is reset', async () => {
+    const user = await registerUser(app);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        failedLoginAttempts: User.MAX_FAILED_LOGINS,
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+        passwordResetToken: 'reset-token',
+        passwordResetExpires: new Date(Date.now() + 60 * 1000)
+      }
+    );
+
+    await request(app).post('/api/users/reset-password/reset-token').send({ password: 'brandnew789' });
+
+    const res = await login(user.email, 'brandnew789');
+    expect(res.status).toBe(200);
+  });
+
+  it('locks unknown emails the same way so lockouts do not reveal accounts', async () => {
+    const user = await registerUser(app);
+    const responses = { registered: [], unknown: [] };
+
+    for (let i = 0; i <= User.MAX_FAILED_LOGINS; i += 1) {
+      responses.registered.push(await login(user.email, 'wrong-password'));
+      responses.unknown.push(await login('no-account@example.com', 'wrong-password'));
+    }
+
+    const summarize = (res) => [res.status, res.body.code, res.body.message, res.headers['retry-after']];
+    expect(responses.unknown.map(summarize)).toEqual(responses.registered.map(summarize));
+    expect(responses.unknown[User.MAX_FAILED_LOGINS].body.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  it('checks a password for unknown emails too, so they answer as slowly', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    const res = await login('no-account@example.com', 'wrong-password');
+
+    expect(res.status).toBe(401);
+    expect(compare).toHaveBeenCalledTimes(1);
+    expect(bcrypt.getRounds(compare.mock.calls[0][1])).toBe(User.PASSWORD_SALT_ROUNDS);
+    compare.mockRestore();
+  });
+
+  it('rejects an invalid unlock link', async () => {
+    const res = await request(app).get('/api/users/unlock/not-a-real-token');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired unlock link');
+  });
+});
@@ -0,0 +1,315 @@
+const request = require('supertest');
+const createApp = require('../app');
+const Review = require('../models/Review');
+const MediaRating = require('../models/MediaRating');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+// Post a review as the given user (movie 550 has a TMDB fixture)
+const postReview = (user, overrides = {}) => request(app)
+  .post('/api/reviews')
+  .set(authHeader(user))
+  .send({ mediaType: 'movie', mediaId: '550', rating: 8, content: 'Still holds up.', ...overrides });
+
+describe('POST /api/reviews', () => {
+  it('creates a review using the title and poster from TMDB', async () => {
+    const user = await registerUser(app);
+
+    const res = await postReview(user);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      mediaType: 'movie',
+      mediaId: '550',
+      mediaTitle: 'Fight Club',
+      rating: 8,
+      edited: false
+    });
+  });
+
+  it('rejects a second review of the same title', async () => {
+    const user = await registerUser(app);
+    await postReview(user);
+
+    const res = await postReview(user, { rating: 3 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('You have already reviewed this title');
+  });
+
+  it('is backed by a unique index on user and title', async () => {
+    const user = await registerUser(app);
+    await postReview(user);
+
+    await expect(Review.create({
+      user: user._id,
+      mediaType: 'movie',
+      mediaId: '550',
+      mediaTitle: 'Fight Club',
+      rating: 5,
+      content: 'Duplicate'
+    })).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('returns 404 for a title TMDB does not know', async () => {
+    const user = await registerUser(app);
+
+    const res = await postReview(user, { mediaId: '99999999' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Media not found');
+  });
+
+  it('validates the request', async () => {
+    const user = await registerUser(app);
+
+    const missing = await postReview(user, { content: '' });
+    expect(missing.status).toBe(400);
+
+    const badType = await postReview(user, { mediaType: 'person' });
+    expect(badType.status).toBe(400);
+    expect(badType.body.errors).toEqual([
+      { field: 'mediaType', location: 'body', message: 'Media type must be one of: movie, tv' }
+    ]);
+  });
+});
+
+describe('GET /api/reviews', () => {
+  it('returns only the current user\'s reviews', async () => {
+    const user = await registerUser(app);
+    const other = await registerUser(app);
+    await postReview(user);
+    await postReview(other, { mediaType: 'tv', mediaId: '1399' });
+
+    const res = await request(app).get('/api/reviews').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].mediaId).toBe('550');
+  });
+});
+
+describe('GET /api/reviews/:mediaType/:mediaId', () => {
+  it('lists community reviews with usernames and TMDB-style pagination', async () => {
+    const ratings = [6, 9, 3];
+    for (const rating of ratings) {
+      const user = await registerUser(app);
+      await postReview(user, { rating });
+    }
+
+    const res = await request(app).get('/api/reviews/movie/550?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ page: 1, total_pages: 2, total_results: 3 });
+    expect(res.body.results).toHaveLength(2);
+    expect(res.body.results[0].user.username).toEqual(expect.any(String));
+    expect(res.body.results[0].revisions).toBeUndefined();
+
+    const newest = res.body.results.map((review) => review.rating);
+    expect(newest).toEqual([3, 9]);
+
+    const highest = await request(app).get('/api/reviews/movie/550?sort=highest');
+    expect(highest.body.results.map((review) => review.rating)).toEqual([9, 6, 3]);
+
+    const lowest = await request(app).get('/api/reviews/movie/550?sort=lowest');
+    expect(lowest.body.results.map((review) => review.rating)).toEqual([3, 6, 9]);
+  });
+
+  it('leaves the caller\'s own review out of the pages and the total', async () => {
+    const author = await registerUser(app);
+    await postReview(author, { rating: 7 });
+    for (const rating of [6, 9]) {
+      const user = await registerUser(app);
+      await postReview(user, { rating });
+    }
+
+    const res = await request(app).get('/api/reviews/movie/550?limit=2').set(authHeader(author));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total_pages: 1, total_results: 2 });
+    expect(res.body.results.map((review) => review.rating)).toEqual([9, 6]);
+
+    const anonymous = await request(app).get('/api/reviews/movie/550?limit=2');
+    expect(anonymous.body.total_results).toBe(3);
+  });
+
+  it('rejects an unknown sort order', async () => {
+    const res = await request(app).get('/api/reviews/movie/550?sort=random');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/reviews/:id', () => {
+  it('edits the review in place and keeps the previous version', async () => {
+    const user = await registerUser(app);
+    const created = await postReview(user);
+
+    const res = await request(app)
+      .put(`/api/reviews/${created.body._id}`)
+      .set(authHeader(user))
+      .send({ rating: 9, content: 'Even better the second time.' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      _id: created.body._id,
+      createdAt: created.body.createdAt,
+      rating: 9,
+      content: 'Even better the second time.',
+      edited: true
+    });
+    expect(res.body.revisions).toEqual([
+      expect.objectContaining({ rating: 8, content: 'Still holds up.', savedAt: created.body.createdAt })
+    ]);
+  });
+
+  it('keeps at most MAX_REVISIONS previous versions', async () => {
+    const user = await registerUser(app);
+    const created = await postReview(user);
+
+    for (let i = 1; i <= Review.MAX_REVISIONS + 2; i += 1) {
+      await request(app)
+        .put(`/api/reviews/${created.body._id}`)
+        .set(authHeader(user))
+        .send({ content: `Edit ${i}` });
+    }
+
+    const stored = await Review.findById(created.body._id);
+    expect(stored.revisions).toHaveLength(Review.MAX_REVISIONS);
+    expect(stored.revisions[stored.revisions.length - 1].content).toBe(`Edit ${Review.MAX_REVISIONS + 1}`);
+  });
+
+  it('does not record a revision when nothing changed', async () => {
+    const user = await registerUser(app);
+    const created = await postReview(user);
+
+    const res = await request(app)
+      .put(`/api/reviews/${created.body._id}`)
+      .set(authHeader(user))
+      .send({ rating: 8 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.edited).toBe(false);
+    expect(res.body.revisions).toEqual([]);
+  });
+
+  it('only lets the author edit', async () => {
+    const author = await registerUser(app);
+    const other = await registerUser(app);
+    const created = await postReview(author);
+
+    const res = await request(app)
+      .put(`/api/reviews/${created.body._id}`)
+      .set(authHeader(other))
+      .send({ rating: 1 });
+
+    expect(res.status).toBe(401);
+    expect((await Review.findById(created.body._id)).rating).toBe(8);
+  });
+
+  it('rejects an invalid rating', async () => {
+    const user = await registerUser(app);
+    const created = await postReview(user);
+
+    const res = await request(app)
+      .put(`/api/reviews/${created.body._id}`)
+      .set(authHeader(user))
+      .send({ rating: 11 });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/reviews/:id', () => {
+  it('removes the author\'s review', async () => {
+    const user = await registerUser(app);
+    const created = await postReview(user);
+
+    const res = await request(app).delete(`/api/reviews/${created.body._id}`).set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(await Review.findById(created.body._id)).toBeNull();
+  });
+
+  it('only lets the author delete', async () => {
+    const author = await registerUser(app);
+    const other = await registerUser(app);
+    const created = await postReview(author);
+
+    const res = await request(app).delete(`/api/reviews/${created.body._id}`).set(authHeader(other));
+
+    expect(res.status).toBe(401);
+    expect(await Review.findById(created.body._id)).not.toBeNull();
+  });
+});
+
+describe('CineConnect rating stats', () => {
+  it('tracks the average, count and histogram as reviews change', async () => {
+    const first = await registerUser(app);
+    const second = await registerUser(app);
+    const review = await postReview(first, { rating: 8 });
+    await postReview(second, { rating: 5 });
+
+    let res = await request(app).get('/api/reviews/movie/550/stats');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ mediaType: 'movie', mediaId: '550', average: 6.5, count: 2 });
+    expect(res.body.histogram[7]).toBe(1);
+    expect(res.body.histogram[4]).toBe(1);
+
+    await request(app)
+      .put(`/api/reviews/${review.body._id}`)
+      .set(authHeader(first))
+      .send({ rating: 10 });
+
+    res = await request(app).get('/api/reviews/movie/550/stats');
+    expect(res.body.average).toBe(7.5);
+
+    await request(app).delete(`/api/reviews/${review.body._id}`).set(authHeader(first));
+
+    res = await request(app).get('/api/reviews/movie/550/stats');
+    expect(res.body).toMatchObject({ average: 5, count: 1 });
+  });
+
+  it('empties the stats once the last review is deleted', async () => {
+    const user = await registerUser(app);
+    const review = await postReview(user);
+
+    await request(app).delete(`/api/reviews/${review.body._id}`).set(authHeader(user));
+
+    expect(await MediaRating.findOne({ mediaType: 'movie', mediaId: '550' })).toMatchObject({ count: 0 });
+
+    const res = await request(app).get('/api/reviews/movie/550/stats');
+    expect(res.body).toMatchObject({ average: null, count: 0 });
+  });
+
+  it('ends up matching the reviews when they change at the same time', async () => {
+    const users = await Promise.all([1, 2, 3, 4, 5, 6].map(() => registerUser(app)));
+    await postReview(users[0], { rating: 6 });
+    const deleted = await Promise.all(users.slice(1, 3).map((user) => postReview(user, { rating: 2 })));
+
+    await Promise.all([
+      ...users.slice(3).map((user) => postReview(user, { rating: 9 })),
+      ...deleted.map((review, index) => request(app)
+        .delete(`/api/reviews/${review.body._id}`)
+        .set(authHeader(users[index + 1])))
+    ]);
+
+    const stored = await MediaRating.findOne({ mediaType: 'movie', mediaId: '550' });
+    expect(stored.count).toBe(4);
+    expect(stored.average).toBe(8.25);
+    expect(stored.histogram[8]).toBe(3);
+    expect(stored.histogram[1]).toBe(0);
+  });
+
+  it('adds cineconnect_rating to movie details', async () => {
+    const user = await registerUser(app);
+    await postReview(user, { rating: 7 });
+
+    const res = await request(app).get('/api/movies/550');
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Fight Club');
+    expect(res.body.cineconnect_rating).toMatchObject({ average: 7, count: 1 });
+  });
+});
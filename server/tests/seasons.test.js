@@ -0,0 +1,49 @@
+const request = require('supertest');
+const createApp = require('../app');
+
+const app = createApp();
+
+describe('TV seasons and episodes', () => {
+  it('returns a season with its episodes', async () => {
+    const res = await request(app).get('/api/movies/tv/1399/season/1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Season 1');
+    expect(res.body.episodes.map((episode) => episode.episode_number)).toEqual([1, 2, 3]);
+    expect(res.body.episodes[0]).toEqual(expect.objectContaining({
+      name: 'Winter Is Coming',
+      air_date: '2011-04-17',
+      runtime: 62
+    }));
+  });
+
+  it('returns an episode with its guest stars and crew', async () => {
+    const res = await request(app).get('/api/movies/tv/1399/season/1/episode/1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Winter Is Coming');
+    expect(res.body.still_path).toBeTruthy();
+    expect(res.body.guest_stars).toContainEqual(expect.objectContaining({ name: 'Jason Momoa', character: 'Khal Drogo' }));
+    expect(res.body.crew).toContainEqual(expect.objectContaining({ job: 'Director' }));
+  });
+
+  it('answers 404 for a season or episode TMDB does not have', async () => {
+    const season = await request(app).get('/api/movies/tv/1399/season/99');
+    expect(season.status).toBe(404);
+    expect(season.body.message).toBe('Season not found');
+
+    const episode = await request(app).get('/api/movies/tv/1399/season/1/episode/99');
+    expect(episode.status).toBe(404);
+    expect(episode.body.message).toBe('Episode not found');
+  });
+
+  it('rejects invalid season and episode numbers', async () => {
+    const season = await request(app).get('/api/movies/tv/1399/season/-1');
+    expect(season.status).toBe(400);
+    expect(season.body.errors[0]).toEqual(expect.objectContaining({ field: 'seasonNumber', location: 'params' }));
+
+    const episode = await request(app).get('/api/movies/tv/1399/season/1/episode/0');
+    expect(episode.status).toBe(400);
+    expect(episode.body.errors[0]).toEqual(expect.objectContaining({ field: 'episodeNumber', location: 'params' }));
+  });
+});
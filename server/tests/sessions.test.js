@@ -0,0 +1,190 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const createApp = require('../app');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+const login = (user, userAgent = 'jest') => request(app)
+  .post('/api/users/login')
+  .set('User-Agent', userAgent)
+  .send({ email: user.email, password: user.password });
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/users/refresh')
+  .send({ refreshToken });
+
+describe('sessions', () => {
+  it('issues a short-lived access token tied to a stored session', async () => {
+    const user = await registerUser(app);
+
+    const { sid, exp, iat } = jwt.decode(user.token);
+
+    expect(exp - iat).toBe(15 * 60);
+    expect(user.refreshToken).toEqual(expect.any(String));
+
+    const session = await Session.findById(sid);
+    expect(session.user.toString()).toBe(user._id);
+    expect(session.refreshTokenHash).not.toBe(user.refreshToken);
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const user = await registerUser(app);
+
+    const res = await refresh(user.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(user.refreshToken);
+    expect(jwt.decode(res.body.token).sid).toBe(jwt.decode(user.token).sid);
+
+    const profile = await request(app).get('/api/users/profile').set(authHeader(res.body));
+    expect(profile.status).toBe(200);
+  });
+
+  it('keeps the session when two requests refresh with the same token at once', async () => {
+    const user = await registerUser(app);
+
+    const responses = await Promise.all([refresh(user.refreshToken), refresh(user.refreshToken)]);
+
+    expect(responses.map((res) => res.status)).toEqual([200, 200]);
+    const [winner] = responses.filter((res) => res.body.refreshToken);
+    const [loser] = responses.filter((res) => !res.body.refreshToken);
+    expect(winner).toBeDefined();
+    expect(loser).toBeDefined();
+    expect(jwt.decode(loser.body.token).sid).toBe(jwt.decode(user.token).sid);
+
+    const profile = await request(app).get('/api/users/profile').set(authHeader(loser.body));
+    expect(profile.status).toBe(200);
+    expect((await refresh(winner.body.refreshToken)).status).toBe(200);
+  });
+
+  it('ends the session when a used refresh token is replayed', async () => {
+    const user = await registerUser(app);
+    const rotated = await refresh(user.refreshToken);
+    // Past the grace window for requests racing the first refresh
+    await Session.updateMany({}, { lastUsedAt: new Date(Date.now() - 60 * 1000) });
+
+    const replay = await refresh(user.refreshToken);
+    expect(replay.status).toBe(401);
+
+    // The legitimate holder of the newer token is signed out too
+    const afterReplay = await refresh(rotated.body.refreshToken);
+    expect(afterReplay.status).toBe(401);
+    expect(await Session.countDocuments()).toBe(0);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await refresh('not-a-real-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid or expired refresh token');
+  });
+
+  it('rejects access tokens without a session', async () => {
+    const user = await registerUser(app);
+    const legacyToken = jwt.sign({ id: user._id }, config.JWT_SECRET, { expiresIn: '30d' });
+
+    const res = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${legacyToken}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Session has ended, please log in again');
+  });
+
+  it('logs out only the current session', async () => {
+    const user = await registerUser(app);
+    const otherDevice = await login(user);
+
+    const res = await request(app)
+      .post('/api/users/logout')
+      .send({ refreshToken: user.refreshToken });
+
+    expect(res.status).toBe(200);
+
+    const loggedOut = await request(app).get('/api/users/profile').set(authHeader(user));
+    expect(loggedOut.status).toBe(401);
+    expect((await refresh(user.refreshToken)).status).toBe(401);
+
+    const stillIn = await request(app).get('/api/users/profile').set(authHeader(otherDevice.body));
+    expect(stillIn.status).toBe(200);
+  });
+
+  it('logs out of all devices', async () => {
+    const user = await registerUser(app);
+    const otherDevice = await login(user);
+
+    const res = await request(app).post('/api/users/logout-all').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+
+    for (const tokens of [user, otherDevice.body]) {
+      const profile = await request(app).get('/api/users/profile').set(authHeader(tokens));
+      expect(profile.status).toBe(401);
+    }
+  });
+
+  it('lists active sessions and marks the current one', async () => {
+    const user = await registerUser(app);
+    await login(user, 'Mozilla/5.0 (Macintosh) Firefox/128.0');
+
+    const res = await request(app).get('/api/users/sessions').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body.filter((session) => session.current)).toHaveLength(1);
+    expect(res.body.find((session) => session.current)._id).toBe(jwt.decode(user.token).sid);
+    expect(res.body[0].refreshTokenHash).toBeUndefined();
+    expect(res.body.map((session) => session.userAgent)).toContain('Mozilla/5.0 (Macintosh) Firefox/128.0');
+  });
+
+  it('revokes a single session of the current user', async () => {
+    const user = await registerUser(app);
+    const otherDevice = await login(user);
+    const otherSessionId = jwt.decode(otherDevice.body.token).sid;
+
+    const res = await request(app)
+      .delete(`/api/users/sessions/${otherSessionId}`)
+      .set(authHeader(user));
+
+    expect(res.status).toBe(200);
+
+    const revoked = await request(app).get('/api/users/profile').set(authHeader(otherDevice.body));
+    expect(revoked.status).toBe(401);
+  });
+
+  it('does not revoke sessions of other users', async () => {
+    const user = await registerUser(app);
+    const other = await registerUser(app);
+
+    const res = await request(app)
+      .delete(`/api/users/sessions/${jwt.decode(other.token).sid}`)
+      .set(authHeader(user));
+
+    expect(res.status).toBe(404);
+    expect(await Session.exists({ _id: jwt.decode(other.token).sid })).toBeTruthy();
+
+    const invalidId = await request(app).delete('/api/users/sessions/not-an-id').set(authHeader(user));
+    expect(invalidId.status).toBe(400);
+    expect(invalidId.body.errors[0].field).toBe('id');
+  });
+
+  it('ends every session when the password is reset', async () => {
+    const user = await registerUser(app);
+    await login(user);
+    await User.updateOne(
+      { _id: user._id },
+      { passwordResetToken: 'reset-token', passwordResetExpires: new Date(Date.now() + 60 * 1000) }
+    );
+
+    await request(app)
+      .post('/api/users/reset-password/reset-token')
+      .send({ password: 'brandnew789' });
+
+    expect(await Session.countDocuments({ user: user._id })).toBe(0);
+    expect((await refresh(user.refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const tmdbService = require('../services/tmdbService');
+const { resetRateLimits } = require('../middleware/rateLimiter');
+const mailbox = require('./helpers/mailbox');
+
+let mongod;
+
+// Each test file gets its own in-memory MongoDB
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+
+  // Wait for indexes so tests can rely on unique constraints
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+
+  mailbox.install();
+});
+
+// Empty every collection (keeping indexes) and reset stubs between tests
+afterEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+
+  mailbox.clear();
+  resetRateLimits();
+  await tmdbService.clearCache();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  // mongod is undefined if the server failed to start
+  if (mongod) {
+    await mongod.stop();
+  }
+});
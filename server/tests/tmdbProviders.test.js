@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  createFixtureProvider,
+  createRecordingProvider
+} = require('../services/tmdbProviders');
+const { fixtureFileName } = require('../services/tmdbProviders/fixtureProvider');
+const { logger } = require('../utils/logger');
+
+describe('recording provider', () => {
+  let fixturesDir;
+
+  beforeEach(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdb-fixtures-'));
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('records responses where the fixture provider reads them', async () => {
+    const body = { page: 1, results: [{ id: 603, title: 'The Matrix' }] };
+    const live = { name: 'live', get: jest.fn().mockResolvedValue(body) };
+    const recorder = createRecordingProvider({ provider: live, fixturesDir });
+    const params = { query: 'the matrix', page: 1 };
+
+    expect(await recorder.get('search/movie', params)).toEqual(body);
+    expect(live.get).toHaveBeenCalledWith('search/movie', params);
+
+    const recorded = path.join(fixturesDir, fixtureFileName('search/movie', params));
+    expect(recorded).toBe(path.join(fixturesDir, 'search', 'movie@page=1&query=the%20matrix.json'));
+    expect(JSON.parse(await fs.readFile(recorded, 'utf8'))).toEqual(body);
+
+    const fixtures = createFixtureProvider({ fixturesDir });
+    expect(await fixtures.get('search/movie', { page: 1, query: 'the matrix' })).toEqual(body);
+  });
+
+  it('records nothing when the live request fails', async () => {
+    const error = Object.assign(new Error('Not found'), { response: { status: 404 } });
+    const live = { name: 'live', get: jest.fn().mockRejectedValue(error) };
+    const recorder = createRecordingProvider({ provider: live, fixturesDir });
+
+    await expect(recorder.get('movie/1', {})).rejects.toBe(error);
+    expect(await fs.readdir(fixturesDir)).toEqual([]);
+  });
+});
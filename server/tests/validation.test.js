@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const createApp = require('../app');
+const { validate, v } = require('../middleware/validate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+describe('validate middleware', () => {
+  // Minimal app echoing the validated request
+  const validatedApp = (schema) => {
+    const testApp = express();
+    testApp.use(express.json());
+    testApp.post('/items/:id', validate(schema), (req, res) => {
+      res.json({ params: req.params, query: req.query, body: req.body });
+    });
+    testApp.use(errorHandler);
+    return testApp;
+  };
+
+  it('coerces values to the declared types and applies defaults', async () => {
+    const testApp = validatedApp({
+      params: { id: v.integer().required() },
+      query: { page: v.integer().default(1), archived: v.boolean() },
+      body: { title: v.string().trim().required(), email: v.email() }
+    });
+
+    const res = await request(testApp)
+      .post('/items/42?archived=true')
+      .send({ title: '  Heat  ', email: ' Someone@Example.com ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      params: { id: 42 },
+      query: { page: 1, archived: true },
+      body: { title: 'Heat', email: 'someone@example.com' }
+    });
+  });
+
+  it('reports every invalid and unknown field', async () => {
+    const testApp = validatedApp({
+      params: { id: v.objectId().required() },
+      body: { rating: v.integer().min(1).max(10).required(), title: v.string().required() }
+    });
+
+    const res = await request(testApp)
+      .post('/items/abc')
+      .send({ rating: '7.5', isAdmin: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors).toEqual([
+      { field: 'id', location: 'params', message: 'Id must be a valid id' },
+      { field: 'isAdmin', location: 'body', message: 'Unknown field "isAdmin"' },
+      { field: 'rating', location: 'body', message: 'Rating must be a whole number' },
+      { field: 'title', location: 'body', message: 'Title is required' }
+    ]);
+    expect(res.body.message).toBe(res.body.errors.map((error) => error.message).join('. '));
+  });
+
+  it('accepts null only for nullable fields', async () => {
+    const testApp = validatedApp({
+      body: { posterPath: v.string().nullable(), title: v.string() }
+    });
+
+    const allowed = await request(testApp).post('/items/1').send({ posterPath: null });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.body).toEqual({ posterPath: null });
+
+    const rejected = await request(testApp).post('/items/1').send({ title: null });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.message).toBe('Title cannot be empty');
+  });
+
+  it('uses labels in error messages', async () => {
+    const testApp = validatedApp({
+      body: { newPassword: v.string().min(6).label('New password') }
+    });
+
+    const res = await request(testApp).post('/items/1').send({ newPassword: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('New password must be at least 6 characters');
+  });
+});
+
+describe('API request validation', () => {
+  it('rejects invalid TMDB ids and media types', async () => {
+    const movie = await request(app).get('/api/movies/abc');
+    expect(movie.status).toBe(400);
+    expect(movie.body.errors[0]).toMatchObject({ field: 'id', location: 'params' });
+
+    const reviews = await request(app).get('/api/movies/person/550/reviews');
+    expect(reviews.status).toBe(400);
+    expect(reviews.body.errors[0].field).toBe('type');
+  });
+
+  it('rejects out of range paging', async () => {
+    const res = await request(app).get('/api/reviews/movie/550?limit=100');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'limit', location: 'query', message: 'Limit must be at most 50' }
+    ]);
+  });
+
+  it('requires a search query', async () => {
+    const res = await request(app).get('/api/movies/search');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Search query is required');
+  });
+
+  it('reports each invalid registration field', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ username: 'a b', email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['username', 'email', 'password']);
+  });
+
+  it('rejects fields a route does not accept', async () => {
+    const user = await registerUser(app);
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(authHeader(user))
+      .send({ isEmailVerified: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'isEmailVerified', location: 'body', message: 'Unknown field "isEmailVerified"' }
+    ]);
+  });
+
+  it('requires a rating or review when editing a review', async () => {
+    const user = await registerUser(app);
+    const created = await request(app)
+      .post('/api/reviews')
+      .set(authHeader(user))
+      .send({ mediaType: 'movie', mediaId: '550', rating: 8, content: 'Still holds up.' });
+
+    const res = await request(app)
+      .put(`/api/reviews/${created.body._id}`)
+      .set(authHeader(user))
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['rating', 'content']);
+  });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const createApp = require('../app');
+const User = require('../models/User');
+const WatchlistItem = require('../models/WatchlistItem');
+const { migrations } = require('../migrations');
+const { registerUser, authHeader } = require('./helpers/users');
+
+const app = createApp();
+
+const fightClub = { mediaType: 'movie', mediaId: 550, title: 'Fight Club', posterPath: '/fight-club.jpg' };
+const gameOfThrones = { mediaType: 'tv', mediaId: 1399, title: 'Game of Thrones', posterPath: '/got.jpg' };
+// A movie that shares its TMDB id with Game of Thrones
+const movie1399 = { mediaType: 'movie', mediaId: 1399, title: 'Movie 1399', posterPath: '/movie-1399.jpg' };
+
+describe('watchlist', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser(app);
+  });
+
+  it('starts empty', async () => {
+    const res = await request(app).get('/api/users/watchlist').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it('adds items and lists the most recent first', async () => {
+    const first = await request(app).post('/api/users/watchlist').set(authHeader(user)).send(fightClub);
+    expect(first.status).toBe(201);
+    expect(first.body.item).toMatchObject({ mediaType: 'movie', mediaId: 550, poster_path: '/fight-club.jpg' });
+
+    await request(app).post('/api/users/watchlist').set(authHeader(user)).send(gameOfThrones);
+
+    const res = await request(app).get('/api/users/watchlist').set(authHeader(user));
+
+    expect(res.body.map((item) => item.mediaId)).toEqual([1399, 550]);
+  });
+
+  it('rejects duplicates', async () => {
+    await request(app).post('/api/users/watchlist').set(authHeader(user)).send(fightClub);
+
+    const res = await request(app).post('/api/users/watchlist').set(authHeader(user)).send(fightClub);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Item already in watchlist');
+  });
+
+  it('rejects items missing required fields', async () => {
+    const res = await request(app)
+      .post('/api/users/watchlist')
+      .set(authHeader(user))
+      .send({ mediaType: 'movie', mediaId: 550 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Title is required');
+    expect(res.body.errors).toEqual([{ field: 'title', location: 'body', message: 'Title is required' }]);
+  });
+
+  it('removes an item', async () => {
+    await request(app).post('/api/users/watchlist').set(authHeader(user)).send(fightClub);
+
+    const res = await request(app).delete('/api/users/watchlist/movie/550').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.watchlist).toEqual([]);
+  });
+
+  it('tells movies and TV shows with the same id apart', async () => {
+    await request(app).post('/api/users/watchlist').set(authHeader(user)).send(gameOfThrones);
+    const added = await request(app).post('/api/users/watchlist').set(authHeader(user)).send(movie1399);
+    expect(added.status).toBe(201);
+
+    const res = await request(app).delete('/api/users/watchlist/tv/1399').set(authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.watchlist).toEqual([expect.objectContaining({ mediaType: 'movie', mediaId: 1399 })]);
+  });
+
+  it('checks whether a title is in the watchlist', async () => {
+    await request(app).post('/api/users/watchlist').set(authHeader(user)).send(gameOfThrones);
+
+    const listed = await request(app).get('/api/users/watchlist/tv/1399').set(authHeader(user));
+    expect(listed.status).toBe(200);
+    expect(listed.body).toMatchObject({ inWatchlist: true, item: { mediaType: 'tv', mediaId: 1399 } });
+
+    const other = await request(app).get('/api/users/watchlist/movie/1399').set(authHeader(user));
+    expect(other.status).toBe(200);
+    expect(other.body).toEqual({ inWatchlist: false, item: null });
+  });
+
+  it('rejects unknown media types', async () => {
+    const res = await request(app).get('/api/users/watchlist/book/1399').set(authHeader(user));
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['mediaType']);
+  });
+
+  it('returns 404 when removing an item that is not in the watchlist', async () => {
+    const res = await request(app).delete('/api/users/watchlist/movie/550').set(authHeader(user));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('keeps each user\'s watchlist separate', async () => {
+    const other = await registerUser(app);
+    await request(app).post('/api/users/watchlist').set(authHeader(other)).send(fightClub);
+
+    const res = await request(app).get('/api/users/watchlist').set(authHeader(user));
+
+    expect(res.body).toEqual([]);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/users/watchlist');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('watchlist item details', () => {
+  let user;
+
+  const add = (item) => request(app).post('/api/users/watchlist').set(authHeader(user)).send(item);
+  const update = (mediaId, changes) => request(app)
+    .put(`/api/users/watchlist/movie/${mediaId}`)
+    .set(authHeader(user))
+    .send(changes);
+
+  beforeEach(async () => {
+    user = await registerUser(app);
+  });
+
+  it('starts items as planned with normal priority', async () => {
+    const res = await add(fightClub);
+
+    expect(res.body.item).toMatchObject({ status: 'plan_to_watch', priority: 'normal', notes: '', watchedAt: null });
+  });
+
+  it('updates notes and priority', async () => {
+    await add(fightClub);
+
+    const res = await update(550, { notes: '  Rewatch with friends ', priority: 'high' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.item).toMatchObject({ notes: 'Rewatch with friends', priority: 'high', status: 'plan_to_watch' });
+  });
+
+  it('stamps the watched date when an item is watched and clears it when it is not', async () => {
+    await add(fightClub);
+
+    const watched = await update(550, { status: 'watched' });
+    expect(watched.body.item.status).toBe('watched');
+    expect(new Date(watched.body.item.watchedAt).getTime()).toBeGreaterThan(Date.now() - 60 * 1000);
+
+    const backdated = await update(550, { watchedAt: '2024-05-01' });
+    expect(backdated.body.item.watchedAt).toBe('2024-05-01T00:00:00.000Z');
+
+    const rewatching = await update(550, { status: 'watching' });
+    expect(rewatching.body.item.watchedAt).toBeNull();
+  });
+
+  it('only accepts a watched date for watched items', async () => {
+    await add(fightClub);
+
+    const res = await update(550, { watchedAt: '2024-05-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NOT_WATCHED');
+  });
+
+  it('rejects unknown statuses and priorities', async () => {
+    await add(fightClub);
+
+    const res = await update(550, { status: 'binged', priority: 'urgent' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['status', 'priority']);
+  });
+
+  it('filters the watchlist by status', async () => {
+    await add({ ...fightClub, status: 'watched' });
+    await add(gameOfThrones);
+
+    const res = await request(app)
+      .get('/api/users/watchlist')
+      .query({ status: 'watched' })
+      .set(authHeader(user));
+
+    expect(res.body.map((item) => item.mediaId)).toEqual([550]);
+    expect(res.body[0].watchedAt).toEqual(expect.any(String));
+  });
+
+  it('returns 404 when updating an item that is not in the watchlist', async () => {
+    const res = await update(550, { status: 'watching' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('watchlist migration', () => {
+  const migration = migrations.find(({ name }) => name === 'watchlist-items');
+
+  it('moves embedded watchlists into their own collection, once', async () => {
+    const user = await registerUser(app);
+    const { _id: userId } = await User.findOne({ email: user.email });
+    const addedAt = new Date('2023-01-02T03:04:05Z');
+    await User.collection.updateOne({ _id: userId }, {
+      $set: {
+        watchlist: [
+          { mediaType: 'movie', mediaId: 550, title: 'Fight Club', poster_path: '/fight-club.jpg', added_at: addedAt },
+          { mediaType: 'tv', mediaId: 1399, title: 'Game of Thrones', poster_path: '/got.jpg', added_at: new Date() }
+        ]
+      }
+    });
+
+    expect(await migration.up()).toEqual({ users: 1, items: 2 });
+    expect(await migration.up()).toEqual({ users: 0, items: 0 });
+
+    const stored = await User.collection.findOne({ email: user.email });
+    expect(stored.watchlist).toBeUndefined();
+
+    const res = await request(app).get('/api/users/watchlist').set(authHeader(user));
+    expect(res.body).toHaveLength(2);
+    expect(res.body[1]).toMatchObject({
+      mediaId: 550,
+      poster_path: '/fight-club.jpg',
+      added_at: addedAt.toISOString(),
+      status: 'plan_to_watch'
+    });
+  });
+
+  it('skips items copied by an interrupted run', async () => {
+    const user = await registerUser(app);
+    const { _id: userId } = await User.findOne({ email: user.email });
+    await WatchlistItem.create({ user: userId, mediaType: 'movie', mediaId: 550, title: 'Fight Club' });
+    await User.collection.updateOne({ _id: userId }, {
+      $set: {
+        watchlist: [
+          { mediaType: 'movie', mediaId: 550, title: 'Fight Club' },
+          { mediaType: 'tv', mediaId: 1399, title: 'Game of Thrones' }
+        ]
+      }
+    });
+
+    expect(await migration.up()).toEqual({ users: 1, items: 1 });
+    expect(await WatchlistItem.countDocuments({ user: userId })).toBe(2);
+  });
+});
@@ -0,0 +1,7 @@
+// Wrap an async route handler or middleware so a rejected promise is passed to
+// next() and reaches the error handler (Express 4 does not do this on its own)
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
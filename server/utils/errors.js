@@ -0,0 +1,105 @@
+/**
+ * Application errors. Throw these from controllers, middleware and services and
+ * the error handler (middleware/errorHandler.js) turns them into the JSON error
+ * envelope:
+ *
+ *   { message, code, requestId, ...details }
+ *
+ * `code` is a stable, machine readable string clients can branch on; `message`
+ * is meant for people and may change.
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} options
+   * @param {Number} options.statusCode - HTTP status
+   * @param {String} options.code - Machine readable error code
+   * @param {Object} options.details - Extra fields added to the response body
+   * @param {Object} options.headers - Extra response headers
+   */
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details = {}, headers = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// 400 - the request itself is wrong. Takes a message or the
+// [{ field, location, message }] list built by the validate middleware.
+class ValidationError extends AppError {
+  constructor(messageOrErrors, { code = 'VALIDATION_ERROR', ...options } = {}) {
+    const errors = Array.isArray(messageOrErrors) ? messageOrErrors : null;
+    const message = errors
+      ? errors.map((error) => error.message).join('. ')
+      : messageOrErrors;
+
+    super(message, {
+      statusCode: 400,
+      code,
+      ...options,
+      details: errors ? { errors, ...options.details } : options.details
+    });
+  }
+}
+
+// 401 - missing, invalid or rejected credentials
+class AuthError extends AppError {
+  constructor(message = 'Not authorized', { code = 'UNAUTHORIZED', ...options } = {}) {
+    super(message, { statusCode: 401, code, ...options });
+  }
+}
+
+// 403 - signed in, but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed', { code = 'FORBIDDEN', ...options } = {}) {
+    super(message, { statusCode: 403, code, ...options });
+  }
+}
+
+// 404 - the requested resource does not exist
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { statusCode: 404, code, ...options });
+  }
+}
+
+// 409 - the request clashes with existing data (duplicates, pending changes)
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', ...options } = {}) {
+    super(message, { statusCode: 409, code, ...options });
+  }
+}
+
+// 429 - the client has to wait before trying again
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, { code = 'RATE_LIMITED', ...options } = {}) {
+    super(message, {
+      statusCode: 429,
+      code,
+      ...options,
+      details: { retryAfter, ...options.details },
+      headers: { 'Retry-After': String(retryAfter), ...options.headers }
+    });
+  }
+}
+
+// 502/503 - a service we depend on (TMDB, email) failed or is unreachable
+class UpstreamError extends AppError {
+  constructor(message, { statusCode = 503, code = 'UPSTREAM_UNAVAILABLE', ...options } = {}) {
+    super(message, { statusCode, code, ...options });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  UpstreamError
+};
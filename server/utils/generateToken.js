@@ -1,16 +1,33 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const config = require('../config/config');
 
-// Generate JWT for authentication
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+const HOUR = 60 * 60 * 1000;
+
+// How long each kind of emailed link stays valid. The emails quote these, so
+// change them here rather than where the tokens are created.
+const TOKEN_LIFETIMES = {
+  emailVerification: 24 * HOUR,
+  profileChange: 24 * HOUR,
+  passwordReset: HOUR,
+  accountUnlock: 24 * HOUR
+};
+
+// Generate a short-lived JWT for authentication, tied to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, config.JWT_SECRET, {
+    expiresIn: config.AUTH.ACCESS_TOKEN_TTL
   });
 };
 
-// Generate a random token for verification purposes (email or password)
+// Generate a random token for verification purposes (email, password or session refresh)
 const generateRandomToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
-module.exports = { generateToken, generateRandomToken }; 
\ No newline at end of file
+// Hash a random token for storage, so a database leak doesn't expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = { TOKEN_LIFETIMES, generateToken, generateRandomToken, hashToken };
@@ -0,0 +1,126 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logger.
+ *
+ *   const { logger } = require('../utils/logger');
+ *   logger.info('Review created', { reviewId });
+ *   logger.error('Could not send email', error);
+ *
+ * Each entry is one line with time, level, message and fields. LOG_FORMAT=json
+ * (the default in production) writes JSON lines for log collectors, otherwise a
+ * readable line is written. LOG_LEVEL sets the lowest level written: debug,
+ * info (default), warn, error or silent (default in tests).
+ *
+ * Entries logged while handling a request carry its requestId automatically.
+ * Passwords, tokens, secrets and email addresses are redacted before writing.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Holds { requestId } for the request being handled (set by middleware/requestId.js)
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+// Field names whose values are never logged
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+// JWTs and the 64 character hex tokens from utils/generateToken.js (also in URLs)
+const TOKEN_PATTERNS = [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, /\b[a-f0-9]{40,}\b/gi];
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 5;
+
+const redactString = (value) => TOKEN_PATTERNS
+  .reduce((text, pattern) => text.replace(pattern, REDACTED), value)
+  .replace(EMAIL_PATTERN, '$1***@$2');
+
+// Copy of a value that is safe to log
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      statusCode: value.statusCode,
+      stack: value.stack
+    }, depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  // Mongoose documents, ObjectIds etc.
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth + 1);
+  }
+
+  return Object.keys(value).reduce((copy, key) => {
+    if (value[key] !== undefined) {
+      copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(value[key], depth + 1);
+    }
+    return copy;
+  }, {});
+};
+
+const resolveLevel = () => {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (LEVELS[level]) return level;
+  return process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+};
+
+const resolveFormat = () => {
+  const format = (process.env.LOG_FORMAT || '').toLowerCase();
+  if (format === 'json' || format === 'pretty') return format;
+  return process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+};
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details}`;
+};
+
+const createLogger = (bindings = {}) => {
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < LEVELS[resolveLevel()]) return;
+
+    // logger.error('message', error) is shorthand for { err: error }
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const context = requestContext.getStore();
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...redact(bindings),
+      ...redact(extra || {})
+    };
+
+    const line = resolveFormat() === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    // Logger adding the given fields to every entry
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  requestContext,
+  redact
+};
@@ -0,0 +1,20 @@
+const { v } = require('../middleware/validate');
+
+const listJobs = {
+  query: {
+    status: v.string().oneOf(['queued', 'running', 'succeeded', 'dead']),
+    type: v.string().trim().max(100),
+    limit: v.integer().min(1).max(200).default(50)
+  }
+};
+
+const jobId = {
+  params: {
+    id: v.objectId().required().label('Job id')
+  }
+};
+
+module.exports = {
+  listJobs,
+  jobId
+};
@@ -0,0 +1,19 @@
+const { v } = require('../middleware/validate');
+
+const listEmails = {
+  query: {
+    to: v.email(),
+    limit: v.integer().min(1).max(100).default(20)
+  }
+};
+
+const emailId = {
+  params: {
+    id: v.string().max(100).required()
+  }
+};
+
+module.exports = {
+  listEmails,
+  emailId
+};
@@ -0,0 +1,78 @@
+const { v } = require('../middleware/validate');
+
+const name = () => v.string().trim().min(1).max(100).label('List name');
+const description = () => v.string().trim().max(1000);
+
+const listId = () => v.objectId().required().label('List id');
+
+// A title on a list; movie and TV ids overlap, so both are needed
+const itemParams = () => ({
+  id: listId(),
+  mediaType: v.mediaType().required(),
+  mediaId: v.integer().min(1).required()
+});
+
+const getMyLists = {
+  query: {
+    mediaType: v.mediaType(),
+    mediaId: v.integer().min(1)
+  }
+};
+
+const createList = {
+  body: {
+    name: name().required(),
+    description: description(),
+    isPublic: v.boolean()
+  }
+};
+
+const updateList = {
+  params: {
+    id: listId()
+  },
+  body: {
+    name: name(),
+    description: description(),
+    isPublic: v.boolean()
+  }
+};
+
+const list = {
+  params: {
+    id: listId()
+  }
+};
+
+const addListItem = {
+  params: {
+    id: listId()
+  },
+  body: {
+    mediaType: v.mediaType().required(),
+    mediaId: v.integer().min(1).required(),
+    title: v.string().trim().max(500).required(),
+    posterPath: v.string().max(500).nullable()
+  }
+};
+
+const moveListItem = {
+  params: itemParams(),
+  body: {
+    position: v.integer().min(0).required()
+  }
+};
+
+const listItem = {
+  params: itemParams()
+};
+
+module.exports = {
+  getMyLists,
+  createList,
+  updateList,
+  list,
+  addListItem,
+  moveListItem,
+  listItem
+};
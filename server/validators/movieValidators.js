@@ -0,0 +1,90 @@
+const { v } = require('../middleware/validate');
+const { DISCOVER_SORTS } = require('../services/tmdbService');
+
+// TMDB serves at most 500 pages of any list
+const page = () => v.integer().min(1).max(500).default(1);
+
+const paged = {
+  query: {
+    page: page()
+  }
+};
+
+const year = () => v.integer().min(1870).max(2100);
+const runtime = () => v.integer().min(0).max(1000);
+
+const discover = {
+  query: {
+    page: page(),
+    genres: v.string().trim()
+      .pattern(/^\d+(,\d+)*$/, 'must be a comma separated list of genre ids'),
+    yearFrom: year().label('From year'),
+    yearTo: year().label('To year'),
+    runtimeMin: runtime().label('Minimum runtime'),
+    runtimeMax: runtime().label('Maximum runtime'),
+    ratingMin: v.number().min(0).max(10).label('Minimum rating'),
+    votesMin: v.integer().min(0).label('Minimum votes'),
+    language: v.string().trim().lowercase()
+      .pattern(/^[a-z]{2}$/, 'must be a two letter language code'),
+    sort: v.string().oneOf(DISCOVER_SORTS).default('popularity')
+  }
+};
+
+const trending = {
+  params: {
+    timeWindow: v.string().oneOf(['day', 'week']).required().label('Time window')
+  }
+};
+
+const details = {
+  params: {
+    id: v.tmdbId().required()
+  }
+};
+
+// Season 0 holds a show's specials
+const seasonNumber = () => v.integer().min(0).max(1000).required().label('Season number');
+
+const season = {
+  params: {
+    id: v.tmdbId().required(),
+    seasonNumber: seasonNumber()
+  }
+};
+
+const episode = {
+  params: {
+    id: v.tmdbId().required(),
+    seasonNumber: seasonNumber(),
+    episodeNumber: v.integer().min(1).max(10000).required().label('Episode number')
+  }
+};
+
+const search = {
+  query: {
+    query: v.string().trim().max(200).required().label('Search query'),
+    page: page(),
+    type: v.mediaType()
+  }
+};
+
+const tmdbReviews = {
+  params: {
+    type: v.mediaType().required().label('Type'),
+    id: v.tmdbId().required()
+  },
+  query: {
+    page: page()
+  }
+};
+
+module.exports = {
+  paged,
+  discover,
+  trending,
+  details,
+  season,
+  episode,
+  search,
+  tmdbReviews
+};
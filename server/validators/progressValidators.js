@@ -0,0 +1,39 @@
+const { v } = require('../middleware/validate');
+
+const showId = () => v.integer().min(1).required().label('Show id');
+// Season 0 holds a show's specials
+const seasonNumber = () => v.integer().min(0).max(1000).required().label('Season number');
+
+const show = {
+  params: {
+    showId: showId()
+  }
+};
+
+const season = {
+  params: {
+    showId: showId(),
+    seasonNumber: seasonNumber()
+  }
+};
+
+const episode = {
+  params: {
+    showId: showId(),
+    seasonNumber: seasonNumber(),
+    episodeNumber: v.integer().min(1).max(10000).required().label('Episode number')
+  }
+};
+
+const continueWatching = {
+  query: {
+    limit: v.integer().min(1).max(50).default(20)
+  }
+};
+
+module.exports = {
+  show,
+  season,
+  episode,
+  continueWatching
+};
@@ -0,0 +1,55 @@
+const { v } = require('../middleware/validate');
+
+const rating = () => v.integer().min(1).max(10);
+const content = () => v.string().trim().max(10000).label('Review');
+
+const mediaParams = {
+  mediaType: v.mediaType().required(),
+  mediaId: v.tmdbId().required()
+};
+
+const createReview = {
+  body: {
+    mediaId: v.tmdbId().required(),
+    mediaType: v.mediaType().required(),
+    rating: rating().required(),
+    content: content().required()
+  }
+};
+
+const updateReview = {
+  params: {
+    id: v.objectId().required().label('Review id')
+  },
+  body: {
+    rating: rating(),
+    content: content()
+  }
+};
+
+const reviewId = {
+  params: {
+    id: v.objectId().required().label('Review id')
+  }
+};
+
+const mediaReviews = {
+  params: mediaParams,
+  query: {
+    page: v.integer().min(1).default(1),
+    limit: v.integer().min(1).max(50).default(10),
+    sort: v.string().oneOf(['newest', 'highest', 'lowest']).default('newest')
+  }
+};
+
+const mediaStats = {
+  params: mediaParams
+};
+
+module.exports = {
+  createReview,
+  updateReview,
+  reviewId,
+  mediaReviews,
+  mediaStats
+};
@@ -0,0 +1,123 @@
+const { v } = require('../middleware/validate');
+const { SUPPORTED_LOCALES } = require('../locales');
+const WatchlistItem = require('../models/WatchlistItem');
+
+// Allow for clock differences and time zones when checking dates
+const DAY = 24 * 60 * 60 * 1000;
+
+// Field rules shared by registration and profile updates (mirror models/User.js)
+const username = () => v.string().trim().min(3).max(30)
+  .pattern(/^[a-zA-Z0-9_]+$/, 'can only contain letters, numbers, and underscores');
+const password = () => v.string().min(6).max(128);
+
+const register = {
+  body: {
+    username: username().required(),
+    email: v.email().required(),
+    password: password().required(),
+    // Language tag such as fr-CA; unsupported languages fall back to English
+    locale: v.string().trim().max(35)
+  }
+};
+
+const login = {
+  body: {
+    email: v.email().required(),
+    password: v.string().required()
+  }
+};
+
+const updateProfile = {
+  body: {
+    username: username(),
+    email: v.email(),
+    currentPassword: v.string(),
+    newPassword: password().label('New password')
+  }
+};
+
+const updatePreferences = {
+  body: {
+    locale: v.string().oneOf(SUPPORTED_LOCALES).required()
+  }
+};
+
+const forgotPassword = {
+  body: {
+    email: v.email().required()
+  }
+};
+
+const resetPassword = {
+  body: {
+    password: password().required()
+  }
+};
+
+const refreshToken = {
+  body: {
+    refreshToken: v.string().required()
+  }
+};
+
+const sessionId = {
+  params: {
+    id: v.objectId().required().label('Session id')
+  }
+};
+
+// Fields the user can set on a watchlist item (mirror models/WatchlistItem.js)
+const watchlistFields = () => ({
+  status: v.string().oneOf(WatchlistItem.WATCH_STATUSES),
+  notes: v.string().trim().max(2000),
+  priority: v.string().oneOf(WatchlistItem.PRIORITIES),
+  watchedAt: v.date()
+    .check((value) => value.getTime() <= Date.now() + DAY, 'cannot be in the future')
+    .nullable()
+});
+
+// TMDB movie and TV ids overlap, so an item is identified by both
+const watchlistItemParams = () => ({
+  mediaType: v.mediaType().required(),
+  mediaId: v.integer().min(1).required()
+});
+
+const getWatchlist = {
+  query: {
+    status: v.string().oneOf(WatchlistItem.WATCH_STATUSES)
+  }
+};
+
+const addToWatchlist = {
+  body: {
+    mediaType: v.mediaType().required(),
+    mediaId: v.integer().min(1).required(),
+    title: v.string().trim().max(500).required(),
+    posterPath: v.string().max(500).nullable(),
+    ...watchlistFields()
+  }
+};
+
+const watchlistItem = {
+  params: watchlistItemParams()
+};
+
+const updateWatchlistItem = {
+  params: watchlistItemParams(),
+  body: watchlistFields()
+};
+
+module.exports = {
+  register,
+  login,
+  updateProfile,
+  updatePreferences,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  sessionId,
+  getWatchlist,
+  addToWatchlist,
+  watchlistItem,
+  updateWatchlistItem
+};